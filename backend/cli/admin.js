@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+/**
+ * Administration Command Line Interface
+ *
+ * Manages accounts directly against the pool from `config/dbconfig.js`, e.g.
+ * to create the first system admin of a fresh install. Changes apply the
+ * same rules as the admin API and are recorded as security events with
+ * `source: 'cli'`.
+ *
+ * Usage:
+ *   node cli/admin.js create-admin --email <email> --name <name> [--address <address>] [--if-missing]
+ *   node cli/admin.js reset-password <email|id>
+ *   node cli/admin.js set-role <email|id> <role>
+ *   node cli/admin.js unlock <email|id>
+ *   node cli/admin.js reset-2fa <email|id>
+ *   node cli/admin.js list-users [--role <role>] [--search <text>] [--limit <n>] [--json]
+ *   node cli/admin.js check [--json]
+ *
+ * Passwords are prompted for on a terminal. With `--non-interactive` (or
+ * when stdin is not a terminal) nothing is prompted: the password is read
+ * from `--password` or the ADMIN_PASSWORD environment variable and missing
+ * values are reported as errors, so the commands can run from provisioning
+ * scripts. Any failure sets a non-zero exit code.
+ *
+ * @module cli/admin
+ * @requires fs
+ * @requires path
+ * @requires readline
+ * @requires bcrypt
+ * @requires express-validator
+ * @requires ../config/dbconfig
+ * @requires ../config/rbac
+ * @requires ../database/migrator
+ * @requires ../middleware/validation
+ * @requires ../middleware/audit
+ * @requires ../utils/tokens
+ * @requires ../utils/loginThrottle
+ * @requires ../utils/twoFactor
+ * @requires ../utils/roles
+ */
+
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+const bcrypt = require('bcrypt')
+const { validationResult } = require('express-validator')
+const { promisePool, pool, dbConfig } = require('../config/dbconfig')
+const { ROLES, roleExists, getRoleNames } = require('../config/rbac')
+const { MIGRATIONS_DIR, status: migrationStatus } = require('../database/migrator')
+const { nameValidation, emailValidation, passwordValidation, addressValidation } = require('../middleware/validation')
+const { logSecurityEvent } = require('../middleware/audit')
+const { revokeAllUserTokens } = require('../utils/tokens')
+const { clearFailedLogins, getLockoutStatus } = require('../utils/loginThrottle')
+const { disableTwoFactor } = require('../utils/twoFactor')
+const { loadRoleMapping } = require('../utils/roles')
+
+const VALUE_FLAGS = ['--email', '--name', '--address', '--password', '--role', '--search', '--limit']
+const DEFAULT_LIST_LIMIT = 50
+
+/**
+ * Error reported to the operator without a stack trace
+ */
+class CliError extends Error {}
+
+/**
+ * Split Command Line Arguments
+ *
+ * @param {string[]} args - Arguments after the command name
+ * @returns {Object} { positional, flags } where flags maps names (without dashes) to values or true
+ */
+const parseArgs = (args) => {
+  const positional = []
+  const flags = {}
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (!arg.startsWith('--')) {
+      positional.push(arg)
+    } else if (VALUE_FLAGS.includes(arg)) {
+      if (args[i + 1] === undefined) {
+        throw new CliError(`${arg} expects a value`)
+      }
+      flags[arg.slice(2)] = args[++i]
+    } else {
+      flags[arg.slice(2)] = true
+    }
+  }
+
+  return { positional, flags }
+}
+
+/**
+ * Whether Prompts Are Allowed
+ *
+ * @param {Object} flags - Parsed flags
+ * @returns {boolean}
+ */
+const isInteractive = (flags) => !flags['non-interactive'] && Boolean(process.stdin.isTTY)
+
+/**
+ * Ask a Question on the Terminal
+ *
+ * @param {string} question - Prompt text
+ * @param {Object} [options]
+ * @param {boolean} [options.hidden=false] - Do not echo the answer
+ * @returns {Promise<string>} Answer without the trailing newline
+ */
+const prompt = (question, { hidden = false } = {}) => new Promise(resolve => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true })
+
+  if (hidden) {
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text)
+    }
+  }
+
+  rl.question(question, answer => {
+    rl.close()
+    if (hidden) process.stdout.write('\n')
+    resolve(answer)
+  })
+})
+
+/**
+ * Read a New Password
+ *
+ * Uses `--password` or ADMIN_PASSWORD when given, otherwise prompts twice.
+ *
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<string>} Password
+ */
+const readPassword = async (flags) => {
+  const provided = typeof flags.password === 'string' ? flags.password : process.env.ADMIN_PASSWORD
+  if (provided) return provided
+
+  if (!isInteractive(flags)) {
+    throw new CliError('A password is required: pass --password or set ADMIN_PASSWORD')
+  }
+
+  const password = await prompt('New password: ', { hidden: true })
+  const confirmation = await prompt('Confirm password: ', { hidden: true })
+  if (password !== confirmation) {
+    throw new CliError('Passwords do not match')
+  }
+  return password
+}
+
+/**
+ * Validate Input With the API's Rules
+ *
+ * Runs express-validator chains from middleware/validation against a plain
+ * request object so the CLI accepts exactly what the API accepts.
+ *
+ * @param {Object} values - Field values keyed like the request body
+ * @param {Object[]} rules - Validation chains
+ * @returns {Promise<Object>} Sanitized values
+ */
+const validate = async (values, rules) => {
+  const req = { body: { ...values } }
+  for (const rule of rules) {
+    await rule.run(req)
+  }
+
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    throw new CliError(errors.array().map(error => `${error.path}: ${error.msg}`).join('\n'))
+  }
+
+  return req.body
+}
+
+/**
+ * Hash a Password the Same Way as the API
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = (password) => bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12)
+
+/**
+ * Find a User by Email or ID
+ *
+ * @param {Object} db - Promise-based database pool
+ * @param {string} identifier - Email address or numeric user ID
+ * @returns {Promise<Object>} User row ({ id, name, email, role })
+ * @throws {CliError} When no identifier is given or the user does not exist
+ */
+const findUser = async (db, identifier) => {
+  if (!identifier) {
+    throw new CliError('Specify the user by email address or ID')
+  }
+
+  const byId = /^\d+$/.test(identifier)
+  const [users] = await db.execute(
+    `SELECT id, name, email, role FROM users WHERE ${byId ? 'id' : 'email'} = ?`,
+    [byId ? Number(identifier) : (await validate({ email: identifier }, [emailValidation])).email]
+  )
+
+  if (users.length === 0) {
+    throw new CliError(`User "${identifier}" not found`)
+  }
+  return users[0]
+}
+
+/**
+ * Count System Administrators
+ *
+ * @param {Object} db - Promise-based database pool
+ * @returns {Promise<number>}
+ */
+const countAdmins = async (db) => {
+  const [rows] = await db.execute('SELECT COUNT(*) AS count FROM users WHERE role = ?', [ROLES.SYSTEM_ADMIN])
+  return Number(rows[0].count)
+}
+
+/**
+ * Check a Role Name Against the Roles Table
+ *
+ * @param {Object} db - Promise-based database pool
+ * @param {string} role - Role name
+ * @throws {CliError} When the role does not exist
+ */
+const assertRoleExists = async (db, role) => {
+  await loadRoleMapping(db, { force: true })
+  if (!roleExists(role)) {
+    throw new CliError(`Role must be one of: ${getRoleNames().join(', ')}`)
+  }
+}
+
+/**
+ * Tables Created by the Migrations
+ *
+ * @returns {string[]} Table names declared with CREATE TABLE in the up files
+ */
+const getExpectedTables = () => {
+  const tables = new Set()
+
+  fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.up.sql'))
+    .forEach(file => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8')
+      for (const match of sql.matchAll(/CREATE TABLE (?:IF NOT EXISTS )?`?(\w+)`?/gi)) {
+        tables.add(match[1])
+      }
+    })
+
+  return [...tables].sort()
+}
+
+const commands = {
+  'create-admin': async (db, { flags }) => {
+    const { email } = await validate({ email: flags.email }, [emailValidation])
+
+    const [existing] = await db.execute('SELECT id, role FROM users WHERE email = ?', [email])
+    if (existing.length > 0) {
+      if (flags['if-missing']) {
+        console.log(`✅ ${email} already exists (ID ${existing[0].id}, ${existing[0].role}); nothing to do`)
+        return
+      }
+      throw new CliError('Email already exists')
+    }
+
+    const input = await validate({ name: flags.name, address: flags.address }, [nameValidation, addressValidation])
+    const { password } = await validate({ password: await readPassword(flags) }, [passwordValidation])
+
+    const [result] = await db.execute(
+      'INSERT INTO users (name, email, password, address, role, email_verified_at) VALUES (?, ?, ?, ?, ?, NOW())',
+      [input.name, email, await hashPassword(password), input.address || null, ROLES.SYSTEM_ADMIN]
+    )
+
+    await logSecurityEvent(db, 'ADMIN_CREATED', result.insertId, { source: 'cli' })
+    console.log(`✅ Created system admin ${email} (ID ${result.insertId})`)
+  },
+
+  'reset-password': async (db, { positional, flags }) => {
+    const user = await findUser(db, positional[0])
+    const { password } = await validate({ password: await readPassword(flags) }, [passwordValidation])
+
+    await db.execute('UPDATE users SET password = ? WHERE id = ?', [await hashPassword(password), user.id])
+    const sessionsRevoked = await revokeAllUserTokens(db, user.id)
+    await clearFailedLogins(db, user.email)
+
+    await logSecurityEvent(db, 'PASSWORD_RESET', user.id, { source: 'cli', sessionsRevoked })
+    console.log(`✅ Password reset for ${user.email}; ${sessionsRevoked} session(s) signed out`)
+  },
+
+  'set-role': async (db, { positional }) => {
+    const user = await findUser(db, positional[0])
+    const role = positional[1]
+
+    await assertRoleExists(db, role)
+    if (role === user.role) {
+      console.log(`✅ ${user.email} already has the ${role} role`)
+      return
+    }
+    if (user.role === ROLES.SYSTEM_ADMIN && await countAdmins(db) <= 1) {
+      throw new CliError('The last system administrator cannot be demoted')
+    }
+    if (user.role === ROLES.STORE_OWNER) {
+      const [stores] = await db.execute('SELECT COUNT(*) AS count FROM stores WHERE owner_id = ?', [user.id])
+      if (Number(stores[0].count) > 0) {
+        throw new CliError(`This user owns ${stores[0].count} store(s). Transfer them from the admin dashboard before changing the role`)
+      }
+    }
+
+    await db.execute('UPDATE users SET role = ? WHERE id = ?', [role, user.id])
+    await logSecurityEvent(db, 'ROLE_CHANGED', user.id, {
+      source: 'cli',
+      targetUserId: user.id,
+      previousRole: user.role,
+      newRole: role
+    })
+    console.log(`✅ ${user.email} changed from ${user.role} to ${role}`)
+  },
+
+  unlock: async (db, { positional }) => {
+    const user = await findUser(db, positional[0])
+    const { locked } = await getLockoutStatus(db, user.email)
+    const failuresCleared = await clearFailedLogins(db, user.email)
+
+    if (failuresCleared > 0) {
+      await logSecurityEvent(db, 'ACCOUNT_UNLOCKED', user.id, { source: 'cli', wasLocked: locked, failuresCleared })
+    }
+    console.log(locked
+      ? `✅ Unlocked ${user.email} (${failuresCleared} failed attempt(s) cleared)`
+      : `✅ ${user.email} was not locked (${failuresCleared} failed attempt(s) cleared)`)
+  },
+
+  'reset-2fa': async (db, { positional }) => {
+    const user = await findUser(db, positional[0])
+
+    await disableTwoFactor(db, user.id)
+    const sessionsRevoked = await revokeAllUserTokens(db, user.id)
+
+    await logSecurityEvent(db, 'TWO_FACTOR_RESET', user.id, { source: 'cli', sessionsRevoked })
+    console.log(`✅ Two-factor authentication reset for ${user.email}; ${sessionsRevoked} session(s) signed out`)
+  },
+
+  'list-users': async (db, { flags }) => {
+    const conditions = []
+    const values = []
+
+    if (flags.role) {
+      await assertRoleExists(db, flags.role)
+      conditions.push('role = ?')
+      values.push(flags.role)
+    }
+    if (flags.search) {
+      conditions.push('(name LIKE ? OR email LIKE ?)')
+      values.push(`%${flags.search}%`, `%${flags.search}%`)
+    }
+
+    const limit = flags.limit === undefined ? DEFAULT_LIST_LIMIT : parseInt(flags.limit)
+    if (Number.isNaN(limit) || limit < 1) {
+      throw new CliError('--limit expects a positive integer')
+    }
+
+    const [users] = await db.query(
+      `SELECT id, name, email, role, email_verified_at IS NOT NULL AS verified,
+              totp_enabled_at IS NOT NULL AS two_factor, created_at
+       FROM users
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id
+       LIMIT ?`,
+      [...values, limit]
+    )
+
+    if (flags.json) {
+      console.log(JSON.stringify(users.map(user => ({
+        ...user,
+        verified: Boolean(user.verified),
+        two_factor: Boolean(user.two_factor)
+      })), null, 2))
+      return
+    }
+
+    users.forEach(user => {
+      const marks = [user.verified ? 'verified' : 'unverified', user.two_factor ? '2fa' : null].filter(Boolean)
+      console.log(`  ${String(user.id).padStart(6)}  ${user.role.padEnd(12)}  ${user.email}  (${marks.join(', ')})`)
+    })
+    console.log(`${users.length} user(s)`)
+  },
+
+  check: async (db, { flags }) => {
+    const problems = []
+
+    const migrations = await migrationStatus(db)
+    const pending = migrations.filter(row => !row.applied).map(row => `${row.version}_${row.name}`)
+    const missing = migrations.filter(row => row.missing).map(row => `${row.version}_${row.name}`)
+    if (pending.length > 0) problems.push(`Pending migrations: ${pending.join(', ')} (run npm run migrate)`)
+    if (missing.length > 0) problems.push(`Applied migrations without files: ${missing.join(', ')}`)
+
+    const [tables] = await db.execute(
+      'SELECT TABLE_NAME AS name FROM information_schema.TABLES WHERE TABLE_SCHEMA = ?',
+      [dbConfig.database]
+    )
+    const existing = new Set(tables.map(table => table.name))
+    const missingTables = getExpectedTables().filter(table => !existing.has(table))
+    if (missingTables.length > 0) problems.push(`Missing tables: ${missingTables.join(', ')}`)
+
+    const admins = existing.has('users') ? await countAdmins(db) : 0
+    if (admins === 0) problems.push('No system admin account exists (run create-admin)')
+
+    if (flags.json) {
+      console.log(JSON.stringify({ healthy: problems.length === 0, database: dbConfig.database, admins, pending, missing, missingTables, problems }, null, 2))
+    } else {
+      console.log(`Database: ${dbConfig.database}`)
+      console.log(`  Migrations: ${migrations.length - pending.length} applied, ${pending.length} pending`)
+      console.log(`  System admins: ${admins}`)
+      problems.forEach(problem => console.log(`  ⚠️  ${problem}`))
+      console.log(problems.length === 0 ? '✅ Schema is healthy' : '❌ Schema needs attention')
+    }
+
+    if (problems.length > 0) process.exitCode = 1
+  }
+}
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2)
+  const handler = commands[command]
+
+  if (!handler) {
+    console.error(`Unknown command "${command || ''}". Use one of: ${Object.keys(commands).join(', ')}`)
+    process.exitCode = 1
+    return
+  }
+
+  try {
+    await handler(promisePool, parseArgs(args))
+  } catch (error) {
+    console.error(error instanceof CliError ? `❌ ${error.message}` : `❌ ${command} failed: ${error.message}`)
+    if (error.code === 'ER_BAD_DB_ERROR' || error.code === 'ER_NO_SUCH_TABLE') {
+      console.error('Make sure the database exists and run npm run migrate first')
+    }
+    process.exitCode = 1
+  } finally {
+    pool.end()
+  }
+}
+
+run()
@@ -0,0 +1,90 @@
+/**
+ * API Rate Limit Configuration
+ *
+ * Defines the request quotas applied by `middleware/rateLimit` to each route
+ * group mounted in `index.js`, and to the groups of auth routes in
+ * `routes/auth`. Every policy has a window length and a limit per role from
+ * `config/rbac`; `anonymous` applies to requests without an authenticated
+ * user and `default` to any role not listed. Authenticated requests are
+ * counted per user, anonymous ones per client IP (see TRUST_PROXY).
+ *
+ * @module config/rateLimit
+ * @requires ./rbac
+ */
+
+const { ROLES } = require('./rbac')
+
+const ANONYMOUS = 'anonymous'
+
+const RATE_LIMIT_POLICIES = {
+  // Credential endpoints: login, registration, 2FA login and password reset
+  auth: {
+    windowSeconds: 15 * 60,
+    limits: {
+      [ANONYMOUS]: 100
+    }
+  },
+
+  // Endpoints that carry a refresh or verification token instead of credentials.
+  // Tokens cannot be guessed, so this only guards against floods and is sized
+  // for many users sharing one address
+  authToken: {
+    windowSeconds: 15 * 60,
+    limits: {
+      [ANONYMOUS]: 1000
+    }
+  },
+
+  // Signed-in account endpoints under /auth (token check, 2FA setup, sessions)
+  authAccount: {
+    windowSeconds: 60,
+    limits: {
+      [ROLES.NORMAL_USER]: 30,
+      [ROLES.STORE_OWNER]: 30,
+      [ROLES.SYSTEM_ADMIN]: 60,
+      default: 30
+    }
+  },
+
+  user: {
+    windowSeconds: 60,
+    limits: {
+      [ROLES.NORMAL_USER]: 120,
+      default: 60
+    }
+  },
+
+  storeOwner: {
+    windowSeconds: 60,
+    limits: {
+      [ROLES.STORE_OWNER]: 180,
+      default: 60
+    }
+  },
+
+  admin: {
+    windowSeconds: 60,
+    limits: {
+      [ROLES.SYSTEM_ADMIN]: 600,
+      default: 60
+    }
+  }
+}
+
+/**
+ * Resolve the Quota for a Role
+ *
+ * @param {Object} policy - Entry from RATE_LIMIT_POLICIES
+ * @param {string} [role] - Authenticated user's role; omitted for anonymous requests
+ * @returns {number} Requests allowed per window
+ */
+const getRoleLimit = (policy, role) => {
+  const key = role || ANONYMOUS
+  return policy.limits[key] ?? policy.limits.default ?? policy.limits[ANONYMOUS]
+}
+
+module.exports = {
+  ANONYMOUS,
+  RATE_LIMIT_POLICIES,
+  getRoleLimit
+}
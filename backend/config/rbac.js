@@ -5,6 +5,10 @@
  * permissions, role-permission mappings, and utility functions for authorization.
  * It serves as the central authority for all access control decisions.
  * 
+ * `ROLE_PERMISSIONS` and `ROLE_HIERARCHY` are the defaults for the built-in
+ * roles. The live mapping, including custom roles, is stored in the database
+ * and loaded into this module by `utils/roles`; every check below reads it.
+ * 
  * @module config/rbac
  */
 
@@ -106,7 +110,10 @@ const RESOURCE_TYPES = {
   USER: 'user',
   STORE: 'store',
   RATING: 'rating',
-  PROFILE: 'profile'
+  PROFILE: 'profile',
+  ROLE: 'role',
+  RATING_REPLY: 'rating_reply',
+  RATING_CRITERION: 'rating_criterion'
 }
 
 const ACTIONS = {
@@ -125,23 +132,56 @@ const ROLE_HIERARCHY = {
   [ROLES.NORMAL_USER]: 1
 }
 
+const BUILTIN_ROLES = Object.values(ROLES)
+
+// Live role mapping: role name -> { level, permissions }
+let roleMapping = Object.fromEntries(BUILTIN_ROLES.map(role => [role, {
+  level: ROLE_HIERARCHY[role],
+  permissions: ROLE_PERMISSIONS[role]
+}]))
+
+/**
+ * Replace the Live Role Mapping
+ * 
+ * System admins always receive every permission so the platform cannot be
+ * locked out by an edit.
+ * 
+ * @param {Object[]} roles - Roles ({ name, level, permissions })
+ */
+const setRoleMapping = (roles) => {
+  roleMapping = Object.fromEntries(roles.map(role => [role.name, {
+    level: Number(role.level),
+    permissions: role.name === ROLES.SYSTEM_ADMIN ? Object.values(PERMISSIONS) : role.permissions
+  }]))
+}
+
+const isBuiltinRole = (role) => BUILTIN_ROLES.includes(role)
+
+const roleExists = (role) => Object.prototype.hasOwnProperty.call(roleMapping, role)
+
+const getRoleNames = () => Object.keys(roleMapping)
+
+const getRoleLevel = (role) => roleMapping[role]?.level || 0
+
+const getRolePermissions = (role) => roleMapping[role]?.permissions || []
+
 const hasPermission = (userRole, permission) => {
-  const permissions = ROLE_PERMISSIONS[userRole] || []
+  const permissions = getRolePermissions(userRole)
   return permissions.includes(permission)
 }
 
 const hasAnyPermission = (userRole, permissions) => {
-  const userPermissions = ROLE_PERMISSIONS[userRole] || []
+  const userPermissions = getRolePermissions(userRole)
   return permissions.some(permission => userPermissions.includes(permission))
 }
 
 const hasAllPermissions = (userRole, permissions) => {
-  const userPermissions = ROLE_PERMISSIONS[userRole] || []
+  const userPermissions = getRolePermissions(userRole)
   return permissions.every(permission => userPermissions.includes(permission))
 }
 
 const isHigherRole = (role1, role2) => {
-  return ROLE_HIERARCHY[role1] > ROLE_HIERARCHY[role2]
+  return getRoleLevel(role1) > getRoleLevel(role2)
 }
 
 const canAccessResource = (userRole, userId, resourceOwnerId, resourceType) => {
@@ -167,6 +207,13 @@ module.exports = {
   RESOURCE_TYPES,
   ACTIONS,
   ROLE_HIERARCHY,
+  BUILTIN_ROLES,
+  setRoleMapping,
+  isBuiltinRole,
+  roleExists,
+  getRoleNames,
+  getRoleLevel,
+  getRolePermissions,
   hasPermission,
   hasAnyPermission,
   hasAllPermissions,
@@ -23,6 +23,10 @@ const {
   ROLES, 
   PERMISSIONS, 
   ROLE_PERMISSIONS,
+  getRoleNames,
+  getRolePermissions,
+  roleExists,
+  isHigherRole,
   hasPermission,
   hasAnyPermission,
   hasAllPermissions,
@@ -59,14 +63,15 @@ class RBACController {
   /**
    * Get All Available Roles
    * 
-   * Returns a complete list of all system roles that can be assigned to users.
+   * Returns a complete list of all roles that can be assigned to users,
+   * including custom roles from the live role mapping.
    * Used for role management interfaces and validation.
    * 
    * @static
    * @returns {string[]} Array of available role strings
    */
   static getRoles() {
-    return Object.values(ROLES)
+    return getRoleNames()
   }
 
   /**
@@ -93,7 +98,7 @@ class RBACController {
    * @returns {string[]} Array of permissions for the specified role
    */
   static getRolePermissions(role) {
-    return ROLE_PERMISSIONS[role] || []
+    return getRolePermissions(role)
   }
 
   /**
@@ -228,7 +233,7 @@ class RBACController {
    * Role Hierarchy Validation
    * 
    * Determines if a user with a manager role can manage another user based on
-   * role hierarchy. Higher hierarchy values can manage lower ones.
+   * role hierarchy. Higher role levels can manage lower ones.
    * Essential for user management and role assignment operations.
    * 
    * @static
@@ -237,14 +242,7 @@ class RBACController {
    * @returns {boolean} True if manager can manage target user, false otherwise
    */
   static canManageUser(managerRole, targetRole) {
-    // Define role hierarchy with numerical precedence
-    const hierarchy = {
-      [ROLES.SYSTEM_ADMIN]: 3,
-      [ROLES.STORE_OWNER]: 2,
-      [ROLES.NORMAL_USER]: 1
-    }
-
-    return hierarchy[managerRole] > hierarchy[targetRole]
+    return isHigherRole(managerRole, targetRole)
   }
 
   /**
@@ -393,8 +391,8 @@ class RBACController {
    * Validate Role Assignment Permissions
    * 
    * Determines if a user has the authority to assign a specific role.
-   * Currently, only system administrators can assign roles, ensuring
-   * proper access control for role management operations.
+   * Assigning roles requires the system management permission; system
+   * administrators can assign any role, other roles only lower ones.
    * 
    * @static
    * @param {string} assignerRole - Role of user attempting assignment
@@ -402,13 +400,11 @@ class RBACController {
    * @returns {boolean} True if assignment is permitted, false otherwise
    */
   static canAssignRole(assignerRole, targetRole) {
-    // Only system administrators can assign roles
-    if (assignerRole !== ROLES.SYSTEM_ADMIN) {
+    if (!hasPermission(assignerRole, PERMISSIONS.SYSTEM_MANAGE) || !roleExists(targetRole)) {
       return false
     }
 
-    // System administrators can assign any valid role
-    return Object.values(ROLES).includes(targetRole)
+    return assignerRole === ROLES.SYSTEM_ADMIN || isHigherRole(assignerRole, targetRole)
   }
 
   /**
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Migration Command Line Interface
+ *
+ * Runs the migration commands against the pool from `config/dbconfig.js`.
+ *
+ * Usage:
+ *   node database/migrate.js migrate [--to <version>]
+ *   node database/migrate.js rollback [--steps <n>]
+ *   node database/migrate.js status
+ *
+ * @module database/migrate
+ * @requires ../config/dbconfig
+ * @requires ./migrator
+ */
+
+const { promisePool, pool, dbConfig } = require('../config/dbconfig')
+const { migrate, rollback, status } = require('./migrator')
+
+/**
+ * Read a `--flag value` pair from the argument list
+ *
+ * @param {string[]} args - Command line arguments
+ * @param {string} flag - Flag name including dashes
+ * @returns {string|undefined} Flag value if present
+ */
+const readFlag = (args, flag) => {
+  const index = args.indexOf(flag)
+  return index !== -1 ? args[index + 1] : undefined
+}
+
+const commands = {
+  migrate: async (args) => {
+    const applied = await migrate(promisePool, { to: readFlag(args, '--to'), log: console.log })
+    console.log(applied.length > 0
+      ? `✅ Applied ${applied.length} migration(s)`
+      : '✅ Database is already up to date')
+  },
+
+  rollback: async (args) => {
+    const steps = parseInt(readFlag(args, '--steps')) || 1
+    const reverted = await rollback(promisePool, { steps, log: console.log })
+    console.log(reverted.length > 0
+      ? `✅ Rolled back ${reverted.length} migration(s)`
+      : '✅ Nothing to roll back')
+  },
+
+  status: async () => {
+    const rows = await status(promisePool)
+    console.log(`Database: ${dbConfig.database}`)
+    rows.forEach(row => {
+      const state = row.missing ? 'MISSING FILES' : row.applied ? 'applied' : 'pending'
+      const appliedAt = row.appliedAt ? ` (${new Date(row.appliedAt).toISOString()})` : ''
+      console.log(`  ${row.version}_${row.name}  ${state}${appliedAt}`)
+    })
+  }
+}
+
+const run = async () => {
+  const [command = 'migrate', ...args] = process.argv.slice(2)
+  const handler = commands[command]
+
+  if (!handler) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`)
+    process.exitCode = 1
+    return
+  }
+
+  try {
+    await handler(args)
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message)
+    if (error.code === 'ER_BAD_DB_ERROR') {
+      console.error(`Create the database first: CREATE DATABASE ${dbConfig.database};`)
+    }
+    process.exitCode = 1
+  } finally {
+    pool.end()
+  }
+}
+
+run()
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS security_logs;
+DROP TABLE IF EXISTS audit_logs;
@@ -0,0 +1,4 @@
+-- Remember-me flag per refresh token family; selects the session lifetime policy in utils/tokens.js
+
+ALTER TABLE refresh_tokens
+  ADD COLUMN remember_me TINYINT(1) NOT NULL DEFAULT 0 AFTER family_id;
@@ -0,0 +1,9 @@
+ALTER TABLE refresh_tokens
+  DROP FOREIGN KEY fk_refresh_tokens_session,
+  ADD COLUMN remember_me TINYINT(1) NOT NULL DEFAULT 0 AFTER family_id;
+
+UPDATE refresh_tokens rt
+JOIN sessions s ON s.id = rt.family_id
+SET rt.remember_me = s.remember_me;
+
+DROP TABLE IF EXISTS sessions;
@@ -0,0 +1,35 @@
+-- Login sessions (one per refresh token family) used by utils/tokens.js and the session endpoints
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id CHAR(36) NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  remember_me TINYINT(1) NOT NULL DEFAULT 0,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(512) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (id),
+  KEY idx_sessions_user_id (user_id),
+  KEY idx_sessions_expires_at (expires_at),
+  CONSTRAINT fk_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO sessions (id, user_id, remember_me, ip_address, user_agent, created_at, last_seen_at, expires_at, revoked_at)
+SELECT
+  rt.family_id,
+  MIN(rt.user_id),
+  MAX(rt.remember_me),
+  SUBSTRING_INDEX(GROUP_CONCAT(rt.ip_address ORDER BY rt.id DESC), ',', 1),
+  MIN(rt.user_agent),
+  MIN(rt.created_at),
+  MAX(rt.created_at),
+  MAX(rt.expires_at),
+  CASE WHEN SUM(rt.revoked_at IS NULL) = 0 THEN MAX(rt.revoked_at) ELSE NULL END
+FROM refresh_tokens rt
+GROUP BY rt.family_id;
+
+ALTER TABLE refresh_tokens
+  DROP COLUMN remember_me,
+  ADD CONSTRAINT fk_refresh_tokens_session FOREIGN KEY (family_id) REFERENCES sessions (id) ON DELETE CASCADE;
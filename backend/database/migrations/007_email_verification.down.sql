@@ -0,0 +1,4 @@
+ALTER TABLE users
+  DROP COLUMN email_verification_sent_at,
+  DROP COLUMN pending_email,
+  DROP COLUMN email_verified_at;
@@ -0,0 +1,9 @@
+-- Email ownership verification and pending email changes used by utils/emailVerification.js
+-- Existing accounts are treated as verified.
+
+ALTER TABLE users
+  ADD COLUMN email_verified_at TIMESTAMP NULL DEFAULT NULL AFTER email,
+  ADD COLUMN pending_email VARCHAR(255) NULL DEFAULT NULL AFTER email_verified_at,
+  ADD COLUMN email_verification_sent_at TIMESTAMP NULL DEFAULT NULL AFTER pending_email;
+
+UPDATE users SET email_verified_at = created_at, updated_at = updated_at;
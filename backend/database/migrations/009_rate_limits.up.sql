@@ -0,0 +1,9 @@
+-- Shared request counters for the database rate limit store
+-- (utils/rateLimitStore.js, RATE_LIMIT_STORE=database)
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  bucket_key VARCHAR(191) NOT NULL,
+  window_start BIGINT UNSIGNED NOT NULL,
+  hits INT UNSIGNED NOT NULL DEFAULT 0,
+  PRIMARY KEY (bucket_key, window_start)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
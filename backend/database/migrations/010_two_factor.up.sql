@@ -0,0 +1,18 @@
+-- TOTP two-factor authentication and recovery codes used by utils/twoFactor.js
+-- totp_secret holds the enrolment secret; 2FA is on once totp_enabled_at is set.
+
+ALTER TABLE users
+  ADD COLUMN totp_secret VARCHAR(64) NULL DEFAULT NULL AFTER token_version,
+  ADD COLUMN totp_enabled_at TIMESTAMP NULL DEFAULT NULL AFTER totp_secret,
+  ADD COLUMN totp_last_used_step BIGINT UNSIGNED NULL DEFAULT NULL AFTER totp_enabled_at;
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_two_factor_recovery_codes_user_code (user_id, code_hash),
+  CONSTRAINT fk_two_factor_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
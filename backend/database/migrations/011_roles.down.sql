@@ -0,0 +1,11 @@
+UPDATE users SET role = 'normal_user'
+WHERE role NOT IN ('system_admin', 'store_owner', 'normal_user');
+
+ALTER TABLE users
+  DROP FOREIGN KEY fk_users_role;
+
+ALTER TABLE users
+  MODIFY COLUMN role ENUM('system_admin', 'store_owner', 'normal_user') NOT NULL DEFAULT 'normal_user';
+
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS roles;
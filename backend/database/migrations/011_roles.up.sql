@@ -0,0 +1,71 @@
+-- Roles and role permissions used by utils/roles.js. Built-in roles are
+-- seeded with the defaults from config/rbac.js; system_admin always holds
+-- every permission regardless of its rows here. `level` orders roles for
+-- user management: a role can only manage roles with a lower level.
+
+CREATE TABLE IF NOT EXISTS roles (
+  name VARCHAR(50) NOT NULL,
+  display_name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  level TINYINT UNSIGNED NOT NULL DEFAULT 1,
+  is_builtin BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_name VARCHAR(50) NOT NULL,
+  permission VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (role_name, permission),
+  CONSTRAINT fk_role_permissions_role FOREIGN KEY (role_name) REFERENCES roles (name) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO roles (name, display_name, description, level, is_builtin) VALUES
+  ('system_admin', 'System Admin', 'Full access to the platform', 3, TRUE),
+  ('store_owner', 'Store Owner', 'Manages their own stores and sees their ratings', 2, TRUE),
+  ('normal_user', 'Normal User', 'Browses and rates stores', 1, TRUE);
+
+INSERT INTO role_permissions (role_name, permission) VALUES
+  ('system_admin', 'user:create'),
+  ('system_admin', 'user:read'),
+  ('system_admin', 'user:update'),
+  ('system_admin', 'user:delete'),
+  ('system_admin', 'user:read_all'),
+  ('system_admin', 'user:update_any'),
+  ('system_admin', 'user:delete_any'),
+  ('system_admin', 'store:create'),
+  ('system_admin', 'store:read'),
+  ('system_admin', 'store:update'),
+  ('system_admin', 'store:delete'),
+  ('system_admin', 'store:read_all'),
+  ('system_admin', 'store:update_any'),
+  ('system_admin', 'store:delete_any'),
+  ('system_admin', 'rating:create'),
+  ('system_admin', 'rating:read'),
+  ('system_admin', 'rating:update'),
+  ('system_admin', 'rating:delete'),
+  ('system_admin', 'rating:read_all'),
+  ('system_admin', 'rating:update_any'),
+  ('system_admin', 'rating:delete_any'),
+  ('system_admin', 'system:stats'),
+  ('system_admin', 'system:manage'),
+  ('system_admin', 'system:dashboard'),
+  ('system_admin', 'system:audit'),
+  ('store_owner', 'user:read'),
+  ('store_owner', 'user:update'),
+  ('store_owner', 'store:read'),
+  ('store_owner', 'store:manage_own'),
+  ('store_owner', 'rating:read'),
+  ('store_owner', 'rating:manage_own'),
+  ('normal_user', 'user:read'),
+  ('normal_user', 'user:update'),
+  ('normal_user', 'store:read'),
+  ('normal_user', 'rating:create'),
+  ('normal_user', 'rating:read'),
+  ('normal_user', 'rating:manage_own');
+
+ALTER TABLE users
+  MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'normal_user',
+  ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles (name);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS rating_revisions;
+
+ALTER TABLE ratings
+  DROP COLUMN edited_at;
@@ -0,0 +1,19 @@
+-- Rating revision history used by utils/ratingRevisions.js. Editing a rating
+-- copies the version it replaces into rating_revisions; `rated_at` is when
+-- that version was submitted and `replaced_at` when it was superseded.
+-- ratings.edited_at marks ratings that have been changed since submission.
+
+ALTER TABLE ratings
+  ADD COLUMN edited_at TIMESTAMP NULL DEFAULT NULL AFTER review;
+
+CREATE TABLE IF NOT EXISTS rating_revisions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  rating_id INT UNSIGNED NOT NULL,
+  rating TINYINT UNSIGNED NOT NULL,
+  review VARCHAR(500) NULL,
+  rated_at TIMESTAMP NOT NULL,
+  replaced_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_rating_revisions_rating (rating_id, replaced_at),
+  CONSTRAINT fk_rating_revisions_rating FOREIGN KEY (rating_id) REFERENCES ratings (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
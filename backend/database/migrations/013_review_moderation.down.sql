@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS rating_reports;
+
+ALTER TABLE ratings
+  DROP FOREIGN KEY fk_ratings_hidden_by;
+
+ALTER TABLE ratings
+  DROP KEY idx_ratings_hidden_at,
+  DROP COLUMN hidden_by,
+  DROP COLUMN hidden_at;
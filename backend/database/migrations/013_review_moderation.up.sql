@@ -0,0 +1,28 @@
+-- Review reports and moderation used by utils/reviewModeration.js. Users and
+-- store owners report reviews; a report stays open until an admin hides,
+-- restores or deletes the review. Hidden ratings (hidden_at set) are left
+-- out of every average and public listing.
+
+ALTER TABLE ratings
+  ADD COLUMN hidden_at TIMESTAMP NULL DEFAULT NULL AFTER edited_at,
+  ADD COLUMN hidden_by INT UNSIGNED NULL DEFAULT NULL AFTER hidden_at,
+  ADD KEY idx_ratings_hidden_at (hidden_at),
+  ADD CONSTRAINT fk_ratings_hidden_by FOREIGN KEY (hidden_by) REFERENCES users (id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS rating_reports (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  rating_id INT UNSIGNED NOT NULL,
+  reporter_id INT UNSIGNED NOT NULL,
+  reason VARCHAR(32) NOT NULL,
+  details VARCHAR(500) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP NULL DEFAULT NULL,
+  resolved_by INT UNSIGNED NULL DEFAULT NULL,
+  resolution VARCHAR(16) NULL DEFAULT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_rating_reports_rating_reporter (rating_id, reporter_id),
+  KEY idx_rating_reports_open (resolved_at, rating_id),
+  CONSTRAINT fk_rating_reports_rating FOREIGN KEY (rating_id) REFERENCES ratings (id) ON DELETE CASCADE,
+  CONSTRAINT fk_rating_reports_reporter FOREIGN KEY (reporter_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_rating_reports_resolved_by FOREIGN KEY (resolved_by) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,15 @@
+-- Public store-owner replies used by utils/ratingReplies.js. Each review has
+-- at most one reply, written by the owner of the reviewed store.
+
+CREATE TABLE IF NOT EXISTS rating_replies (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  rating_id INT UNSIGNED NOT NULL,
+  owner_id INT UNSIGNED NOT NULL,
+  reply VARCHAR(1000) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_rating_replies_rating (rating_id),
+  CONSTRAINT fk_rating_replies_rating FOREIGN KEY (rating_id) REFERENCES ratings (id) ON DELETE CASCADE,
+  CONSTRAINT fk_rating_replies_owner FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
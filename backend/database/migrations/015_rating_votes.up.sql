@@ -0,0 +1,14 @@
+-- "Was this review helpful?" votes used by utils/ratingVotes.js. Each user
+-- has at most one vote per review and can change or withdraw it.
+
+CREATE TABLE IF NOT EXISTS rating_votes (
+  rating_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  is_helpful BOOLEAN NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (rating_id, user_id),
+  KEY idx_rating_votes_user (user_id),
+  CONSTRAINT fk_rating_votes_rating FOREIGN KEY (rating_id) REFERENCES ratings (id) ON DELETE CASCADE,
+  CONSTRAINT fk_rating_votes_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
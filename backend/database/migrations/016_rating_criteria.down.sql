@@ -0,0 +1,3 @@
+ALTER TABLE rating_revisions DROP COLUMN scores;
+DROP TABLE IF EXISTS rating_scores;
+DROP TABLE IF EXISTS rating_criteria;
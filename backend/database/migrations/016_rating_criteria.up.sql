@@ -0,0 +1,34 @@
+-- Rating criteria and per-criterion sub-scores used by utils/ratingCriteria.js.
+-- Sub-scores are optional and sit next to the overall `ratings.rating`.
+-- Criteria are never deleted, only deactivated, so old sub-scores keep their
+-- meaning; inactive criteria are left out of forms and averages. Revisions
+-- keep the sub-scores they replaced as a `{ criterion: score }` object.
+
+CREATE TABLE IF NOT EXISTS rating_criteria (
+  name VARCHAR(32) NOT NULL,
+  label VARCHAR(60) NOT NULL,
+  description VARCHAR(255) NULL,
+  sort_order SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS rating_scores (
+  rating_id INT UNSIGNED NOT NULL,
+  criterion VARCHAR(32) NOT NULL,
+  score TINYINT UNSIGNED NOT NULL,
+  PRIMARY KEY (rating_id, criterion),
+  KEY idx_rating_scores_criterion (criterion),
+  CONSTRAINT fk_rating_scores_rating FOREIGN KEY (rating_id) REFERENCES ratings (id) ON DELETE CASCADE,
+  CONSTRAINT fk_rating_scores_criterion FOREIGN KEY (criterion) REFERENCES rating_criteria (name) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE rating_revisions ADD COLUMN scores JSON NULL AFTER review;
+
+INSERT INTO rating_criteria (name, label, description, sort_order) VALUES
+  ('service', 'Service', 'Friendliness and helpfulness of the staff', 1),
+  ('quality', 'Quality', 'Quality of the products', 2),
+  ('value', 'Value for money', 'Prices compared to what you get', 3),
+  ('cleanliness', 'Cleanliness', 'Tidiness of the store', 4);
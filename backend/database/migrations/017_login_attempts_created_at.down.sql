@@ -0,0 +1 @@
+ALTER TABLE login_attempts DROP KEY idx_login_attempts_created_at;
@@ -0,0 +1,4 @@
+-- Index used by utils/loginThrottle.js to prune attempts older than the
+-- lockout window
+
+ALTER TABLE login_attempts ADD KEY idx_login_attempts_created_at (created_at);
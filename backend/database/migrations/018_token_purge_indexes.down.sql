@@ -0,0 +1,2 @@
+ALTER TABLE sessions DROP KEY idx_sessions_revoked_at;
+ALTER TABLE refresh_tokens DROP KEY idx_refresh_tokens_revoked_at;
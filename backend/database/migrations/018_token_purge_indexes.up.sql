@@ -0,0 +1,5 @@
+-- Indexes used by utils/tokens.js to purge used refresh tokens and ended
+-- sessions once the reuse-detection window has passed
+
+ALTER TABLE refresh_tokens ADD KEY idx_refresh_tokens_revoked_at (revoked_at);
+ALTER TABLE sessions ADD KEY idx_sessions_revoked_at (revoked_at);
@@ -0,0 +1,225 @@
+/**
+ * Database Migration Runner
+ *
+ * This module discovers the versioned SQL migrations in `database/migrations`,
+ * tracks which of them have been applied in the `schema_migrations` table and
+ * applies or reverts them in order. Every migration is a pair of files named
+ * `<version>_<name>.up.sql` and `<version>_<name>.down.sql`.
+ *
+ * @module database/migrator
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations')
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/
+
+/**
+ * Ensure Tracking Table Exists
+ *
+ * Creates the `schema_migrations` table on first use. Each row records one
+ * applied migration version together with the time it was applied.
+ *
+ * @param {Object} db - Promise-based database pool or connection
+ * @returns {Promise<void>}
+ */
+const ensureMigrationsTable = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (version)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `)
+}
+
+/**
+ * Load Migrations From Disk
+ *
+ * Reads the migrations directory and groups up/down files by version.
+ * Throws if a version is missing its down file or is declared twice,
+ * so a broken migration set is caught before anything runs.
+ *
+ * @param {string} [directory=MIGRATIONS_DIR] - Directory holding the SQL files
+ * @returns {Object[]} Migrations sorted by version ({ version, name, up, down })
+ */
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+  const migrations = new Map()
+
+  fs.readdirSync(directory).forEach(file => {
+    const match = file.match(MIGRATION_FILE_PATTERN)
+    if (!match) return
+
+    const [, version, name, direction] = match
+    const existing = migrations.get(version) || { version, name }
+
+    if (existing.name !== name || existing[direction]) {
+      throw new Error(`Duplicate migration version ${version} (${file})`)
+    }
+
+    existing[direction] = path.join(directory, file)
+    migrations.set(version, existing)
+  })
+
+  const sorted = [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version))
+
+  sorted.forEach(migration => {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} must have both up and down files`)
+    }
+  })
+
+  return sorted
+}
+
+/**
+ * Get Applied Versions
+ *
+ * @param {Object} db - Promise-based database pool or connection
+ * @returns {Promise<Object[]>} Applied migration rows ordered by version
+ */
+const getAppliedMigrations = async (db) => {
+  await ensureMigrationsTable(db)
+  const [rows] = await db.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY CAST(version AS UNSIGNED) ASC'
+  )
+  return rows
+}
+
+/**
+ * Run a Migration File
+ *
+ * Executes the SQL file and updates the tracking table. MySQL commits DDL
+ * implicitly, so a failing statement leaves the migration unrecorded and
+ * the error is re-thrown with the offending file name.
+ *
+ * @param {Object} db - Promise-based database pool or connection
+ * @param {Object} migration - Migration descriptor from loadMigrations
+ * @param {string} direction - Either 'up' or 'down'
+ * @returns {Promise<void>}
+ */
+const runMigration = async (db, migration, direction) => {
+  const sql = fs.readFileSync(migration[direction], 'utf8')
+
+  try {
+    if (sql.trim()) {
+      await db.query(sql)
+    }
+  } catch (error) {
+    error.message = `${path.basename(migration[direction])}: ${error.message}`
+    throw error
+  }
+
+  if (direction === 'up') {
+    await db.execute(
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name]
+    )
+  } else {
+    await db.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version])
+  }
+}
+
+/**
+ * Apply Pending Migrations
+ *
+ * Applies every migration that has not been recorded yet, in version order.
+ *
+ * @param {Object} db - Promise-based database pool or connection
+ * @param {Object} [options]
+ * @param {string} [options.to] - Stop after applying this version
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<Object[]>} Migrations that were applied
+ */
+const migrate = async (db, { to, log = () => {} } = {}) => {
+  const applied = new Set((await getAppliedMigrations(db)).map(row => row.version))
+  const pending = loadMigrations().filter(migration =>
+    !applied.has(migration.version) && (!to || Number(migration.version) <= Number(to))
+  )
+
+  for (const migration of pending) {
+    log(`Applying ${migration.version}_${migration.name}`)
+    await runMigration(db, migration, 'up')
+  }
+
+  return pending
+}
+
+/**
+ * Roll Back Applied Migrations
+ *
+ * Reverts the most recently applied migrations, newest first.
+ *
+ * @param {Object} db - Promise-based database pool or connection
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - Number of migrations to revert
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<Object[]>} Migrations that were reverted
+ */
+const rollback = async (db, { steps = 1, log = () => {} } = {}) => {
+  const available = new Map(loadMigrations().map(migration => [migration.version, migration]))
+  const applied = (await getAppliedMigrations(db)).reverse().slice(0, steps)
+  const reverted = []
+
+  for (const row of applied) {
+    const migration = available.get(row.version)
+    if (!migration) {
+      throw new Error(`Cannot roll back ${row.version}_${row.name}: migration files are missing`)
+    }
+
+    log(`Reverting ${migration.version}_${migration.name}`)
+    await runMigration(db, migration, 'down')
+    reverted.push(migration)
+  }
+
+  return reverted
+}
+
+/**
+ * Migration Status
+ *
+ * Lists every known migration with its applied state. Versions recorded in
+ * the database without matching files are reported as missing.
+ *
+ * @param {Object} db - Promise-based database pool or connection
+ * @returns {Promise<Object[]>} Status rows ({ version, name, applied, appliedAt, missing })
+ */
+const status = async (db) => {
+  const appliedRows = await getAppliedMigrations(db)
+  const appliedByVersion = new Map(appliedRows.map(row => [row.version, row]))
+  const migrations = loadMigrations()
+  const known = new Set(migrations.map(migration => migration.version))
+
+  const rows = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedByVersion.has(migration.version),
+    appliedAt: appliedByVersion.get(migration.version)?.applied_at || null,
+    missing: false
+  }))
+
+  appliedRows
+    .filter(row => !known.has(row.version))
+    .forEach(row => rows.push({
+      version: row.version,
+      name: row.name,
+      applied: true,
+      appliedAt: row.applied_at,
+      missing: true
+    }))
+
+  return rows.sort((a, b) => Number(a.version) - Number(b.version))
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getAppliedMigrations,
+  migrate,
+  rollback,
+  status
+}
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Database Seeding Command
+ *
+ * Inserts a deterministic data set produced by `seeds/generator.js` using the
+ * pool from `config/dbconfig.js`. Rows are written in multi-row batches so
+ * that 100k+ ratings can be loaded for performance testing.
+ *
+ * Usage:
+ *   node database/seed.js [--seed 1] [--admins 2] [--owners 20] [--users 200]
+ *                         [--stores 50] [--ratings 2000] [--batch 1000] [--reset]
+ *
+ * @module database/seed
+ * @requires bcrypt
+ * @requires ../config/dbconfig
+ * @requires ./seeds/generator
+ */
+
+const bcrypt = require('bcrypt')
+const { promisePool, pool } = require('../config/dbconfig')
+const { SEED_PASSWORD, generateSeedData } = require('./seeds/generator')
+
+const NUMERIC_OPTIONS = ['seed', 'admins', 'owners', 'users', 'stores', 'ratings', 'batch']
+
+// Smallest accepted value per option; counts may be zero, batches may not
+const OPTION_MINIMUMS = { batch: 1 }
+
+/**
+ * Parse Command Line Options
+ *
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Parsed options
+ */
+const parseOptions = (args) => {
+  const options = { batch: 1000, reset: args.includes('--reset') }
+
+  NUMERIC_OPTIONS.forEach(name => {
+    const index = args.indexOf(`--${name}`)
+    if (index !== -1) {
+      const value = parseInt(args[index + 1])
+      const minimum = OPTION_MINIMUMS[name] || 0
+      if (Number.isNaN(value) || value < minimum) {
+        throw new Error(minimum > 0
+          ? `--${name} expects an integer of at least ${minimum}`
+          : `--${name} expects a non-negative integer`)
+      }
+      options[name] = value
+    }
+  })
+
+  return options
+}
+
+/**
+ * Insert Rows in Batches
+ *
+ * @param {Object} db - Promise-based database pool
+ * @param {string} table - Target table
+ * @param {string[]} columns - Column names
+ * @param {Array[]} rows - Row values in column order
+ * @param {number} batchSize - Rows per INSERT statement
+ * @returns {Promise<void>}
+ */
+const insertBatches = async (db, table, columns, rows, batchSize) => {
+  for (let offset = 0; offset < rows.length; offset += batchSize) {
+    const batch = rows.slice(offset, offset + batchSize)
+    await db.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ?`, [batch])
+  }
+}
+
+/**
+ * Resolve Database IDs by Email
+ *
+ * Maps generated entity keys to the auto-increment IDs assigned on insert.
+ *
+ * @param {Object} db - Promise-based database pool
+ * @param {string} table - Table holding an `email` column
+ * @param {Object[]} entities - Generated entities with key and email
+ * @param {number} batchSize - Emails per lookup
+ * @returns {Promise<Map<number, number>>} Entity key to database ID
+ */
+const resolveIds = async (db, table, entities, batchSize) => {
+  const idsByKey = new Map()
+
+  for (let offset = 0; offset < entities.length; offset += batchSize) {
+    const batch = entities.slice(offset, offset + batchSize)
+    const keysByEmail = new Map(batch.map(entity => [entity.email, entity.key]))
+    const [rows] = await db.query(`SELECT id, email FROM ${table} WHERE email IN (?)`, [[...keysByEmail.keys()]])
+    rows.forEach(row => idsByKey.set(keysByEmail.get(row.email), row.id))
+  }
+
+  return idsByKey
+}
+
+/**
+ * Remove Existing Domain Data
+ *
+ * Deletes ratings, stores and users in dependency order. Audit and security
+ * logs are left untouched.
+ *
+ * @param {Object} db - Promise-based database pool
+ * @returns {Promise<void>}
+ */
+const resetData = async (db) => {
+  await db.query('DELETE FROM ratings')
+  await db.query('DELETE FROM stores')
+  await db.query('DELETE FROM users')
+}
+
+const run = async () => {
+  try {
+    const options = parseOptions(process.argv.slice(2))
+    const data = generateSeedData(options)
+    const db = promisePool
+
+    console.log(`Seed ${options.seed ?? 1}: ${data.users.length} users, ${data.stores.length} stores, ${data.ratings.length} ratings`)
+
+    if (options.reset) {
+      console.log('Removing existing users, stores and ratings')
+      await resetData(db)
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12
+    const passwordHash = await bcrypt.hash(SEED_PASSWORD, saltRounds)
+
+    const verifiedAt = new Date()
+    await insertBatches(db, 'users', ['name', 'email', 'password', 'address', 'role', 'email_verified_at'],
+      data.users.map(user => [user.name, user.email, passwordHash, user.address, user.role, verifiedAt]),
+      options.batch)
+    const userIds = await resolveIds(db, 'users', data.users, options.batch)
+
+    await insertBatches(db, 'stores', ['name', 'email', 'address', 'owner_id'],
+      data.stores.map(store => [store.name, store.email, store.address, userIds.get(store.ownerKey) ?? null]),
+      options.batch)
+    const storeIds = await resolveIds(db, 'stores', data.stores, options.batch)
+
+    await insertBatches(db, 'ratings', ['user_id', 'store_id', 'rating', 'review'],
+      data.ratings.map(rating => [userIds.get(rating.userKey), storeIds.get(rating.storeKey), rating.rating, rating.review]),
+      options.batch)
+
+    console.log('✅ Seeding complete')
+    console.log(`All seeded accounts use the password: ${SEED_PASSWORD}`)
+    data.users
+      .filter(user => user.role === 'system_admin')
+      .forEach(user => console.log(`  Admin login: ${user.email}`))
+  } catch (error) {
+    console.error('❌ Seeding failed:', error.message)
+    if (error.code === 'ER_DUP_ENTRY') {
+      console.error('Seed data already exists. Re-run with --reset to replace it.')
+    }
+    process.exitCode = 1
+  } finally {
+    pool.end()
+  }
+}
+
+run()
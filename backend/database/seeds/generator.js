@@ -0,0 +1,268 @@
+/**
+ * Seed Data Generator
+ *
+ * Builds reproducible users, stores and ratings for local development and
+ * load testing. All randomness comes from a seeded PRNG, so the same seed and
+ * options always produce the same data set. Generated values satisfy the
+ * rules in `middleware/validation.js` (20–60 character letter-only names,
+ * the password policy, unique emails and 1–5 ratings).
+ *
+ * @module database/seeds/generator
+ * @requires ../../config/rbac
+ */
+
+const { ROLES } = require('../../config/rbac')
+
+/**
+ * Default password for every seeded account. Meets the password policy:
+ * 8–16 characters, one uppercase letter and one special character.
+ */
+const SEED_PASSWORD = 'Seed@Pass2024'
+
+const FIRST_NAMES = [
+  'Alexander', 'Benjamin', 'Catherine', 'Dominic', 'Elizabeth', 'Frederick',
+  'Gabriella', 'Harrison', 'Isabella', 'Jonathan', 'Katherine', 'Leonardo',
+  'Margaret', 'Nathaniel', 'Olivia', 'Priyanka', 'Quentin', 'Rebecca',
+  'Sebastian', 'Theodora', 'Valentina', 'William', 'Anjali', 'Rohan',
+  'Siddharth', 'Meenakshi', 'Aditya', 'Kavya', 'Mohammed', 'Fatima'
+]
+
+const LAST_NAMES = [
+  'Anderson', 'Blackwood', 'Chatterjee', 'Donovan', 'Fitzgerald', 'Gonzalez',
+  'Harrington', 'Iyer', 'Jefferson', 'Kulkarni', 'Lindqvist', 'Montgomery',
+  'Nakamura', 'Oyelaran', 'Patterson', 'Raghunathan', 'Sutherland', 'Thompson',
+  'Underwood', 'Venkatesh', 'Washington', 'Deshpande', 'Castellano', 'Mukherjee'
+]
+
+const STREETS = [
+  'MG Road', 'Park Street', 'Baker Street', 'Church Road', 'Lake View Avenue',
+  'Station Road', 'Market Lane', 'Hill Road', 'Riverside Drive', 'Linking Road'
+]
+
+const CITIES = [
+  'Pune', 'Mumbai', 'Bengaluru', 'Chennai', 'Hyderabad', 'Delhi',
+  'Kolkata', 'Ahmedabad', 'Jaipur', 'Nagpur'
+]
+
+const STORE_ADJECTIVES = [
+  'Golden', 'Green', 'Urban', 'Royal', 'Sunrise', 'Blue', 'Silver',
+  'Corner', 'Happy', 'Fresh', 'Classic', 'Modern'
+]
+
+const STORE_NOUNS = [
+  'Bakery', 'Grocers', 'Books', 'Electronics', 'Pharmacy', 'Cafe',
+  'Boutique', 'Hardware', 'Florist', 'Supermarket', 'Sweets', 'Optics'
+]
+
+const REVIEWS = {
+  1: ['Very disappointing experience.', 'Rude staff and poor quality.', 'Would not visit again.'],
+  2: ['Below average, needs improvement.', 'Products were overpriced.', 'Long wait at the counter.'],
+  3: ['Decent store, nothing special.', 'Average service and prices.', 'Okay for quick shopping.'],
+  4: ['Good selection and friendly staff.', 'Pleasant experience overall.', 'Would recommend to friends.'],
+  5: ['Excellent service, highly recommended!', 'Best store in the area.', 'Outstanding quality every time.']
+}
+
+/**
+ * Create Seeded Random Source
+ *
+ * Mulberry32 PRNG with helpers for the distributions used by the generator.
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Object} Random helpers (next, int, pick, chance, normal)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1))
+  const pick = (items) => items[Math.floor(next() * items.length)]
+  const chance = (probability) => next() < probability
+  const normal = (mean, deviation) => {
+    const u = 1 - next()
+    const v = next()
+    return mean + deviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+  }
+
+  return { next, int, pick, chance, normal }
+}
+
+/**
+ * Build a Person Name
+ *
+ * Appends name parts until the 20 character minimum is reached and trims
+ * to whole words within the 60 character maximum.
+ *
+ * @param {Object} random - Random helpers from createRandom
+ * @returns {string} Name of 20–60 letters and spaces
+ */
+const buildPersonName = (random) => {
+  const parts = [random.pick(FIRST_NAMES), random.pick(FIRST_NAMES), random.pick(LAST_NAMES)]
+
+  while (parts.join(' ').length < 20) {
+    parts.push(random.pick(LAST_NAMES))
+  }
+
+  while (parts.join(' ').length > 60) {
+    parts.splice(1, 1)
+  }
+
+  return parts.join(' ')
+}
+
+const buildAddress = (random) =>
+  `${random.int(1, 999)}, ${random.pick(STREETS)}, ${random.pick(CITIES)} ${random.int(400001, 499999)}`
+
+const slugify = (value) => value.toLowerCase().replace(/[^a-z]+/g, '.').replace(/^\.|\.$/g, '')
+
+/**
+ * Generate Users
+ *
+ * @param {Object} random - Random helpers
+ * @param {Object} counts - Number of accounts per role
+ * @returns {Object[]} Users with a stable `key` used to link stores and ratings
+ */
+const generateUsers = (random, counts) => {
+  const users = []
+
+  Object.entries(counts).forEach(([role, count]) => {
+    for (let i = 1; i <= count; i++) {
+      const name = buildPersonName(random)
+      users.push({
+        key: users.length,
+        name,
+        email: `${slugify(name)}.${role.replace('_', '')}${i}@seed.example.com`,
+        address: buildAddress(random),
+        role
+      })
+    }
+  })
+
+  return users
+}
+
+/**
+ * Generate Stores
+ *
+ * Each store is owned by a store owner in round-robin order and receives a
+ * hidden `quality` score that drives its rating distribution.
+ *
+ * @param {Object} random - Random helpers
+ * @param {number} count - Number of stores
+ * @param {Object[]} owners - Store owner users
+ * @returns {Object[]} Stores with owner keys and quality scores
+ */
+const generateStores = (random, count, owners) => {
+  const stores = []
+
+  for (let i = 1; i <= count; i++) {
+    const name = `${random.pick(STORE_ADJECTIVES)} ${random.pick(STORE_NOUNS)} ${random.pick(CITIES)}`
+    stores.push({
+      key: i - 1,
+      name,
+      email: `${slugify(name)}.${i}@store.seed.example.com`,
+      address: buildAddress(random),
+      ownerKey: owners.length > 0 ? owners[(i - 1) % owners.length].key : null,
+      quality: Math.min(5, Math.max(1, random.normal(3.6, 0.9)))
+    })
+  }
+
+  return stores
+}
+
+/**
+ * Generate Ratings
+ *
+ * Spreads the requested number of ratings across normal users so that no
+ * user rates the same store twice. Scores are drawn around the store's
+ * quality and roughly 40% of ratings carry a review.
+ *
+ * @param {Object} random - Random helpers
+ * @param {number} count - Target number of ratings
+ * @param {Object[]} raters - Normal users
+ * @param {Object[]} stores - Stores
+ * @returns {Object[]} Ratings ({ userKey, storeKey, rating, review })
+ */
+const generateRatings = (random, count, raters, stores) => {
+  const ratings = []
+  if (raters.length === 0 || stores.length === 0) return ratings
+
+  const perUser = Math.ceil(count / raters.length)
+  if (perUser > stores.length) {
+    throw new Error(`Cannot create ${count} ratings: ${raters.length} users x ${stores.length} stores is too small`)
+  }
+
+  const storeKeys = stores.map(store => store.key)
+
+  for (const rater of raters) {
+    // Partial Fisher-Yates shuffle picks distinct stores for this user
+    for (let i = 0; i < perUser && ratings.length < count; i++) {
+      const j = random.int(i, storeKeys.length - 1)
+      ;[storeKeys[i], storeKeys[j]] = [storeKeys[j], storeKeys[i]]
+
+      const store = stores[storeKeys[i]]
+      const rating = Math.min(5, Math.max(1, Math.round(random.normal(store.quality, 1))))
+
+      ratings.push({
+        userKey: rater.key,
+        storeKey: store.key,
+        rating,
+        review: random.chance(0.4) ? random.pick(REVIEWS[rating]) : null
+      })
+    }
+  }
+
+  return ratings
+}
+
+/**
+ * Generate a Complete Seed Data Set
+ *
+ * @param {Object} [options]
+ * @param {number} [options.seed=1] - PRNG seed
+ * @param {number} [options.admins=2] - System admin accounts
+ * @param {number} [options.owners=20] - Store owner accounts
+ * @param {number} [options.users=200] - Normal user accounts
+ * @param {number} [options.stores=50] - Stores
+ * @param {number} [options.ratings=2000] - Ratings
+ * @returns {Object} { users, stores, ratings }
+ */
+const generateSeedData = ({
+  seed = 1,
+  admins = 2,
+  owners = 20,
+  users = 200,
+  stores = 50,
+  ratings = 2000
+} = {}) => {
+  const random = createRandom(seed)
+
+  const allUsers = generateUsers(random, {
+    [ROLES.SYSTEM_ADMIN]: admins,
+    [ROLES.STORE_OWNER]: owners,
+    [ROLES.NORMAL_USER]: users
+  })
+  const ownerUsers = allUsers.filter(user => user.role === ROLES.STORE_OWNER)
+  const normalUsers = allUsers.filter(user => user.role === ROLES.NORMAL_USER)
+
+  const allStores = generateStores(random, stores, ownerUsers)
+  const allRatings = generateRatings(random, ratings, normalUsers, allStores)
+
+  return {
+    users: allUsers,
+    stores: allStores,
+    ratings: allRatings
+  }
+}
+
+module.exports = {
+  SEED_PASSWORD,
+  createRandom,
+  generateSeedData
+}
@@ -11,13 +11,34 @@ const userRoutes = require('./routes/user')
 const storeOwnerRoutes = require('./routes/storeOwner')
 
 
-const { authenticateToken } = require('./middleware/auth')
+const { authenticateToken, requireTwoFactorEnrollment } = require('./middleware/auth')
 const { errorHandler } = require('./middleware/errorHandler')
 const { inputSanitizer } = require('./middleware/audit')
+const { rateLimit } = require('./middleware/rateLimit')
+const { loadRoleMapping } = require('./utils/roles')
 
 const app = express()
 const PORT = process.env.PORT || 5000
 
+/**
+ * Parse TRUST_PROXY for Express's `trust proxy` setting
+ *
+ * Behind a reverse proxy `req.ip`, which rate limits, login lockouts and
+ * logs key on, is the proxy's address unless the proxy is trusted. Accepts
+ * `true`/`false`, a hop count, or a comma-separated list of addresses, subnets
+ * or Express presets such as `loopback`.
+ */
+const parseTrustProxy = (value) => {
+  if (value === 'true') return true
+  if (value === 'false') return false
+  if (/^\d+$/.test(value)) return Number(value)
+  return value.split(',').map(entry => entry.trim())
+}
+
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY))
+}
+
 
 app.use(helmet({
   contentSecurityPolicy: {
@@ -40,7 +61,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
 }))
 
 
@@ -109,10 +131,11 @@ const testConnection = async () => {
 }
 
 
+// Auth routes apply their own limits: per IP for credentials, per user once signed in
 app.use('/api/auth', authRoutes)
-app.use('/api/admin', authenticateToken, adminRoutes)
-app.use('/api/user', authenticateToken, userRoutes)
-app.use('/api/store-owner', authenticateToken, storeOwnerRoutes)
+app.use('/api/admin', authenticateToken, rateLimit('admin'), requireTwoFactorEnrollment, adminRoutes)
+app.use('/api/user', authenticateToken, rateLimit('user'), requireTwoFactorEnrollment, userRoutes)
+app.use('/api/store-owner', authenticateToken, rateLimit('storeOwner'), requireTwoFactorEnrollment, storeOwnerRoutes)
 
 
 
@@ -132,6 +155,7 @@ app.use(errorHandler)
 const startServer = async () => {
   try {
     await testConnection()
+    await loadRoleMapping(pool)
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`)
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`)
@@ -9,54 +9,103 @@
  * @requires ../config/rbac
  */
 
-const { ACTIONS } = require('../config/rbac')
+const { ACTIONS, RESOURCE_TYPES } = require('../config/rbac')
+
+/**
+ * Snapshot queries per resource type. Only non-sensitive columns are
+ * selected so password hashes never reach the audit log.
+ */
+const SNAPSHOT_QUERIES = {
+  [RESOURCE_TYPES.USER]: 'SELECT id, name, email, email_verified_at, pending_email, address, role, created_at, updated_at FROM users WHERE id = ?',
+  [RESOURCE_TYPES.PROFILE]: 'SELECT id, name, email, email_verified_at, pending_email, address, role, created_at, updated_at FROM users WHERE id = ?',
+  [RESOURCE_TYPES.STORE]: 'SELECT id, name, email, address, owner_id, created_at, updated_at FROM stores WHERE id = ?',
+  [RESOURCE_TYPES.RATING]: 'SELECT id, user_id, store_id, rating, review, edited_at, hidden_at, hidden_by, created_at, updated_at FROM ratings WHERE id = ?'
+}
+
+/**
+ * Load Resource Snapshot
+ * 
+ * @param {Object} db - Database connection instance
+ * @param {string} resourceType - One of RESOURCE_TYPES
+ * @param {number|string} resourceId - ID of the resource
+ * @returns {Promise<Object|null>} Current row, or null when missing
+ */
+const loadSnapshot = async (db, resourceType, resourceId) => {
+  const sql = SNAPSHOT_QUERIES[resourceType]
+  if (!sql || resourceId === undefined || resourceId === null) return null
+
+  const [rows] = await db.execute(sql, [resourceId])
+  return rows[0] || null
+}
 
 /**
  * Audit Logger Middleware Factory
  * 
- * Creates middleware for logging user actions and system events.
- * Captures detailed information about requests including user context,
- * resource access, and request metadata for security monitoring.
+ * Creates middleware that records an audit entry once the route has
+ * succeeded. A snapshot of the resource is taken before the handler runs and
+ * again after the response is sent, so each entry carries before/after
+ * state. Responses with a 4xx/5xx status are not logged.
+ * 
+ * Handlers can refine the entry through `res.locals.audit`:
+ * - `resourceId` - ID of the resource when it is not in the route params (e.g. on create)
+ * - `action` - Overrides the action (e.g. create vs update on an upsert)
+ * - `actor` - `{ id, role }` when there is no authenticated user (e.g. registration)
+ * - `details` - Extra fields merged into the entry
  * 
  * @param {string} action - The action being performed
- * @param {string} resourceType - Type of resource being accessed
+ * @param {string} resourceType - Type of resource being changed
+ * @param {Object} [options]
+ * @param {Function} [options.snapshot] - Custom loader `(db, resourceId, req) => row` used instead of the default query
  * @returns {Function} Express middleware function
  */
-const auditLogger = (action, resourceType) => {
+const auditLogger = (action, resourceType, { snapshot } = {}) => {
+  const takeSnapshot = (db, resourceId, req) => (snapshot
+    ? snapshot(db, resourceId, req)
+    : loadSnapshot(db, resourceType, resourceId))
+
   return async (req, res, next) => {
+    const db = req.app.locals.db
+    const paramId = req.params.id || req.params.storeId || req.params.ratingId || req.params.userId
+    let before = null
+
     try {
-      const db = req.app.locals.db
-      const userId = req.user ? req.user.id : null
-      const userRole = req.user ? req.user.role : null
-      const resourceId = req.params.id || req.params.storeId || req.params.ratingId || req.body.id
-      const ipAddress = req.ip || req.connection.remoteAddress
-      const userAgent = req.get('User-Agent')
-      
-      await db.execute(
-        `INSERT INTO audit_logs (user_id, user_role, action, resource_type, resource_id, ip_address, user_agent, details, created_at) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-        [
-          userId,
-          userRole,
-          action,
-          resourceType,
-          resourceId,
-          ipAddress,
-          userAgent,
-          JSON.stringify({
-            method: req.method,
-            path: req.path,
-            query: req.query,
-            body: sensitiveDataFilter(req.body)
-          })
-        ]
-      )
-      
-      next()
+      before = await takeSnapshot(db, paramId, req)
     } catch (error) {
-      console.error('Audit logging error:', error)
-      next()
+      console.error('Audit snapshot error:', error)
     }
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return
+
+      const overrides = res.locals.audit || {}
+      const entryAction = overrides.action || action
+      const resourceId = overrides.resourceId ?? before?.id ?? paramId
+      let after = null
+
+      if (entryAction !== ACTIONS.DELETE) {
+        try {
+          after = await takeSnapshot(db, resourceId, req)
+        } catch (error) {
+          console.error('Audit snapshot error:', error)
+        }
+      }
+
+      await recordAudit(req, {
+        action: entryAction,
+        resourceType,
+        resourceId,
+        actor: overrides.actor,
+        details: {
+          query: req.query,
+          body: sensitiveDataFilter(req.body),
+          before,
+          after,
+          ...overrides.details
+        }
+      })
+    })
+
+    next()
   }
 }
 
@@ -84,6 +133,49 @@ const sensitiveDataFilter = (data) => {
   return filtered
 }
 
+/**
+ * Record Audit Entry
+ * 
+ * Writes a single audit log row for a change that has already been applied.
+ * Used by `auditLogger` and by code paths that record changes outside a
+ * route. Failures are logged and never interrupt the request.
+ * 
+ * @param {Object} req - Express request object (provides db, user and client info)
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - One of ACTIONS
+ * @param {string} entry.resourceType - One of RESOURCE_TYPES
+ * @param {number|string} entry.resourceId - ID of the affected resource
+ * @param {Object} [entry.actor] - `{ id, role }` of the acting user; defaults to req.user
+ * @param {Object} [entry.details] - Additional details such as before/after snapshots
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (req, { action, resourceType, resourceId, actor, details = {} }) => {
+  const user = actor || req.user
+
+  try {
+    await req.app.locals.db.execute(
+      `INSERT INTO audit_logs (user_id, user_role, action, resource_type, resource_id, ip_address, user_agent, details, created_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        user ? user.id : null,
+        user ? user.role : null,
+        action,
+        resourceType,
+        resourceId === undefined || resourceId === null ? null : String(resourceId),
+        req.ip || req.connection.remoteAddress,
+        req.get('User-Agent') || null,
+        JSON.stringify({
+          method: req.method,
+          path: req.originalUrl,
+          ...details
+        })
+      ]
+    )
+  } catch (error) {
+    console.error('Audit logging error:', error)
+  }
+}
+
 /**
  * Security Event Logger
  * 
@@ -148,6 +240,9 @@ const inputSanitizer = (req, res, next) => {
 
 module.exports = {
   auditLogger,
+  recordAudit,
+  loadSnapshot,
+  sensitiveDataFilter,
   logSecurityEvent,
   inputSanitizer,
   ACTIONS
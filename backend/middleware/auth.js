@@ -5,9 +5,13 @@ const {
   ROLE_PERMISSIONS, 
   RESOURCE_TYPES,
   hasPermission,
+  getRolePermissions,
   canAccessResource 
 } = require('../config/rbac')
 const { logSecurityEvent } = require('./audit')
+const { loadRoleMapping } = require('../utils/roles')
+const { isTokenCurrent, getActiveSession, touchSession } = require('../utils/tokens')
+const { isTwoFactorRequired } = require('../utils/twoFactor')
 
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
@@ -23,11 +27,26 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    
-    // Get user details from database
     const db = req.app.locals.db
+
+    // Purpose-bound tokens (2FA challenges, email verification) share the
+    // signing secret but are not access tokens
+    if (decoded.purpose || !decoded.userId || !decoded.role) {
+      await logSecurityEvent(db, 'INVALID_TOKEN', decoded.userId || null, {
+        ipAddress: req.ip,
+        reason: decoded.purpose ? `Not an access token (${decoded.purpose})` : 'Missing claims'
+      })
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      })
+    }
+
+    // Get user details from database
+    await loadRoleMapping(db)
     const [users] = await db.execute(
-      `SELECT id, name, email, role, address, created_at 
+      `SELECT id, name, email, email_verified_at, pending_email, role, address, token_version, totp_enabled_at, created_at 
        FROM users WHERE id = ? AND role = ?`,
       [decoded.userId, decoded.role]
     )
@@ -44,10 +63,32 @@ const authenticateToken = async (req, res, next) => {
       })
     }
 
+    // Tokens issued before the user's last revocation (e.g. password change)
+    if (!isTokenCurrent(decoded, users[0])) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token revoked'
+      })
+    }
+
+    // Tokens from a session that was signed out, revoked or has expired
+    if (decoded.sid) {
+      const session = await getActiveSession(db, decoded.sid)
+      if (!session || session.user_id !== users[0].id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session revoked'
+        })
+      }
+      await touchSession(db, decoded.sid, req)
+    }
+
     // Add user permissions to request
+    const { token_version, ...user } = users[0]
     req.user = {
-      ...users[0],
-      permissions: ROLE_PERMISSIONS[users[0].role] || []
+      ...user,
+      sessionId: decoded.sid,
+      permissions: getRolePermissions(user.role)
     }
     
     next()
@@ -225,6 +266,44 @@ const requireOwnership = (resourceType) => {
   }
 }
 
+// Email verification middleware (for actions that need a confirmed address)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    })
+  }
+
+  if (!req.user.email_verified_at) {
+    return res.status(403).json({
+      success: false,
+      message: 'Email verification required. Check your inbox for the verification link.'
+    })
+  }
+
+  next()
+}
+
+// Two-factor enrolment middleware (roles that must use 2FA can only set it up until enabled)
+const requireTwoFactorEnrollment = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    })
+  }
+
+  if (isTwoFactorRequired(req.user.role) && !req.user.totp_enabled_at) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be set up before you can continue.'
+    })
+  }
+
+  next()
+}
+
 // Role-based authorization middleware (legacy support)
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -264,6 +343,8 @@ module.exports = {
   // Permission-based
   requirePermission,
   requireOwnership,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
   
   // Role-based (legacy)
   authorize,
@@ -0,0 +1,118 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Enforces the per-route-group, per-role quotas from `config/rateLimit` using
+ * a sliding-window counter: the previous fixed window's hits are weighted by
+ * how much of it still overlaps the sliding window and added to the current
+ * window's hits. Every request counts, including rejected ones.
+ *
+ * Responses carry the IETF draft `RateLimit-Limit`, `RateLimit-Remaining`,
+ * `RateLimit-Reset` and `RateLimit-Policy` headers; rejected requests get a
+ * 429 with `Retry-After`. Store failures are logged and the request is let
+ * through rather than taking the API down. Set RATE_LIMIT_ENABLED=false to
+ * turn limiting off.
+ *
+ * @module middleware/rateLimit
+ * @requires ../config/rateLimit
+ * @requires ../utils/rateLimitStore
+ */
+
+const { RATE_LIMIT_POLICIES, getRoleLimit } = require('../config/rateLimit')
+const { createRateLimitStore } = require('../utils/rateLimitStore')
+
+let defaultStore = null
+
+/**
+ * Milliseconds Until Another Request Would Be Allowed
+ *
+ * @param {number} limit - Requests allowed per window
+ * @param {Object} counts - { current, previous } hits including this request
+ * @param {number} elapsedMs - Time since the current window started
+ * @param {number} windowMs - Window length
+ * @returns {number} Wait in milliseconds
+ */
+const getRetryAfterMs = (limit, { current, previous }, elapsedMs, windowMs) => {
+  if (current < limit && previous > 0) {
+    // Wait for the previous window's weight to drop enough for one more hit
+    const overlap = (limit - current - 1) / previous
+    return Math.max(0, (1 - overlap) * windowMs - elapsedMs)
+  }
+
+  // This window is full; in the next one it becomes the weighted previous window
+  const overlap = current > 0 ? Math.min(1, (limit - 1) / current) : 1
+  return windowMs - elapsedMs + (1 - overlap) * windowMs
+}
+
+/**
+ * Rate Limit a Route Group
+ *
+ * Mount after `authenticateToken` for authenticated groups so the quota
+ * follows the user's role and is counted per user instead of per IP.
+ *
+ * @param {string} group - Policy name from RATE_LIMIT_POLICIES
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Counter store; defaults to one created
+ *   from RATE_LIMIT_STORE on first use
+ * @returns {Function} Express middleware
+ * @throws {Error} When the policy does not exist
+ */
+const rateLimit = (group, { store } = {}) => {
+  const policy = RATE_LIMIT_POLICIES[group]
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${group}`)
+  }
+
+  const windowMs = policy.windowSeconds * 1000
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') {
+      return next()
+    }
+
+    const limit = getRoleLimit(policy, req.user?.role)
+    const key = req.user ? `${group}:user:${req.user.id}` : `${group}:ip:${req.ip}`
+    const now = Date.now()
+    const windowStart = Math.floor(now / windowMs) * windowMs
+    const elapsedMs = now - windowStart
+
+    let counts
+    try {
+      if (!store && !defaultStore) {
+        defaultStore = createRateLimitStore(process.env.RATE_LIMIT_STORE, { db: req.app.locals.db })
+      }
+      counts = await (store || defaultStore).hit(key, windowStart, windowMs)
+    } catch (error) {
+      console.error('Rate limit store error:', error.message)
+      return next()
+    }
+
+    const weight = (windowMs - elapsedMs) / windowMs
+    const estimated = counts.previous * weight + counts.current
+    const resetSeconds = Math.ceil((windowMs - elapsedMs) / 1000)
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, Math.floor(limit - estimated))),
+      'RateLimit-Policy': `${limit};w=${policy.windowSeconds}`
+    })
+
+    if (estimated > limit) {
+      const retryAfter = Math.max(1, Math.ceil(getRetryAfterMs(limit, counts, elapsedMs, windowMs) / 1000))
+
+      res.set({ 'RateLimit-Reset': String(retryAfter), 'Retry-After': String(retryAfter) })
+      return res.status(429).json({
+        success: false,
+        message: `Too many requests. Please try again in ${retryAfter} second(s).`,
+        data: { retryAfter }
+      })
+    }
+
+    res.set('RateLimit-Reset', String(resetSeconds))
+    next()
+  }
+}
+
+module.exports = {
+  rateLimit,
+  getRetryAfterMs
+}
@@ -7,9 +7,18 @@
  * 
  * @module middleware/validation
  * @requires express-validator
+ * @requires ../config/rbac
+ * @requires ../utils/reviewModeration
+ * @requires ../utils/ratingVotes
  */
 
 const { body, param, query, validationResult } = require('express-validator')
+const { ROLES, PERMISSIONS, ROLE_HIERARCHY, roleExists } = require('../config/rbac')
+const { REPORT_REASONS, QUEUE_STATUSES } = require('../utils/reviewModeration')
+const { REVIEW_SORTS } = require('../utils/ratingVotes')
+
+// Custom roles rank below system admins
+const MAX_CUSTOM_ROLE_LEVEL = ROLE_HIERARCHY[ROLES.SYSTEM_ADMIN] - 1
 
 const nameValidation = body('name')
   .trim()
@@ -53,7 +62,7 @@ const ratingValidation = body('rating')
 
 const roleValidation = body('role')
   .optional()
-  .isIn(['system_admin', 'normal_user', 'store_owner'])
+  .custom(roleExists)
   .withMessage('Invalid role specified')
 
 const storeNameValidation = body('name')
@@ -85,7 +94,10 @@ const limitValidation = query('limit')
 
 const sortByValidation = query('sortBy')
   .optional()
-  .isIn(['name', 'email', 'created_at', 'rating', 'average_rating'])
+  .isIn([
+    'name', 'email', 'address', 'role', 'created_at', 'updated_at',
+    'rating', 'average_rating', 'total_ratings', 'owner_name'
+  ])
   .withMessage('Invalid sort field')
 
 const sortOrderValidation = query('sortOrder')
@@ -139,6 +151,11 @@ const userLoginRules = [
     .withMessage('Password required')
     .isLength({ min: 1, max: 16 })
     .withMessage('Invalid password length'),
+  body('rememberMe')
+    .optional()
+    .isBoolean()
+    .withMessage('Remember me must be true or false')
+    .toBoolean(),
   handleValidationErrors
 ]
 
@@ -150,6 +167,178 @@ const userUpdateRules = [
   handleValidationErrors
 ]
 
+const reassignToMessage = 'Reassignment target must be a valid store owner ID'
+
+const adminUserUpdateRules = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 20, max: 60 })
+    .withMessage('Name must be between 20 and 60 characters')
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage('Name can only contain letters and spaces'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+    .isLength({ max: 255 })
+    .withMessage('Email cannot exceed 255 characters'),
+  addressValidation,
+  roleValidation,
+  body('reassignTo')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage(reassignToMessage),
+  handleValidationErrors
+]
+
+const adminUserDeleteRules = [
+  idValidation,
+  query('reassignTo')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage(reassignToMessage),
+  handleValidationErrors
+]
+
+const dateRangeValidation = [
+  query('from')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) < new Date(req.query.from)) {
+        throw new Error('To date cannot be before from date')
+      }
+      return true
+    })
+]
+
+const logFilterRules = [
+  query('user_id')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Invalid user ID filter'),
+  query('action')
+    .optional({ values: 'falsy' })
+    .matches(/^[a-z_]{1,50}$/)
+    .withMessage('Invalid action filter'),
+  query('resource_type')
+    .optional({ values: 'falsy' })
+    .matches(/^[a-z_]{1,50}$/)
+    .withMessage('Invalid resource type filter'),
+  query('event_type')
+    .optional({ values: 'falsy' })
+    .matches(/^[A-Za-z_]{1,64}$/)
+    .withMessage('Invalid event type filter'),
+  query('ip')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 45 })
+    .withMessage('IP filter cannot exceed 45 characters'),
+  ...dateRangeValidation,
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+  handleValidationErrors
+]
+
+const refreshTokenRules = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token required')
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Invalid refresh token'),
+  handleValidationErrors
+]
+
+const logoutRules = [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .isLength({ max: 128 })
+    .withMessage('Invalid refresh token'),
+  handleValidationErrors
+]
+
+const forgotPasswordRules = [
+  emailValidation,
+  handleValidationErrors
+]
+
+const resetPasswordRules = [
+  body('token')
+    .isString()
+    .withMessage('Reset token required')
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Invalid reset token'),
+  passwordValidation,
+  handleValidationErrors
+]
+
+const verifyEmailRules = [
+  body('token')
+    .isString()
+    .withMessage('Verification token required')
+    .isLength({ min: 1, max: 1024 })
+    .withMessage('Invalid verification token'),
+  handleValidationErrors
+]
+
+const twoFactorCodeValidation = body('code')
+  .isString()
+  .withMessage('Authentication code required')
+  .trim()
+  .isLength({ min: 6, max: 32 })
+  .withMessage('Invalid authentication code')
+
+const twoFactorCodeRules = [
+  twoFactorCodeValidation,
+  handleValidationErrors
+]
+
+const twoFactorLoginRules = [
+  body('challengeToken')
+    .isString()
+    .withMessage('Challenge token required')
+    .isLength({ min: 1, max: 1024 })
+    .withMessage('Invalid challenge token'),
+  twoFactorCodeValidation,
+  handleValidationErrors
+]
+
+const twoFactorDisableRules = [
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+  twoFactorCodeValidation,
+  handleValidationErrors
+]
+
+const sessionIdRules = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid session ID'),
+  handleValidationErrors
+]
+
+const adminSessionRules = [
+  idValidation,
+  param('sessionId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid session ID'),
+  handleValidationErrors
+]
+
 const passwordUpdateRules = [
   body('currentPassword')
     .notEmpty()
@@ -188,6 +377,91 @@ const ratingRules = [
     .trim()
     .isLength({ max: 500 })
     .withMessage('Review cannot exceed 500 characters'),
+  body('scores')
+    .optional()
+    .isObject({ strict: true })
+    .withMessage('Scores must map criterion names to scores'),
+  body('scores.*')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Each criterion score must be between 1 and 5')
+    .toInt(),
+  handleValidationErrors
+]
+
+const ratingReportRules = [
+  idValidation,
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('details')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters'),
+  handleValidationErrors
+]
+
+const ratingReplyParamValidation = [
+  param('storeId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid store ID'),
+  param('ratingId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid rating ID')
+]
+
+const ratingReplyRules = [
+  ...ratingReplyParamValidation,
+  body('reply')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Reply is required and cannot exceed 1000 characters'),
+  handleValidationErrors
+]
+
+const ratingReplyDeleteRules = [
+  ...ratingReplyParamValidation,
+  handleValidationErrors
+]
+
+const ratingVoteRules = [
+  idValidation,
+  body('helpful')
+    .isBoolean()
+    .withMessage('Helpful must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+]
+
+const reviewSortValidation = [
+  query('sort')
+    .optional({ values: 'falsy' })
+    .isIn(REVIEW_SORTS)
+    .withMessage(`Sort must be one of: ${REVIEW_SORTS.join(', ')}`),
+  orderValidation
+]
+
+const reviewSortRules = [
+  ...reviewSortValidation,
+  handleValidationErrors
+]
+
+const storeReviewListRules = [
+  idValidation,
+  pageValidation,
+  limitValidation,
+  ...reviewSortValidation,
+  handleValidationErrors
+]
+
+const moderationQueueRules = [
+  pageValidation,
+  limitValidation,
+  query('status')
+    .optional({ values: 'falsy' })
+    .isIn(QUEUE_STATUSES)
+    .withMessage(`Status must be one of: ${QUEUE_STATUSES.join(', ')}`),
   handleValidationErrors
 ]
 
@@ -206,6 +480,108 @@ const idRules = [
   handleValidationErrors
 ]
 
+const roleNameParamValidation = param('name')
+  .matches(/^[a-z][a-z0-9_]{2,49}$/)
+  .withMessage('Invalid role name')
+
+const roleDetailsValidation = [
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description cannot exceed 255 characters'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array')
+    .custom(permissions => permissions.every(permission => Object.values(PERMISSIONS).includes(permission)))
+    .withMessage('Unknown permission specified')
+]
+
+const roleCreateRules = [
+  body('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{2,49}$/)
+    .withMessage('Role name must be 3-50 lowercase letters, digits or underscores and start with a letter'),
+  body('displayName')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Display name is required and cannot exceed 100 characters'),
+  body('level')
+    .isInt({ min: 1, max: MAX_CUSTOM_ROLE_LEVEL })
+    .withMessage(`Level must be between 1 and ${MAX_CUSTOM_ROLE_LEVEL}`)
+    .toInt(),
+  ...roleDetailsValidation,
+  handleValidationErrors
+]
+
+const roleUpdateRules = [
+  roleNameParamValidation,
+  body('displayName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Display name cannot be empty or exceed 100 characters'),
+  body('level')
+    .optional()
+    .isInt({ min: 1, max: MAX_CUSTOM_ROLE_LEVEL })
+    .withMessage(`Level must be between 1 and ${MAX_CUSTOM_ROLE_LEVEL}`)
+    .toInt(),
+  ...roleDetailsValidation,
+  handleValidationErrors
+]
+
+const roleNameRules = [
+  roleNameParamValidation,
+  handleValidationErrors
+]
+
+const criterionNameParamValidation = param('name')
+  .matches(/^[a-z][a-z0-9_]{1,31}$/)
+  .withMessage('Invalid criterion name')
+
+const criterionDetailsValidation = [
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description cannot exceed 255 characters'),
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0, max: 999 })
+    .withMessage('Sort order must be between 0 and 999')
+    .toInt()
+]
+
+const criterionCreateRules = [
+  body('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{1,31}$/)
+    .withMessage('Criterion name must be 2-32 lowercase letters, digits or underscores and start with a letter'),
+  body('label')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Label is required and cannot exceed 60 characters'),
+  ...criterionDetailsValidation,
+  handleValidationErrors
+]
+
+const criterionUpdateRules = [
+  criterionNameParamValidation,
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Label cannot be empty or exceed 60 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+  ...criterionDetailsValidation,
+  handleValidationErrors
+]
+
 const searchRules = [
   query('search')
     .optional()
@@ -214,11 +590,76 @@ const searchRules = [
     .withMessage('Search term must be between 1 and 255 characters'),
   query('filter')
     .optional()
-    .isIn(['name', 'email', 'address', 'role'])
+    .isIn(['name', 'email', 'address', 'role', 'owner'])
     .withMessage('Invalid filter field'),
   handleValidationErrors
 ]
 
+const userFilterRules = [
+  query('name')
+    .optional()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('Name filter cannot exceed 60 characters'),
+  query('email')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Email filter cannot exceed 255 characters'),
+  query('address')
+    .optional()
+    .trim()
+    .isLength({ max: 400 })
+    .withMessage('Address filter cannot exceed 400 characters'),
+  query('role')
+    .optional({ values: 'falsy' })
+    .custom(roleExists)
+    .withMessage('Invalid role filter'),
+  handleValidationErrors
+]
+
+const storeFilterRules = [
+  query('name')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Name filter cannot exceed 255 characters'),
+  query('email')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Email filter cannot exceed 255 characters'),
+  query('address')
+    .optional()
+    .trim()
+    .isLength({ max: 400 })
+    .withMessage('Address filter cannot exceed 400 characters'),
+  query('owner')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Owner filter cannot exceed 255 characters'),
+  query('owner_id')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Invalid owner ID filter'),
+  query('minRating')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Minimum rating must be between 0 and 5'),
+  query('maxRating')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Maximum rating must be between 0 and 5')
+    .custom((value, { req }) => {
+      if (req.query.minRating && parseFloat(value) < parseFloat(req.query.minRating)) {
+        throw new Error('Maximum rating cannot be lower than minimum rating')
+      }
+      return true
+    }),
+  handleValidationErrors
+]
+
 module.exports = {
   nameValidation,
   emailValidation,
@@ -235,13 +676,40 @@ module.exports = {
   
   userRegistrationRules,
   userLoginRules,
+  refreshTokenRules,
+  logoutRules,
+  forgotPasswordRules,
+  resetPasswordRules,
+  verifyEmailRules,
+  twoFactorCodeRules,
+  twoFactorLoginRules,
+  twoFactorDisableRules,
+  sessionIdRules,
+  adminSessionRules,
   userUpdateRules,
+  adminUserUpdateRules,
+  adminUserDeleteRules,
   passwordUpdateRules,
   storeRules,
   ratingRules,
+  ratingReportRules,
+  ratingReplyRules,
+  ratingReplyDeleteRules,
+  ratingVoteRules,
+  reviewSortRules,
+  storeReviewListRules,
+  moderationQueueRules,
   paginationRules,
   idRules,
+  roleCreateRules,
+  roleUpdateRules,
+  roleNameRules,
+  criterionCreateRules,
+  criterionUpdateRules,
   searchRules,
+  userFilterRules,
+  storeFilterRules,
+  logFilterRules,
   
   handleValidationErrors
 }
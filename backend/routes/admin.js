@@ -2,37 +2,78 @@
  * Admin Routes Module
  * 
  * This module provides comprehensive administrative functionality for the RBAC system.
- * It includes routes for dashboard statistics, user management, and store management.
- * All routes require admin-level authentication and authorization.
+ * It includes routes for dashboard statistics, user management, user session
+ * management, store management, rating history and review moderation, role
+ * management, and browsing of audit and
+ * security logs. Every route requires authentication plus the RBAC permission
+ * passed to `requirePermission`; system admins hold all of them, and custom
+ * roles can be granted a subset from the role editor.
  * 
  * @module routes/admin
  * @requires express
  * @requires bcrypt
  * @requires ../middleware/auth
  * @requires ../middleware/errorHandler
+ * @requires ../middleware/audit
  * @requires ../middleware/validation
+ * @requires ../controllers/rbacController
+ * @requires ../utils/pagination
+ * @requires ../utils/csv
+ * @requires ../utils/tokens
+ * @requires ../utils/emailVerification
+ * @requires ../utils/loginThrottle
+ * @requires ../utils/twoFactor
+ * @requires ../utils/roles
+ * @requires ../utils/ratingRevisions
+ * @requires ../utils/reviewModeration
+ * @requires ../utils/ratingCriteria
  */
 
 const express = require('express')
 const bcrypt = require('bcrypt')
-const { authenticateToken, requireAdmin } = require('../middleware/auth')
+const { authenticateToken, requirePermission } = require('../middleware/auth')
 const { asyncHandler } = require('../middleware/errorHandler')
+const { auditLogger, logSecurityEvent } = require('../middleware/audit')
+const { ROLES, PERMISSIONS, ACTIONS, RESOURCE_TYPES, getRoleNames } = require('../config/rbac')
+const RBACController = require('../controllers/rbacController')
 const { 
   userRegistrationRules, 
   storeRules, 
   paginationRules, 
+  searchRules,
+  userFilterRules,
+  storeFilterRules,
   idRules,
-  userUpdateRules 
+  adminUserUpdateRules,
+  adminUserDeleteRules,
+  logFilterRules,
+  adminSessionRules,
+  moderationQueueRules,
+  roleCreateRules,
+  roleUpdateRules,
+  roleNameRules,
+  criterionCreateRules,
+  criterionUpdateRules
 } = require('../middleware/validation')
+const { getPagination, getSort, toLikePattern, buildPaginationMeta } = require('../utils/pagination')
+const { sendCsv } = require('../utils/csv')
+const { listActiveSessions, getActiveSession, revokeSession, revokeUserSessions, revokeAllUserTokens } = require('../utils/tokens')
+const { sendVerificationEmail } = require('../utils/emailVerification')
+const { getLockoutStatus, clearFailedLogins } = require('../utils/loginThrottle')
+const { getTwoFactorStatus, disableTwoFactor } = require('../utils/twoFactor')
+const { listRoles, getRole, createRole, updateRole, deleteRole } = require('../utils/roles')
+const { getRatingHistory } = require('../utils/ratingRevisions')
+const { listModerationQueue, getRatingReports, hideRating, restoreRating } = require('../utils/reviewModeration')
+const { listCriteria, getCriterion, createCriterion, updateCriterion, attachCriteriaAverages } = require('../utils/ratingCriteria')
 
 const router = express.Router()
 
 /**
  * Global middleware configuration for admin routes
- * Ensures all admin endpoints require valid authentication and admin role
+ * Ensures all admin endpoints require valid authentication; each route then
+ * checks its own permission
  */
 router.use(authenticateToken)
-router.use(requireAdmin)
 
 /**
  * Dashboard Statistics Endpoint
@@ -45,14 +86,14 @@ router.use(requireAdmin)
  * @returns {Object} success - Operation status
  * @returns {Object} data - Statistics object containing system metrics
  */
-router.get('/dashboard/stats', asyncHandler(async (req, res) => {
+router.get('/dashboard/stats', requirePermission(PERMISSIONS.SYSTEM_DASHBOARD), asyncHandler(async (req, res) => {
   const db = req.app.locals.db
   
   // Execute parallel database queries for optimal performance
   const [userCount] = await db.execute('SELECT COUNT(*) as count FROM users')
   const [storeCount] = await db.execute('SELECT COUNT(*) as count FROM stores')
-  const [ratingCount] = await db.execute('SELECT COUNT(*) as count FROM ratings')
-  const [avgRating] = await db.execute('SELECT AVG(rating) as average FROM ratings')
+  const [ratingCount] = await db.execute('SELECT COUNT(*) as count FROM ratings WHERE hidden_at IS NULL')
+  const [avgRating] = await db.execute('SELECT AVG(rating) as average FROM ratings WHERE hidden_at IS NULL')
 
   res.json({
     success: true,
@@ -71,41 +112,133 @@ router.get('/dashboard/stats', asyncHandler(async (req, res) => {
  * ================================
  */
 
+/**
+ * Sortable columns for the user listing, keyed by public sort field
+ */
+const USER_SORT_COLUMNS = {
+  name: 'u.name',
+  email: 'u.email',
+  address: 'u.address',
+  role: 'u.role',
+  created_at: 'u.created_at',
+  updated_at: 'u.updated_at'
+}
+
+/**
+ * Searchable user columns for the `filter` parameter
+ */
+const USER_SEARCH_COLUMNS = {
+  name: ['u.name'],
+  email: ['u.email'],
+  address: ['u.address'],
+  role: ['u.role']
+}
+
 /**
  * Retrieve All Users
  * 
- * Fetches a paginated list of all users in the system with their basic information.
- * Currently returns the first 100 users ordered by creation date (most recent first).
+ * Fetches a page of users matching the requested search and filters.
+ * `search` matches name, email and address, or only the column named by
+ * `filter`. The `name`, `email`, `address` and `role` parameters narrow the
+ * result further. Store owners include the rating statistics of their stores.
  * 
  * @route GET /admin/users
  * @access Admin only
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Page size (max 100)
+ * @param {string} [sortBy=created_at] - name, email, address, role, created_at or updated_at
+ * @param {string} [sortOrder=desc] - asc or desc
+ * @param {string} [search] - Free-text search term
+ * @param {string} [filter] - Restrict search to name, email, address or role
+ * @param {string} [name] - Name contains
+ * @param {string} [email] - Email contains
+ * @param {string} [address] - Address contains
+ * @param {string} [role] - Exact role
  * @returns {Object} success - Operation status
- * @returns {Object} data - Contains users array and pagination metadata
+ * @returns {Object} data - Users page, pagination metadata and per-role totals
  */
-router.get('/users', asyncHandler(async (req, res) => {
+router.get('/users', requirePermission(PERMISSIONS.USER_READ_ALL), paginationRules, searchRules, userFilterRules, asyncHandler(async (req, res) => {
   const db = req.app.locals.db
-  
+  const { search, filter, name, email, address, role } = req.query
+  const { page, limit, offset } = getPagination(req.query)
+  const { sortBy, sortOrder, orderBy } = getSort(req.query, USER_SORT_COLUMNS, { field: 'created_at', order: 'desc' })
+
+  const conditions = []
+  const values = []
+
+  const addContains = (columns, term) => {
+    conditions.push(`(${columns.map(column => `${column} LIKE ?`).join(' OR ')})`)
+    columns.forEach(() => values.push(toLikePattern(term)))
+  }
+
+  if (search) {
+    const columns = USER_SEARCH_COLUMNS[filter] || ['u.name', 'u.email', 'u.address']
+    addContains(columns, search)
+  }
+
+  if (name) addContains(USER_SEARCH_COLUMNS.name, name)
+  if (email) addContains(USER_SEARCH_COLUMNS.email, email)
+  if (address) addContains(USER_SEARCH_COLUMNS.address, address)
+
+  if (role) {
+    conditions.push('u.role = ?')
+    values.push(role)
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+
   // Fetch users with essential information excluding sensitive data
   const [users] = await db.execute(`
-    SELECT id, name, email, address, role, created_at, updated_at 
-    FROM users 
-    ORDER BY created_at DESC 
-    LIMIT 100
-  `)
-  
-  // Get total count for pagination calculations
+    SELECT u.id, u.name, u.email, u.address, u.role, u.created_at, u.updated_at
+    FROM users u
+    ${whereClause}
+    ORDER BY ${orderBy}, u.id ${sortOrder.toUpperCase()}
+    LIMIT ${limit} OFFSET ${offset}
+  `, values)
+
   const [totalCount] = await db.execute(`
-    SELECT COUNT(*) as count FROM users
-  `)
-  
+    SELECT COUNT(*) as count FROM users u ${whereClause}
+  `, values)
+
+  const [roleRows] = await db.execute('SELECT role, COUNT(*) as count FROM users GROUP BY role')
+  const roleCounts = Object.fromEntries(getRoleNames().map(value => [value, 0]))
+  roleRows.forEach(row => { roleCounts[row.role] = row.count })
+
+  // Attach store rating statistics for store owners on this page
+  const ownerIds = users.filter(user => user.role === ROLES.STORE_OWNER).map(user => user.id)
+  if (ownerIds.length > 0) {
+    const [ownerStats] = await db.query(`
+      SELECT s.owner_id,
+             COUNT(DISTINCT s.id) as store_count,
+             COALESCE(AVG(r.rating), 0) as average_rating,
+             COUNT(r.id) as total_ratings
+      FROM stores s
+      LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
+      WHERE s.owner_id IN (?)
+      GROUP BY s.owner_id
+    `, [ownerIds])
+
+    const statsByOwner = new Map(ownerStats.map(row => [row.owner_id, row]))
+    users.forEach(user => {
+      const stats = statsByOwner.get(user.id)
+      if (stats) {
+        user.store_stats = {
+          storeCount: stats.store_count,
+          averageRating: parseFloat(Number(stats.average_rating).toFixed(2)),
+          totalRatings: stats.total_ratings
+        }
+      }
+    })
+  }
+
   res.json({
     success: true,
     data: {
       users,
-      total: totalCount[0].count,
-      page: 1,
-      limit: 100,
-      totalPages: 1
+      ...buildPaginationMeta(totalCount[0].count, page, limit),
+      sortBy,
+      sortOrder,
+      roleCounts
     }
   })
 }))
@@ -113,21 +246,22 @@ router.get('/users', asyncHandler(async (req, res) => {
 /**
  * Retrieve User by ID
  * 
- * Fetches detailed information for a specific user identified by their unique ID.
- * Returns 404 if the user does not exist in the system.
+ * Fetches detailed information for a specific user identified by their unique ID,
+ * including their login lockout and two-factor status. Returns 404 if the user
+ * does not exist in the system.
  * 
  * @route GET /admin/users/:id
  * @access Admin only
  * @param {number} id - User's unique identifier
  * @returns {Object} success - Operation status
- * @returns {Object} data - User object with detailed information
+ * @returns {Object} data - User object with detailed information, lockout and two-factor status
  * @returns {string} message - Error message if user not found
  */
-router.get('/users/:id', idRules, asyncHandler(async (req, res) => {
+router.get('/users/:id', requirePermission(PERMISSIONS.USER_READ_ALL), idRules, asyncHandler(async (req, res) => {
   const db = req.app.locals.db
   const { id } = req.params
   
-  const [user] = await db.execute('SELECT id, name, email, address, role, created_at, updated_at FROM users WHERE id = ?', [id])
+  const [user] = await db.execute('SELECT id, name, email, email_verified_at, pending_email, address, role, totp_enabled_at, created_at, updated_at FROM users WHERE id = ?', [id])
   
   if (user.length === 0) {
     return res.status(404).json({
@@ -136,9 +270,15 @@ router.get('/users/:id', idRules, asyncHandler(async (req, res) => {
     })
   }
   
+  const { totp_enabled_at, ...details } = user[0]
+
   res.json({
     success: true,
-    data: user[0]
+    data: {
+      ...details,
+      ...getTwoFactorStatus(user[0]),
+      lockout: await getLockoutStatus(db, user[0].email)
+    }
   })
 }))
 
@@ -147,7 +287,11 @@ router.get('/users/:id', idRules, asyncHandler(async (req, res) => {
  * 
  * Creates a new user account with the specified details and role assignment.
  * Validates input data, checks for email uniqueness, and securely hashes the password.
- * Defaults to 'normal_user' role if not specified.
+ * Defaults to 'normal_user' role if not specified; the role must be one the
+ * caller may assign (`RBACController.canAssignRole`), so a custom role with
+ * `user:create` cannot create accounts ranked at or above its own. The new
+ * account's email address starts unverified and a verification link is
+ * emailed to it.
  * 
  * @route POST /admin/users
  * @access Admin only
@@ -160,9 +304,16 @@ router.get('/users/:id', idRules, asyncHandler(async (req, res) => {
  * @returns {string} message - Success message
  * @returns {Object} data - Created user object (without password)
  */
-router.post('/users', userRegistrationRules, asyncHandler(async (req, res) => {
+router.post('/users', requirePermission(PERMISSIONS.USER_CREATE), userRegistrationRules, auditLogger(ACTIONS.CREATE, RESOURCE_TYPES.USER), asyncHandler(async (req, res) => {
   const db = req.app.locals.db
   const { name, email, password, address, role = 'normal_user' } = req.body
+
+  if (!RBACController.canAssignRole(req.user.role, role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot assign this role'
+    })
+  }
   
   // Validate email uniqueness to prevent duplicate accounts
   const [existingUser] = await db.execute('SELECT id FROM users WHERE email = ?', [email])
@@ -180,7 +331,13 @@ router.post('/users', userRegistrationRules, asyncHandler(async (req, res) => {
     [name, email, hashedPassword, address, role]
   )
   
-  const [newUser] = await db.execute('SELECT id, name, email, address, role, created_at FROM users WHERE id = ?', [result.insertId])
+  res.locals.audit = { resourceId: result.insertId }
+
+  sendVerificationEmail(db, { id: result.insertId, name }, email).catch(error => {
+    console.error('Verification email error:', error)
+  })
+
+  const [newUser] = await db.execute('SELECT id, name, email, email_verified_at, address, role, created_at FROM users WHERE id = ?', [result.insertId])
   
   res.status(201).json({
     success: true,
@@ -190,149 +347,826 @@ router.post('/users', userRegistrationRules, asyncHandler(async (req, res) => {
 }))
 
 /**
- * ================================
- * STORE MANAGEMENT ENDPOINTS
- * ================================
+ * Count System Administrators
+ * 
+ * @param {Object} db - Database connection or pool
+ * @returns {Promise<number>} Number of accounts with the system_admin role
  */
+const countAdmins = async (db) => {
+  const [rows] = await db.execute('SELECT COUNT(*) as count FROM users WHERE role = ?', [ROLES.SYSTEM_ADMIN])
+  return Number(rows[0].count)
+}
 
 /**
- * Retrieve All Stores
+ * Count Stores Owned by a User
+ * 
+ * @param {Object} db - Database connection or pool
+ * @param {number} ownerId - User ID
+ * @returns {Promise<number>} Number of stores with this owner
+ */
+const countOwnedStores = async (db, ownerId) => {
+  const [rows] = await db.execute('SELECT COUNT(*) as count FROM stores WHERE owner_id = ?', [ownerId])
+  return Number(rows[0].count)
+}
+
+/**
+ * Validate Store Reassignment Target
  * 
- * Fetches a comprehensive list of all stores with their associated owner information
- * and rating statistics. Includes aggregated data such as average rating and total
- * number of ratings for each store.
+ * Stores can only be handed over to another existing store owner.
  * 
- * @route GET /admin/stores
+ * @param {Object} db - Database connection or pool
+ * @param {number|string} reassignTo - Requested new owner ID
+ * @param {number} currentOwnerId - User the stores are moving away from
+ * @returns {Promise<string|null>} Error message, or null when the target is valid
+ */
+const validateReassignTarget = async (db, reassignTo, currentOwnerId) => {
+  if (Number(reassignTo) === Number(currentOwnerId)) {
+    return 'Stores cannot be reassigned to the same user'
+  }
+
+  const [owners] = await db.execute('SELECT id FROM users WHERE id = ? AND role = ?', [reassignTo, ROLES.STORE_OWNER])
+  return owners.length === 0 ? 'Reassignment target must be an existing store owner' : null
+}
+
+/**
+ * Update User
+ * 
+ * Updates a user's profile fields and/or role. Enforces the role hierarchy
+ * (`RBACController.canManageUser`) and role assignment rules
+ * (`RBACController.canAssignRole`). Admins may edit their own profile fields
+ * but cannot change their own role, and the last remaining system admin can
+ * never be demoted.
+ * 
+ * A store owner who still owns stores can only be moved to another role when
+ * `reassignTo` names another store owner; their stores are transferred in the
+ * same transaction. Ratings given by the user are kept.
+ * 
+ * A changed email address is applied immediately but marked unverified, and a
+ * verification link is emailed to it; any pending change by the user is dropped.
+ * 
+ * @route PUT /admin/users/:id
  * @access Admin only
+ * @param {number} id - User ID
+ * @param {string} [name] - New full name
+ * @param {string} [email] - New email address (must be unique)
+ * @param {string} [address] - New address
+ * @param {string} [role] - New role
+ * @param {number} [reassignTo] - Store owner receiving the user's stores on demotion
  * @returns {Object} success - Operation status
- * @returns {Object} data - Contains stores array with owner info and rating statistics
+ * @returns {string} message - Result message
+ * @returns {Object} data - Updated user and number of stores reassigned
  */
-router.get('/stores', asyncHandler(async (req, res) => {
+router.put('/users/:id', requirePermission(PERMISSIONS.USER_UPDATE_ANY), idRules, adminUserUpdateRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.USER), asyncHandler(async (req, res) => {
   const db = req.app.locals.db
-  
-  
-  const [stores] = await db.execute(`
-    SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.updated_at,
-           u.name as owner_name,
-           COALESCE(AVG(r.rating), 0) as average_rating,
-           COUNT(r.id) as total_ratings
-    FROM stores s
-    LEFT JOIN users u ON s.owner_id = u.id
-    LEFT JOIN ratings r ON s.id = r.store_id
-    GROUP BY s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.updated_at, u.name
-    ORDER BY s.created_at DESC 
-    LIMIT 100
-  `)
-  
-  
-  const [totalCount] = await db.execute(`
-    SELECT COUNT(DISTINCT s.id) as count 
-    FROM stores s
-  `)
-  
+  const targetId = parseInt(req.params.id)
+  const { name, email, address, role, reassignTo } = req.body
+  const isSelf = targetId === req.user.id
+
+  const [users] = await db.execute('SELECT id, name, email, role FROM users WHERE id = ?', [targetId])
+  if (users.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    })
+  }
+
+  const target = users[0]
+  const roleChanged = role !== undefined && role !== target.role
+
+  if (!isSelf && !RBACController.canManageUser(req.user.role, target.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot manage a user with this role'
+    })
+  }
+
+  if (roleChanged) {
+    if (isSelf) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      })
+    }
+
+    if (!RBACController.canAssignRole(req.user.role, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign this role'
+      })
+    }
+
+    if (target.role === ROLES.SYSTEM_ADMIN && await countAdmins(db) <= 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'The last system administrator cannot be demoted'
+      })
+    }
+  }
+
+  const emailChanged = Boolean(email) && email !== target.email
+
+  if (emailChanged) {
+    const [emailCheck] = await db.execute('SELECT id FROM users WHERE email = ? AND id != ?', [email, targetId])
+    if (emailCheck.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already exists'
+      })
+    }
+  }
+
+  const ownedStores = roleChanged && target.role === ROLES.STORE_OWNER
+    ? await countOwnedStores(db, targetId)
+    : 0
+
+  if (ownedStores > 0) {
+    if (!reassignTo) {
+      return res.status(409).json({
+        success: false,
+        message: `This user owns ${ownedStores} store(s). Provide reassignTo to transfer them before changing the role`,
+        data: { ownedStores }
+      })
+    }
+
+    const reassignError = await validateReassignTarget(db, reassignTo, targetId)
+    if (reassignError) {
+      return res.status(400).json({
+        success: false,
+        message: reassignError
+      })
+    }
+  }
+
+  const updates = []
+  const values = []
+
+  if (name) {
+    updates.push('name = ?')
+    values.push(name)
+  }
+  if (email) {
+    updates.push('email = ?')
+    values.push(email)
+  }
+  if (emailChanged) {
+    updates.push('email_verified_at = NULL', 'pending_email = NULL')
+  }
+  if (address !== undefined) {
+    updates.push('address = ?')
+    values.push(address)
+  }
+  if (roleChanged) {
+    updates.push('role = ?')
+    values.push(role)
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No fields to update'
+    })
+  }
+
+  values.push(targetId)
+
+  const connection = await db.getConnection()
+  try {
+    await connection.beginTransaction()
+    if (ownedStores > 0) {
+      await connection.execute('UPDATE stores SET owner_id = ? WHERE owner_id = ?', [reassignTo, targetId])
+    }
+    await connection.execute(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, values)
+    await connection.commit()
+  } catch (error) {
+    await connection.rollback()
+    throw error
+  } finally {
+    connection.release()
+  }
+
+  res.locals.audit = {
+    details: { storesReassignedTo: ownedStores > 0 ? Number(reassignTo) : null }
+  }
+
+  if (roleChanged) {
+    await logSecurityEvent(db, 'ROLE_CHANGED', req.user.id, {
+      targetUserId: targetId,
+      previousRole: target.role,
+      newRole: role,
+      storesReassignedTo: ownedStores > 0 ? Number(reassignTo) : null,
+      ipAddress: req.ip
+    })
+  }
+
+  if (emailChanged) {
+    sendVerificationEmail(db, { id: targetId, name: name || target.name }, email).catch(error => {
+      console.error('Verification email error:', error)
+    })
+  }
+
+  const [updatedUser] = await db.execute(
+    'SELECT id, name, email, email_verified_at, pending_email, address, role, created_at, updated_at FROM users WHERE id = ?',
+    [targetId]
+  )
+
   res.json({
     success: true,
+    message: 'User updated successfully',
     data: {
-      stores,
-      total: totalCount[0].count,
-      page: 1,
-      limit: 100,
-      totalPages: 1
+      user: updatedUser[0],
+      storesReassigned: ownedStores
     }
   })
 }))
 
 /**
- * Retrieve Store by ID
+ * Delete User
  * 
- * Fetches detailed information for a specific store including owner details
- * and comprehensive rating statistics. Returns 404 if store doesn't exist.
+ * Permanently deletes a user account. Enforces the role hierarchy, and admins
+ * can never delete themselves or the last remaining system admin.
  * 
- * @route GET /admin/stores/:id
+ * Ratings given by the user are deleted with the account. Stores owned by the
+ * user block deletion unless `reassignTo` names another store owner, in which
+ * case the stores are transferred before the account is removed.
+ * 
+ * @route DELETE /admin/users/:id
  * @access Admin only
- * @param {number} id - Store's unique identifier
+ * @param {number} id - User ID
+ * @param {number} [reassignTo] - Query parameter: store owner receiving the user's stores
  * @returns {Object} success - Operation status
- * @returns {Object} data - Store object with owner info and rating statistics
- * @returns {string} message - Error message if store not found
+ * @returns {string} message - Result message
+ * @returns {Object} data - Number of stores reassigned and ratings removed
  */
-router.get('/stores/:id', idRules, asyncHandler(async (req, res) => {
+router.delete('/users/:id', requirePermission(PERMISSIONS.USER_DELETE_ANY), adminUserDeleteRules, auditLogger(ACTIONS.DELETE, RESOURCE_TYPES.USER), asyncHandler(async (req, res) => {
   const db = req.app.locals.db
-  const { id } = req.params
-  
-  
-  const [store] = await db.execute(`
-    SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.updated_at,
-           u.name as owner_name,
-           AVG(r.rating) as average_rating,
-           COUNT(r.id) as total_ratings
-    FROM stores s
-    LEFT JOIN users u ON s.owner_id = u.id
-    LEFT JOIN ratings r ON s.id = r.store_id
-    WHERE s.id = ?
-    GROUP BY s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.updated_at, u.name
-  `, [id])
-  
-  if (store.length === 0) {
+  const targetId = parseInt(req.params.id)
+  const { reassignTo } = req.query
+
+  if (targetId === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot delete your own account'
+    })
+  }
+
+  const [users] = await db.execute('SELECT id, name, email, role FROM users WHERE id = ?', [targetId])
+  if (users.length === 0) {
     return res.status(404).json({
       success: false,
-      message: 'Store not found'
+      message: 'User not found'
     })
   }
-  
+
+  const target = users[0]
+
+  if (!RBACController.canManageUser(req.user.role, target.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot manage a user with this role'
+    })
+  }
+
+  if (target.role === ROLES.SYSTEM_ADMIN && await countAdmins(db) <= 1) {
+    return res.status(409).json({
+      success: false,
+      message: 'The last system administrator cannot be deleted'
+    })
+  }
+
+  const ownedStores = await countOwnedStores(db, targetId)
+
+  if (ownedStores > 0) {
+    if (!reassignTo) {
+      return res.status(409).json({
+        success: false,
+        message: `This user owns ${ownedStores} store(s). Provide reassignTo to transfer them before deleting the account`,
+        data: { ownedStores }
+      })
+    }
+
+    const reassignError = await validateReassignTarget(db, reassignTo, targetId)
+    if (reassignError) {
+      return res.status(400).json({
+        success: false,
+        message: reassignError
+      })
+    }
+  }
+
+  const [ratingCount] = await db.execute('SELECT COUNT(*) as count FROM ratings WHERE user_id = ?', [targetId])
+
+  const connection = await db.getConnection()
+  try {
+    await connection.beginTransaction()
+    if (ownedStores > 0) {
+      await connection.execute('UPDATE stores SET owner_id = ? WHERE owner_id = ?', [reassignTo, targetId])
+    }
+    // Ratings are removed by the ON DELETE CASCADE foreign key
+    await connection.execute('DELETE FROM users WHERE id = ?', [targetId])
+    await connection.commit()
+  } catch (error) {
+    await connection.rollback()
+    throw error
+  } finally {
+    connection.release()
+  }
+
+  res.locals.audit = {
+    details: {
+      storesReassignedTo: ownedStores > 0 ? Number(reassignTo) : null,
+      ratingsDeleted: Number(ratingCount[0].count)
+    }
+  }
+
+  await logSecurityEvent(db, 'USER_DELETED', req.user.id, {
+    targetUserId: targetId,
+    targetEmail: target.email,
+    targetRole: target.role,
+    storesReassignedTo: ownedStores > 0 ? Number(reassignTo) : null,
+    ipAddress: req.ip
+  })
+
   res.json({
     success: true,
-    data: store[0]
+    message: 'User deleted successfully',
+    data: {
+      storesReassigned: ownedStores,
+      ratingsDeleted: Number(ratingCount[0].count)
+    }
   })
 }))
 
 /**
- * Create New Store
+ * ================================
+ * USER SESSION ENDPOINTS
+ * ================================
+ */
+
+/**
+ * Load a User Whose Sessions and Lockout the Admin May Manage
  * 
- * Creates a new store record with the specified details and assigns it to a store owner.
- * Validates input data, ensures email uniqueness, and verifies the owner exists and
- * has the appropriate role permissions.
+ * Admins may always manage their own account; other users are subject to
+ * the role hierarchy (`RBACController.canManageUser`).
  * 
- * @route POST /admin/stores
+ * @param {Object} req - Express request (db, params and authenticated admin)
+ * @returns {Promise<Object>} { user } or { status, message } when not allowed
+ */
+const loadManageableUser = async (req) => {
+  const db = req.app.locals.db
+  const targetId = parseInt(req.params.id)
+
+  const [users] = await db.execute('SELECT id, name, email, role FROM users WHERE id = ?', [targetId])
+  if (users.length === 0) {
+    return { status: 404, message: 'User not found' }
+  }
+
+  const target = users[0]
+  if (target.id !== req.user.id && !RBACController.canManageUser(req.user.role, target.role)) {
+    return { status: 403, message: 'You cannot manage a user with this role' }
+  }
+
+  return { user: target }
+}
+
+/**
+ * List a User's Sessions
+ * 
+ * @route GET /admin/users/:id/sessions
  * @access Admin only
- * @param {string} name - Store name
- * @param {string} email - Store contact email (must be unique)
- * @param {string} address - Store physical address
- * @param {number} owner_id - ID of the user who will own this store
+ * @param {number} id - User ID
  * @returns {Object} success - Operation status
- * @returns {string} message - Success message
- * @returns {Object} data - Created store object with owner information
+ * @returns {Object} data - Contains the user's active sessions
+ */
+router.get('/users/:id/sessions', requirePermission(PERMISSIONS.USER_READ_ALL), adminSessionRules, asyncHandler(async (req, res) => {
+  const { user, status, message } = await loadManageableUser(req)
+  if (!user) {
+    return res.status(status).json({ success: false, message })
+  }
+
+  const sessions = await listActiveSessions(req.app.locals.db, user.id)
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      }))
+    }
+  })
+}))
+
+/**
+ * Revoke All of a User's Sessions
+ * 
+ * Signs the user out on every device. When admins target themselves, the
+ * session making the request is kept.
+ * 
+ * @route DELETE /admin/users/:id/sessions
+ * @access Admin only
+ * @param {number} id - User ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Result message
+ * @returns {Object} data - Number of sessions revoked
  */
-router.post('/stores', storeRules, asyncHandler(async (req, res) => {
+router.delete('/users/:id/sessions', requirePermission(PERMISSIONS.USER_UPDATE_ANY), adminSessionRules, asyncHandler(async (req, res) => {
   const db = req.app.locals.db
-  const { name, email, address, owner_id } = req.body
-  
-  
-  const [existingStore] = await db.execute('SELECT id FROM stores WHERE email = ?', [email])
-  if (existingStore.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Store email already exists'
-    })
+  const { user, status, message } = await loadManageableUser(req)
+  if (!user) {
+    return res.status(status).json({ success: false, message })
   }
-  
-  
-  const [owner] = await db.execute('SELECT id, role FROM users WHERE id = ? AND role = "store_owner"', [owner_id])
-  if (owner.length === 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid owner ID or user is not a store owner'
+
+  const exceptSessionId = user.id === req.user.id ? req.user.sessionId : null
+  const revoked = await revokeUserSessions(db, user.id, { exceptSessionId })
+
+  if (revoked > 0) {
+    await logSecurityEvent(db, 'SESSIONS_REVOKED', user.id, {
+      ipAddress: req.ip,
+      revokedBy: req.user.id,
+      sessionsRevoked: revoked
     })
   }
-  
-  
-  const [result] = await db.execute(
-    'INSERT INTO stores (name, email, address, owner_id) VALUES (?, ?, ?, ?)',
-    [name, email, address, owner_id]
-  )
-  
-  
-  const [newStore] = await db.execute(`
-    SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at,
+
+  res.json({
+    success: true,
+    message: `Revoked ${revoked} session(s)`,
+    data: { revoked }
+  })
+}))
+
+/**
+ * Revoke One of a User's Sessions
+ * 
+ * @route DELETE /admin/users/:id/sessions/:sessionId
+ * @access Admin only
+ * @param {number} id - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Result message
+ */
+router.delete('/users/:id/sessions/:sessionId', requirePermission(PERMISSIONS.USER_UPDATE_ANY), adminSessionRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { user, status, message } = await loadManageableUser(req)
+  if (!user) {
+    return res.status(status).json({ success: false, message })
+  }
+
+  const session = await getActiveSession(db, req.params.sessionId)
+  if (!session || session.user_id !== user.id) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    })
+  }
+
+  await revokeSession(db, session.id)
+  await logSecurityEvent(db, 'SESSIONS_REVOKED', user.id, {
+    ipAddress: req.ip,
+    revokedBy: req.user.id,
+    sessionsRevoked: 1,
+    sessionId: session.id
+  })
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  })
+}))
+
+/**
+ * ================================
+ * ACCOUNT LOCKOUT ENDPOINTS
+ * ================================
+ */
+
+/**
+ * Unlock a User Account
+ * 
+ * Lifts a login lockout (or progressive delay) by clearing the account's
+ * recent failed login attempts. Logged as an ACCOUNT_UNLOCKED security event.
+ * 
+ * @route POST /admin/users/:id/unlock
+ * @access Admin only
+ * @param {number} id - User ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Result message
+ * @returns {Object} data - Whether the account was locked and failures cleared
+ */
+router.post('/users/:id/unlock', requirePermission(PERMISSIONS.USER_UPDATE_ANY), idRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { user, status, message } = await loadManageableUser(req)
+  if (!user) {
+    return res.status(status).json({ success: false, message })
+  }
+
+  const { locked } = await getLockoutStatus(db, user.email)
+  const failuresCleared = await clearFailedLogins(db, user.email)
+
+  if (failuresCleared > 0) {
+    await logSecurityEvent(db, 'ACCOUNT_UNLOCKED', user.id, {
+      ipAddress: req.ip,
+      unlockedBy: req.user.id,
+      wasLocked: locked,
+      failuresCleared
+    })
+  }
+
+  res.json({
+    success: true,
+    message: locked ? 'Account unlocked successfully' : 'Account was not locked',
+    data: { wasLocked: locked, failuresCleared }
+  })
+}))
+
+/**
+ * Reset a User's Two-Factor Authentication
+ * 
+ * Removes the user's authenticator secret and recovery codes, e.g. after a
+ * lost device, and signs them out everywhere. Roles that require 2FA must
+ * enrol again at their next login. Logged as a TWO_FACTOR_RESET security event.
+ * 
+ * @route POST /admin/users/:id/2fa/reset
+ * @access Admin only
+ * @param {number} id - User ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Result message
+ */
+router.post('/users/:id/2fa/reset', requirePermission(PERMISSIONS.USER_UPDATE_ANY), idRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { user, status, message } = await loadManageableUser(req)
+  if (!user) {
+    return res.status(status).json({ success: false, message })
+  }
+
+  await disableTwoFactor(db, user.id)
+  const sessionsRevoked = await revokeAllUserTokens(db, user.id)
+
+  await logSecurityEvent(db, 'TWO_FACTOR_RESET', user.id, {
+    ipAddress: req.ip,
+    resetBy: req.user.id,
+    sessionsRevoked
+  })
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication reset successfully'
+  })
+}))
+
+/**
+ * ================================
+ * STORE MANAGEMENT ENDPOINTS
+ * ================================
+ */
+
+/**
+ * Sortable columns for the store listing, keyed by public sort field
+ */
+const STORE_SORT_COLUMNS = {
+  name: 's.name',
+  email: 's.email',
+  address: 's.address',
+  owner_name: 'u.name',
+  average_rating: 'average_rating',
+  total_ratings: 'total_ratings',
+  created_at: 's.created_at',
+  updated_at: 's.updated_at'
+}
+
+/**
+ * Searchable store columns for the `filter` parameter
+ */
+const STORE_SEARCH_COLUMNS = {
+  name: ['s.name'],
+  email: ['s.email'],
+  address: ['s.address'],
+  owner: ['u.name', 'u.email']
+}
+
+/**
+ * Retrieve All Stores
+ * 
+ * Fetches a page of stores with their owner information and rating statistics.
+ * Rating aggregates are computed once per store in a derived table so they can
+ * be filtered and sorted like regular columns.
+ * 
+ * @route GET /admin/stores
+ * @access Admin only
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Page size (max 100)
+ * @param {string} [sortBy=created_at] - Any column in STORE_SORT_COLUMNS
+ * @param {string} [sortOrder=desc] - asc or desc
+ * @param {string} [search] - Free-text search over name, email, address and owner
+ * @param {string} [filter] - Restrict search to name, email, address or owner
+ * @param {string} [name] - Name contains
+ * @param {string} [email] - Email contains
+ * @param {string} [address] - Address contains
+ * @param {string} [owner] - Owner name or email contains
+ * @param {number} [owner_id] - Exact owner
+ * @param {number} [minRating] - Minimum average rating
+ * @param {number} [maxRating] - Maximum average rating
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Stores page, pagination metadata and summary totals
+ */
+router.get('/stores', requirePermission(PERMISSIONS.STORE_READ_ALL), paginationRules, searchRules, storeFilterRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { search, filter, name, email, address, owner, owner_id, minRating, maxRating } = req.query
+  const { page, limit, offset } = getPagination(req.query)
+  const { sortBy, sortOrder, orderBy } = getSort(req.query, STORE_SORT_COLUMNS, { field: 'created_at', order: 'desc' })
+
+  const conditions = []
+  const values = []
+
+  const addContains = (columns, term) => {
+    conditions.push(`(${columns.map(column => `${column} LIKE ?`).join(' OR ')})`)
+    columns.forEach(() => values.push(toLikePattern(term)))
+  }
+
+  if (search) {
+    const columns = STORE_SEARCH_COLUMNS[filter] || Object.values(STORE_SEARCH_COLUMNS).flat()
+    addContains(columns, search)
+  }
+
+  if (name) addContains(STORE_SEARCH_COLUMNS.name, name)
+  if (email) addContains(STORE_SEARCH_COLUMNS.email, email)
+  if (address) addContains(STORE_SEARCH_COLUMNS.address, address)
+  if (owner) addContains(STORE_SEARCH_COLUMNS.owner, owner)
+
+  if (owner_id) {
+    conditions.push('s.owner_id = ?')
+    values.push(owner_id)
+  }
+
+  if (minRating) {
+    conditions.push('COALESCE(rs.average_rating, 0) >= ?')
+    values.push(parseFloat(minRating))
+  }
+
+  if (maxRating) {
+    conditions.push('COALESCE(rs.average_rating, 0) <= ?')
+    values.push(parseFloat(maxRating))
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+  const fromClause = `
+    FROM stores s
+    LEFT JOIN users u ON s.owner_id = u.id
+    LEFT JOIN (
+      SELECT store_id, AVG(rating) as average_rating, COUNT(*) as total_ratings
+      FROM ratings
+      WHERE hidden_at IS NULL
+      GROUP BY store_id
+    ) rs ON rs.store_id = s.id
+  `
+
+  const [stores] = await db.execute(`
+    SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.updated_at,
+           u.name as owner_name, u.email as owner_email,
+           COALESCE(rs.average_rating, 0) as average_rating,
+           COALESCE(rs.total_ratings, 0) as total_ratings
+    ${fromClause}
+    ${whereClause}
+    ORDER BY ${orderBy}, s.id ${sortOrder.toUpperCase()}
+    LIMIT ${limit} OFFSET ${offset}
+  `, values)
+
+  const [totalCount] = await db.execute(`
+    SELECT COUNT(*) as count ${fromClause} ${whereClause}
+  `, values)
+
+  const [summary] = await db.execute(`
+    SELECT COUNT(*) as totalStores,
+           COALESCE(SUM(rs.average_rating >= 4), 0) as highRatedStores,
+           COUNT(rs.store_id) as ratedStores,
+           COUNT(DISTINCT s.owner_id) as storeOwners
+    FROM stores s
+    LEFT JOIN (
+      SELECT store_id, AVG(rating) as average_rating
+      FROM ratings
+      WHERE hidden_at IS NULL
+      GROUP BY store_id
+    ) rs ON rs.store_id = s.id
+  `)
+
+  const storesWithAverages = await attachCriteriaAverages(db, stores)
+
+  res.json({
+    success: true,
+    data: {
+      stores: storesWithAverages.map(store => ({
+        ...store,
+        average_rating: parseFloat(Number(store.average_rating).toFixed(2)),
+        total_ratings: Number(store.total_ratings)
+      })),
+      ...buildPaginationMeta(totalCount[0].count, page, limit),
+      sortBy,
+      sortOrder,
+      summary: {
+        totalStores: Number(summary[0].totalStores),
+        highRatedStores: Number(summary[0].highRatedStores),
+        ratedStores: Number(summary[0].ratedStores),
+        storeOwners: Number(summary[0].storeOwners)
+      }
+    }
+  })
+}))
+
+/**
+ * Retrieve Store by ID
+ * 
+ * Fetches detailed information for a specific store including owner details
+ * and comprehensive rating statistics with per-criterion averages.
+ * Returns 404 if store doesn't exist.
+ * 
+ * @route GET /admin/stores/:id
+ * @access Admin only
+ * @param {number} id - Store's unique identifier
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Store object with owner info and rating statistics
+ * @returns {string} message - Error message if store not found
+ */
+router.get('/stores/:id', requirePermission(PERMISSIONS.STORE_READ_ALL), idRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { id } = req.params
+  
+  
+  const [store] = await db.execute(`
+    SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.updated_at,
+           u.name as owner_name,
+           AVG(r.rating) as average_rating,
+           COUNT(r.id) as total_ratings
+    FROM stores s
+    LEFT JOIN users u ON s.owner_id = u.id
+    LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
+    WHERE s.id = ?
+    GROUP BY s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.updated_at, u.name
+  `, [id])
+  
+  if (store.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Store not found'
+    })
+  }
+  
+  const [storeWithAverages] = await attachCriteriaAverages(db, store)
+
+  res.json({
+    success: true,
+    data: storeWithAverages
+  })
+}))
+
+/**
+ * Create New Store
+ * 
+ * Creates a new store record with the specified details and assigns it to a store owner.
+ * Validates input data, ensures email uniqueness, and verifies the owner exists and
+ * has the appropriate role permissions.
+ * 
+ * @route POST /admin/stores
+ * @access Admin only
+ * @param {string} name - Store name
+ * @param {string} email - Store contact email (must be unique)
+ * @param {string} address - Store physical address
+ * @param {number} owner_id - ID of the user who will own this store
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - Created store object with owner information
+ */
+router.post('/stores', requirePermission(PERMISSIONS.STORE_CREATE), storeRules, auditLogger(ACTIONS.CREATE, RESOURCE_TYPES.STORE), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { name, email, address, owner_id } = req.body
+  
+  
+  const [existingStore] = await db.execute('SELECT id FROM stores WHERE email = ?', [email])
+  if (existingStore.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Store email already exists'
+    })
+  }
+  
+  
+  const [owner] = await db.execute('SELECT id, role FROM users WHERE id = ? AND role = "store_owner"', [owner_id])
+  if (owner.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid owner ID or user is not a store owner'
+    })
+  }
+  
+  
+  const [result] = await db.execute(
+    'INSERT INTO stores (name, email, address, owner_id) VALUES (?, ?, ?, ?)',
+    [name, email, address, owner_id]
+  )
+  
+  
+  res.locals.audit = { resourceId: result.insertId }
+
+  const [newStore] = await db.execute(`
+    SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at,
            u.name as owner_name
     FROM stores s
     LEFT JOIN users u ON s.owner_id = u.id
@@ -346,4 +1180,890 @@ router.post('/stores', storeRules, asyncHandler(async (req, res) => {
   })
 }))
 
+/**
+ * Find Store
+ * 
+ * Reads the editable columns of a store for existence and change checks.
+ * 
+ * @param {Object} db - Database connection or pool
+ * @param {number} storeId - Store ID
+ * @returns {Promise<Object|undefined>} Store row, or undefined when missing
+ */
+const findStore = async (db, storeId) => {
+  const [stores] = await db.execute(
+    'SELECT id, name, email, address, owner_id FROM stores WHERE id = ?',
+    [storeId]
+  )
+  return stores[0]
+}
+
+/**
+ * Update Store
+ * 
+ * Updates a store's details. When `owner_id` differs from the current owner
+ * the store is transferred, which is only allowed to an existing user with
+ * the store_owner role. Every successful update is written to the audit log
+ * with before/after snapshots.
+ * 
+ * @route PUT /admin/stores/:id
+ * @access Admin only
+ * @param {number} id - Store ID
+ * @param {string} name - Store name
+ * @param {string} email - Store contact email (must be unique)
+ * @param {string} address - Store physical address
+ * @param {number} [owner_id] - New owner; omit to keep the current owner
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - Updated store object with owner information
+ */
+router.put('/stores/:id', requirePermission(PERMISSIONS.STORE_UPDATE_ANY), idRules, storeRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.STORE), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const storeId = parseInt(req.params.id)
+  const { name, email, address, owner_id } = req.body
+
+  const before = await findStore(db, storeId)
+  if (!before) {
+    return res.status(404).json({
+      success: false,
+      message: 'Store not found'
+    })
+  }
+
+  if (email !== before.email) {
+    const [existingStore] = await db.execute('SELECT id FROM stores WHERE email = ? AND id != ?', [email, storeId])
+    if (existingStore.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store email already exists'
+      })
+    }
+  }
+
+  const newOwnerId = owner_id ? parseInt(owner_id) : before.owner_id
+  const ownerChanged = newOwnerId !== before.owner_id
+
+  if (ownerChanged) {
+    const [owner] = await db.execute('SELECT id FROM users WHERE id = ? AND role = ?', [newOwnerId, ROLES.STORE_OWNER])
+    if (owner.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid owner ID or user is not a store owner'
+      })
+    }
+  }
+
+  await db.execute(
+    'UPDATE stores SET name = ?, email = ?, address = ?, owner_id = ? WHERE id = ?',
+    [name, email, address, newOwnerId, storeId]
+  )
+
+  res.locals.audit = {
+    details: {
+      ownershipTransfer: ownerChanged ? { from: before.owner_id, to: newOwnerId } : null
+    }
+  }
+
+  const [updatedStore] = await db.execute(`
+    SELECT s.id, s.name, s.email, s.address, s.owner_id, s.created_at, s.updated_at,
+           u.name as owner_name
+    FROM stores s
+    LEFT JOIN users u ON s.owner_id = u.id
+    WHERE s.id = ?
+  `, [storeId])
+
+  res.json({
+    success: true,
+    message: ownerChanged ? 'Store updated and ownership transferred successfully' : 'Store updated successfully',
+    data: updatedStore[0]
+  })
+}))
+
+/**
+ * Delete Store
+ * 
+ * Permanently deletes a store. All ratings for the store are deleted with it
+ * (ON DELETE CASCADE); the number removed is returned and recorded in the
+ * audit log together with a snapshot of the store.
+ * 
+ * @route DELETE /admin/stores/:id
+ * @access Admin only
+ * @param {number} id - Store ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - Number of ratings deleted with the store
+ */
+router.delete('/stores/:id', requirePermission(PERMISSIONS.STORE_DELETE_ANY), idRules, auditLogger(ACTIONS.DELETE, RESOURCE_TYPES.STORE), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const storeId = parseInt(req.params.id)
+
+  const before = await findStore(db, storeId)
+  if (!before) {
+    return res.status(404).json({
+      success: false,
+      message: 'Store not found'
+    })
+  }
+
+  const [ratingStats] = await db.execute(
+    'SELECT COUNT(*) as count, AVG(CASE WHEN hidden_at IS NULL THEN rating END) as average_rating FROM ratings WHERE store_id = ?',
+    [storeId]
+  )
+  const ratingsDeleted = Number(ratingStats[0].count)
+
+  await db.execute('DELETE FROM stores WHERE id = ?', [storeId])
+
+  res.locals.audit = {
+    details: {
+      ratingsDeleted,
+      averageRating: ratingStats[0].average_rating === null ? null : Number(ratingStats[0].average_rating)
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'Store deleted successfully',
+    data: {
+      ratingsDeleted
+    }
+  })
+}))
+
+/**
+ * ================================
+ * RATING ENDPOINTS
+ * ================================
+ */
+
+/**
+ * Get Rating History
+ * 
+ * Retrieves any rating together with every earlier version it replaced.
+ * 
+ * @route GET /admin/ratings/:id/history
+ * @access Admin only
+ * @param {number} id - Rating ID
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Current rating and its revisions, newest first
+ */
+router.get('/ratings/:id/history', requirePermission(PERMISSIONS.RATING_READ_ALL), idRules, asyncHandler(async (req, res) => {
+  const history = await getRatingHistory(req.app.locals.db, req.params.id)
+
+  if (!history) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  res.json({
+    success: true,
+    data: history
+  })
+}))
+
+/**
+ * Get Moderation Queue
+ * 
+ * Lists reported and hidden reviews with per-review report counts. By
+ * default only reviews with unresolved reports are returned, most reported
+ * first.
+ * 
+ * @route GET /admin/ratings/moderation
+ * @access Admin only
+ * @param {string} [status=open] - `open`, `hidden` or `all`
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Ratings with report counts, pagination metadata and
+ *   the number of open and hidden reviews
+ */
+router.get('/ratings/moderation', requirePermission(PERMISSIONS.RATING_UPDATE_ANY), moderationQueueRules, asyncHandler(async (req, res) => {
+  const { page, limit, offset } = getPagination(req.query)
+  const status = req.query.status || 'open'
+
+  const { ratings, total, counts } = await listModerationQueue(req.app.locals.db, { status, limit, offset })
+
+  res.json({
+    success: true,
+    data: {
+      ratings,
+      ...buildPaginationMeta(total, page, limit),
+      status,
+      counts
+    }
+  })
+}))
+
+/**
+ * Get Rating Reports
+ * 
+ * Lists every report filed against a review, open and resolved.
+ * 
+ * @route GET /admin/ratings/:id/reports
+ * @access Admin only
+ * @param {number} id - Rating ID
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Reports, newest first
+ */
+router.get('/ratings/:id/reports', requirePermission(PERMISSIONS.RATING_UPDATE_ANY), idRules, asyncHandler(async (req, res) => {
+  const reports = await getRatingReports(req.app.locals.db, req.params.id)
+
+  res.json({
+    success: true,
+    data: {
+      reports
+    }
+  })
+}))
+
+/**
+ * Hide Rating
+ * 
+ * Hides a review from listings and store averages and resolves its open
+ * reports. The author still sees their rating, marked as hidden.
+ * 
+ * @route POST /admin/ratings/:id/hide
+ * @access Admin only
+ * @param {number} id - Rating ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ */
+router.post('/ratings/:id/hide', requirePermission(PERMISSIONS.RATING_UPDATE_ANY), idRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.RATING), asyncHandler(async (req, res) => {
+  if (!await hideRating(req.app.locals.db, req.params.id, req.user.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  res.json({
+    success: true,
+    message: 'Review hidden'
+  })
+}))
+
+/**
+ * Restore Rating
+ * 
+ * Makes a hidden review visible again and resolves its open reports. On a
+ * visible review this dismisses the reports.
+ * 
+ * @route POST /admin/ratings/:id/restore
+ * @access Admin only
+ * @param {number} id - Rating ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ */
+router.post('/ratings/:id/restore', requirePermission(PERMISSIONS.RATING_UPDATE_ANY), idRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.RATING), asyncHandler(async (req, res) => {
+  if (!await restoreRating(req.app.locals.db, req.params.id, req.user.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  res.json({
+    success: true,
+    message: 'Review restored'
+  })
+}))
+
+/**
+ * Delete Rating
+ * 
+ * Permanently deletes a review together with its reports and revisions.
+ * 
+ * @route DELETE /admin/ratings/:id
+ * @access Admin only
+ * @param {number} id - Rating ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ */
+router.delete('/ratings/:id', requirePermission(PERMISSIONS.RATING_DELETE_ANY), idRules, auditLogger(ACTIONS.DELETE, RESOURCE_TYPES.RATING), asyncHandler(async (req, res) => {
+  const [result] = await req.app.locals.db.execute('DELETE FROM ratings WHERE id = ?', [req.params.id])
+
+  if (result.affectedRows === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  res.json({
+    success: true,
+    message: 'Review deleted'
+  })
+}))
+
+/**
+ * ================================
+ * AUDIT AND SECURITY LOG ENDPOINTS
+ * ================================
+ */
+
+/**
+ * Maximum number of rows returned by a CSV export
+ */
+const LOG_EXPORT_LIMIT = 10000
+
+const AUDIT_LOG_CSV_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'created_at', label: 'Time' },
+  { key: 'user_id', label: 'User ID' },
+  { key: 'user_name', label: 'User' },
+  { key: 'user_email', label: 'Email' },
+  { key: 'user_role', label: 'Role' },
+  { key: 'action', label: 'Action' },
+  { key: 'resource_type', label: 'Resource Type' },
+  { key: 'resource_id', label: 'Resource ID' },
+  { key: 'ip_address', label: 'IP Address' },
+  { key: 'user_agent', label: 'User Agent' },
+  { key: 'details', label: 'Details' }
+]
+
+const SECURITY_LOG_CSV_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'created_at', label: 'Time' },
+  { key: 'event_type', label: 'Event Type' },
+  { key: 'user_id', label: 'User ID' },
+  { key: 'user_name', label: 'User' },
+  { key: 'user_email', label: 'Email' },
+  { key: 'ip_address', label: 'IP Address' },
+  { key: 'details', label: 'Details' }
+]
+
+/**
+ * Build Shared Log Filters
+ * 
+ * Translates the filters common to audit and security logs into SQL
+ * conditions against the log table aliased as `l` joined to users as `u`.
+ * Date-only `to` values include the whole day.
+ * 
+ * @param {Object} query - Express request query
+ * @returns {Object} { conditions, values }
+ */
+const buildLogFilters = (query) => {
+  const { user_id, search, ip, from, to } = query
+  const conditions = []
+  const values = []
+
+  if (user_id) {
+    conditions.push('l.user_id = ?')
+    values.push(user_id)
+  }
+
+  if (search) {
+    conditions.push('(u.name LIKE ? OR u.email LIKE ? OR l.ip_address LIKE ?)')
+    values.push(toLikePattern(search), toLikePattern(search), toLikePattern(search))
+  }
+
+  if (ip) {
+    conditions.push('l.ip_address LIKE ?')
+    values.push(toLikePattern(ip))
+  }
+
+  if (from) {
+    conditions.push('l.created_at >= ?')
+    values.push(new Date(from))
+  }
+
+  if (to) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      conditions.push('l.created_at < DATE_ADD(?, INTERVAL 1 DAY)')
+      values.push(to)
+    } else {
+      conditions.push('l.created_at <= ?')
+      values.push(new Date(to))
+    }
+  }
+
+  return { conditions, values }
+}
+
+/**
+ * Run a Log Listing Query
+ * 
+ * Returns either a page of log rows with pagination metadata, or every
+ * matching row (up to LOG_EXPORT_LIMIT) when exporting.
+ * 
+ * @param {Object} db - Database connection or pool
+ * @param {Object} options
+ * @param {string} options.table - Log table name
+ * @param {string} options.columns - Log columns to select (aliased `l`)
+ * @param {string[]} options.conditions - SQL conditions
+ * @param {Array} options.values - Bound values for the conditions
+ * @param {Object} options.query - Express request query (pagination)
+ * @param {boolean} options.exportAll - Skip pagination for CSV export
+ * @returns {Promise<Object>} { logs, meta } where meta is null when exporting
+ */
+const listLogs = async (db, { table, columns, conditions, values, query, exportAll }) => {
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+  const fromClause = `FROM ${table} l LEFT JOIN users u ON l.user_id = u.id ${whereClause}`
+
+  if (exportAll) {
+    const [logs] = await db.execute(`
+      SELECT ${columns}, u.name as user_name, u.email as user_email
+      ${fromClause}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT ${LOG_EXPORT_LIMIT}
+    `, values)
+    return { logs, meta: null }
+  }
+
+  const { page, limit, offset } = getPagination(query, { defaultLimit: 25 })
+
+  const [logs] = await db.execute(`
+    SELECT ${columns}, u.name as user_name, u.email as user_email
+    ${fromClause}
+    ORDER BY l.created_at DESC, l.id DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `, values)
+
+  const [totalCount] = await db.execute(`SELECT COUNT(*) as count ${fromClause}`, values)
+
+  return { logs, meta: buildPaginationMeta(totalCount[0].count, page, limit) }
+}
+
+/**
+ * Retrieve Audit Logs
+ * 
+ * Lists audit entries newest first with the acting user's name and email.
+ * Pass `format=csv` to download every matching entry (up to 10,000 rows)
+ * as CSV instead of a JSON page.
+ * 
+ * @route GET /admin/audit-logs
+ * @access Admin only
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=25] - Page size (max 100)
+ * @param {number} [user_id] - Acting user
+ * @param {string} [search] - User name, email or IP contains
+ * @param {string} [action] - Exact action (create, update, delete, ...)
+ * @param {string} [resource_type] - Exact resource type (user, store, rating, profile)
+ * @param {string} [ip] - IP address contains
+ * @param {string} [from] - Earliest timestamp (ISO 8601)
+ * @param {string} [to] - Latest timestamp (ISO 8601; a date includes the whole day)
+ * @param {string} [format=json] - json or csv
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Log entries, pagination metadata and available actions
+ */
+router.get('/audit-logs', requirePermission(PERMISSIONS.SYSTEM_AUDIT), paginationRules, searchRules, logFilterRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { action, resource_type, format } = req.query
+  const { conditions, values } = buildLogFilters(req.query)
+
+  if (action) {
+    conditions.push('l.action = ?')
+    values.push(action)
+  }
+
+  if (resource_type) {
+    conditions.push('l.resource_type = ?')
+    values.push(resource_type)
+  }
+
+  const { logs, meta } = await listLogs(db, {
+    table: 'audit_logs',
+    columns: 'l.id, l.user_id, l.user_role, l.action, l.resource_type, l.resource_id, l.ip_address, l.user_agent, l.details, l.created_at',
+    conditions,
+    values,
+    query: req.query,
+    exportAll: format === 'csv'
+  })
+
+  if (format === 'csv') {
+    return sendCsv(res, `audit-logs-${new Date().toISOString().slice(0, 10)}.csv`, AUDIT_LOG_CSV_COLUMNS, logs)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      logs,
+      ...meta,
+      actions: Object.values(ACTIONS),
+      resourceTypes: Object.values(RESOURCE_TYPES)
+    }
+  })
+}))
+
+/**
+ * Retrieve Security Logs
+ * 
+ * Lists security events (failed authentication, access denials, role
+ * changes, ...) newest first. Pass `format=csv` to download every matching
+ * event (up to 10,000 rows) as CSV instead of a JSON page.
+ * 
+ * @route GET /admin/security-logs
+ * @access Admin only
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=25] - Page size (max 100)
+ * @param {number} [user_id] - User involved
+ * @param {string} [search] - User name, email or IP contains
+ * @param {string} [event_type] - Exact event type (e.g. ACCESS_DENIED)
+ * @param {string} [ip] - IP address contains
+ * @param {string} [from] - Earliest timestamp (ISO 8601)
+ * @param {string} [to] - Latest timestamp (ISO 8601; a date includes the whole day)
+ * @param {string} [format=json] - json or csv
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Log entries, pagination metadata and recorded event types
+ */
+router.get('/security-logs', requirePermission(PERMISSIONS.SYSTEM_AUDIT), paginationRules, searchRules, logFilterRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { event_type, format } = req.query
+  const { conditions, values } = buildLogFilters(req.query)
+
+  if (event_type) {
+    conditions.push('l.event_type = ?')
+    values.push(event_type)
+  }
+
+  const { logs, meta } = await listLogs(db, {
+    table: 'security_logs',
+    columns: 'l.id, l.user_id, l.event_type, l.details, l.ip_address, l.created_at',
+    conditions,
+    values,
+    query: req.query,
+    exportAll: format === 'csv'
+  })
+
+  if (format === 'csv') {
+    return sendCsv(res, `security-logs-${new Date().toISOString().slice(0, 10)}.csv`, SECURITY_LOG_CSV_COLUMNS, logs)
+  }
+
+  const [eventTypes] = await db.execute('SELECT DISTINCT event_type FROM security_logs ORDER BY event_type')
+
+  res.json({
+    success: true,
+    data: {
+      logs,
+      ...meta,
+      eventTypes: eventTypes.map(row => row.event_type)
+    }
+  })
+}))
+
+/**
+ * ================================
+ * ROLE MANAGEMENT ENDPOINTS
+ * ================================
+ */
+
+/**
+ * Only system admins may change what roles can do
+ *
+ * Any other role holding `system:manage` could otherwise grant its own role,
+ * or a role it can assign, permissions it does not have. Refused attempts
+ * are logged as ROLE_CHANGE_DENIED security events.
+ */
+const requireRoleEditor = asyncHandler(async (req, res, next) => {
+  if (req.user.role === ROLES.SYSTEM_ADMIN) return next()
+
+  await logSecurityEvent(req.app.locals.db, 'ROLE_CHANGE_DENIED', req.user.id, {
+    ipAddress: req.ip,
+    userRole: req.user.role,
+    method: req.method,
+    role: req.params.name || req.body.name || null,
+    permissions: Array.isArray(req.body.permissions) ? req.body.permissions : undefined
+  })
+
+  res.status(403).json({
+    success: false,
+    message: 'Only system administrators can create, change or delete roles'
+  })
+})
+
+/**
+ * Load a role for audit snapshots; roles are identified by name
+ */
+const roleSnapshot = (db, resourceId, req) => {
+  const name = req.params.name || resourceId
+  return name ? getRole(db, name) : null
+}
+
+/**
+ * List Roles
+ * 
+ * Returns every role with its permissions and number of users, plus the
+ * full list of permissions for the role editor.
+ * 
+ * @route GET /admin/roles
+ * @access Admin only
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - { roles, permissions }
+ */
+router.get('/roles', requirePermission(PERMISSIONS.SYSTEM_MANAGE), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+
+  res.json({
+    success: true,
+    data: {
+      roles: await listRoles(db),
+      permissions: Object.values(PERMISSIONS)
+    }
+  })
+}))
+
+/**
+ * Create Custom Role
+ * 
+ * Custom roles rank below system admins; `level` decides which users the
+ * role can manage (only lower levels). Takes effect immediately.
+ * 
+ * @route POST /admin/roles
+ * @access System admins only
+ * @param {string} name - Role identifier (lowercase letters, digits and underscores)
+ * @param {string} displayName - Name shown in the admin UI
+ * @param {string} [description] - Optional description
+ * @param {number} level - 1 (like normal users) or 2 (like store owners)
+ * @param {string[]} [permissions] - Permissions to grant
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - Created role
+ */
+router.post('/roles', requirePermission(PERMISSIONS.SYSTEM_MANAGE), requireRoleEditor, roleCreateRules, auditLogger(ACTIONS.CREATE, RESOURCE_TYPES.ROLE, { snapshot: roleSnapshot }), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { name, displayName, description, level, permissions } = req.body
+
+  if (await getRole(db, name)) {
+    return res.status(409).json({
+      success: false,
+      message: 'A role with this name already exists'
+    })
+  }
+
+  await createRole(db, { name, displayName, description, level, permissions })
+  res.locals.audit = { resourceId: name }
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: await getRole(db, name)
+  })
+}))
+
+/**
+ * Update Role
+ * 
+ * Changes a role's display name, description, level or permissions. The
+ * new permissions apply to the role's users on their next request. Built-in
+ * roles keep their level and the system admin role keeps every permission.
+ * Permission changes are logged as ROLE_PERMISSIONS_CHANGED security events.
+ * 
+ * @route PUT /admin/roles/:name
+ * @access System admins only
+ * @param {string} name - Role identifier
+ * @param {string} [displayName] - Name shown in the admin UI
+ * @param {string} [description] - Description
+ * @param {number} [level] - Custom roles only
+ * @param {string[]} [permissions] - Complete new permission list
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - Updated role
+ */
+router.put('/roles/:name', requirePermission(PERMISSIONS.SYSTEM_MANAGE), requireRoleEditor, roleUpdateRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.ROLE, { snapshot: roleSnapshot }), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { displayName, description, level, permissions } = req.body
+
+  const role = await getRole(db, req.params.name)
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    })
+  }
+
+  if (role.is_builtin && level !== undefined && level !== role.level) {
+    return res.status(400).json({
+      success: false,
+      message: 'The level of a built-in role cannot be changed'
+    })
+  }
+
+  if (role.name === ROLES.SYSTEM_ADMIN && permissions !== undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'System admins always have every permission'
+    })
+  }
+
+  await updateRole(db, role, { displayName, description, level, permissions })
+  res.locals.audit = { resourceId: role.name }
+
+  if (permissions !== undefined) {
+    const granted = permissions.filter(permission => !role.permissions.includes(permission))
+    const revoked = role.permissions.filter(permission => !permissions.includes(permission))
+
+    if (granted.length > 0 || revoked.length > 0) {
+      await logSecurityEvent(db, 'ROLE_PERMISSIONS_CHANGED', req.user.id, {
+        ipAddress: req.ip,
+        role: role.name,
+        granted,
+        revoked
+      })
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: await getRole(db, role.name)
+  })
+}))
+
+/**
+ * Delete Custom Role
+ * 
+ * Built-in roles cannot be deleted, and a role can only be deleted once no
+ * user holds it.
+ * 
+ * @route DELETE /admin/roles/:name
+ * @access System admins only
+ * @param {string} name - Role identifier
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success or error message
+ */
+router.delete('/roles/:name', requirePermission(PERMISSIONS.SYSTEM_MANAGE), requireRoleEditor, roleNameRules, auditLogger(ACTIONS.DELETE, RESOURCE_TYPES.ROLE, { snapshot: roleSnapshot }), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+
+  const role = await getRole(db, req.params.name)
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    })
+  }
+
+  if (role.is_builtin) {
+    return res.status(409).json({
+      success: false,
+      message: 'Built-in roles cannot be deleted'
+    })
+  }
+
+  if (role.user_count > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `This role is assigned to ${role.user_count} user(s). Change their role before deleting it`,
+      data: { userCount: role.user_count }
+    })
+  }
+
+  await deleteRole(db, role.name)
+  res.locals.audit = { resourceId: role.name }
+
+  res.json({
+    success: true,
+    message: 'Role deleted successfully'
+  })
+}))
+
+/**
+ * ================================
+ * RATING CRITERIA ENDPOINTS
+ * ================================
+ */
+
+/**
+ * Load a rating criterion for audit snapshots; criteria are identified by name
+ */
+const criterionSnapshot = (db, resourceId, req) => {
+  const name = req.params.name || resourceId
+  return name ? getCriterion(db, name) : null
+}
+
+/**
+ * List Rating Criteria
+ * 
+ * Returns every criterion users can give a sub-score for, including
+ * deactivated ones, in display order.
+ * 
+ * @route GET /admin/rating-criteria
+ * @access Admin only
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - { criteria }
+ */
+router.get('/rating-criteria', requirePermission(PERMISSIONS.SYSTEM_MANAGE), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      criteria: await listCriteria(req.app.locals.db)
+    }
+  })
+}))
+
+/**
+ * Create Rating Criterion
+ * 
+ * New criteria are active immediately and appear in the rating form.
+ * 
+ * @route POST /admin/rating-criteria
+ * @access Admin only
+ * @param {string} name - Permanent identifier (lowercase letters, digits and underscores)
+ * @param {string} label - Name shown to users
+ * @param {string} [description] - Optional description
+ * @param {number} [sortOrder=0] - Position in forms and listings
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - Created criterion
+ */
+router.post('/rating-criteria', requirePermission(PERMISSIONS.SYSTEM_MANAGE), criterionCreateRules, auditLogger(ACTIONS.CREATE, RESOURCE_TYPES.RATING_CRITERION, { snapshot: criterionSnapshot }), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { name, label, description, sortOrder } = req.body
+
+  if (await getCriterion(db, name)) {
+    return res.status(409).json({
+      success: false,
+      message: 'A criterion with this name already exists'
+    })
+  }
+
+  await createCriterion(db, { name, label, description, sortOrder })
+  res.locals.audit = { resourceId: name }
+
+  res.status(201).json({
+    success: true,
+    message: 'Rating criterion created successfully',
+    data: await getCriterion(db, name)
+  })
+}))
+
+/**
+ * Update Rating Criterion
+ * 
+ * Relabels, reorders, activates or deactivates a criterion. Criteria are
+ * never deleted: deactivating one removes it from the rating form and from
+ * store averages but keeps the sub-scores already given.
+ * 
+ * @route PUT /admin/rating-criteria/:name
+ * @access Admin only
+ * @param {string} name - Criterion identifier
+ * @param {string} [label] - Name shown to users
+ * @param {string} [description] - Description
+ * @param {number} [sortOrder] - Position in forms and listings
+ * @param {boolean} [isActive] - Whether users can score the criterion
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - Updated criterion
+ */
+router.put('/rating-criteria/:name', requirePermission(PERMISSIONS.SYSTEM_MANAGE), criterionUpdateRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.RATING_CRITERION, { snapshot: criterionSnapshot }), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { label, description, sortOrder, isActive } = req.body
+
+  const criterion = await getCriterion(db, req.params.name)
+  if (!criterion) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating criterion not found'
+    })
+  }
+
+  await updateCriterion(db, criterion.name, { label, description, sortOrder, isActive })
+  res.locals.audit = { resourceId: criterion.name }
+
+  res.json({
+    success: true,
+    message: 'Rating criterion updated successfully',
+    data: await getCriterion(db, criterion.name)
+  })
+}))
+
 module.exports = router
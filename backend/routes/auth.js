@@ -2,49 +2,102 @@
  * Authentication Routes Module
  * 
  * This module handles all authentication-related operations including user registration,
- * login, token verification, and token refresh. It provides secure JWT-based authentication
- * with bcrypt password hashing and comprehensive validation.
+ * login, two-factor authentication, email verification, token verification, token refresh, logout, self-service
+ * password reset and management of the signed-in user's sessions. It issues short-lived JWT access tokens paired with rotating server-side
+ * refresh tokens, with bcrypt password hashing and comprehensive validation.
  * 
  * @module routes/auth
  * @requires express
  * @requires bcrypt
  * @requires jsonwebtoken
  * @requires ../middleware/errorHandler
+ * @requires ../middleware/auth
+ * @requires ../middleware/audit
+ * @requires ../middleware/rateLimit
+ * @requires ../config/rbac
  * @requires ../middleware/validation
+ * @requires ../utils/tokens
+ * @requires ../utils/passwordReset
+ * @requires ../utils/emailVerification
+ * @requires ../utils/loginThrottle
+ * @requires ../utils/twoFactor
  */
 
 const express = require('express')
 const bcrypt = require('bcrypt')
 const jwt = require('jsonwebtoken')
 const { asyncHandler } = require('../middleware/errorHandler')
-const { userRegistrationRules, userLoginRules } = require('../middleware/validation')
+const { authenticateToken } = require('../middleware/auth')
+const { auditLogger, loadSnapshot, logSecurityEvent } = require('../middleware/audit')
+const { rateLimit } = require('../middleware/rateLimit')
+const { ROLES, ACTIONS, RESOURCE_TYPES } = require('../config/rbac')
+const {
+  userRegistrationRules,
+  userLoginRules,
+  refreshTokenRules,
+  logoutRules,
+  forgotPasswordRules,
+  resetPasswordRules,
+  verifyEmailRules,
+  twoFactorCodeRules,
+  twoFactorLoginRules,
+  twoFactorDisableRules,
+  sessionIdRules
+} = require('../middleware/validation')
+const {
+  isTokenCurrent,
+  issueTokenPair,
+  rotateRefreshToken,
+  findTokenFamily,
+  getActiveSession,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+  revokeAllUserTokens
+} = require('../utils/tokens')
+const {
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  sendPasswordResetEmail
+} = require('../utils/passwordReset')
+const {
+  readVerificationToken,
+  getResendWaitSeconds,
+  sendVerificationEmail
+} = require('../utils/emailVerification')
+const { startLoginAttempt, cancelLoginAttempt, recordFailedLogin, clearFailedLogins } = require('../utils/loginThrottle')
+const {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  enableTwoFactor,
+  disableTwoFactor,
+  createChallengeToken,
+  readChallengeToken
+} = require('../utils/twoFactor')
 
 const router = express.Router()
 
 /**
- * Generate JWT Token
- * 
- * Creates a signed JWT token containing user ID and role information.
- * Token expiration is configurable via environment variables with a default of 24 hours.
- * 
- * @param {number} userId - Unique identifier for the user
- * @param {string} role - User's role in the system (normal_user, store_owner, admin)
- * @returns {string} Signed JWT token
+ * Rate limits for the three kinds of auth route: credential endpoints are
+ * counted per IP, token exchanges per IP with a much larger pool, and
+ * signed-in account endpoints per user with per-role quotas
  */
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { userId, role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  )
-}
+const credentialLimit = rateLimit('auth')
+const tokenLimit = rateLimit('authToken')
+const accountLimit = rateLimit('authAccount')
 
 /**
  * User Registration Endpoint
  * 
  * Registers new users in the system with 'normal_user' role by default.
  * Validates input data, ensures email uniqueness, securely hashes passwords,
- * and automatically generates an authentication token upon successful registration.
+ * and automatically issues an access and refresh token pair upon successful registration.
+ * The account starts with an unverified email address and a verification link
+ * is emailed to it; rating stores requires a verified address.
  * 
  * @route POST /auth/register
  * @access Public
@@ -54,9 +107,9 @@ const generateToken = (userId, role) => {
  * @param {string} address - User's address
  * @returns {Object} success - Operation status
  * @returns {string} message - Success message
- * @returns {Object} data - Contains user object and authentication token
+ * @returns {Object} data - Contains user object, access token and refresh token
  */
-router.post('/register', userRegistrationRules, asyncHandler(async (req, res) => {
+router.post('/register', credentialLimit, userRegistrationRules, auditLogger(ACTIONS.CREATE, RESOURCE_TYPES.USER), asyncHandler(async (req, res) => {
   const { name, email, password, address } = req.body
   const db = req.app.locals.db
 
@@ -80,181 +133,913 @@ router.post('/register', userRegistrationRules, asyncHandler(async (req, res) =>
     [name, email, hashedPassword, address, 'normal_user']
   )
 
-  const token = generateToken(result.insertId, 'normal_user')
+  res.locals.audit = {
+    resourceId: result.insertId,
+    actor: { id: result.insertId, role: ROLES.NORMAL_USER }
+  }
+
+  const user = {
+    id: result.insertId,
+    name,
+    email,
+    email_verified_at: null,
+    pending_email: null,
+    address,
+    role: 'normal_user',
+    ...getTwoFactorStatus({ role: 'normal_user' })
+  }
+  const tokens = await issueTokenPair(db, user, req)
+
+  sendVerificationEmail(db, user, email).catch(error => {
+    console.error('Verification email error:', error)
+  })
 
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
+    data: {
+      user,
+      ...tokens
+    }
+  })
+}))
+
+/**
+ * Messages for refused login attempts, keyed by throttle reason
+ */
+const LOGIN_THROTTLE_MESSAGES = {
+  ip: () => 'Too many failed login attempts from this network. Please try again later.',
+  locked: (retryAfter) => `Too many failed login attempts. This account is locked for ${Math.ceil(retryAfter / 60)} minute(s).`,
+  delayed: (retryAfter) => `Too many failed login attempts. Please wait ${retryAfter} second(s) before trying again.`
+}
+
+/**
+ * Refuse a Throttled Login Attempt
+ *
+ * @param {Object} res - Express response object
+ * @param {string} reason - Throttle reason (see LOGIN_THROTTLE_MESSAGES)
+ * @param {number} retryAfter - Seconds until the next attempt is allowed
+ */
+const sendLoginThrottled = (res, reason, retryAfter) => {
+  res.set('Retry-After', String(retryAfter))
+  res.status(429).json({
+    success: false,
+    message: LOGIN_THROTTLE_MESSAGES[reason](retryAfter),
+    data: { retryAfter }
+  })
+}
+
+/**
+ * Record a Failed Login and Refuse It
+ *
+ * Shared by the password and two-factor steps so wrong codes count towards
+ * the same lockout as wrong passwords.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} email - Login email
+ * @param {Object|undefined} user - Matching account, if any
+ * @param {string} message - Message for a plain 401
+ */
+const refuseLogin = async (req, res, email, user, message) => {
+  const db = req.app.locals.db
+  const failure = await recordFailedLogin(db, email, req.ip)
+
+  if (failure.lockedNow) {
+    await logSecurityEvent(db, 'ACCOUNT_LOCKED', user ? user.id : null, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      email,
+      failedAttempts: failure.failures,
+      lockedForSeconds: failure.retryAfter
+    })
+  }
+
+  if (failure.burstNow) {
+    await logSecurityEvent(db, 'LOGIN_BURST', null, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      failedAttempts: failure.ipFailures,
+      lastEmail: email
+    })
+  }
+
+  if (failure.locked) {
+    return sendLoginThrottled(res, 'locked', failure.retryAfter)
+  }
+
+  return res.status(401).json({
+    success: false,
+    message
+  })
+}
+
+/**
+ * Start a Session for an Authenticated User
+ *
+ * Clears the account's failed logins and responds with the user and a new
+ * token pair.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User row (including password-free profile fields)
+ * @param {boolean} rememberMe - Start a long-lived session
+ */
+const completeLogin = async (req, res, user, rememberMe) => {
+  const db = req.app.locals.db
+  await clearFailedLogins(db, user.email)
+
+  const tokens = await issueTokenPair(db, user, req, { rememberMe })
+
+  res.json({
+    success: true,
+    message: 'Login successful',
     data: {
       user: {
-        id: result.insertId,
-        name,
-        email,
-        address,
-        role: 'normal_user'
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        email_verified_at: user.email_verified_at,
+        pending_email: user.pending_email,
+        address: user.address,
+        role: user.role,
+        ...getTwoFactorStatus(user)
       },
-      token
+      ...tokens
     }
   })
-}))
+}
 
 /**
  * User Login Endpoint
  * 
  * Authenticates users by validating email and password credentials.
- * Uses secure bcrypt comparison for password verification and generates
- * a new JWT token upon successful authentication.
+ * Uses secure bcrypt comparison for password verification and starts a new
+ * session with an access and refresh token pair upon successful authentication.
+ * A standard session ends a fixed time after login; a remember-me session lasts
+ * longer and is extended each time its refresh token is used. The response
+ * reports when the access token and the session expire.
+ * 
+ * Failed attempts are throttled per account and per client IP (see
+ * utils/loginThrottle): repeated failures add a growing delay, then lock the
+ * account temporarily. Refused attempts get 429 with a Retry-After header.
+ * Lockouts are logged as ACCOUNT_LOCKED and bursts of failures from one IP
+ * as LOGIN_BURST security events.
+ * 
+ * Accounts with two-factor authentication get no session yet: the response
+ * carries `twoFactorRequired` and a five-minute `challengeToken` to complete
+ * the login at POST /auth/2fa/verify.
  * 
  * @route POST /auth/login
  * @access Public
  * @param {string} email - User's email address
  * @param {string} password - User's password
+ * @param {boolean} [rememberMe=false] - Start a long-lived session
  * @returns {Object} success - Operation status
  * @returns {string} message - Success message
- * @returns {Object} data - Contains user object and authentication token
+ * @returns {Object} data - Contains user object, tokens, accessTokenExpiresAt, expiresAt and rememberMe,
+ *   or twoFactorRequired and challengeToken
  */
-router.post('/login', userLoginRules, asyncHandler(async (req, res) => {
-  const { email, password } = req.body
+router.post('/login', credentialLimit, userLoginRules, asyncHandler(async (req, res) => {
+  const { email, password, rememberMe } = req.body
   const db = req.app.locals.db
 
+  const attempt = await startLoginAttempt(db, email, req.ip)
+  if (attempt.throttle) {
+    return sendLoginThrottled(res, attempt.throttle.reason, attempt.throttle.retryAfter)
+  }
+
   const [users] = await db.execute(
-    'SELECT id, name, email, password, address, role FROM users WHERE email = ?',
+    'SELECT id, name, email, email_verified_at, pending_email, password, address, role, token_version, totp_enabled_at FROM users WHERE email = ?',
     [email]
   )
 
-  if (users.length === 0) {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid email or password'
+  const user = users[0]
+  const isValidPassword = user ? await bcrypt.compare(password, user.password) : false
+
+  if (!isValidPassword) {
+    return refuseLogin(req, res, email, user, 'Invalid email or password')
+  }
+
+  await cancelLoginAttempt(db, attempt.id)
+
+  // Failures are only cleared once the second factor is also correct
+  if (user.totp_enabled_at) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user, rememberMe)
+      }
     })
   }
 
-  const user = users[0]
+  await completeLogin(req, res, user, rememberMe)
+}))
+
+/**
+ * Two-Factor Login Endpoint
+ * 
+ * Completes a login for an account with two-factor authentication using the
+ * challenge token from POST /auth/login and either a code from the
+ * authenticator app or an unused recovery code. Wrong codes count as failed
+ * logins for throttling and lockout. Each use of a recovery code is logged as
+ * a TWO_FACTOR_RECOVERY_CODE_USED security event.
+ * 
+ * @route POST /auth/2fa/verify
+ * @access Public (but requires a valid challenge token)
+ * @param {string} challengeToken - Token from the password step
+ * @param {string} code - 6-digit authenticator code or recovery code
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success or error message
+ * @returns {Object} data - Same as a successful POST /auth/login
+ */
+router.post('/2fa/verify', credentialLimit, twoFactorLoginRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const challenge = readChallengeToken(req.body.challengeToken)
 
-  const isValidPassword = await bcrypt.compare(password, user.password)
+  const [users] = challenge
+    ? await db.execute(
+      'SELECT id, name, email, email_verified_at, pending_email, address, role, token_version, totp_enabled_at FROM users WHERE id = ?',
+      [challenge.userId]
+    )
+    : [[]]
+  const user = users[0]
 
-  if (!isValidPassword) {
+  if (!user || !user.totp_enabled_at || !isTokenCurrent(challenge, user)) {
     return res.status(401).json({
       success: false,
-      message: 'Invalid email or password'
+      message: 'Login session expired. Please sign in again.'
     })
   }
 
-  const token = generateToken(user.id, user.role)
+  const attempt = await startLoginAttempt(db, user.email, req.ip)
+  if (attempt.throttle) {
+    return sendLoginThrottled(res, attempt.throttle.reason, attempt.throttle.retryAfter)
+  }
 
-  res.json({
-    success: true,
-    message: 'Login successful',
-    data: {
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        address: user.address,
-        role: user.role
-      },
-      token
-    }
-  })
+  const method = await verifySecondFactor(db, user.id, req.body.code)
+  if (!method) {
+    return refuseLogin(req, res, user.email, user, 'Invalid authentication code')
+  }
+
+  if (method === 'recovery') {
+    await logSecurityEvent(db, 'TWO_FACTOR_RECOVERY_CODE_USED', user.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      recoveryCodesRemaining: await countRecoveryCodes(db, user.id)
+    })
+  }
+
+  await completeLogin(req, res, user, challenge.rememberMe)
 }))
 
 /**
  * Token Verification Endpoint
  * 
  * Validates JWT tokens and retrieves current user information.
- * Verifies token signature, checks expiration, and ensures the user still exists
- * in the database. Used for maintaining authenticated sessions.
+ * `authenticateToken` verifies the signature and expiry, and ensures the user
+ * still exists, has not revoked their tokens since it was issued and that its
+ * session is still active. Used for maintaining authenticated sessions.
  * 
  * @route GET /auth/verify
- * @access Public (but requires valid token)
+ * @access Private (requires valid token)
  * @header {string} Authorization - Bearer token in format "Bearer <token>"
  * @returns {Object} success - Operation status
  * @returns {Object} data - Contains user object and token
  * @returns {string} message - Error message if token is invalid
  */
-router.get('/verify', asyncHandler(async (req, res) => {
-  const authHeader = req.headers['authorization']
-  const token = authHeader && authHeader.split(' ')[1]
+router.get('/verify', authenticateToken, accountLimit, (req, res) => {
+  const { id, name, email, email_verified_at, pending_email, address, role } = req.user
 
-  if (!token) {
-    return res.status(401).json({
+  res.json({
+    success: true,
+    data: {
+      user: { id, name, email, email_verified_at, pending_email, address, role, ...getTwoFactorStatus(req.user) },
+      token: req.headers['authorization'].split(' ')[1]
+    }
+  })
+})
+
+/**
+ * Audit snapshot of the account named by the verification token in the body
+ */
+const verificationTargetSnapshot = (db, resourceId, req) => {
+  const claims = readVerificationToken(req.body.token)
+  return claims ? loadSnapshot(db, RESOURCE_TYPES.USER, claims.userId) : null
+}
+
+/**
+ * Email Verification Endpoint
+ * 
+ * Confirms an email address using the signed token from a verification link.
+ * A token for the account's current address marks it verified; a token for
+ * the account's pending address makes it the account email, provided no other
+ * account has claimed it in the meantime. Tokens for any other address are
+ * rejected.
+ * 
+ * @route POST /auth/verify-email
+ * @access Public (but requires a valid verification token)
+ * @param {string} token - Token from the verification link
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success or error message
+ * @returns {Object} data - Contains the updated user object
+ */
+router.post('/verify-email', tokenLimit, verifyEmailRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.USER, { snapshot: verificationTargetSnapshot }), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const claims = readVerificationToken(req.body.token)
+
+  const [users] = claims
+    ? await db.execute(
+      'SELECT id, name, email, email_verified_at, pending_email, address, role FROM users WHERE id = ?',
+      [claims.userId]
+    )
+    : [[]]
+  const user = users[0]
+
+  if (!user || (claims.email !== user.email && claims.email !== user.pending_email)) {
+    return res.status(400).json({
       success: false,
-      message: 'No token provided'
+      message: 'Invalid or expired verification link'
     })
   }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    const db = req.app.locals.db
+  let message = 'Email address verified successfully'
 
-    const [users] = await db.execute(
-      'SELECT id, name, email, address, role FROM users WHERE id = ?',
-      [decoded.userId]
+  if (claims.email === user.pending_email) {
+    const [emailCheck] = await db.execute(
+      'SELECT id FROM users WHERE email = ? AND id != ?',
+      [claims.email, user.id]
     )
 
-    if (users.length === 0) {
-      return res.status(401).json({
+    if (emailCheck.length > 0) {
+      await db.execute('UPDATE users SET pending_email = NULL WHERE id = ?', [user.id])
+
+      return res.status(400).json({
         success: false,
-        message: 'Invalid token'
+        message: 'Email is already in use by another user'
       })
     }
 
-    res.json({
-      success: true,
-      data: {
-        user: users[0],
-        token
-      }
+    await db.execute(
+      'UPDATE users SET email = pending_email, pending_email = NULL, email_verified_at = NOW() WHERE id = ?',
+      [user.id]
+    )
+
+    await logSecurityEvent(db, 'EMAIL_CHANGED', user.id, {
+      ipAddress: req.ip,
+      previousEmail: user.email,
+      newEmail: claims.email
     })
-  } catch (error) {
-    return res.status(401).json({
+
+    message = 'Email address changed successfully'
+  } else if (!user.email_verified_at) {
+    await db.execute('UPDATE users SET email_verified_at = NOW() WHERE id = ?', [user.id])
+  } else {
+    message = 'Email address is already verified'
+  }
+
+  res.locals.audit = {
+    resourceId: user.id,
+    actor: { id: user.id, role: user.role }
+  }
+
+  const [updatedUsers] = await db.execute(
+    'SELECT id, name, email, email_verified_at, pending_email, address, role FROM users WHERE id = ?',
+    [user.id]
+  )
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      user: updatedUsers[0]
+    }
+  })
+}))
+
+/**
+ * Resend Verification Email Endpoint
+ * 
+ * Sends a new verification link for the signed-in user's pending email
+ * change, or for their current address if it is not verified yet. Limited
+ * to one email per EMAIL_VERIFICATION_RESEND_SECONDS; throttled requests get
+ * 429 with a Retry-After header.
+ * 
+ * @route POST /auth/resend-verification
+ * @access Authenticated users
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success or error message
+ * @returns {Object} data - Contains the address emailed, or retryAfter seconds when throttled
+ */
+router.post('/resend-verification', authenticateToken, accountLimit, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const email = req.user.pending_email || (!req.user.email_verified_at && req.user.email)
+
+  if (!email) {
+    return res.status(400).json({
       success: false,
-      message: 'Invalid token'
+      message: 'Email address is already verified'
     })
   }
+
+  const retryAfter = await getResendWaitSeconds(db, req.user.id)
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter))
+    return res.status(429).json({
+      success: false,
+      message: `Please wait ${retryAfter} seconds before requesting another verification email`,
+      data: { retryAfter }
+    })
+  }
+
+  await sendVerificationEmail(db, req.user, email)
+
+  res.json({
+    success: true,
+    message: `Verification email sent to ${email}`,
+    data: { email }
+  })
 }))
 
 /**
  * Token Refresh Endpoint
  * 
- * Generates a new JWT token using an existing valid token.
- * Allows clients to refresh their authentication tokens before expiration
- * to maintain continuous access without requiring re-login.
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Each refresh token can be used once; presenting one that was already used
+ * is treated as token theft and revokes the whole session. Tokens from a
+ * session that was signed out are rejected.
  * 
  * @route POST /auth/refresh
- * @access Public (but requires valid token)
- * @header {string} Authorization - Bearer token in format "Bearer <token>"
+ * @access Public (but requires a valid refresh token)
+ * @param {string} refreshToken - Refresh token from login or a previous refresh
  * @returns {Object} success - Operation status
- * @returns {Object} data - Contains new authentication token
- * @returns {string} message - Error message if token is invalid
+ * @returns {Object} data - Contains user object, access token and rotated refresh token
+ * @returns {string} message - Error message if the refresh token is rejected
  */
-router.post('/refresh', asyncHandler(async (req, res) => {
-  const authHeader = req.headers['authorization']
-  const token = authHeader && authHeader.split(' ')[1]
+router.post('/refresh', tokenLimit, refreshTokenRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const result = await rotateRefreshToken(db, req.body.refreshToken, req)
+
+  if (result.error === 'reused') {
+    await logSecurityEvent(db, 'REFRESH_TOKEN_REUSE', result.userId, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      sessionId: result.familyId
+    })
+  }
 
-  if (!token) {
+  if (result.error) {
     return res.status(401).json({
       success: false,
-      message: 'No token provided'
+      message: {
+        expired: 'Session expired',
+        revoked: 'Session revoked'
+      }[result.error] || 'Invalid refresh token'
     })
   }
 
+  const { token_version, totp_enabled_at, ...user } = result.user
+
+  res.json({
+    success: true,
+    data: {
+      user: { ...user, ...getTwoFactorStatus(result.user) },
+      ...result.tokens
+    }
+  })
+}))
+
+/**
+ * Logout Endpoint
+ * 
+ * Ends the current session by revoking it and its refresh tokens. The session
+ * is identified by the refresh token in the body and/or the access token in
+ * the Authorization header; an expired access token is still accepted here.
+ * Always succeeds so clients can clear local state unconditionally.
+ * 
+ * @route POST /auth/logout
+ * @access Public
+ * @header {string} [Authorization] - Bearer token in format "Bearer <token>"
+ * @param {string} [refreshToken] - Refresh token of the session to end
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ */
+router.post('/logout', tokenLimit, logoutRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const families = new Set()
+
+  if (req.body.refreshToken) {
+    const family = await findTokenFamily(db, req.body.refreshToken)
+    if (family) families.add(family.familyId)
+  }
+
+  const authHeader = req.headers['authorization']
+  const token = authHeader && authHeader.split(' ')[1]
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true })
+      if (decoded.sid) families.add(decoded.sid)
+    } catch (error) {
+      // An unverifiable access token identifies no session
+    }
+  }
+
+  for (const familyId of families) {
+    await revokeSession(db, familyId)
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  })
+}))
+
+/**
+ * Forgot Password Endpoint
+ * 
+ * Emails a single-use password reset link to the account with the given
+ * address. The response is identical whether or not the address belongs to
+ * an account, and it is sent right after the lookup: creating the token,
+ * logging and sending the email happen afterwards, so response timing does
+ * not reveal it either.
+ * 
+ * @route POST /auth/forgot-password
+ * @access Public
+ * @param {string} email - Email address of the account to reset
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Generic confirmation message
+ */
+router.post('/forgot-password', credentialLimit, forgotPasswordRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+
+  const [users] = await db.execute(
+    'SELECT id, name, email FROM users WHERE email = ?',
+    [req.body.email]
+  )
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  })
+
+  if (users.length === 0) return
+
+  // The response has been sent, so failures can only be logged
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    const newToken = generateToken(decoded.userId, decoded.role)
+    const user = users[0]
+    const token = await createPasswordResetToken(db, user.id, req)
 
-    res.json({
-      success: true,
-      data: {
-        token: newToken
-      }
+    await logSecurityEvent(db, 'PASSWORD_RESET_REQUESTED', user.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
     })
+
+    await sendPasswordResetEmail(user, token)
   } catch (error) {
-    return res.status(401).json({
+    console.error('Password reset request error:', error)
+  }
+}))
+
+/**
+ * Reset Password Endpoint
+ * 
+ * Sets a new password using a token from a password reset email. The token
+ * is consumed, and every session and access token the user holds is revoked,
+ * so the user signs in again with the new password. Any login lockout on the
+ * account is lifted.
+ * 
+ * @route POST /auth/reset-password
+ * @access Public (but requires a valid reset token)
+ * @param {string} token - Reset token from the emailed link
+ * @param {string} password - New password
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success or error message
+ */
+router.post('/reset-password', credentialLimit, resetPasswordRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.USER), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const userId = await consumePasswordResetToken(db, req.body.token)
+
+  const [users] = userId
+    ? await db.execute('SELECT id, email, role FROM users WHERE id = ?', [userId])
+    : [[]]
+
+  if (users.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired reset token'
+    })
+  }
+
+  const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12
+  const hashedPassword = await bcrypt.hash(req.body.password, saltRounds)
+
+  await db.execute(
+    'UPDATE users SET password = ? WHERE id = ?',
+    [hashedPassword, userId]
+  )
+
+  const sessionsRevoked = await revokeAllUserTokens(db, userId)
+  await clearFailedLogins(db, users[0].email)
+
+  await logSecurityEvent(db, 'PASSWORD_RESET', userId, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    sessionsRevoked
+  })
+
+  res.locals.audit = {
+    resourceId: userId,
+    actor: { id: userId, role: users[0].role }
+  }
+
+  res.json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password.'
+  })
+}))
+
+/**
+ * Two-Factor Authentication Status
+ * 
+ * Reports whether the signed-in user has two-factor authentication enabled,
+ * whether their role requires it and how many recovery codes are unused.
+ * 
+ * @route GET /auth/2fa
+ * @access Authenticated users
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - { enabled, required, recoveryCodesRemaining }
+ */
+router.get('/2fa', authenticateToken, accountLimit, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const enabled = Boolean(req.user.totp_enabled_at)
+
+  res.json({
+    success: true,
+    data: {
+      enabled,
+      required: isTwoFactorRequired(req.user.role),
+      recoveryCodesRemaining: enabled ? await countRecoveryCodes(db, req.user.id) : 0
+    }
+  })
+}))
+
+/**
+ * Start Two-Factor Enrolment
+ * 
+ * Generates a new TOTP secret for the signed-in user and returns it with an
+ * otpauth:// URI and a QR code for authenticator apps. Two-factor
+ * authentication is not active until the secret is confirmed with a code.
+ * 
+ * @route POST /auth/2fa/setup
+ * @access Authenticated users
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL
+ * @returns {string} message - Error message if 2FA is already enabled
+ */
+router.post('/2fa/setup', authenticateToken, accountLimit, asyncHandler(async (req, res) => {
+  const enrollment = await startEnrollment(req.app.locals.db, req.user)
+
+  if (!enrollment) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    })
+  }
+
+  res.json({
+    success: true,
+    data: enrollment
+  })
+}))
+
+/**
+ * Enable Two-Factor Authentication
+ * 
+ * Confirms enrolment with a code from the authenticator app and returns the
+ * account's recovery codes. The codes are only shown this once. Logged as a
+ * TWO_FACTOR_ENABLED security event.
+ * 
+ * @route POST /auth/2fa/enable
+ * @access Authenticated users
+ * @param {string} code - 6-digit authenticator code
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success or error message
+ * @returns {Object} data - Contains recoveryCodes
+ */
+router.post('/2fa/enable', authenticateToken, accountLimit, twoFactorCodeRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+
+  if (req.user.totp_enabled_at) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    })
+  }
+
+  const recoveryCodes = await enableTwoFactor(db, req.user.id, req.body.code)
+  if (!recoveryCodes) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code. Start setup again if the problem persists.'
+    })
+  }
+
+  await logSecurityEvent(db, 'TWO_FACTOR_ENABLED', req.user.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  })
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    data: { recoveryCodes }
+  })
+}))
+
+/**
+ * Regenerate Recovery Codes
+ * 
+ * Replaces all of the signed-in user's recovery codes after confirming a
+ * current authenticator or recovery code.
+ * 
+ * @route POST /auth/2fa/recovery-codes
+ * @access Authenticated users with 2FA enabled
+ * @param {string} code - Authenticator or recovery code
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success or error message
+ * @returns {Object} data - Contains the new recoveryCodes
+ */
+router.post('/2fa/recovery-codes', authenticateToken, accountLimit, twoFactorCodeRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+
+  if (!req.user.totp_enabled_at) {
+    return res.status(400).json({
       success: false,
-      message: 'Invalid token'
+      message: 'Two-factor authentication is not enabled'
     })
   }
+
+  if (!(await verifySecondFactor(db, req.user.id, req.body.code))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code'
+    })
+  }
+
+  const recoveryCodes = await generateRecoveryCodes(db, req.user.id)
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated',
+    data: { recoveryCodes }
+  })
+}))
+
+/**
+ * Disable Two-Factor Authentication
+ * 
+ * Turns two-factor authentication off after confirming the password and a
+ * current code. Not allowed for roles that require 2FA. Logged as a
+ * TWO_FACTOR_DISABLED security event.
+ * 
+ * @route POST /auth/2fa/disable
+ * @access Authenticated users with 2FA enabled
+ * @param {string} password - Current password
+ * @param {string} code - Authenticator or recovery code
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success or error message
+ */
+router.post('/2fa/disable', authenticateToken, accountLimit, twoFactorDisableRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+
+  if (!req.user.totp_enabled_at) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    })
+  }
+
+  if (isTwoFactorRequired(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for your role'
+    })
+  }
+
+  const [users] = await db.execute('SELECT password FROM users WHERE id = ?', [req.user.id])
+  const isValidPassword = await bcrypt.compare(req.body.password, users[0].password)
+
+  if (!isValidPassword || !(await verifySecondFactor(db, req.user.id, req.body.code))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid password or authentication code'
+    })
+  }
+
+  await disableTwoFactor(db, req.user.id)
+
+  await logSecurityEvent(db, 'TWO_FACTOR_DISABLED', req.user.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  })
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  })
+}))
+
+/**
+ * List Active Sessions
+ * 
+ * Lists the signed-in user's active sessions (devices) with their IP
+ * address, user agent, creation and last-seen times. The session making the
+ * request is flagged with `current`.
+ * 
+ * @route GET /auth/sessions
+ * @access Authenticated users
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Contains sessions array
+ */
+router.get('/sessions', authenticateToken, accountLimit, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const sessions = await listActiveSessions(db, req.user.id)
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      }))
+    }
+  })
+}))
+
+/**
+ * Sign Out Everywhere Else
+ * 
+ * Revokes every active session of the signed-in user except the one making
+ * the request.
+ * 
+ * @route DELETE /auth/sessions
+ * @access Authenticated users
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - Number of sessions revoked
+ */
+router.delete('/sessions', authenticateToken, accountLimit, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const revoked = await revokeUserSessions(db, req.user.id, { exceptSessionId: req.user.sessionId })
+
+  if (revoked > 0) {
+    await logSecurityEvent(db, 'SESSIONS_REVOKED', req.user.id, {
+      ipAddress: req.ip,
+      revokedBy: req.user.id,
+      sessionsRevoked: revoked,
+      keptSessionId: req.user.sessionId || null
+    })
+  }
+
+  res.json({
+    success: true,
+    message: revoked > 0 ? `Signed out of ${revoked} other session(s)` : 'No other active sessions',
+    data: { revoked }
+  })
+}))
+
+/**
+ * Revoke a Session
+ * 
+ * Signs the user out of one of their own sessions. Revoking the current
+ * session is equivalent to logging out.
+ * 
+ * @route DELETE /auth/sessions/:id
+ * @access Authenticated users
+ * @param {string} id - Session ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ */
+router.delete('/sessions/:id', authenticateToken, accountLimit, sessionIdRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const session = await getActiveSession(db, req.params.id)
+
+  if (!session || session.user_id !== req.user.id) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    })
+  }
+
+  await revokeSession(db, session.id)
+
+  res.json({
+    success: true,
+    message: 'Session signed out successfully'
+  })
 }))
 
 module.exports = router
@@ -2,29 +2,51 @@
  * Store Owner Routes Module
  * 
  * This module provides store owner functionality for managing their stores,
- * viewing ratings, and accessing dashboard statistics.
+ * viewing and replying to ratings, and accessing dashboard statistics.
  * 
  * @module routes/storeOwner
  * @requires express
  * @requires ../middleware/auth
+ * @requires ../middleware/audit
+ * @requires ../config/rbac
  * @requires ../middleware/errorHandler
  * @requires ../middleware/validation
+ * @requires ../utils/ratingRevisions
+ * @requires ../utils/reviewModeration
+ * @requires ../utils/ratingReplies
+ * @requires ../utils/pagination
+ * @requires ../utils/ratingVotes
+ * @requires ../utils/ratingCriteria
  */
 
 const express = require('express')
-const { requireStoreOwner } = require('../middleware/auth')
+const { requireStoreOwner, requireOwnership } = require('../middleware/auth')
+const { auditLogger } = require('../middleware/audit')
+const { ACTIONS, RESOURCE_TYPES } = require('../config/rbac')
 const { asyncHandler } = require('../middleware/errorHandler')
-const { paginationRules } = require('../middleware/validation')
+const { paginationRules, idRules, reviewSortRules, ratingReportRules, ratingReplyRules, ratingReplyDeleteRules } = require('../middleware/validation')
+const { getRatingHistory } = require('../utils/ratingRevisions')
+const { reportRating } = require('../utils/reviewModeration')
+const { getStoreRating, getReply, saveReply, deleteReply, sendReplyNotification } = require('../utils/ratingReplies')
+const { getSort } = require('../utils/pagination')
+const { REVIEW_SORT_COLUMNS, VOTE_TOTALS_COLUMNS, formatVotes } = require('../utils/ratingVotes')
+const { attachScores, attachCriteriaAverages } = require('../utils/ratingCriteria')
 
 const router = express.Router()
 
 router.use(requireStoreOwner)
 
+/**
+ * Audit snapshot of the reply to the rating in the route
+ */
+const replySnapshot = (db, resourceId, req) => getReply(db, req.params.ratingId)
+
 /**
  * Get Store Owner's Stores
  * 
  * Retrieves all stores owned by the authenticated store owner with their
- * rating statistics including average rating and total number of ratings.
+ * rating statistics including average rating, total number of ratings and
+ * per-criterion averages.
  * 
  * @route GET /store-owner/stores
  * @access Store Owner only
@@ -41,17 +63,19 @@ router.get('/stores', asyncHandler(async (req, res) => {
             COUNT(r.id) as total_ratings,
             COUNT(DISTINCT r.user_id) as total_rating_users
      FROM stores s
-     LEFT JOIN ratings r ON s.id = r.store_id
+     LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
      WHERE s.owner_id = ?
      GROUP BY s.id
      ORDER BY s.created_at DESC`,
     [userId]
   )
   
+  const storesWithAverages = await attachCriteriaAverages(db, stores)
+
   res.json({
     success: true,
     data: {
-      stores: stores.map(store => ({
+      stores: storesWithAverages.map(store => ({
         ...store,
         average_rating: parseFloat((Number(store.average_rating) || 0).toFixed(2))
       }))
@@ -79,7 +103,7 @@ router.get('/dashboard/stats', asyncHandler(async (req, res) => {
             COALESCE(AVG(r.rating), 0) as average_rating,
             COUNT(r.id) as total_ratings
      FROM stores s
-     LEFT JOIN ratings r ON s.id = r.store_id
+     LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
      WHERE s.owner_id = ?
      GROUP BY s.id`,
     [userId]
@@ -104,26 +128,33 @@ router.get('/dashboard/stats', asyncHandler(async (req, res) => {
  * Get Store Owner's Ratings
  * 
  * Retrieves all ratings for stores owned by the authenticated store owner.
- * Includes detailed information about users who submitted ratings and the stores rated.
+ * Includes detailed information about users who submitted ratings and the stores rated,
+ * the criterion sub-scores and the helpful and unhelpful vote counts of each review.
  * 
  * @route GET /store-owner/ratings
  * @access Store Owner only
+ * @param {string} [sort=newest] - helpful (net helpful votes), newest or rating
+ * @param {string} [order=desc] - asc or desc
  * @returns {Object} success - Operation status
  * @returns {Object} data - Contains array of ratings with user and store information, plus total count
  */
-router.get('/ratings', asyncHandler(async (req, res) => {
+router.get('/ratings', reviewSortRules, asyncHandler(async (req, res) => {
   const db = req.app.locals.db
   const userId = req.user.id
+  const { orderBy } = getSort(req.query, REVIEW_SORT_COLUMNS, { field: 'newest', order: 'desc' })
   
   const [ratings] = await db.execute(
-    `SELECT r.id, r.rating, r.review, r.created_at, r.updated_at,
+    `SELECT r.id, r.rating, r.review, r.created_at, r.updated_at, r.edited_at,
             u.id as user_id, u.name as user_name, u.email as user_email, u.address as user_address,
-            s.id as store_id, s.name as store_name
+            s.id as store_id, s.name as store_name,
+            rp.reply as owner_reply, rp.created_at as reply_created_at, rp.updated_at as reply_updated_at,
+            ${VOTE_TOTALS_COLUMNS}
      FROM ratings r
      JOIN users u ON r.user_id = u.id
      JOIN stores s ON r.store_id = s.id
-     WHERE s.owner_id = ?
-     ORDER BY r.created_at DESC`,
+     LEFT JOIN rating_replies rp ON rp.rating_id = r.id
+     WHERE s.owner_id = ? AND r.hidden_at IS NULL
+     ORDER BY ${orderBy}, r.created_at DESC, r.id DESC`,
     [userId]
   )
   
@@ -131,7 +162,7 @@ router.get('/ratings', asyncHandler(async (req, res) => {
     `SELECT COUNT(*) as total
      FROM ratings r
      JOIN stores s ON r.store_id = s.id
-     WHERE s.owner_id = ?`,
+     WHERE s.owner_id = ? AND r.hidden_at IS NULL`,
     [userId]
   )
   
@@ -140,10 +171,168 @@ router.get('/ratings', asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      ratings: ratings,
+      ratings: (await attachScores(db, ratings)).map(formatVotes),
       total: total
     }
   })
 }))
 
+/**
+ * Get Rating History
+ * 
+ * Retrieves a rating on one of the store owner's stores together with
+ * every earlier version it replaced.
+ * 
+ * @route GET /store-owner/ratings/:id/history
+ * @access Store Owner only (owner of the rated store)
+ * @param {number} id - Rating ID
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Current rating and its revisions, newest first
+ */
+router.get('/ratings/:id/history', idRules, asyncHandler(async (req, res) => {
+  const history = await getRatingHistory(req.app.locals.db, req.params.id, { storeOwnerId: req.user.id })
+
+  if (!history) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  res.json({
+    success: true,
+    data: history
+  })
+}))
+
+/**
+ * Report a Review
+ * 
+ * Flags a review of one of the store owner's stores for the admin
+ * moderation queue. Each review can be reported once per account.
+ * 
+ * @route POST /store-owner/ratings/:id/report
+ * @access Store Owner only (owner of the rated store)
+ * @param {number} id - Rating ID
+ * @param {string} reason - One of spam, offensive, off_topic, fake, personal_info, other
+ * @param {string} [details] - Optional explanation (max 500 characters)
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ */
+router.post('/ratings/:id/report', ratingReportRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { id } = req.params
+  const { reason, details } = req.body
+
+  const [ratings] = await db.execute(
+    `SELECT r.id
+     FROM ratings r
+     JOIN stores s ON r.store_id = s.id
+     WHERE r.id = ? AND s.owner_id = ? AND r.hidden_at IS NULL`,
+    [id, req.user.id]
+  )
+
+  if (ratings.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  if (!await reportRating(db, id, req.user.id, { reason, details })) {
+    return res.status(409).json({
+      success: false,
+      message: 'You have already reported this review'
+    })
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Review reported for moderation'
+  })
+}))
+
+/**
+ * Reply to a Review
+ * 
+ * Posts the store owner's public reply under a review of their store, or
+ * replaces the existing reply. The reviewer is emailed about new replies.
+ * 
+ * @route PUT /store-owner/stores/:storeId/ratings/:ratingId/reply
+ * @access Store Owner only (owner of the store)
+ * @param {number} storeId - Store ID
+ * @param {number} ratingId - Rating ID
+ * @param {string} reply - Reply text (max 1000 characters)
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - The saved reply
+ */
+router.put('/stores/:storeId/ratings/:ratingId/reply', ratingReplyRules, requireOwnership(RESOURCE_TYPES.STORE), auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.RATING_REPLY, { snapshot: replySnapshot }), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { storeId, ratingId } = req.params
+  const { reply } = req.body
+
+  const rating = await getStoreRating(db, storeId, ratingId)
+
+  if (!rating) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  const created = await saveReply(db, ratingId, req.user.id, reply)
+  const saved = await getReply(db, ratingId)
+
+  res.locals.audit = created
+    ? { action: ACTIONS.CREATE, resourceId: saved.id }
+    : { resourceId: saved.id }
+
+  if (created) {
+    sendReplyNotification(rating, reply).catch(error => {
+      console.error('Reply notification error:', error)
+    })
+  }
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Reply posted' : 'Reply updated',
+    data: saved
+  })
+}))
+
+/**
+ * Delete a Reply
+ * 
+ * Removes the store owner's reply from a review of their store.
+ * 
+ * @route DELETE /store-owner/stores/:storeId/ratings/:ratingId/reply
+ * @access Store Owner only (owner of the store)
+ * @param {number} storeId - Store ID
+ * @param {number} ratingId - Rating ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ */
+router.delete('/stores/:storeId/ratings/:ratingId/reply', ratingReplyDeleteRules, requireOwnership(RESOURCE_TYPES.STORE), auditLogger(ACTIONS.DELETE, RESOURCE_TYPES.RATING_REPLY, { snapshot: replySnapshot }), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { storeId, ratingId } = req.params
+
+  const [ratings] = await db.execute(
+    'SELECT id FROM ratings WHERE id = ? AND store_id = ?',
+    [ratingId, storeId]
+  )
+
+  if (ratings.length === 0 || !await deleteReply(db, ratingId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reply not found'
+    })
+  }
+
+  res.json({
+    success: true,
+    message: 'Reply deleted'
+  })
+}))
+
 module.exports = router
@@ -8,26 +8,81 @@
  * @requires express
  * @requires bcrypt
  * @requires ../middleware/auth
+ * @requires ../middleware/audit
+ * @requires ../config/rbac
  * @requires ../middleware/errorHandler
  * @requires ../middleware/validation
+ * @requires ../utils/pagination
+ * @requires ../utils/tokens
+ * @requires ../utils/emailVerification
+ * @requires ../utils/ratingRevisions
+ * @requires ../utils/reviewModeration
+ * @requires ../utils/ratingVotes
+ * @requires ../utils/ratingCriteria
  */
 
 const express = require('express')
 const bcrypt = require('bcrypt')
-const { requireUser } = require('../middleware/auth')
+const { requireUser, requireOwnership, requireVerifiedEmail } = require('../middleware/auth')
+const { auditLogger, loadSnapshot } = require('../middleware/audit')
+const { ACTIONS, RESOURCE_TYPES } = require('../config/rbac')
 const { asyncHandler } = require('../middleware/errorHandler')
 const { 
   paginationRules, 
   idRules, 
   ratingRules,
+  ratingReportRules,
+  ratingVoteRules,
+  storeReviewListRules,
   passwordUpdateRules,
-  userUpdateRules 
+  userUpdateRules,
+  searchRules,
+  storeFilterRules
 } = require('../middleware/validation')
+const { getPagination, getSort, toLikePattern, buildPaginationMeta } = require('../utils/pagination')
+const { issueTokenPair, isRememberMeSession, revokeAllUserTokens } = require('../utils/tokens')
+const { sendVerificationEmail, getResendWaitSeconds } = require('../utils/emailVerification')
+const { reviseRating, getRatingHistory } = require('../utils/ratingRevisions')
+const { reportRating } = require('../utils/reviewModeration')
+const {
+  REVIEW_SORT_COLUMNS,
+  VOTE_TOTALS_COLUMNS,
+  formatVotes,
+  setVote,
+  removeVote,
+  getVoteTotals
+} = require('../utils/ratingVotes')
+const {
+  listCriteria,
+  findUnknownCriteria,
+  compactScores,
+  getScoreMap,
+  replaceScores,
+  attachScores,
+  attachCriteriaAverages
+} = require('../utils/ratingCriteria')
 
 const router = express.Router()
 
 router.use(requireUser)
 
+/**
+ * Audit snapshot of the authenticated user's own account
+ */
+const ownProfileSnapshot = (db, resourceId, req) => loadSnapshot(db, RESOURCE_TYPES.PROFILE, req.user.id)
+
+/**
+ * Audit snapshot of the authenticated user's rating for the store in the route,
+ * including its criterion sub-scores
+ */
+const ownRatingSnapshot = async (db, resourceId, req) => {
+  const [ratings] = await db.execute(
+    'SELECT id, user_id, store_id, rating, review, created_at, updated_at FROM ratings WHERE store_id = ? AND user_id = ?',
+    [req.params.id, req.user.id]
+  )
+  return ratings[0] ? { ...ratings[0], scores: await getScoreMap(db, ratings[0].id) } : null
+}
+
 /**
  * Get User Profile
  * 
@@ -44,7 +99,7 @@ router.get('/profile', asyncHandler(async (req, res) => {
   const userId = req.user.id
   
   const [users] = await db.execute(
-    `SELECT u.id, u.name, u.email, u.address, u.created_at,
+    `SELECT u.id, u.name, u.email, u.email_verified_at, u.pending_email, u.address, u.created_at,
             COUNT(r.id) as total_ratings_given
      FROM users u
      LEFT JOIN ratings r ON u.id = r.user_id
@@ -65,7 +120,9 @@ router.get('/profile', asyncHandler(async (req, res) => {
  * Update User Profile
  * 
  * Updates the authenticated user's profile information.
- * Validates email uniqueness and allows partial updates.
+ * Validates email uniqueness and allows partial updates. A new email address
+ * is stored as pending and a verification link is sent to it; the current
+ * address stays in use until the new one is confirmed.
  * 
  * @route PUT /user/profile
  * @access User only
@@ -74,13 +131,15 @@ router.get('/profile', asyncHandler(async (req, res) => {
  * @param {string} [address] - User's address
  * @returns {Object} success - Operation status
  * @returns {string} message - Success message
+ * @returns {Object} data - Contains pendingEmail when an email change awaits verification
  */
-router.put('/profile', userUpdateRules, asyncHandler(async (req, res) => {
+router.put('/profile', userUpdateRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.PROFILE, { snapshot: ownProfileSnapshot }), asyncHandler(async (req, res) => {
   const { name, email, address } = req.body
   const db = req.app.locals.db
   const userId = req.user.id
+  const emailChanged = Boolean(email) && email !== req.user.email
 
-  if (email && email !== req.user.email) {
+  if (emailChanged) {
     const [emailCheck] = await db.execute(
       'SELECT id FROM users WHERE email = ? AND id != ?',
       [email, userId]
@@ -92,6 +151,16 @@ router.put('/profile', userUpdateRules, asyncHandler(async (req, res) => {
         message: 'Email is already in use by another user'
       })
     }
+
+    const retryAfter = await getResendWaitSeconds(db, userId)
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter))
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before changing your email again`,
+        data: { retryAfter }
+      })
+    }
   }
 
   const updates = []
@@ -102,8 +171,9 @@ router.put('/profile', userUpdateRules, asyncHandler(async (req, res) => {
     values.push(name)
   }
   if (email) {
-    updates.push('email = ?')
-    values.push(email)
+    // Changing back to the current address cancels a pending change
+    updates.push('pending_email = ?')
+    values.push(emailChanged ? email : null)
   }
   if (address !== undefined) {
     updates.push('address = ?')
@@ -124,9 +194,18 @@ router.put('/profile', userUpdateRules, asyncHandler(async (req, res) => {
     values
   )
 
+  if (emailChanged) {
+    await sendVerificationEmail(db, { id: userId, name: name || req.user.name }, email)
+  }
+
   res.json({
     success: true,
-    message: 'Profile updated successfully'
+    message: emailChanged
+      ? `Profile updated. Check ${email} for a link to confirm your new email address.`
+      : 'Profile updated successfully',
+    data: {
+      pendingEmail: emailChanged ? email : null
+    }
   })
 }))
 
@@ -134,7 +213,9 @@ router.put('/profile', userUpdateRules, asyncHandler(async (req, res) => {
  * Change Password
  * 
  * Updates the authenticated user's password after verifying
- * the current password for security.
+ * the current password for security. Every outstanding access and refresh
+ * token for the user is revoked, and the caller receives a fresh token pair
+ * so that only this session stays signed in.
  * 
  * @route PUT /user/change-password
  * @access User only
@@ -142,8 +223,9 @@ router.put('/profile', userUpdateRules, asyncHandler(async (req, res) => {
  * @param {string} newPassword - New password
  * @returns {Object} success - Operation status
  * @returns {string} message - Success message
+ * @returns {Object} data - New access token and refresh token
  */
-router.put('/change-password', passwordUpdateRules, asyncHandler(async (req, res) => {
+router.put('/change-password', passwordUpdateRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.PROFILE, { snapshot: ownProfileSnapshot }), asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body
   const db = req.app.locals.db
   const userId = req.user.id
@@ -170,52 +252,139 @@ router.put('/change-password', passwordUpdateRules, asyncHandler(async (req, res
     [hashedPassword, userId]
   )
 
+  const rememberMe = await isRememberMeSession(db, req.user.sessionId)
+  await revokeAllUserTokens(db, userId)
+
+  const [updatedUsers] = await db.execute(
+    'SELECT id, role, token_version FROM users WHERE id = ?',
+    [userId]
+  )
+  const tokens = await issueTokenPair(db, updatedUsers[0], req, { rememberMe })
+
   res.json({
     success: true,
-    message: 'Password updated successfully'
+    message: 'Password updated successfully',
+    data: tokens
   })
 }))
 
 /**
- * Get All Stores with User Ratings
+ * Sortable columns for the user store listing, keyed by public sort field
+ */
+const STORE_SORT_COLUMNS = {
+  name: 's.name',
+  address: 's.address',
+  average_rating: 'average_rating',
+  total_ratings: 'total_ratings',
+  rating: 'ur.rating',
+  created_at: 's.created_at'
+}
+
+/**
+ * Searchable store columns for the `filter` parameter
+ */
+const STORE_SEARCH_COLUMNS = {
+  name: ['s.name'],
+  address: ['s.address']
+}
+
+/**
+ * Get Stores with User Ratings
  * 
- * Retrieves all stores with their rating statistics and
- * the authenticated user's rating for each store if available.
+ * Retrieves a page of stores with their rating statistics and the
+ * authenticated user's rating for each store, in a single query.
  * 
  * @route GET /user/stores
  * @access User only
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Page size (max 100)
+ * @param {string} [sortBy=name] - Any column in STORE_SORT_COLUMNS (rating sorts by the user's own rating)
+ * @param {string} [sortOrder=asc] - asc or desc
+ * @param {string} [search] - Free-text search over name and address
+ * @param {string} [filter] - Restrict search to name or address
+ * @param {number} [minRating] - Minimum average rating
+ * @param {number} [maxRating] - Maximum average rating
  * @returns {Object} success - Operation status
- * @returns {Array} stores - Array of stores with rating information
+ * @returns {Array} stores - Page of stores with rating information
+ * @returns {number} total - Number of matching stores (also page, limit, totalPages)
  */
-router.get('/stores', asyncHandler(async (req, res) => {
+router.get('/stores', paginationRules, searchRules, storeFilterRules, asyncHandler(async (req, res) => {
   const db = req.app.locals.db
   const userId = req.user.id
-  
-  const mainQuery = `
+  const { search, filter, name, address, minRating, maxRating } = req.query
+  const { page, limit, offset } = getPagination(req.query)
+  const { sortBy, sortOrder, orderBy } = getSort(req.query, STORE_SORT_COLUMNS, { field: 'name', order: 'asc' })
+
+  const conditions = []
+  const values = []
+
+  const addContains = (columns, term) => {
+    conditions.push(`(${columns.map(column => `${column} LIKE ?`).join(' OR ')})`)
+    columns.forEach(() => values.push(toLikePattern(term)))
+  }
+
+  if (search) {
+    const columns = STORE_SEARCH_COLUMNS[filter] || Object.values(STORE_SEARCH_COLUMNS).flat()
+    addContains(columns, search)
+  }
+
+  if (name) addContains(STORE_SEARCH_COLUMNS.name, name)
+  if (address) addContains(STORE_SEARCH_COLUMNS.address, address)
+
+  if (minRating) {
+    conditions.push('COALESCE(rs.average_rating, 0) >= ?')
+    values.push(parseFloat(minRating))
+  }
+
+  if (maxRating) {
+    conditions.push('COALESCE(rs.average_rating, 0) <= ?')
+    values.push(parseFloat(maxRating))
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+  const ratingStatsJoin = `
+    LEFT JOIN (
+      SELECT store_id, AVG(rating) as average_rating, COUNT(*) as total_ratings
+      FROM ratings
+      WHERE hidden_at IS NULL
+      GROUP BY store_id
+    ) rs ON rs.store_id = s.id
+  `
+
+  const [stores] = await db.execute(`
     SELECT s.id, s.name, s.address,
-           COALESCE(AVG(r.rating), 0) as average_rating,
-           COUNT(r.id) as total_ratings
+           COALESCE(rs.average_rating, 0) as average_rating,
+           COALESCE(rs.total_ratings, 0) as total_ratings,
+           ur.rating as user_rating,
+           ur.id as user_rating_id,
+           ur.created_at as user_rating_date
     FROM stores s
-    LEFT JOIN ratings r ON s.id = r.store_id
-    GROUP BY s.id 
-    ORDER BY s.name ASC
-  `
-  
-  const [stores] = await db.execute(mainQuery)
-  
-  for (let store of stores) {
-    const [userRating] = await db.execute(
-      'SELECT rating, review, id, created_at FROM ratings WHERE store_id = ? AND user_id = ?',
-      [store.id, userId]
-    )
-    store.user_rating = userRating[0]?.rating || null
-    store.user_rating_id = userRating[0]?.id || null
-    store.user_rating_date = userRating[0]?.created_at || null
-  }
+    ${ratingStatsJoin}
+    LEFT JOIN ratings ur ON ur.store_id = s.id AND ur.user_id = ?
+    ${whereClause}
+    ORDER BY ${orderBy}, s.id ${sortOrder.toUpperCase()}
+    LIMIT ${limit} OFFSET ${offset}
+  `, [userId, ...values])
+
+  const [totalCount] = await db.execute(`
+    SELECT COUNT(*) as count
+    FROM stores s
+    ${ratingStatsJoin}
+    ${whereClause}
+  `, values)
+
+  const storesWithAverages = await attachCriteriaAverages(db, stores)
 
   res.json({
     success: true,
-    stores
+    stores: storesWithAverages.map(store => ({
+      ...store,
+      average_rating: parseFloat(Number(store.average_rating).toFixed(2)),
+      total_ratings: Number(store.total_ratings)
+    })),
+    ...buildPaginationMeta(totalCount[0].count, page, limit),
+    sortBy,
+    sortOrder
   })
 }))
 
@@ -223,7 +392,11 @@ router.get('/stores', asyncHandler(async (req, res) => {
  * Get Store Details
  * 
  * Retrieves detailed information for a specific store including
- * the user's rating and recent ratings from other users.
+ * the user's rating and recent ratings from other users, each with the
+ * store owner's reply if there is one and its helpfulness votes.
+ * Use GET /user/stores/:id/ratings to page through every review.
+ * The store carries per-criterion averages and `criteria` lists the
+ * active criteria that can be scored.
  * 
  * @route GET /user/stores/:id
  * @access User only
@@ -241,7 +414,7 @@ router.get('/stores/:id', idRules, asyncHandler(async (req, res) => {
             COALESCE(AVG(r.rating), 0) as average_rating,
             COUNT(r.id) as total_ratings
      FROM stores s
-     LEFT JOIN ratings r ON s.id = r.store_id
+     LEFT JOIN ratings r ON s.id = r.store_id AND r.hidden_at IS NULL
      WHERE s.id = ?
      GROUP BY s.id`,
     [id]
@@ -255,26 +428,105 @@ router.get('/stores/:id', idRules, asyncHandler(async (req, res) => {
   }
   
   const [userRatings] = await db.execute(
-    'SELECT id, rating, review, created_at, updated_at FROM ratings WHERE store_id = ? AND user_id = ?',
+    `SELECT r.id, r.rating, r.review, r.created_at, r.updated_at, r.edited_at, r.hidden_at,
+            rp.reply as owner_reply, rp.created_at as reply_created_at, rp.updated_at as reply_updated_at
+     FROM ratings r
+     LEFT JOIN rating_replies rp ON rp.rating_id = r.id
+     WHERE r.store_id = ? AND r.user_id = ?`,
     [id, userId]
   )
   
   const [recentRatings] = await db.execute(
-    `SELECT r.rating, r.review, r.created_at, u.name as user_name
+    `SELECT r.id, r.rating, r.review, r.created_at, r.edited_at, u.name as user_name,
+            rp.reply as owner_reply, rp.created_at as reply_created_at, rp.updated_at as reply_updated_at,
+            ${VOTE_TOTALS_COLUMNS},
+            mv.is_helpful as my_vote
      FROM ratings r
      JOIN users u ON r.user_id = u.id
-     WHERE r.store_id = ? AND r.user_id != ?
+     LEFT JOIN rating_replies rp ON rp.rating_id = r.id
+     LEFT JOIN rating_votes mv ON mv.rating_id = r.id AND mv.user_id = ?
+     WHERE r.store_id = ? AND r.user_id != ? AND r.hidden_at IS NULL
      ORDER BY r.created_at DESC
      LIMIT 10`,
-    [id, userId]
+    [userId, id, userId]
   )
   
+  const [store] = await attachCriteriaAverages(db, stores)
+  const [userRating] = await attachScores(db, userRatings)
+
   res.json({
     success: true,
     data: {
-      store: stores[0],
-      userRating: userRatings[0] || null,
-      recentRatings
+      store,
+      userRating: userRating || null,
+      recentRatings: (await attachScores(db, recentRatings)).map(formatVotes),
+      criteria: await listCriteria(db, { activeOnly: true })
+    }
+  })
+}))
+
+/**
+ * Get Store Reviews
+ * 
+ * Pages through the visible reviews of a store written by other users,
+ * each with its criterion sub-scores, the store owner's reply, its
+ * helpful and unhelpful vote counts and the authenticated user's own vote
+ * (`my_vote`: true, false or null).
+ * 
+ * @route GET /user/stores/:id/ratings
+ * @access User only
+ * @param {number} id - Store ID
+ * @param {string} [sort=helpful] - helpful (net helpful votes), newest or rating
+ * @param {string} [order=desc] - asc or desc
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Page size
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Page of reviews with total, page, limit, totalPages, sort and order
+ */
+router.get('/stores/:id/ratings', storeReviewListRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { id } = req.params
+  const userId = req.user.id
+  const { page, limit, offset } = getPagination(req.query)
+  const { sortBy, sortOrder, orderBy } = getSort(req.query, REVIEW_SORT_COLUMNS, { field: 'helpful', order: 'desc' })
+
+  const [stores] = await db.execute('SELECT id FROM stores WHERE id = ?', [id])
+
+  if (stores.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Store not found'
+    })
+  }
+
+  const [ratings] = await db.execute(`
+    SELECT r.id, r.rating, r.review, r.created_at, r.edited_at, u.name as user_name,
+           rp.reply as owner_reply, rp.created_at as reply_created_at, rp.updated_at as reply_updated_at,
+           ${VOTE_TOTALS_COLUMNS},
+           mv.is_helpful as my_vote
+    FROM ratings r
+    JOIN users u ON r.user_id = u.id
+    LEFT JOIN rating_replies rp ON rp.rating_id = r.id
+    LEFT JOIN rating_votes mv ON mv.rating_id = r.id AND mv.user_id = ?
+    WHERE r.store_id = ? AND r.user_id != ? AND r.hidden_at IS NULL
+    ORDER BY ${orderBy}, r.created_at DESC, r.id DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `, [userId, id, userId])
+
+  const [totalCount] = await db.execute(
+    `SELECT COUNT(*) as count
+     FROM ratings r
+     WHERE r.store_id = ? AND r.user_id != ? AND r.hidden_at IS NULL`,
+    [id, userId]
+  )
+
+  res.json({
+    success: true,
+    data: {
+      ratings: (await attachScores(db, ratings)).map(formatVotes),
+      ...buildPaginationMeta(totalCount[0].count, page, limit),
+      sort: sortBy,
+      order: sortOrder
     }
   })
 }))
@@ -284,16 +536,20 @@ router.get('/stores/:id', idRules, asyncHandler(async (req, res) => {
  * 
  * Allows users to submit a new rating for a store or update
  * their existing rating. Prevents duplicate ratings per user per store.
+ * Updates keep the replaced version as a revision (see utils/ratingRevisions).
  * 
  * @route POST /user/stores/:id/rating
- * @access User only
+ * @access User only (verified email required)
  * @param {number} id - Store ID
  * @param {number} rating - Rating value (1-5)
  * @param {string} [review] - Optional review text
+ * @param {Object} [scores] - Optional 1-5 sub-scores by active criterion name,
+ *   e.g. `{ "service": 4 }`. Replaces the previous sub-scores; criteria left
+ *   out or set to null have none. Omit to keep the current sub-scores.
  * @returns {Object} success - Operation status
  * @returns {string} message - Success message
  */
-router.post('/stores/:id/rating', idRules, ratingRules, asyncHandler(async (req, res) => {
+router.post('/stores/:id/rating', requireVerifiedEmail, idRules, ratingRules, auditLogger(ACTIONS.UPDATE, RESOURCE_TYPES.RATING, { snapshot: ownRatingSnapshot }), asyncHandler(async (req, res) => {
   const { id } = req.params
   const { rating, review } = req.body
   const db = req.app.locals.db
@@ -308,26 +564,53 @@ router.post('/stores/:id/rating', idRules, ratingRules, asyncHandler(async (req,
     })
   }
 
+  const unknownCriteria = req.body.scores
+    ? findUnknownCriteria(await listCriteria(db, { activeOnly: true }), req.body.scores)
+    : []
+
+  if (unknownCriteria.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown rating criteria: ${unknownCriteria.join(', ')}`
+    })
+  }
+
+  const scores = req.body.scores ? compactScores(req.body.scores) : undefined
+
   const [existingRatings] = await db.execute(
     'SELECT id FROM ratings WHERE store_id = ? AND user_id = ?',
     [id, userId]
   )
 
   if (existingRatings.length > 0) {
-    await db.execute(
-      'UPDATE ratings SET rating = ?, review = ? WHERE id = ?',
-      [rating, review || null, existingRatings[0].id]
-    )
+    await reviseRating(db, existingRatings[0].id, { rating, review, scores })
+
+    res.locals.audit = { resourceId: existingRatings[0].id }
 
     res.json({
       success: true,
       message: 'Rating updated successfully'
     })
   } else {
-    await db.execute(
-      'INSERT INTO ratings (user_id, store_id, rating, review) VALUES (?, ?, ?, ?)',
-      [userId, id, rating, review || null]
-    )
+    const connection = await db.getConnection()
+    let ratingId
+    try {
+      await connection.beginTransaction()
+      const [result] = await connection.execute(
+        'INSERT INTO ratings (user_id, store_id, rating, review) VALUES (?, ?, ?, ?)',
+        [userId, id, rating, review || null]
+      )
+      ratingId = result.insertId
+      await replaceScores(connection, ratingId, scores || {})
+      await connection.commit()
+    } catch (error) {
+      await connection.rollback()
+      throw error
+    } finally {
+      connection.release()
+    }
+
+    res.locals.audit = { action: ACTIONS.CREATE, resourceId: ratingId }
 
     res.json({
       success: true,
@@ -357,6 +640,8 @@ router.get('/ratings', asyncHandler(async (req, res) => {
       r.rating,
       r.created_at,
       r.updated_at,
+      r.edited_at,
+      r.hidden_at,
       s.id as store_id,
       s.name as store_name,
       s.address as store_address
@@ -375,4 +660,217 @@ router.get('/ratings', asyncHandler(async (req, res) => {
   })
 }))
 
+/**
+ * Get Own Rating History
+ * 
+ * Retrieves the current version of a rating authored by the authenticated
+ * user together with every earlier version it replaced.
+ * 
+ * @route GET /user/ratings/:id/history
+ * @access User only (rating author)
+ * @param {number} id - Rating ID
+ * @returns {Object} success - Operation status
+ * @returns {Object} data - Current rating and its revisions, newest first
+ */
+router.get('/ratings/:id/history', idRules, requireOwnership(RESOURCE_TYPES.RATING), asyncHandler(async (req, res) => {
+  const history = await getRatingHistory(req.app.locals.db, req.params.id)
+
+  if (!history) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  res.json({
+    success: true,
+    data: history
+  })
+}))
+
+/**
+ * Report a Review
+ * 
+ * Flags another user's review for the admin moderation queue. Each user
+ * can report a review once; hidden reviews cannot be reported.
+ * 
+ * @route POST /user/ratings/:id/report
+ * @access User only
+ * @param {number} id - Rating ID
+ * @param {string} reason - One of spam, offensive, off_topic, fake, personal_info, other
+ * @param {string} [details] - Optional explanation (max 500 characters)
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ */
+router.post('/ratings/:id/report', ratingReportRules, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { id } = req.params
+  const { reason, details } = req.body
+
+  const [ratings] = await db.execute(
+    'SELECT id, user_id FROM ratings WHERE id = ? AND hidden_at IS NULL',
+    [id]
+  )
+
+  if (ratings.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  if (ratings[0].user_id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot report your own review'
+    })
+  }
+
+  if (!await reportRating(db, id, req.user.id, { reason, details })) {
+    return res.status(409).json({
+      success: false,
+      message: 'You have already reported this review'
+    })
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Review reported for moderation'
+  })
+}))
+
+/**
+ * Only visible reviews written by someone else can be voted on.
+ */
+const requireVotableRating = asyncHandler(async (req, res, next) => {
+  const [ratings] = await req.app.locals.db.execute(
+    'SELECT id, user_id FROM ratings WHERE id = ? AND hidden_at IS NULL',
+    [req.params.id]
+  )
+
+  if (ratings.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  if (ratings[0].user_id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot vote on your own review'
+    })
+  }
+
+  next()
+})
+
+/**
+ * Vote on a Review
+ * 
+ * Marks another user's review as helpful or unhelpful. Each user has one
+ * vote per review; voting again replaces it. Hidden reviews cannot be
+ * voted on.
+ * 
+ * @route PUT /user/ratings/:id/vote
+ * @access User only
+ * @param {number} id - Rating ID
+ * @param {boolean} helpful - Whether the review was helpful
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - helpful_count, unhelpful_count and my_vote
+ */
+router.put('/ratings/:id/vote', ratingVoteRules, requireVotableRating, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { id } = req.params
+
+  await setVote(db, id, req.user.id, req.body.helpful)
+
+  res.json({
+    success: true,
+    message: 'Vote saved',
+    data: await getVoteTotals(db, id, req.user.id)
+  })
+}))
+
+/**
+ * Remove a Review Vote
+ * 
+ * @route DELETE /user/ratings/:id/vote
+ * @access User only
+ * @param {number} id - Rating ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - helpful_count, unhelpful_count and my_vote
+ */
+router.delete('/ratings/:id/vote', idRules, requireVotableRating, asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { id } = req.params
+
+  if (!await removeVote(db, id, req.user.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Vote not found'
+    })
+  }
+
+  res.json({
+    success: true,
+    message: 'Vote removed',
+    data: await getVoteTotals(db, id, req.user.id)
+  })
+}))
+
+/**
+ * Delete Own Rating
+ * 
+ * Deletes a rating authored by the authenticated user. Ownership is checked
+ * by `requireOwnership(RESOURCE_TYPES.RATING)`. Responds with the store's
+ * recalculated rating statistics so the client can refresh without a reload.
+ * 
+ * @route DELETE /user/ratings/:id
+ * @access User only (rating author)
+ * @param {number} id - Rating ID
+ * @returns {Object} success - Operation status
+ * @returns {string} message - Success message
+ * @returns {Object} data - Store ID with updated average_rating and total_ratings
+ */
+router.delete('/ratings/:id', idRules, requireOwnership(RESOURCE_TYPES.RATING), auditLogger(ACTIONS.DELETE, RESOURCE_TYPES.RATING), asyncHandler(async (req, res) => {
+  const db = req.app.locals.db
+  const { id } = req.params
+
+  const [ratings] = await db.execute(
+    'SELECT id, user_id, store_id, rating, review, created_at, updated_at FROM ratings WHERE id = ?',
+    [id]
+  )
+
+  if (ratings.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rating not found'
+    })
+  }
+
+  const deletedRating = ratings[0]
+
+  await db.execute('DELETE FROM ratings WHERE id = ?', [id])
+
+  const [stats] = await db.execute(
+    `SELECT COALESCE(AVG(rating), 0) as average_rating, COUNT(*) as total_ratings
+     FROM ratings
+     WHERE store_id = ? AND hidden_at IS NULL`,
+    [deletedRating.store_id]
+  )
+
+  res.json({
+    success: true,
+    message: 'Rating deleted successfully',
+    data: {
+      storeId: deletedRating.store_id,
+      average_rating: parseFloat(Number(stats[0].average_rating).toFixed(2)),
+      total_ratings: Number(stats[0].total_ratings)
+    }
+  })
+}))
+
 module.exports = router
\ No newline at end of file
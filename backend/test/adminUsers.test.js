@@ -0,0 +1,129 @@
+/**
+ * Tests for role assignment when admin routes create users
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret'
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const express = require('express')
+const jwt = require('jsonwebtoken')
+const adminRoutes = require('../routes/admin')
+const { errorHandler } = require('../middleware/errorHandler')
+const { loadRoleMapping } = require('../utils/roles')
+const { createMemoryDb } = require('./helpers/memoryDb')
+
+describe('POST /admin/users', () => {
+  let db
+  let server
+  let baseUrl
+
+  /**
+   * Add a user with the given role and return an access token for them
+   */
+  const signIn = async (role) => {
+    const [result] = await db.execute(
+      'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)',
+      [`Signed In ${role}`, `${role}@example.com`, 'hash', role]
+    )
+    return jwt.sign({ userId: result.insertId, role, ver: 0 }, process.env.JWT_SECRET)
+  }
+
+  const createUser = (token, role) => fetch(`${baseUrl}/admin/users`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name: 'Created By The Admin Routes',
+      email: `new-${role}@example.com`,
+      password: 'Secret@123',
+      address: '1 Test Street',
+      role
+    })
+  })
+
+  const findUser = async (email) => {
+    const [rows] = await db.execute('SELECT id, role FROM users WHERE email = ?', [email])
+    return rows[0] || null
+  }
+
+  before(async () => {
+    // Verification emails go to the console transport
+    mock.method(console, 'log', () => {})
+
+    const app = express()
+    app.use(express.json())
+    app.use((req, res, next) => {
+      req.app.locals.db = db
+      next()
+    })
+    app.use('/admin', adminRoutes)
+    app.use(errorHandler)
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve)
+    })
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  beforeEach(async () => {
+    db = createMemoryDb()
+    // Custom roles that can create users, one at each custom level
+    for (const [name, level] of [['support', 2], ['helpdesk', 1]]) {
+      await db.execute(
+        'INSERT INTO roles (name, display_name, level) VALUES (?, ?, ?)',
+        [name, name, level]
+      )
+      for (const permission of ['user:create', 'system:manage']) {
+        await db.execute('INSERT INTO role_permissions (role_name, permission) VALUES (?, ?)', [name, permission])
+      }
+    }
+    await db.execute('INSERT INTO roles (name, display_name, level) VALUES (?, ?, ?)', ['intern', 'Intern', 1])
+    await db.execute('INSERT INTO role_permissions (role_name, permission) VALUES (?, ?)', ['intern', 'user:create'])
+    await loadRoleMapping(db, { force: true })
+  })
+
+  it('does not let a custom role create a system admin', async () => {
+    const response = await createUser(await signIn('support'), 'system_admin')
+
+    assert.equal(response.status, 403)
+    assert.equal((await response.json()).message, 'You cannot assign this role')
+    assert.equal(await findUser('new-system_admin@example.com'), null)
+  })
+
+  it('does not let a custom role create a role ranked at or above its own', async () => {
+    const helpdesk = await signIn('helpdesk')
+    const support = await signIn('support')
+
+    assert.equal((await createUser(helpdesk, 'store_owner')).status, 403)
+    assert.equal((await createUser(helpdesk, 'support')).status, 403)
+    assert.equal((await createUser(support, 'store_owner')).status, 403)
+    assert.equal(await findUser('new-store_owner@example.com'), null)
+    assert.equal(await findUser('new-support@example.com'), null)
+  })
+
+  it('lets a custom role create roles ranked below its own', async () => {
+    const response = await createUser(await signIn('support'), 'normal_user')
+
+    assert.equal(response.status, 201)
+    assert.equal((await findUser('new-normal_user@example.com')).role, 'normal_user')
+  })
+
+  it('requires role management rights to assign any role', async () => {
+    const response = await createUser(await signIn('intern'), 'normal_user')
+
+    assert.equal(response.status, 403)
+    assert.equal(await findUser('new-normal_user@example.com'), null)
+  })
+
+  it('lets a system admin create another system admin', async () => {
+    const response = await createUser(await signIn('system_admin'), 'system_admin')
+
+    assert.equal(response.status, 201)
+    assert.equal((await findUser('new-system_admin@example.com')).role, 'system_admin')
+  })
+})
@@ -0,0 +1,1280 @@
+/**
+ * In-Memory Database for Tests
+ *
+ * Runs the subset of MySQL the backend's queries use against plain arrays of
+ * rows, so tests exercise the real statements, WHERE clauses included,
+ * without a database server. The schema and seed rows come from the `.up.sql`
+ * files in database/migrations, so columns, defaults, primary and unique keys
+ * match a freshly migrated database.
+ *
+ * Supported: SELECT with JOIN / LEFT JOIN, WHERE, GROUP BY, ORDER BY, LIMIT,
+ * aggregates and scalar or IN subqueries; INSERT ... VALUES with ON DUPLICATE
+ * KEY UPDATE; UPDATE; DELETE; NOW() and INTERVAL arithmetic. String
+ * comparisons ignore case, like the tables' unicode_ci collation. Foreign
+ * keys are not enforced. Anything unsupported throws, so a test fails loudly
+ * instead of passing against a query the fake did not understand.
+ *
+ * @module test/helpers/memoryDb
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'database', 'migrations')
+
+const RESERVED = new Set([
+  'FROM', 'WHERE', 'JOIN', 'LEFT', 'INNER', 'OUTER', 'ON', 'ORDER', 'GROUP', 'HAVING', 'LIMIT',
+  'OFFSET', 'AS', 'AND', 'OR', 'NOT', 'SET', 'VALUES', 'FOR', 'ASC', 'DESC', 'UNION'
+])
+const AGGREGATES = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'])
+const INTERVAL_MS = { SECOND: 1000, MINUTE: 60 * 1000, HOUR: 60 * 60 * 1000, DAY: 24 * 60 * 60 * 1000 }
+
+/**
+ * Split SQL Into Tokens
+ *
+ * @param {string} sql - Statement text
+ * @returns {Object[]} Tokens with `type`, `value` and source offsets
+ */
+const tokenize = (sql) => {
+  const tokens = []
+  const pattern = /\s+|--[^\n]*|(\d+(?:\.\d+)?)|'((?:[^'\\]|\\.|'')*)'|`?([A-Za-z_]\w*)`?|(<>|!=|<=|>=|[=<>+\-*/(),.?;])/y
+
+  while (pattern.lastIndex < sql.length) {
+    const start = pattern.lastIndex
+    const match = pattern.exec(sql)
+    if (!match) {
+      throw new Error(`Unsupported SQL near: ${sql.slice(start, start + 30)}`)
+    }
+
+    const end = pattern.lastIndex
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]), start, end })
+    else if (match[2] !== undefined) tokens.push({ type: 'string', value: match[2].replace(/''/g, "'").replace(/\\(.)/g, '$1'), start, end })
+    else if (match[3] !== undefined) tokens.push({ type: 'word', value: match[3], upper: match[3].toUpperCase(), start, end })
+    else if (match[4] !== undefined) tokens.push({ type: 'symbol', value: match[4], start, end })
+  }
+
+  return tokens
+}
+
+/**
+ * Recursive-Descent Parser for the Supported Statements
+ */
+class Parser {
+  constructor (sql) {
+    this.sql = sql
+    this.tokens = tokenize(sql)
+    this.position = 0
+    this.paramCount = 0
+  }
+
+  peek (offset = 0) {
+    return this.tokens[this.position + offset]
+  }
+
+  next () {
+    const token = this.tokens[this.position++]
+    if (!token) this.fail('Unexpected end of statement')
+    return token
+  }
+
+  fail (message) {
+    const token = this.peek()
+    const near = token ? this.sql.slice(token.start, token.start + 30) : 'end of statement'
+    throw new Error(`${message} near "${near}" in: ${this.sql.trim()}`)
+  }
+
+  isWord (...words) {
+    const token = this.peek()
+    return Boolean(token && token.type === 'word' && words.includes(token.upper))
+  }
+
+  acceptWord (...words) {
+    if (!this.isWord(...words)) return null
+    return this.next().upper
+  }
+
+  expectWord (word) {
+    if (!this.acceptWord(word)) this.fail(`Expected ${word}`)
+  }
+
+  isSymbol (symbol) {
+    const token = this.peek()
+    return Boolean(token && token.type === 'symbol' && token.value === symbol)
+  }
+
+  acceptSymbol (symbol) {
+    if (!this.isSymbol(symbol)) return false
+    this.position++
+    return true
+  }
+
+  expectSymbol (symbol) {
+    if (!this.acceptSymbol(symbol)) this.fail(`Expected "${symbol}"`)
+  }
+
+  identifier () {
+    const token = this.next()
+    if (token.type !== 'word') {
+      this.position--
+      this.fail('Expected a name')
+    }
+    return token.value
+  }
+
+  isAlias () {
+    const token = this.peek()
+    return Boolean(token && token.type === 'word' && !RESERVED.has(token.upper))
+  }
+
+  alias () {
+    if (this.acceptWord('AS')) return this.identifier()
+    return this.isAlias() ? this.identifier() : null
+  }
+
+  parseStatement () {
+    let statement
+    if (this.acceptWord('SELECT')) statement = this.parseSelect()
+    else if (this.acceptWord('INSERT')) statement = this.parseInsert()
+    else if (this.acceptWord('UPDATE')) statement = this.parseUpdate()
+    else if (this.acceptWord('DELETE')) statement = this.parseDelete()
+    else this.fail('Unsupported statement')
+
+    this.acceptSymbol(';')
+    if (this.peek()) this.fail('Unexpected input')
+    statement.paramCount = this.paramCount
+    return statement
+  }
+
+  parseSelect () {
+    const distinct = Boolean(this.acceptWord('DISTINCT'))
+    const columns = []
+    do {
+      if (this.acceptSymbol('*')) {
+        columns.push({ star: true })
+        continue
+      }
+      if (this.peek(1)?.value === '.' && this.peek(2)?.value === '*') {
+        const table = this.identifier()
+        this.position += 2
+        columns.push({ star: true, table })
+        continue
+      }
+      const start = this.peek().start
+      const expr = this.parseExpression()
+      const text = this.sql.slice(start, this.tokens[this.position - 1].end)
+      columns.push({ expr, alias: this.alias() || (expr.type === 'column' ? expr.name : text) })
+    } while (this.acceptSymbol(','))
+
+    this.expectWord('FROM')
+    const from = this.parseTableRef()
+    const joins = []
+    for (;;) {
+      let kind
+      if (this.acceptWord('LEFT')) {
+        this.acceptWord('OUTER')
+        kind = 'left'
+      } else if (this.acceptWord('INNER')) {
+        kind = 'inner'
+      } else if (!this.isWord('JOIN')) {
+        break
+      }
+      this.expectWord('JOIN')
+      const table = this.parseTableRef()
+      this.expectWord('ON')
+      joins.push({ kind: kind || 'inner', table, on: this.parseExpression() })
+    }
+
+    const where = this.acceptWord('WHERE') ? this.parseExpression() : null
+    let groupBy = null
+    if (this.acceptWord('GROUP')) {
+      this.expectWord('BY')
+      groupBy = this.parseList(() => this.parseExpression())
+    }
+    const having = this.acceptWord('HAVING') ? this.parseExpression() : null
+    let orderBy = []
+    if (this.acceptWord('ORDER')) {
+      this.expectWord('BY')
+      orderBy = this.parseList(() => {
+        const expr = this.parseExpression()
+        const direction = this.acceptWord('ASC', 'DESC')
+        return { expr, descending: direction === 'DESC' }
+      })
+    }
+
+    let limit = null
+    let offset = null
+    if (this.acceptWord('LIMIT')) {
+      limit = this.parsePrimary()
+      if (this.acceptSymbol(',')) {
+        offset = limit
+        limit = this.parsePrimary()
+      } else if (this.acceptWord('OFFSET')) {
+        offset = this.parsePrimary()
+      }
+    }
+    if (this.acceptWord('FOR')) this.expectWord('UPDATE')
+
+    return { type: 'select', distinct, columns, from, joins, where, groupBy, having, orderBy, limit, offset }
+  }
+
+  parseTableRef () {
+    if (this.acceptSymbol('(')) {
+      this.expectWord('SELECT')
+      const select = this.parseSelect()
+      this.expectSymbol(')')
+      return { select, alias: this.alias() || this.fail('Derived tables need an alias') }
+    }
+    const name = this.identifier()
+    return { name, alias: this.alias() || name }
+  }
+
+  parseList (parseItem) {
+    const items = []
+    do {
+      items.push(parseItem())
+    } while (this.acceptSymbol(','))
+    return items
+  }
+
+  parseAssignments () {
+    return this.parseList(() => {
+      let column = this.identifier()
+      if (this.acceptSymbol('.')) column = this.identifier()
+      this.expectSymbol('=')
+      return { column, expr: this.parseExpression() }
+    })
+  }
+
+  parseInsert () {
+    const ignore = Boolean(this.acceptWord('IGNORE'))
+    this.expectWord('INTO')
+    const table = this.identifier()
+    this.expectSymbol('(')
+    const columns = this.parseList(() => this.identifier())
+    this.expectSymbol(')')
+    this.expectWord('VALUES')
+    const rows = this.parseList(() => {
+      this.expectSymbol('(')
+      const values = this.parseList(() => this.parseExpression())
+      this.expectSymbol(')')
+      if (values.length !== columns.length) this.fail('Column count does not match value count')
+      return values
+    })
+
+    let onDuplicate = null
+    if (this.acceptWord('ON')) {
+      this.expectWord('DUPLICATE')
+      this.expectWord('KEY')
+      this.expectWord('UPDATE')
+      onDuplicate = this.parseAssignments()
+    }
+
+    return { type: 'insert', ignore, table, columns, rows, onDuplicate }
+  }
+
+  parseUpdate () {
+    const table = this.parseTableRef()
+    this.expectWord('SET')
+    const assignments = this.parseAssignments()
+    const where = this.acceptWord('WHERE') ? this.parseExpression() : null
+    return { type: 'update', table, assignments, where }
+  }
+
+  parseDelete () {
+    this.expectWord('FROM')
+    const table = this.parseTableRef()
+    const where = this.acceptWord('WHERE') ? this.parseExpression() : null
+    return { type: 'delete', table, where }
+  }
+
+  parseExpression () {
+    let left = this.parseAnd()
+    while (this.acceptWord('OR')) {
+      left = { type: 'logical', op: 'OR', left, right: this.parseAnd() }
+    }
+    return left
+  }
+
+  parseAnd () {
+    let left = this.parseNot()
+    while (this.acceptWord('AND')) {
+      left = { type: 'logical', op: 'AND', left, right: this.parseNot() }
+    }
+    return left
+  }
+
+  parseNot () {
+    if (this.acceptWord('NOT')) return { type: 'not', expr: this.parseNot() }
+    return this.parseComparison()
+  }
+
+  parseComparison () {
+    const left = this.parseAdditive()
+
+    if (this.acceptWord('IS')) {
+      const negated = Boolean(this.acceptWord('NOT'))
+      this.expectWord('NULL')
+      return { type: 'isNull', expr: left, negated }
+    }
+
+    const negated = Boolean(this.acceptWord('NOT'))
+    if (this.acceptWord('IN')) {
+      this.expectSymbol('(')
+      let list
+      if (this.acceptWord('SELECT')) {
+        list = { type: 'subquery', select: this.parseSelect() }
+      } else {
+        list = this.parseList(() => this.parseExpression())
+      }
+      this.expectSymbol(')')
+      return { type: 'in', expr: left, list, negated }
+    }
+    if (this.acceptWord('LIKE')) {
+      return { type: 'like', expr: left, pattern: this.parseAdditive(), negated }
+    }
+    if (this.acceptWord('BETWEEN')) {
+      const low = this.parseAdditive()
+      this.expectWord('AND')
+      return { type: 'between', expr: left, low, high: this.parseAdditive(), negated }
+    }
+    if (negated) this.fail('Expected IN, LIKE or BETWEEN')
+
+    for (const op of ['=', '<>', '!=', '<=', '>=', '<', '>']) {
+      if (this.acceptSymbol(op)) {
+        return { type: 'compare', op: op === '!=' ? '<>' : op, left, right: this.parseAdditive() }
+      }
+    }
+    return left
+  }
+
+  parseAdditive () {
+    let left = this.parseMultiplicative()
+    for (;;) {
+      const op = this.isSymbol('+') ? '+' : this.isSymbol('-') ? '-' : null
+      if (!op) return left
+      this.position++
+      left = { type: 'arithmetic', op, left, right: this.parseMultiplicative() }
+    }
+  }
+
+  parseMultiplicative () {
+    let left = this.parsePrimary()
+    for (;;) {
+      const op = this.isSymbol('*') ? '*' : this.isSymbol('/') ? '/' : null
+      if (!op) return left
+      this.position++
+      left = { type: 'arithmetic', op, left, right: this.parsePrimary() }
+    }
+  }
+
+  parsePrimary () {
+    const token = this.next()
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value }
+    }
+
+    if (token.type === 'symbol') {
+      if (token.value === '?') return { type: 'param', index: this.paramCount++ }
+      if (token.value === '-') return { type: 'arithmetic', op: '-', left: { type: 'literal', value: 0 }, right: this.parsePrimary() }
+      if (token.value === '(') {
+        if (this.acceptWord('SELECT')) {
+          const select = this.parseSelect()
+          this.expectSymbol(')')
+          return { type: 'subquery', select }
+        }
+        const expr = this.parseExpression()
+        this.expectSymbol(')')
+        return expr
+      }
+      this.position--
+      this.fail('Unexpected symbol')
+    }
+
+    switch (token.upper) {
+      case 'NULL':
+        return { type: 'literal', value: null }
+      case 'TRUE':
+        return { type: 'literal', value: 1 }
+      case 'FALSE':
+        return { type: 'literal', value: 0 }
+      case 'CURRENT_TIMESTAMP':
+        if (this.acceptSymbol('(')) this.expectSymbol(')')
+        return { type: 'call', name: 'NOW', args: [] }
+      case 'INTERVAL': {
+        const value = this.parsePrimary()
+        const unit = this.next().upper
+        if (!INTERVAL_MS[unit]) this.fail(`Unsupported interval unit ${unit}`)
+        return { type: 'interval', value, unit }
+      }
+      case 'EXISTS': {
+        this.expectSymbol('(')
+        this.expectWord('SELECT')
+        const select = this.parseSelect()
+        this.expectSymbol(')')
+        return { type: 'exists', select }
+      }
+      case 'CASE':
+        return this.parseCase()
+    }
+
+    if (this.acceptSymbol('(')) {
+      const name = token.upper
+      if (this.acceptSymbol('*')) {
+        this.expectSymbol(')')
+        return { type: 'call', name, args: [], star: true }
+      }
+      const distinct = Boolean(this.acceptWord('DISTINCT'))
+      const args = this.isSymbol(')') ? [] : this.parseList(() => this.parseExpression())
+      this.expectSymbol(')')
+      return { type: 'call', name, args, distinct }
+    }
+
+    if (this.acceptSymbol('.')) {
+      return { type: 'column', table: token.value, name: this.identifier() }
+    }
+    return { type: 'column', table: null, name: token.value }
+  }
+
+  parseCase () {
+    const subject = this.isWord('WHEN') ? null : this.parseExpression()
+    const branches = []
+    while (this.acceptWord('WHEN')) {
+      const when = this.parseExpression()
+      this.expectWord('THEN')
+      branches.push({ when, then: this.parseExpression() })
+    }
+    const otherwise = this.acceptWord('ELSE') ? this.parseExpression() : { type: 'literal', value: null }
+    this.expectWord('END')
+    return { type: 'case', subject, branches, otherwise }
+  }
+}
+
+/**
+ * Normalize a Value for Comparison
+ *
+ * @param {*} value - Column or parameter value
+ * @returns {*} Dates as epoch milliseconds, booleans as 0/1
+ */
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime()
+  if (typeof value === 'boolean') return Number(value)
+  return value
+}
+
+/**
+ * Compare Two Non-Null Values the Way MySQL Would
+ *
+ * Numbers and numeric strings compare as numbers, Dates by time, and strings
+ * case-insensitively.
+ *
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  a = comparable(a)
+  b = comparable(b)
+  if (typeof a === 'number' && typeof b === 'string') b = Number(b)
+  if (typeof b === 'number' && typeof a === 'string') a = Number(a)
+  if (typeof a === 'string' && typeof b === 'string') {
+    a = a.toLowerCase()
+    b = b.toLowerCase()
+  }
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+const isTrue = (value) => value !== null && value !== undefined && Boolean(comparable(value))
+
+/**
+ * Convert a Value to a Column's Storage Type
+ *
+ * @param {Object} column - Column definition from the schema
+ * @param {*} value - Value being written
+ * @returns {*} Value as the mysql2 driver would return it
+ */
+const coerce = (column, value) => {
+  if (value === null || value === undefined) return null
+  switch (column.kind) {
+    case 'number':
+      return Number(value)
+    case 'date':
+      return value instanceof Date ? new Date(value.getTime()) : new Date(value)
+    case 'json':
+      return typeof value === 'string' ? JSON.parse(value) : value
+    default:
+      return value instanceof Date ? value.toISOString() : String(value)
+  }
+}
+
+/**
+ * Create an Empty Database Engine
+ *
+ * @returns {Object} Engine with `tables` and `run(sql, params)`
+ */
+const createEngine = () => {
+  const tables = new Map()
+  const parsed = new Map()
+  const now = () => new Date(Math.floor(Date.now() / 1000) * 1000)
+
+  const getTable = (name) => {
+    const table = tables.get(name)
+    if (!table) throw new Error(`Table '${name}' doesn't exist`)
+    return table
+  }
+
+  const getColumn = (table, name) => {
+    const column = table.columns.find(col => col.name === name)
+    if (!column) throw new Error(`Unknown column '${name}' in '${table.name}'`)
+    return column
+  }
+
+  /**
+   * Look Up a Column in the Current Row Scope
+   *
+   * Qualified names resolve against their alias; bare names must match
+   * exactly one table in scope. Outer scopes serve correlated subqueries.
+   */
+  const resolveColumn = (node, scope) => {
+    for (let current = scope; current; current = current.outer) {
+      if (node.table) {
+        const source = current.sources.find(item => item.alias === node.table)
+        if (!source) continue
+        if (!source.columns.includes(node.name)) {
+          throw new Error(`Unknown column '${node.table}.${node.name}'`)
+        }
+        return current.rows[source.alias] ? current.rows[source.alias][node.name] : null
+      }
+
+      const matches = current.sources.filter(item => item.columns.includes(node.name))
+      if (matches.length > 1) throw new Error(`Column '${node.name}' is ambiguous`)
+      if (matches.length === 1) {
+        const row = current.rows[matches[0].alias]
+        return row ? row[node.name] : null
+      }
+      if (current.output && Object.prototype.hasOwnProperty.call(current.output, node.name)) {
+        return current.output[node.name]
+      }
+    }
+    throw new Error(`Unknown column '${node.table ? `${node.table}.` : ''}${node.name}'`)
+  }
+
+  const evaluate = (node, scope, params) => {
+    switch (node.type) {
+      case 'literal':
+        return node.value
+      case 'param':
+        return params[node.index] === undefined ? null : params[node.index]
+      case 'column':
+        return resolveColumn(node, scope)
+      case 'logical': {
+        const left = evaluate(node.left, scope, params)
+        if (node.op === 'AND' && left !== null && !isTrue(left)) return 0
+        if (node.op === 'OR' && isTrue(left)) return 1
+        const right = evaluate(node.right, scope, params)
+        if (node.op === 'AND') {
+          if (right !== null && !isTrue(right)) return 0
+          return left === null || right === null ? null : 1
+        }
+        if (isTrue(right)) return 1
+        return left === null || right === null ? null : 0
+      }
+      case 'not': {
+        const value = evaluate(node.expr, scope, params)
+        return value === null ? null : isTrue(value) ? 0 : 1
+      }
+      case 'isNull': {
+        const value = evaluate(node.expr, scope, params)
+        return Number((value === null || value === undefined) !== node.negated)
+      }
+      case 'compare': {
+        const left = evaluate(node.left, scope, params)
+        const right = evaluate(node.right, scope, params)
+        if (left === null || left === undefined || right === null || right === undefined) return null
+        const result = compareValues(left, right)
+        switch (node.op) {
+          case '=': return Number(result === 0)
+          case '<>': return Number(result !== 0)
+          case '<': return Number(result < 0)
+          case '>': return Number(result > 0)
+          case '<=': return Number(result <= 0)
+          default: return Number(result >= 0)
+        }
+      }
+      case 'in': {
+        const value = evaluate(node.expr, scope, params)
+        if (value === null) return null
+        const candidates = Array.isArray(node.list)
+          ? node.list.map(item => evaluate(item, scope, params))
+          : runSelect(node.list.select, params, scope).map(row => Object.values(row)[0])
+        const found = candidates.some(candidate => candidate !== null && compareValues(value, candidate) === 0)
+        return Number(found !== node.negated)
+      }
+      case 'like': {
+        const value = evaluate(node.expr, scope, params)
+        const pattern = evaluate(node.pattern, scope, params)
+        if (value === null || pattern === null) return null
+        const source = String(pattern).replace(/\\([%_\\])|([%_])|([.*+?^${}()|[\]\\])/g, (match, escaped, wildcard, special) => {
+          if (escaped) return `\\${escaped}`
+          if (wildcard) return wildcard === '%' ? '.*' : '.'
+          return `\\${special}`
+        })
+        return Number(new RegExp(`^${source}$`, 'is').test(String(value)) !== node.negated)
+      }
+      case 'between': {
+        const value = evaluate(node.expr, scope, params)
+        const low = evaluate(node.low, scope, params)
+        const high = evaluate(node.high, scope, params)
+        if (value === null || low === null || high === null) return null
+        const inside = compareValues(value, low) >= 0 && compareValues(value, high) <= 0
+        return Number(inside !== node.negated)
+      }
+      case 'arithmetic': {
+        const left = evaluate(node.left, scope, params)
+        if (node.right.type === 'interval') {
+          const amount = evaluate(node.right.value, scope, params)
+          if (left === null || amount === null) return null
+          const delta = Number(amount) * INTERVAL_MS[node.right.unit]
+          return new Date(new Date(left).getTime() + (node.op === '+' ? delta : -delta))
+        }
+        const right = evaluate(node.right, scope, params)
+        if (left === null || right === null) return null
+        const a = Number(comparable(left))
+        const b = Number(comparable(right))
+        switch (node.op) {
+          case '+': return a + b
+          case '-': return a - b
+          case '*': return a * b
+          default: return b === 0 ? null : a / b
+        }
+      }
+      case 'case': {
+        const subject = node.subject ? evaluate(node.subject, scope, params) : null
+        for (const branch of node.branches) {
+          const when = evaluate(branch.when, scope, params)
+          const matched = node.subject ? subject !== null && when !== null && compareValues(subject, when) === 0 : isTrue(when)
+          if (matched) return evaluate(branch.then, scope, params)
+        }
+        return evaluate(node.otherwise, scope, params)
+      }
+      case 'subquery': {
+        const rows = runSelect(node.select, params, scope)
+        if (rows.length > 1) throw new Error('Subquery returns more than 1 row')
+        return rows.length ? Object.values(rows[0])[0] : null
+      }
+      case 'exists':
+        return Number(runSelect(node.select, params, scope).length > 0)
+      case 'call':
+        return evaluateCall(node, scope, params)
+      default:
+        throw new Error(`Cannot evaluate ${node.type}`)
+    }
+  }
+
+  const evaluateCall = (node, scope, params) => {
+    if (AGGREGATES.has(node.name)) {
+      if (!scope.group) throw new Error(`Invalid use of group function ${node.name}`)
+      let values = node.star
+        ? scope.group.map(() => 1)
+        : scope.group.map(rowScope => evaluate(node.args[0], rowScope, params)).filter(value => value !== null && value !== undefined)
+      if (node.distinct) {
+        values = values.filter((value, index) => values.findIndex(other => compareValues(value, other) === 0) === index)
+      }
+      switch (node.name) {
+        case 'COUNT': return values.length
+        case 'SUM': return values.length ? values.reduce((sum, value) => sum + Number(comparable(value)), 0) : null
+        case 'AVG': return values.length ? values.reduce((sum, value) => sum + Number(comparable(value)), 0) / values.length : null
+        case 'MIN': return values.length ? values.reduce((min, value) => compareValues(value, min) < 0 ? value : min) : null
+        default: return values.length ? values.reduce((max, value) => compareValues(value, max) > 0 ? value : max) : null
+      }
+    }
+
+    const args = node.args.map(arg => evaluate(arg, scope, params))
+    switch (node.name) {
+      case 'NOW':
+        return now()
+      case 'COALESCE':
+      case 'IFNULL':
+        return args.find(value => value !== null && value !== undefined) ?? null
+      case 'IF':
+        return isTrue(args[0]) ? args[1] : args[2]
+      case 'LOWER':
+        return args[0] === null ? null : String(args[0]).toLowerCase()
+      case 'UPPER':
+        return args[0] === null ? null : String(args[0]).toUpperCase()
+      case 'GREATEST':
+        return args.some(value => value === null) ? null : args.reduce((max, value) => compareValues(value, max) > 0 ? value : max)
+      case 'LEAST':
+        return args.some(value => value === null) ? null : args.reduce((min, value) => compareValues(value, min) < 0 ? value : min)
+      case 'ROUND': {
+        if (args[0] === null) return null
+        const factor = 10 ** Number(args[1] || 0)
+        return Math.round(Number(args[0]) * factor) / factor
+      }
+      case 'VALUES':
+        if (!scope.inserted) throw new Error('VALUES() is only valid in ON DUPLICATE KEY UPDATE')
+        return scope.inserted[node.args[0].name]
+      default:
+        throw new Error(`Unsupported function ${node.name}()`)
+    }
+  }
+
+  const containsAggregate = (node) => {
+    if (!node || typeof node !== 'object') return false
+    if (node.type === 'subquery' || node.type === 'exists') return false
+    if (node.type === 'call' && AGGREGATES.has(node.name)) return true
+    return Object.values(node).some(value =>
+      Array.isArray(value) ? value.some(containsAggregate) : containsAggregate(value))
+  }
+
+  /**
+   * Rows and Column Names for a FROM or JOIN Source
+   */
+  const loadSource = (ref, params, outer) => {
+    if (ref.select) {
+      const rows = runSelect(ref.select, params, outer)
+      const columns = ref.select.columns.flatMap(column => column.star ? [] : [column.alias])
+      return { alias: ref.alias, columns, rows }
+    }
+    const table = getTable(ref.name)
+    return { alias: ref.alias, columns: table.columns.map(column => column.name), rows: table.rows }
+  }
+
+  const runSelect = (statement, params, outer = null) => {
+    const base = loadSource(statement.from, params, outer)
+    const sources = [base]
+    let scopes = base.rows.map(row => ({ sources, rows: { [base.alias]: row }, outer }))
+
+    for (const join of statement.joins) {
+      const source = loadSource(join.table, params, outer)
+      sources.push(source)
+      scopes = scopes.flatMap(scope => {
+        const matched = source.rows
+          .map(row => ({ ...scope, rows: { ...scope.rows, [source.alias]: row } }))
+          .filter(candidate => isTrue(evaluate(join.on, candidate, params)))
+        if (matched.length === 0 && join.kind === 'left') {
+          return [{ ...scope, rows: { ...scope.rows, [source.alias]: null } }]
+        }
+        return matched
+      })
+    }
+
+    if (statement.where) {
+      scopes = scopes.filter(scope => isTrue(evaluate(statement.where, scope, params)))
+    }
+
+    const project = (scope) => {
+      const output = {}
+      for (const column of statement.columns) {
+        if (column.star) {
+          for (const source of sources) {
+            if (column.table && source.alias !== column.table) continue
+            for (const name of source.columns) {
+              output[name] = scope.rows[source.alias] ? scope.rows[source.alias][name] : null
+            }
+          }
+        } else {
+          output[column.alias] = evaluate(column.expr, scope, params)
+        }
+      }
+      return output
+    }
+
+    const aggregated = statement.groupBy || statement.columns.some(column => containsAggregate(column.expr))
+    let results
+    if (aggregated) {
+      const groups = new Map()
+      for (const scope of scopes) {
+        const key = statement.groupBy
+          ? JSON.stringify(statement.groupBy.map(expr => comparable(evaluate(expr, scope, params))))
+          : ''
+        if (!groups.has(key)) groups.set(key, [])
+        groups.get(key).push(scope)
+      }
+      if (!statement.groupBy && groups.size === 0) groups.set('', [])
+
+      results = [...groups.values()].map(group => {
+        const scope = { ...(group[0] || { sources, rows: {}, outer }), group }
+        return { scope, output: project(scope) }
+      })
+      if (statement.having) {
+        results = results.filter(({ scope, output }) => isTrue(evaluate(statement.having, { ...scope, output }, params)))
+      }
+    } else {
+      results = scopes.map(scope => ({ scope, output: project(scope) }))
+    }
+
+    if (statement.distinct) {
+      const seen = new Set()
+      results = results.filter(({ output }) => {
+        const key = JSON.stringify(Object.values(output).map(comparable))
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+    }
+
+    if (statement.orderBy.length > 0) {
+      const keyed = results.map(result => ({
+        result,
+        keys: statement.orderBy.map(({ expr }) => {
+          if (expr.type === 'column' && !expr.table && Object.prototype.hasOwnProperty.call(result.output, expr.name)) {
+            return result.output[expr.name]
+          }
+          return evaluate(expr, { ...result.scope, output: result.output }, params)
+        })
+      }))
+      keyed.sort((a, b) => {
+        for (let i = 0; i < statement.orderBy.length; i++) {
+          const left = a.keys[i]
+          const right = b.keys[i]
+          let result
+          if (left === null || right === null) result = left === right ? 0 : left === null ? -1 : 1
+          else result = compareValues(left, right)
+          if (result !== 0) return statement.orderBy[i].descending ? -result : result
+        }
+        return 0
+      })
+      results = keyed.map(item => item.result)
+    }
+
+    let rows = results.map(result => result.output)
+    if (statement.limit) {
+      const offset = statement.offset ? Number(evaluate(statement.offset, null, params)) : 0
+      rows = rows.slice(offset, offset + Number(evaluate(statement.limit, null, params)))
+    }
+    return rows
+  }
+
+  /**
+   * Find a Row That Conflicts With a Primary or Unique Key
+   */
+  const findConflict = (table, row, ignore = null) => {
+    for (const key of table.uniqueKeys) {
+      if (key.columns.some(name => row[name] === null || row[name] === undefined)) continue
+      const existing = table.rows.find(other => other !== ignore &&
+        key.columns.every(name => other[name] !== null && compareValues(other[name], row[name]) === 0))
+      if (existing) return { existing, key }
+    }
+    return null
+  }
+
+  const duplicateError = (table, row, key) => {
+    const error = new Error(`Duplicate entry '${key.columns.map(name => row[name]).join('-')}' for key '${table.name}.${key.name}'`)
+    error.code = 'ER_DUP_ENTRY'
+    error.errno = 1062
+    return error
+  }
+
+  const assign = (table, row, assignments, scope, params) => {
+    const updated = { ...row }
+    for (const { column, expr } of assignments) {
+      updated[column] = coerce(getColumn(table, column), evaluate(expr, { ...scope, rows: { ...scope.rows, [scope.sources[0].alias]: updated } }, params))
+    }
+    return updated
+  }
+
+  const changed = (table, before, after) =>
+    table.columns.some(column => {
+      const a = before[column.name]
+      const b = after[column.name]
+      if (a === null || b === null) return a !== b
+      return JSON.stringify(comparable(a)) !== JSON.stringify(comparable(b))
+    })
+
+  const runInsert = (statement, params) => {
+    const table = getTable(statement.table)
+    const columns = statement.columns.map(name => getColumn(table, name))
+    const sources = [{ alias: table.name, columns: table.columns.map(column => column.name) }]
+    let affectedRows = 0
+    let insertId = 0
+
+    for (const values of statement.rows) {
+      const row = {}
+      for (const column of table.columns) {
+        row[column.name] = column.defaultNow ? now() : column.default
+      }
+      values.forEach((expr, index) => {
+        row[columns[index].name] = coerce(columns[index], evaluate(expr, { sources: [], rows: {} }, params))
+      })
+
+      const autoColumn = table.columns.find(column => column.autoIncrement)
+      if (autoColumn && (row[autoColumn.name] === null || row[autoColumn.name] === 0)) {
+        row[autoColumn.name] = table.nextId
+      }
+      const missing = table.columns.find(column => column.notNull && row[column.name] === null)
+      if (missing) throw new Error(`Field '${missing.name}' doesn't have a default value`)
+
+      const conflict = findConflict(table, row)
+      if (conflict) {
+        if (statement.onDuplicate) {
+          const scope = { sources, rows: { [table.name]: conflict.existing }, inserted: row }
+          const updated = assign(table, conflict.existing, statement.onDuplicate, scope, params)
+          const other = findConflict(table, updated, conflict.existing)
+          if (other) throw duplicateError(table, updated, other.key)
+          if (changed(table, conflict.existing, updated)) {
+            Object.assign(conflict.existing, updated)
+            affectedRows += 2
+          } else {
+            affectedRows += 1
+          }
+          if (autoColumn) insertId = conflict.existing[autoColumn.name]
+          continue
+        }
+        if (statement.ignore) continue
+        throw duplicateError(table, row, conflict.key)
+      }
+
+      if (autoColumn) {
+        table.nextId = Math.max(table.nextId, Number(row[autoColumn.name]) + 1)
+        if (!insertId) insertId = row[autoColumn.name]
+      }
+      table.rows.push(row)
+      affectedRows++
+    }
+
+    return { affectedRows, insertId, warningStatus: 0 }
+  }
+
+  const runUpdate = (statement, params) => {
+    const table = getTable(statement.table.name)
+    const sources = [{ alias: statement.table.alias, columns: table.columns.map(column => column.name) }]
+    let affectedRows = 0
+    let changedRows = 0
+
+    const matches = table.rows.filter(row =>
+      !statement.where || isTrue(evaluate(statement.where, { sources, rows: { [statement.table.alias]: row } }, params)))
+
+    for (const row of matches) {
+      const updated = assign(table, row, statement.assignments, { sources, rows: { [statement.table.alias]: row } }, params)
+      const conflict = findConflict(table, updated, row)
+      if (conflict) throw duplicateError(table, updated, conflict.key)
+      affectedRows++
+      if (changed(table, row, updated)) {
+        Object.assign(row, updated)
+        changedRows++
+      }
+    }
+
+    return { affectedRows, changedRows, insertId: 0, warningStatus: 0 }
+  }
+
+  const runDelete = (statement, params) => {
+    const table = getTable(statement.table.name)
+    const sources = [{ alias: statement.table.alias, columns: table.columns.map(column => column.name) }]
+    const kept = table.rows.filter(row =>
+      statement.where && !isTrue(evaluate(statement.where, { sources, rows: { [statement.table.alias]: row } }, params)))
+    const affectedRows = table.rows.length - kept.length
+    table.rows.splice(0, table.rows.length, ...kept)
+    return { affectedRows, insertId: 0, warningStatus: 0 }
+  }
+
+  /**
+   * Parse and Run One Statement
+   *
+   * @param {string} sql - Statement with `?` placeholders
+   * @param {Array} [params] - Placeholder values
+   * @param {Function} [beforeWrite] - Called with `{ type, table }` before a write runs
+   * @returns {Array} `[rows, fields]` for SELECT, `[result]` otherwise, like mysql2
+   */
+  const run = (sql, params = [], beforeWrite = null) => {
+    if (!parsed.has(sql)) parsed.set(sql, new Parser(sql).parseStatement())
+    const statement = parsed.get(sql)
+    if (params.some(param => param === undefined)) {
+      throw new TypeError(`Bind parameters must not contain undefined: ${sql.trim()}`)
+    }
+    if (params.length !== statement.paramCount) {
+      throw new Error(`Expected ${statement.paramCount} parameters, got ${params.length}: ${sql.trim()}`)
+    }
+
+    if (statement.type === 'select') return [runSelect(statement, params), []]
+
+    if (beforeWrite) {
+      beforeWrite({ type: statement.type, table: statement.table.name || statement.table })
+    }
+    if (statement.type === 'insert') return [runInsert(statement, params)]
+    if (statement.type === 'update') return [runUpdate(statement, params)]
+    return [runDelete(statement, params)]
+  }
+
+  return { tables, run }
+}
+
+/**
+ * Split a Migration File Into Statements
+ *
+ * @param {string} sql - File contents
+ * @returns {string[]} Statements without comments
+ */
+const splitStatements = (sql) => {
+  const statements = []
+  let current = ''
+  let quoted = false
+
+  for (const line of sql.split('\n')) {
+    const text = quoted ? line : line.replace(/^\s*--.*$/, '')
+    for (const char of text) {
+      if (char === "'") quoted = !quoted
+      if (char === ';' && !quoted) {
+        if (current.trim()) statements.push(current.trim())
+        current = ''
+      } else {
+        current += char
+      }
+    }
+    current += '\n'
+  }
+  if (current.trim()) statements.push(current.trim())
+  return statements
+}
+
+/**
+ * Split Tokens on Top-Level Commas
+ */
+const splitDefinitions = (tokens) => {
+  const parts = [[]]
+  let depth = 0
+  for (const token of tokens) {
+    if (token.value === '(') depth++
+    if (token.value === ')') depth--
+    if (token.value === ',' && depth === 0) parts.push([])
+    else parts[parts.length - 1].push(token)
+  }
+  return parts.filter(part => part.length > 0)
+}
+
+const wordAt = (tokens, index) => tokens[index] && tokens[index].type === 'word' ? tokens[index].upper : null
+
+/**
+ * Read the Column List of a Key Definition
+ */
+const keyColumns = (tokens) => {
+  const open = tokens.findIndex(token => token.value === '(')
+  const close = tokens.findIndex((token, index) => index > open && token.value === ')')
+  return tokens.slice(open + 1, close).filter(token => token.type === 'word').map(token => token.value)
+}
+
+/**
+ * Parse a Column Definition
+ */
+const parseColumn = (tokens) => {
+  const type = tokens[1].upper
+  const column = {
+    name: tokens[0].value,
+    kind: ['TIMESTAMP', 'DATETIME', 'DATE'].includes(type)
+      ? 'date'
+      : type === 'JSON'
+        ? 'json'
+        : ['INT', 'TINYINT', 'SMALLINT', 'MEDIUMINT', 'BIGINT', 'DECIMAL', 'FLOAT', 'DOUBLE', 'BOOLEAN', 'BOOL'].includes(type)
+          ? 'number'
+          : 'string',
+    notNull: false,
+    autoIncrement: false,
+    default: null,
+    defaultNow: false
+  }
+
+  tokens.forEach((token, index) => {
+    if (token.upper === 'NOT' && wordAt(tokens, index + 1) === 'NULL') column.notNull = true
+    if (token.upper === 'AUTO_INCREMENT') column.autoIncrement = true
+    if (token.upper === 'DEFAULT') {
+      const value = tokens[index + 1]
+      if (value.upper === 'CURRENT_TIMESTAMP') column.defaultNow = true
+      else if (value.upper === 'TRUE' || value.upper === 'FALSE') column.default = value.upper === 'TRUE' ? 1 : 0
+      else if (value.upper !== 'NULL') column.default = coerce(column, value.value)
+    }
+  })
+
+  const inlineKey = tokens.find(token => token.upper === 'PRIMARY' || token.upper === 'UNIQUE')
+  return { column, inlineKey: inlineKey ? inlineKey.upper : null }
+}
+
+/**
+ * Apply a Key or Column Definition to a Table
+ */
+const applyDefinition = (table, tokens, { after, replace } = {}) => {
+  const first = wordAt(tokens, 0)
+
+  if (first === 'PRIMARY') {
+    table.uniqueKeys.push({ name: 'PRIMARY', columns: keyColumns(tokens) })
+    return
+  }
+  if (first === 'UNIQUE' || (first === 'CONSTRAINT' && wordAt(tokens, 2) === 'UNIQUE')) {
+    const nameToken = tokens.find((token, index) => index > 0 && token.type === 'word' && !['UNIQUE', 'KEY', 'INDEX', 'CONSTRAINT'].includes(token.upper))
+    table.uniqueKeys.push({ name: nameToken ? nameToken.value : keyColumns(tokens).join('_'), columns: keyColumns(tokens) })
+    return
+  }
+  if (['KEY', 'INDEX', 'CONSTRAINT', 'FOREIGN', 'CHECK', 'FULLTEXT'].includes(first)) return
+
+  const { column, inlineKey } = parseColumn(tokens)
+  if (column.autoIncrement) table.nextId = table.nextId || 1
+  const existing = table.columns.findIndex(col => col.name === (replace || column.name))
+  if (existing >= 0) {
+    table.columns[existing] = column
+    if (replace && replace !== column.name) {
+      for (const row of table.rows) {
+        row[column.name] = row[replace]
+        delete row[replace]
+      }
+    }
+  } else {
+    const position = after ? table.columns.findIndex(col => col.name === after) + 1 : table.columns.length
+    table.columns.splice(position || table.columns.length, 0, column)
+    for (const row of table.rows) {
+      row[column.name] = column.defaultNow ? new Date() : column.default
+    }
+  }
+  if (inlineKey) {
+    table.uniqueKeys.push({ name: inlineKey === 'PRIMARY' ? 'PRIMARY' : column.name, columns: [column.name] })
+  }
+}
+
+/**
+ * Apply a CREATE TABLE or ALTER TABLE Statement
+ *
+ * @returns {boolean} Whether the statement was a schema change
+ */
+const applySchemaStatement = (tables, sql) => {
+  const tokens = tokenize(sql)
+  const verb = wordAt(tokens, 0)
+
+  if (verb === 'CREATE' && wordAt(tokens, 1) === 'TABLE') {
+    let index = 2
+    if (wordAt(tokens, index) === 'IF') index += 3
+    const name = tokens[index].value
+    const open = index + 1
+    let depth = 0
+    let close = open
+    for (; close < tokens.length; close++) {
+      if (tokens[close].value === '(') depth++
+      if (tokens[close].value === ')' && --depth === 0) break
+    }
+
+    const table = { name, columns: [], uniqueKeys: [], rows: [], nextId: 0 }
+    for (const definition of splitDefinitions(tokens.slice(open + 1, close))) {
+      applyDefinition(table, definition)
+    }
+    tables.set(name, table)
+    return true
+  }
+
+  if (verb === 'ALTER' && wordAt(tokens, 1) === 'TABLE') {
+    const table = tables.get(tokens[2].value)
+    for (const action of splitDefinitions(tokens.slice(3))) {
+      const kind = wordAt(action, 0)
+      let rest = action.slice(1)
+      if (kind === 'ADD' || kind === 'MODIFY') {
+        if (wordAt(rest, 0) === 'COLUMN') rest = rest.slice(1)
+        const afterIndex = rest.findIndex(token => token.upper === 'AFTER')
+        const after = afterIndex >= 0 ? rest[afterIndex + 1].value : null
+        applyDefinition(table, afterIndex >= 0 ? rest.slice(0, afterIndex) : rest, { after })
+      } else if (kind === 'CHANGE') {
+        if (wordAt(rest, 0) === 'COLUMN') rest = rest.slice(1)
+        applyDefinition(table, rest.slice(1), { replace: rest[0].value })
+      } else if (kind === 'DROP') {
+        const target = wordAt(rest, 0)
+        if (target === 'INDEX' || target === 'KEY') {
+          table.uniqueKeys = table.uniqueKeys.filter(key => key.name !== rest[1].value)
+        } else if (target !== 'FOREIGN' && target !== 'PRIMARY' && target !== 'CONSTRAINT' && target !== 'CHECK') {
+          const name = target === 'COLUMN' ? rest[1].value : rest[0].value
+          table.columns = table.columns.filter(column => column.name !== name)
+          for (const row of table.rows) delete row[name]
+        }
+      } else if (kind === 'RENAME' && wordAt(rest, 0) === 'COLUMN') {
+        const column = table.columns.find(col => col.name === rest[1].value)
+        for (const row of table.rows) {
+          row[rest[3].value] = row[column.name]
+          delete row[column.name]
+        }
+        column.name = rest[3].value
+      } else {
+        throw new Error(`Unsupported ALTER TABLE action in: ${sql}`)
+      }
+    }
+    return true
+  }
+
+  return false
+}
+
+let template = null
+
+/**
+ * Build the Migrated Schema Once Per Process
+ *
+ * Schema statements are applied and `INSERT ... VALUES` seed rows are run;
+ * data migrations (INSERT ... SELECT, UPDATE) only touch rows that do not
+ * exist in a fresh database and are skipped.
+ */
+const getTemplate = () => {
+  if (template) return template
+
+  const engine = createEngine()
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.up.sql')).sort()
+  for (const file of files) {
+    for (const sql of splitStatements(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'))) {
+      if (applySchemaStatement(engine.tables, sql)) continue
+      if (/^INSERT\s+INTO\s+\w+\s*\([^)]*\)\s*VALUES/i.test(sql)) engine.run(sql)
+    }
+  }
+
+  template = engine.tables
+  return template
+}
+
+/**
+ * Create a Migrated In-Memory Database
+ *
+ * Returns a stand-in for a mysql2 promise pool. `table(name)` gives the live
+ * rows for seeding and assertions, and `beforeWrite`, when set, is called
+ * with `{ type, table }` before each INSERT, UPDATE or DELETE, which lets a
+ * test simulate another request getting in first.
+ *
+ * @returns {Object} { execute, query, getConnection, table, beforeWrite }
+ */
+const createMemoryDb = () => {
+  const engine = createEngine()
+  for (const [name, table] of getTemplate()) {
+    engine.tables.set(name, {
+      ...table,
+      columns: table.columns.map(column => ({ ...column })),
+      uniqueKeys: table.uniqueKeys.map(key => ({ ...key })),
+      rows: structuredClone(table.rows)
+    })
+  }
+
+  const db = {
+    beforeWrite: null,
+    execute: async (sql, params) => engine.run(sql, params, db.beforeWrite),
+    query: async (sql, params) => engine.run(sql, params, db.beforeWrite),
+    table: (name) => {
+      const table = engine.tables.get(name)
+      if (!table) throw new Error(`Table '${name}' doesn't exist`)
+      return table.rows
+    },
+    getConnection: async () => {
+      let snapshot = null
+      return {
+        execute: db.execute,
+        query: db.query,
+        beginTransaction: async () => {
+          snapshot = new Map([...engine.tables].map(([name, table]) => [name, { ...table, rows: structuredClone(table.rows) }]))
+        },
+        commit: async () => {
+          snapshot = null
+        },
+        rollback: async () => {
+          if (snapshot) {
+            for (const [name, table] of snapshot) engine.tables.set(name, table)
+          }
+          snapshot = null
+        },
+        release: () => {}
+      }
+    }
+  }
+
+  return db
+}
+
+module.exports = {
+  createMemoryDb
+}
@@ -0,0 +1,149 @@
+/**
+ * Tests for the sliding-window rate limiter and its Retry-After maths
+ */
+
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { rateLimit, getRetryAfterMs } = require('../middleware/rateLimit')
+
+const WINDOW_MS = 60 * 1000
+// A window boundary, so `elapsedMs` in the middleware is exactly the offset added
+const WINDOW_START = 28333334 * WINDOW_MS
+
+/**
+ * Weighted hits the limiter would see `elapsedMs` into the window, counting
+ * one more request
+ */
+const estimateNextHit = ({ current, previous }, elapsedMs) =>
+  previous * (WINDOW_MS - elapsedMs) / WINDOW_MS + current + 1
+
+/**
+ * Run the middleware once against a stub store and capture the response
+ */
+const runLimiter = async (t, { group = 'authAccount', user, counts, elapsedMs, hit }) => {
+  t.mock.method(Date, 'now', () => WINDOW_START + elapsedMs)
+
+  const calls = []
+  const store = { hit: hit || (async (...args) => { calls.push(args); return counts }) }
+  const req = { user, ip: '203.0.113.7', app: { locals: {} } }
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set (name, value) {
+      Object.assign(this.headers, typeof name === 'object' ? name : { [name]: value })
+      return this
+    },
+    status (code) {
+      this.statusCode = code
+      return this
+    },
+    json (body) {
+      this.body = body
+      return this
+    }
+  }
+
+  let nextCalled = false
+  await rateLimit(group, { store })(req, res, () => { nextCalled = true })
+  return { res, nextCalled, calls }
+}
+
+describe('getRetryAfterMs', () => {
+  it('waits until the previous window has decayed enough for one more hit', () => {
+    const counts = { current: 5, previous: 10 }
+    const wait = getRetryAfterMs(10, counts, 6000, WINDOW_MS)
+
+    assert.equal(wait, 30000)
+    assert.equal(estimateNextHit(counts, 6000 + wait), 10)
+  })
+
+  it('waits into the next window when the current one is full', () => {
+    const counts = { current: 12, previous: 3 }
+    const wait = getRetryAfterMs(10, counts, 30000, WINDOW_MS)
+
+    // The full window becomes the previous one, weighted down to limit - 1
+    assert.equal(wait, 45000)
+    const nextElapsed = 30000 + wait - WINDOW_MS
+    assert.equal(estimateNextHit({ current: 0, previous: counts.current }, nextElapsed), 10)
+  })
+
+  it('waits out the whole previous window when the limit is one', () => {
+    // Any weight left on the single hit would push the next one over the limit
+    assert.equal(getRetryAfterMs(1, { current: 1, previous: 0 }, 20000, WINDOW_MS), 100000)
+  })
+
+  it('never returns a negative wait', () => {
+    assert.equal(getRetryAfterMs(10, { current: 1, previous: 2 }, 59000, WINDOW_MS), 0)
+  })
+})
+
+describe('rateLimit', () => {
+  it('counts the previous window by its remaining overlap', async (t) => {
+    // 20 * 0.75 + 15 = 30, exactly the normal_user limit
+    const { res, nextCalled, calls } = await runLimiter(t, {
+      user: { id: 4, role: 'normal_user' },
+      counts: { current: 15, previous: 20 },
+      elapsedMs: 15000
+    })
+
+    assert.ok(nextCalled)
+    assert.deepEqual(calls, [['authAccount:user:4', WINDOW_START, WINDOW_MS]])
+    assert.equal(res.headers['RateLimit-Limit'], '30')
+    assert.equal(res.headers['RateLimit-Remaining'], '0')
+    assert.equal(res.headers['RateLimit-Policy'], '30;w=60')
+    assert.equal(res.headers['RateLimit-Reset'], '45')
+  })
+
+  it('rejects once the weighted count passes the limit', async (t) => {
+    // 20 * 0.75 + 16 = 31; the estimate falls back to 30 six seconds later
+    const { res, nextCalled } = await runLimiter(t, {
+      user: { id: 4, role: 'normal_user' },
+      counts: { current: 16, previous: 20 },
+      elapsedMs: 15000
+    })
+
+    assert.equal(nextCalled, false)
+    assert.equal(res.statusCode, 429)
+    assert.equal(res.headers['Retry-After'], '6')
+    assert.equal(res.headers['RateLimit-Reset'], '6')
+    assert.deepEqual(res.body.data, { retryAfter: 6 })
+  })
+
+  it('uses the role limit for the signed-in user', async (t) => {
+    const { res, nextCalled } = await runLimiter(t, {
+      user: { id: 1, role: 'system_admin' },
+      counts: { current: 31, previous: 0 },
+      elapsedMs: 1000
+    })
+
+    assert.ok(nextCalled)
+    assert.equal(res.headers['RateLimit-Limit'], '60')
+  })
+
+  it('keys anonymous requests by IP', async (t) => {
+    const { calls } = await runLimiter(t, {
+      group: 'auth',
+      counts: { current: 1, previous: 0 },
+      elapsedMs: 0
+    })
+
+    assert.equal(calls[0][0], 'auth:ip:203.0.113.7')
+    assert.equal(calls[0][2], 15 * WINDOW_MS)
+  })
+
+  it('lets requests through when the store fails', async (t) => {
+    t.mock.method(console, 'error', () => {})
+    const { res, nextCalled } = await runLimiter(t, {
+      hit: async () => { throw new Error('store down') },
+      elapsedMs: 0
+    })
+
+    assert.ok(nextCalled)
+    assert.equal(res.statusCode, 200)
+  })
+
+  it('rejects unknown policies', () => {
+    assert.throws(() => rateLimit('nope'), /Unknown rate limit policy: nope/)
+  })
+})
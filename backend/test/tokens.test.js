@@ -0,0 +1,94 @@
+/**
+ * Tests for refresh token rotation and reuse detection in utils/tokens
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret'
+
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { issueTokenPair, rotateRefreshToken, hashToken } = require('../utils/tokens')
+const { createMemoryDb } = require('./helpers/memoryDb')
+
+const req = { ip: '198.51.100.4', get: () => 'node-test' }
+
+describe('rotateRefreshToken', () => {
+  let db
+  let user
+  let login
+
+  const session = (id) => db.table('sessions').find(row => row.id === id)
+  const familyTokens = (id) => db.table('refresh_tokens').filter(row => row.family_id === id)
+
+  beforeEach(async () => {
+    db = createMemoryDb()
+    await db.execute(
+      'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)',
+      ['Test User', 'test@example.com', 'hash', 'normal_user']
+    )
+    user = db.table('users')[0]
+    login = await issueTokenPair(db, user, req)
+  })
+
+  it('exchanges a token for a new one in the same session', async () => {
+    const result = await rotateRefreshToken(db, login.refreshToken, req)
+
+    assert.equal(result.error, undefined)
+    assert.equal(result.user.id, user.id)
+    assert.equal(result.tokens.sessionId, login.sessionId)
+    assert.notEqual(result.tokens.refreshToken, login.refreshToken)
+
+    const [used, issued] = familyTokens(login.sessionId)
+    assert.ok(used.revoked_at)
+    assert.equal(used.replaced_by, issued.id)
+    assert.equal(issued.token_hash, hashToken(result.tokens.refreshToken))
+    assert.equal(issued.revoked_at, null)
+  })
+
+  it('treats a rotated token presented again as reuse and revokes the family', async () => {
+    const rotated = await rotateRefreshToken(db, login.refreshToken, req)
+    const replay = await rotateRefreshToken(db, login.refreshToken, req)
+
+    assert.deepEqual(replay, { error: 'reused', userId: user.id, familyId: login.sessionId })
+    assert.ok(session(login.sessionId).revoked_at)
+    assert.ok(familyTokens(login.sessionId).every(row => row.revoked_at))
+
+    // The legitimate holder's newer token no longer works either
+    const next = await rotateRefreshToken(db, rotated.tokens.refreshToken, req)
+    assert.equal(next.error, 'revoked')
+  })
+
+  it('treats losing the claim to a concurrent refresh as reuse', async () => {
+    // Another request marks the token used between the lookup and the claim
+    db.beforeWrite = ({ type, table }) => {
+      if (type !== 'update' || table !== 'refresh_tokens') return
+      db.beforeWrite = null
+      familyTokens(login.sessionId)[0].revoked_at = new Date()
+    }
+
+    const result = await rotateRefreshToken(db, login.refreshToken, req)
+
+    assert.equal(result.error, 'reused')
+    assert.ok(session(login.sessionId).revoked_at)
+    assert.equal(familyTokens(login.sessionId).length, 1)
+  })
+
+  it('leaves other sessions alone', async () => {
+    const other = await issueTokenPair(db, user, req)
+    await rotateRefreshToken(db, login.refreshToken, req)
+    await rotateRefreshToken(db, login.refreshToken, req)
+
+    assert.equal(session(other.sessionId).revoked_at, null)
+    assert.ok(familyTokens(other.sessionId).every(row => !row.revoked_at))
+    const result = await rotateRefreshToken(db, other.refreshToken, req)
+    assert.equal(result.error, undefined)
+  })
+
+  it('rejects unknown and expired tokens', async () => {
+    assert.deepEqual(await rotateRefreshToken(db, 'not-a-token', req), { error: 'invalid' })
+
+    session(login.sessionId).expires_at = new Date(Date.now() - 1000)
+    const result = await rotateRefreshToken(db, login.refreshToken, req)
+    assert.equal(result.error, 'expired')
+    assert.equal(familyTokens(login.sessionId)[0].revoked_at, null)
+  })
+})
@@ -0,0 +1,98 @@
+/**
+ * Tests for utils/totp against the RFC 6238 reference values
+ */
+
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+} = require('../utils/totp')
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890" for SHA-1
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'))
+
+// The RFC lists 8-digit codes; 6-digit codes are their last six digits
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+]
+
+describe('base32', () => {
+  it('encodes the RFC secret as expected', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+  })
+
+  it('round-trips random bytes and ignores case, spaces and padding', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253])
+    const encoded = base32Encode(bytes)
+    assert.deepEqual(base32Decode(encoded), bytes)
+    assert.deepEqual(base32Decode(` ${encoded.toLowerCase()}== `), bytes)
+  })
+
+  it('rejects characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('ABC1'), /Invalid base32 character/)
+  })
+
+  it('generates 160-bit secrets', () => {
+    assert.equal(base32Decode(generateSecret()).length, 20)
+  })
+})
+
+describe('generateCode', () => {
+  for (const [seconds, expected] of RFC_VECTORS) {
+    it(`matches the RFC 6238 value at T=${seconds}`, () => {
+      assert.equal(generateCode(RFC_SECRET, getTimeStep(seconds * 1000)), expected.slice(-6))
+    })
+  }
+})
+
+describe('verifyCode', () => {
+  const time = 1111111111 * 1000
+  const step = getTimeStep(time)
+
+  it('returns the matching time step', () => {
+    assert.equal(verifyCode(RFC_SECRET, '050471', { time }), step)
+  })
+
+  it('accepts one step of drift either way by default', () => {
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time }), step - 1)
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time }), step + 1)
+  })
+
+  it('rejects codes outside the drift window', () => {
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time }), null)
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { time }), null)
+  })
+
+  it('honours a custom window', () => {
+    const early = generateCode(RFC_SECRET, step - 1)
+    assert.equal(verifyCode(RFC_SECRET, early, { time, window: 0 }), null)
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time, window: 2 }), step - 2)
+  })
+
+  it('ignores spaces and rejects malformed codes', () => {
+    assert.equal(verifyCode(RFC_SECRET, '050 471', { time }), step)
+    assert.equal(verifyCode(RFC_SECRET, '05047', { time }), null)
+    assert.equal(verifyCode(RFC_SECRET, 'abcdef', { time }), null)
+    assert.equal(verifyCode(RFC_SECRET, undefined, { time }), null)
+  })
+})
+
+describe('buildOtpauthUrl', () => {
+  it('encodes the label and issuer', () => {
+    assert.equal(
+      buildOtpauthUrl('ABC', 'a@b.co', 'Store Rating'),
+      'otpauth://totp/Store%20Rating%3Aa%40b.co?secret=ABC&issuer=Store%20Rating&algorithm=SHA1&digits=6&period=30'
+    )
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * Tests for utils/twoFactor code checks against an in-memory database
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret'
+
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { generateSecret, generateCode, getTimeStep } = require('../utils/totp')
+const { verifySecondFactor, enableTwoFactor, countRecoveryCodes, createChallengeToken, readChallengeToken } = require('../utils/twoFactor')
+const { createMemoryDb } = require('./helpers/memoryDb')
+
+/**
+ * Migrated in-memory database holding one user with the given TOTP state
+ */
+const createDb = async ({ secret = generateSecret(), enabled = true } = {}) => {
+  const db = createMemoryDb()
+  await db.execute(
+    'INSERT INTO users (name, email, password, role, totp_secret, totp_enabled_at) VALUES (?, ?, ?, ?, ?, ?)',
+    ['Two Factor User', 'twofactor@example.com', 'hash', 'normal_user', secret, enabled ? new Date() : null]
+  )
+  return { db, user: db.table('users')[0] }
+}
+
+describe('verifySecondFactor', () => {
+  let user
+  let db
+
+  beforeEach(async () => {
+    ({ db, user } = await createDb())
+  })
+
+  it('accepts a current code once and rejects its replay', async () => {
+    const code = generateCode(user.totp_secret, getTimeStep())
+
+    assert.equal(await verifySecondFactor(db, 1, code), 'totp')
+    assert.equal(await verifySecondFactor(db, 1, code), null)
+  })
+
+  it('rejects a code from a step before the last one used', async () => {
+    const step = getTimeStep()
+    assert.equal(await verifySecondFactor(db, 1, generateCode(user.totp_secret, step)), 'totp')
+    assert.equal(await verifySecondFactor(db, 1, generateCode(user.totp_secret, step - 1)), null)
+  })
+
+  it('accepts a later step after an earlier one', async () => {
+    const step = getTimeStep()
+    assert.equal(await verifySecondFactor(db, 1, generateCode(user.totp_secret, step - 1)), 'totp')
+    assert.equal(await verifySecondFactor(db, 1, generateCode(user.totp_secret, step)), 'totp')
+    assert.equal(user.totp_last_used_step, step)
+  })
+
+  it('tracks used steps per account', async () => {
+    await db.execute(
+      'INSERT INTO users (name, email, password, role, totp_secret, totp_enabled_at) VALUES (?, ?, ?, ?, ?, ?)',
+      ['Other User', 'other@example.com', 'hash', 'normal_user', user.totp_secret, new Date()]
+    )
+    const code = generateCode(user.totp_secret, getTimeStep())
+
+    assert.equal(await verifySecondFactor(db, 1, code), 'totp')
+    assert.equal(await verifySecondFactor(db, 2, code), 'totp')
+  })
+
+  it('rejects a wrong code without marking a step used', async () => {
+    const wrong = String((Number(generateCode(user.totp_secret, getTimeStep())) + 1) % 1000000).padStart(6, '0')
+    assert.equal(await verifySecondFactor(db, 1, wrong), null)
+    assert.equal(user.totp_last_used_step, null)
+  })
+})
+
+describe('enableTwoFactor', () => {
+  it('issues recovery codes that each work once', async () => {
+    const { db, user } = await createDb({ enabled: false })
+
+    const codes = await enableTwoFactor(db, 1, generateCode(user.totp_secret, getTimeStep()))
+    assert.equal(codes.length, 10)
+    assert.ok(user.totp_enabled_at)
+    assert.equal(await countRecoveryCodes(db, 1), 10)
+
+    assert.equal(await verifySecondFactor(db, 1, codes[0].toUpperCase()), 'recovery')
+    assert.equal(await verifySecondFactor(db, 1, codes[0]), null)
+    assert.equal(await countRecoveryCodes(db, 1), 9)
+  })
+
+  it('does not let the enrolment code be replayed at login', async () => {
+    const { db, user } = await createDb({ enabled: false })
+    const code = generateCode(user.totp_secret, getTimeStep())
+
+    assert.ok(await enableTwoFactor(db, 1, code))
+    assert.equal(await verifySecondFactor(db, 1, code), null)
+  })
+})
+
+describe('challenge tokens', () => {
+  it('round-trip the login details', () => {
+    const token = createChallengeToken({ id: 7, token_version: 2 }, true)
+    assert.deepEqual(readChallengeToken(token), { userId: 7, ver: 2, rememberMe: true })
+  })
+
+  it('reject tokens issued for another purpose', () => {
+    const jwt = require('jsonwebtoken')
+    const token = jwt.sign({ userId: 7, purpose: 'email_verification' }, process.env.JWT_SECRET)
+    assert.equal(readChallengeToken(token), null)
+  })
+})
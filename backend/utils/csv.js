@@ -0,0 +1,69 @@
+/**
+ * CSV Export Helpers
+ *
+ * Minimal RFC 4180 CSV serialisation for admin exports. Values that begin
+ * with a spreadsheet formula character are prefixed with a quote so exported
+ * logs cannot execute formulas when opened in a spreadsheet.
+ *
+ * @module utils/csv
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+/**
+ * Escape a Single CSV Value
+ *
+ * @param {*} value - Cell value; objects are serialised as JSON
+ * @returns {string} Escaped cell
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return ''
+
+  let text
+  if (value instanceof Date) {
+    text = value.toISOString()
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value)
+  } else {
+    text = String(value)
+  }
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Build a CSV Document
+ *
+ * @param {Object[]} columns - Column definitions ({ key, label })
+ * @param {Object[]} rows - Rows keyed by column key
+ * @returns {string} CSV text with a header row and CRLF line endings
+ */
+const toCsv = (columns, rows) => {
+  const header = columns.map(column => escapeCsvValue(column.label)).join(',')
+  const lines = rows.map(row => columns.map(column => escapeCsvValue(row[column.key])).join(','))
+  return [header, ...lines].join('\r\n')
+}
+
+/**
+ * Send Rows as a CSV Download
+ *
+ * @param {Object} res - Express response object
+ * @param {string} filename - Download filename
+ * @param {Object[]} columns - Column definitions ({ key, label })
+ * @param {Object[]} rows - Rows keyed by column key
+ */
+const sendCsv = (res, filename, columns, rows) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+  res.send(toCsv(columns, rows))
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+  sendCsv
+}
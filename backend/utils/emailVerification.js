@@ -0,0 +1,114 @@
+/**
+ * Email Verification Helpers
+ *
+ * Verification links carry a signed JWT naming the user and the address
+ * being confirmed. A link is only honoured while that address is still the
+ * user's unverified email or their pending email change, so links become
+ * useless once confirmed or superseded. Sending is throttled per user to one
+ * email every EMAIL_VERIFICATION_RESEND_SECONDS, and links expire after
+ * EMAIL_VERIFICATION_EXPIRES_HOURS.
+ *
+ * @module utils/emailVerification
+ * @requires jsonwebtoken
+ * @requires ./mailer
+ */
+
+const jwt = require('jsonwebtoken')
+const { sendMail } = require('./mailer')
+
+const TOKEN_PURPOSE = 'email_verification'
+const TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24
+const RESEND_INTERVAL_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60
+
+/**
+ * Create a Verification Token
+ *
+ * @param {number} userId - Account owning the address
+ * @param {string} email - Address being verified
+ * @returns {string} Signed JWT
+ */
+const createVerificationToken = (userId, email) => {
+  return jwt.sign(
+    { userId, email, purpose: TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: `${TOKEN_TTL_HOURS}h` }
+  )
+}
+
+/**
+ * Read a Verification Token
+ *
+ * @param {string} token - Token from a verification link
+ * @returns {Object|null} { userId, email }, or null if the token is invalid,
+ *   expired or not a verification token
+ */
+const readVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    if (decoded.purpose !== TOKEN_PURPOSE) return null
+    return { userId: decoded.userId, email: decoded.email }
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Seconds Until Another Verification Email May Be Sent
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Account requesting the email
+ * @returns {Promise<number>} Seconds to wait; 0 when sending is allowed
+ */
+const getResendWaitSeconds = async (db, userId) => {
+  const [rows] = await db.execute(
+    'SELECT TIMESTAMPDIFF(SECOND, email_verification_sent_at, NOW()) AS elapsed FROM users WHERE id = ?',
+    [userId]
+  )
+  const elapsed = rows[0]?.elapsed
+
+  if (elapsed === null || elapsed === undefined) return 0
+  return Math.max(0, RESEND_INTERVAL_SECONDS - elapsed)
+}
+
+/**
+ * Email a Verification Link
+ *
+ * Records the send time used for resend throttling before delivering.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Object} user - Recipient ({ id, name })
+ * @param {string} email - Address to verify (current or pending)
+ * @returns {Promise<Object>} Transport-specific delivery info
+ */
+const sendVerificationEmail = async (db, user, email) => {
+  const token = createVerificationToken(user.id, email)
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173'
+  const verifyUrl = `${frontendUrl}/verify-email?token=${encodeURIComponent(token)}`
+
+  await db.execute(
+    'UPDATE users SET email_verification_sent_at = NOW(), updated_at = updated_at WHERE id = ?',
+    [user.id]
+  )
+
+  return sendMail({
+    to: email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Please confirm that ${email} is your email address for your Store Rating account.`,
+      `Open the link below to verify it. The link expires in ${TOKEN_TTL_HOURS} hours.`,
+      '',
+      verifyUrl,
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  })
+}
+
+module.exports = {
+  createVerificationToken,
+  readVerificationToken,
+  getResendWaitSeconds,
+  sendVerificationEmail
+}
@@ -0,0 +1,221 @@
+/**
+ * Login Throttling Helpers
+ *
+ * Failed logins are recorded per email address and client IP. Failures are
+ * remembered for LOGIN_LOCKOUT_MINUTES and drive three limits:
+ * - progressive delay: from the second failure on, the next attempt for the
+ *   account must wait 2, 4, 8... seconds (capped at a minute)
+ * - lockout: after LOGIN_MAX_ATTEMPTS failures the account is locked for
+ *   LOGIN_LOCKOUT_MINUTES from the last failure
+ * - per-IP limit: after LOGIN_IP_MAX_ATTEMPTS failures from one address all
+ *   logins from it are refused until the oldest failure ages out
+ *
+ * Attempts are tracked by email rather than user ID so unknown addresses are
+ * throttled exactly like real accounts and lockouts don't reveal which exist.
+ * A successful login or an admin unlock clears the account's failures.
+ *
+ * Each attempt is recorded before the password is checked and checked
+ * against every other recent attempt, including ones still in progress, so
+ * parallel guesses cannot slip past the limits. A refused or successful
+ * attempt removes its row; a failed one keeps it. Rows older than the
+ * lockout window are pruned at most once a minute.
+ *
+ * @module utils/loginThrottle
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20
+const MAX_DELAY_SECONDS = 60
+const PRUNE_INTERVAL_MS = 60 * 1000
+
+let prunedAt = 0
+
+/**
+ * Seconds Required Between the Last Failure and the Next Attempt
+ *
+ * @param {number} failures - Recent failures for the account
+ * @returns {number} Required wait in seconds (0 when none)
+ */
+const getRequiredWait = (failures) => {
+  if (failures >= MAX_ATTEMPTS) return LOCKOUT_MINUTES * 60
+  if (failures < 2) return 0
+  return Math.min(2 ** (failures - 1), MAX_DELAY_SECONDS)
+}
+
+/**
+ * Recent Failures for an Account
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} email - Normalized login email
+ * @param {number} [excludeId=0] - Attempt to leave out (the one being checked)
+ * @returns {Promise<Object>} { failures, secondsSinceLast }
+ */
+const getAccountFailures = async (db, email, excludeId = 0) => {
+  const [rows] = await db.execute(
+    `SELECT COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS seconds_since_last
+     FROM login_attempts
+     WHERE email = ? AND created_at > NOW() - INTERVAL ? MINUTE AND id <> ?`,
+    [email, LOCKOUT_MINUTES, excludeId]
+  )
+  return { failures: Number(rows[0].failures), secondsSinceLast: Number(rows[0].seconds_since_last) || 0 }
+}
+
+/**
+ * Recent Failures from a Client IP
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} ipAddress - Client IP address
+ * @param {number} [excludeId=0] - Attempt to leave out (the one being checked)
+ * @returns {Promise<Object>} { failures, secondsSinceFirst }
+ */
+const getIpFailures = async (db, ipAddress, excludeId = 0) => {
+  const [rows] = await db.execute(
+    `SELECT COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, MIN(created_at), NOW()) AS seconds_since_first
+     FROM login_attempts
+     WHERE ip_address = ? AND created_at > NOW() - INTERVAL ? MINUTE AND id <> ?`,
+    [ipAddress || null, LOCKOUT_MINUTES, excludeId]
+  )
+  return { failures: Number(rows[0].failures), secondsSinceFirst: Number(rows[0].seconds_since_first) || 0 }
+}
+
+/**
+ * Delete Attempts Older Than the Lockout Window
+ *
+ * Runs at most once a minute per process; failures against unknown or
+ * abandoned addresses are never cleared by a successful login.
+ *
+ * @param {Object} db - Database connection or pool
+ * @returns {Promise<void>}
+ */
+const pruneLoginAttempts = async (db) => {
+  if (Date.now() - prunedAt < PRUNE_INTERVAL_MS) return
+  prunedAt = Date.now()
+
+  try {
+    await db.execute(
+      'DELETE FROM login_attempts WHERE created_at < NOW() - INTERVAL ? MINUTE',
+      [LOCKOUT_MINUTES]
+    )
+  } catch (error) {
+    console.error('Login attempt pruning error:', error.message)
+  }
+}
+
+/**
+ * Start a Login Attempt
+ *
+ * Records the attempt, then checks the limits against every other recent
+ * attempt for the account and IP. A refused attempt is removed again so
+ * waiting out a lockout does not extend it.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} email - Normalized login email
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object>} { id, throttle } where throttle is null when the
+ *   attempt may proceed, otherwise { reason: 'ip' | 'locked' | 'delayed', retryAfter }
+ *   with retryAfter in seconds
+ */
+const startLoginAttempt = async (db, email, ipAddress) => {
+  await pruneLoginAttempts(db)
+
+  const [result] = await db.execute(
+    'INSERT INTO login_attempts (email, ip_address) VALUES (?, ?)',
+    [email, ipAddress || null]
+  )
+  const id = result.insertId
+
+  let throttle = null
+  const ip = await getIpFailures(db, ipAddress, id)
+  if (ip.failures >= IP_MAX_ATTEMPTS) {
+    throttle = { reason: 'ip', retryAfter: Math.max(1, LOCKOUT_MINUTES * 60 - ip.secondsSinceFirst) }
+  } else {
+    const account = await getAccountFailures(db, email, id)
+    const retryAfter = getRequiredWait(account.failures) - account.secondsSinceLast
+    if (retryAfter > 0) {
+      throttle = { reason: account.failures >= MAX_ATTEMPTS ? 'locked' : 'delayed', retryAfter }
+    }
+  }
+
+  if (throttle) {
+    await cancelLoginAttempt(db, id)
+  }
+
+  return { id, throttle }
+}
+
+/**
+ * Remove a Login Attempt That Did Not Fail
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} id - Attempt ID from `startLoginAttempt`
+ * @returns {Promise<void>}
+ */
+const cancelLoginAttempt = async (db, id) => {
+  await db.execute('DELETE FROM login_attempts WHERE id = ?', [id])
+}
+
+/**
+ * Record a Failed Login
+ *
+ * The row added by `startLoginAttempt` stays as the failure; this reports
+ * where the account and IP stand now.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} email - Normalized login email
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object>} { failures, ipFailures, locked, lockedNow, burstNow, retryAfter }
+ *   where lockedNow / burstNow are true only for the failure that crossed the
+ *   account or IP limit, so callers can log each event once
+ */
+const recordFailedLogin = async (db, email, ipAddress) => {
+  const account = await getAccountFailures(db, email)
+  const ip = await getIpFailures(db, ipAddress)
+
+  return {
+    failures: account.failures,
+    ipFailures: ip.failures,
+    locked: account.failures >= MAX_ATTEMPTS,
+    lockedNow: account.failures === MAX_ATTEMPTS,
+    burstNow: ip.failures === IP_MAX_ATTEMPTS,
+    retryAfter: getRequiredWait(account.failures)
+  }
+}
+
+/**
+ * Clear an Account's Failed Logins
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} email - Account email
+ * @returns {Promise<number>} Number of failures cleared
+ */
+const clearFailedLogins = async (db, email) => {
+  const [result] = await db.execute('DELETE FROM login_attempts WHERE email = ?', [email])
+  return result.affectedRows
+}
+
+/**
+ * Lockout Status of an Account
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} { locked, failures, retryAfter }
+ */
+const getLockoutStatus = async (db, email) => {
+  const account = await getAccountFailures(db, email)
+  const locked = account.failures >= MAX_ATTEMPTS
+
+  return {
+    locked,
+    failures: account.failures,
+    retryAfter: locked ? Math.max(0, getRequiredWait(account.failures) - account.secondsSinceLast) : 0
+  }
+}
+
+module.exports = {
+  startLoginAttempt,
+  cancelLoginAttempt,
+  recordFailedLogin,
+  clearFailedLogins,
+  getLockoutStatus
+}
@@ -0,0 +1,116 @@
+/**
+ * Mail Transport
+ *
+ * Outgoing mail goes through `sendMail`, which hands the message to the
+ * transport selected by MAIL_TRANSPORT:
+ * - smtp: delivers through the SMTP server configured with SMTP_* variables
+ * - file: writes each message as a JSON file to MAIL_FILE_DIR
+ * - console: prints each message to stdout
+ *
+ * The file and console transports are meant for local development; the
+ * default is smtp in production and console everywhere else.
+ *
+ * @module utils/mailer
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const DEFAULT_FROM = 'Store Rating <no-reply@localhost>'
+
+/**
+ * Transport factories keyed by MAIL_TRANSPORT value. Each returns an
+ * object with an async `send(message)` method.
+ */
+const TRANSPORTS = {
+  smtp: () => {
+    // Required lazily so development setups don't need SMTP configured
+    const nodemailer = require('nodemailer')
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    })
+
+    return {
+      send: (message) => transporter.sendMail(message)
+    }
+  },
+
+  file: () => {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || 'mail')
+
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(directory, { recursive: true })
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`
+        const filePath = path.join(directory, fileName)
+        await fs.promises.writeFile(filePath, JSON.stringify({ ...message, date: new Date() }, null, 2))
+        return { filePath }
+      }
+    }
+  },
+
+  console: () => ({
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`)
+      return {}
+    }
+  })
+}
+
+let transport = null
+
+/**
+ * Create a Mail Transport
+ *
+ * @param {string} [type] - Transport name; defaults to MAIL_TRANSPORT
+ * @returns {Object} Transport with an async `send(message)` method
+ * @throws {Error} When the transport name is unknown
+ */
+const createTransport = (type = process.env.MAIL_TRANSPORT) => {
+  const name = type || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')
+  const factory = TRANSPORTS[name]
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`)
+  }
+
+  return factory()
+}
+
+/**
+ * Send an Email
+ *
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<Object>} Transport-specific delivery info
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createTransport()
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  })
+}
+
+module.exports = {
+  createTransport,
+  sendMail
+}
@@ -0,0 +1,94 @@
+/**
+ * Pagination, Sorting and Filtering Helpers
+ *
+ * Shared helpers for list endpoints that page, sort and search on the server.
+ * Sort columns are always resolved through a whitelist so that user input is
+ * never interpolated into SQL.
+ *
+ * @module utils/pagination
+ */
+
+const DEFAULT_PAGE = 1
+const DEFAULT_LIMIT = 10
+const MAX_LIMIT = 100
+
+/**
+ * Resolve Page and Limit
+ *
+ * Reads `page` and `limit` from the query string and clamps them to sane
+ * bounds. Values have already been checked by `paginationRules`.
+ *
+ * @param {Object} query - Express request query
+ * @param {Object} [options]
+ * @param {number} [options.defaultLimit=10] - Limit when none is requested
+ * @returns {Object} { page, limit, offset }
+ */
+const getPagination = (query, { defaultLimit = DEFAULT_LIMIT } = {}) => {
+  const page = Math.max(parseInt(query.page) || DEFAULT_PAGE, 1)
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT)
+
+  return {
+    page,
+    limit,
+    offset: (page - 1) * limit
+  }
+}
+
+/**
+ * Resolve ORDER BY Clause
+ *
+ * Maps the requested sort field to a whitelisted SQL expression. Supports
+ * both `sortBy`/`sortOrder` and the legacy `sort`/`order` parameters.
+ * Unknown fields fall back to the default sort.
+ *
+ * @param {Object} query - Express request query
+ * @param {Object} sortColumns - Map of public sort field to SQL expression
+ * @param {Object} defaultSort - { field, order } used when no valid field is given
+ * @returns {Object} { sortBy, sortOrder, orderBy } where orderBy is ready for SQL
+ */
+const getSort = (query, sortColumns, defaultSort) => {
+  const requestedField = query.sortBy || query.sort
+  const sortBy = Object.prototype.hasOwnProperty.call(sortColumns, requestedField)
+    ? requestedField
+    : defaultSort.field
+  const requestedOrder = String(query.sortOrder || query.order || '').toLowerCase()
+  const sortOrder = ['asc', 'desc'].includes(requestedOrder) ? requestedOrder : defaultSort.order
+
+  return {
+    sortBy,
+    sortOrder,
+    orderBy: `${sortColumns[sortBy]} ${sortOrder.toUpperCase()}`
+  }
+}
+
+/**
+ * Escape LIKE Wildcards
+ *
+ * @param {string} value - Raw search term
+ * @returns {string} Pattern matching the term anywhere in a column
+ */
+const toLikePattern = (value) => `%${String(value).replace(/[\\%_]/g, '\\$&')}%`
+
+/**
+ * Build Pagination Metadata
+ *
+ * @param {number} total - Total number of matching rows
+ * @param {number} page - Current page
+ * @param {number} limit - Page size
+ * @returns {Object} { total, page, limit, totalPages }
+ */
+const buildPaginationMeta = (total, page, limit) => ({
+  total: Number(total),
+  page,
+  limit,
+  totalPages: Math.ceil(Number(total) / limit)
+})
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  getPagination,
+  getSort,
+  toLikePattern,
+  buildPaginationMeta
+}
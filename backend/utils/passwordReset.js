@@ -0,0 +1,107 @@
+/**
+ * Password Reset Helpers
+ *
+ * Reset tokens are random strings emailed to the user and stored as SHA-256
+ * hashes. A token expires after PASSWORD_RESET_EXPIRES_MINUTES, can be used
+ * once, and requesting a new one invalidates any the user still holds.
+ *
+ * @module utils/passwordReset
+ * @requires crypto
+ * @requires ./tokens
+ * @requires ./mailer
+ */
+
+const crypto = require('crypto')
+const { hashToken } = require('./tokens')
+const { sendMail } = require('./mailer')
+
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60
+
+/**
+ * Create a Password Reset Token
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Account being reset
+ * @param {Object} req - Express request (for the requester's IP address)
+ * @returns {Promise<string>} Raw token to email to the user
+ */
+const createPasswordResetToken = async (db, userId, req) => {
+  const token = crypto.randomBytes(32).toString('base64url')
+  const expiresAt = new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000)
+
+  await db.execute(
+    'DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  )
+  await db.execute(
+    'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, ip_address) VALUES (?, ?, ?, ?)',
+    [userId, hashToken(token), expiresAt, req.ip || null]
+  )
+
+  return token
+}
+
+/**
+ * Consume a Password Reset Token
+ *
+ * Marks the token as used in a single conditional update, so concurrent
+ * requests with the same token cannot both succeed.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} token - Raw token from the reset link
+ * @returns {Promise<number|null>} ID of the user the token belongs to, or null
+ *   if it is unknown, expired or already used
+ */
+const consumePasswordResetToken = async (db, token) => {
+  const tokenHash = hashToken(token)
+
+  const [result] = await db.execute(
+    `UPDATE password_reset_tokens SET used_at = NOW()
+     WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+    [tokenHash]
+  )
+
+  if (result.affectedRows === 0) {
+    return null
+  }
+
+  const [rows] = await db.execute(
+    'SELECT user_id FROM password_reset_tokens WHERE token_hash = ?',
+    [tokenHash]
+  )
+
+  return rows[0]?.user_id ?? null
+}
+
+/**
+ * Email a Password Reset Link
+ *
+ * @param {Object} user - Recipient ({ name, email })
+ * @param {string} token - Raw reset token
+ * @returns {Promise<Object>} Transport-specific delivery info
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173'
+  const resetUrl = `${frontendUrl}/reset-password?token=${encodeURIComponent(token)}`
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset the password for your Store Rating account.',
+      `Open the link below to choose a new password. It expires in ${RESET_TTL_MINUTES} minutes and can be used once.`,
+      '',
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email; your password will not change.'
+    ].join('\n')
+  })
+}
+
+module.exports = {
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  sendPasswordResetEmail
+}
@@ -0,0 +1,110 @@
+/**
+ * Rate Limit Stores
+ *
+ * Request counters for `middleware/rateLimit` are kept per key in fixed
+ * windows; the middleware combines the current and previous window into a
+ * sliding-window estimate. The store is selected by RATE_LIMIT_STORE:
+ * - memory: counters live in this process (single-instance deployments)
+ * - database: counters live in the `rate_limit_counters` table so every API
+ *   instance sharing the database shares the quota
+ *
+ * A store is any object with an async `hit(key, windowStart, windowMs)`
+ * method that records one request and returns
+ * `{ current, previous }` — the hits in the window starting at `windowStart`
+ * and in the window before it.
+ *
+ * @module utils/rateLimitStore
+ */
+
+/**
+ * Store factories keyed by RATE_LIMIT_STORE value.
+ */
+const STORES = {
+  memory: () => {
+    const counters = new Map()
+
+    // Drop counters idle for more than two of their windows
+    const sweep = setInterval(() => {
+      const now = Date.now()
+      for (const [key, counter] of counters) {
+        if (counter.windowStart + 2 * counter.windowMs <= now) {
+          counters.delete(key)
+        }
+      }
+    }, 60 * 1000)
+    sweep.unref()
+
+    return {
+      hit: async (key, windowStart, windowMs) => {
+        const counter = counters.get(key)
+
+        if (counter && counter.windowStart === windowStart) {
+          counter.current += 1
+        } else {
+          const previous = counter && counter.windowStart === windowStart - windowMs ? counter.current : 0
+          counters.set(key, { windowStart, windowMs, current: 1, previous })
+        }
+
+        const { current, previous } = counters.get(key)
+        return { current, previous }
+      }
+    }
+  },
+
+  database: ({ db }) => {
+    if (!db) {
+      throw new Error('The database rate limit store requires a database pool')
+    }
+
+    return {
+      hit: async (key, windowStart, windowMs) => {
+        const [result] = await db.execute(
+          `INSERT INTO rate_limit_counters (bucket_key, window_start, hits)
+           VALUES (?, ?, 1)
+           ON DUPLICATE KEY UPDATE hits = hits + 1`,
+          [key, windowStart]
+        )
+
+        // A new row means a new window started; older windows are no longer needed
+        if (result.affectedRows === 1) {
+          await db.execute(
+            'DELETE FROM rate_limit_counters WHERE bucket_key = ? AND window_start < ?',
+            [key, windowStart - windowMs]
+          )
+        }
+
+        const [rows] = await db.execute(
+          'SELECT window_start, hits FROM rate_limit_counters WHERE bucket_key = ? AND window_start IN (?, ?)',
+          [key, windowStart, windowStart - windowMs]
+        )
+
+        const hitsFor = (start) => Number(rows.find(row => Number(row.window_start) === start)?.hits || 0)
+        return { current: hitsFor(windowStart), previous: hitsFor(windowStart - windowMs) }
+      }
+    }
+  }
+}
+
+/**
+ * Create a Rate Limit Store
+ *
+ * @param {string} [type] - Store name; defaults to RATE_LIMIT_STORE, then memory
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Database pool (database store only)
+ * @returns {Object} Store with an async `hit(key, windowStart, windowMs)` method
+ * @throws {Error} When the store name is unknown
+ */
+const createRateLimitStore = (type = process.env.RATE_LIMIT_STORE, options = {}) => {
+  const name = type || 'memory'
+  const factory = STORES[name]
+
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${name}`)
+  }
+
+  return factory(options)
+}
+
+module.exports = {
+  createRateLimitStore
+}
@@ -0,0 +1,263 @@
+/**
+ * Rating Criteria
+ *
+ * Besides the overall 1-5 rating, a rating can carry an optional 1-5
+ * sub-score for each active criterion in `rating_criteria` (service,
+ * quality, value and cleanliness by default). Admins add, relabel, reorder
+ * and deactivate criteria; deactivated criteria keep their scores but are
+ * left out of forms, rating details and store averages.
+ *
+ * Scores are written as a `{ criterion: score }` object and read back as an
+ * ordered list of `{ criterion, label, score }` for active criteria.
+ *
+ * @module utils/ratingCriteria
+ */
+
+const CRITERION_COLUMNS = 'name, label, description, sort_order, is_active, created_at, updated_at'
+
+/**
+ * @param {Object} criterion - rating_criteria row
+ * @returns {Object} Row with numeric `sort_order` and boolean `is_active`
+ */
+const formatCriterion = (criterion) => ({
+  ...criterion,
+  sort_order: Number(criterion.sort_order),
+  is_active: Boolean(criterion.is_active)
+})
+
+/**
+ * List Rating Criteria
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false] - Leave out deactivated criteria
+ * @returns {Promise<Object[]>} Criteria in display order
+ */
+const listCriteria = async (db, { activeOnly = false } = {}) => {
+  const [criteria] = await db.execute(
+    `SELECT ${CRITERION_COLUMNS}
+     FROM rating_criteria
+     ${activeOnly ? 'WHERE is_active = TRUE' : ''}
+     ORDER BY sort_order ASC, name ASC`
+  )
+  return criteria.map(formatCriterion)
+}
+
+/**
+ * Get One Criterion
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} name - Criterion name
+ * @returns {Promise<Object|null>} Criterion, or null when missing
+ */
+const getCriterion = async (db, name) => {
+  const [criteria] = await db.execute(
+    `SELECT ${CRITERION_COLUMNS} FROM rating_criteria WHERE name = ?`,
+    [name]
+  )
+  return criteria[0] ? formatCriterion(criteria[0]) : null
+}
+
+/**
+ * Create a Criterion
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Object} criterion - { name, label, description, sortOrder }
+ * @returns {Promise<void>}
+ */
+const createCriterion = async (db, { name, label, description, sortOrder = 0 }) => {
+  await db.execute(
+    'INSERT INTO rating_criteria (name, label, description, sort_order) VALUES (?, ?, ?, ?)',
+    [name, label, description || null, sortOrder]
+  )
+}
+
+/**
+ * Update a Criterion
+ *
+ * Only the given fields change; the name is permanent.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} name - Criterion name
+ * @param {Object} changes - { label, description, sortOrder, isActive }
+ * @returns {Promise<void>}
+ */
+const updateCriterion = async (db, name, { label, description, sortOrder, isActive }) => {
+  const updates = []
+  const values = []
+
+  if (label !== undefined) {
+    updates.push('label = ?')
+    values.push(label)
+  }
+  if (description !== undefined) {
+    updates.push('description = ?')
+    values.push(description || null)
+  }
+  if (sortOrder !== undefined) {
+    updates.push('sort_order = ?')
+    values.push(sortOrder)
+  }
+  if (isActive !== undefined) {
+    updates.push('is_active = ?')
+    values.push(isActive)
+  }
+
+  if (updates.length === 0) return
+
+  await db.execute(`UPDATE rating_criteria SET ${updates.join(', ')} WHERE name = ?`, [...values, name])
+}
+
+/**
+ * Find Submitted Criteria That Cannot Be Scored
+ *
+ * @param {Object[]} criteria - Active criteria from `listCriteria`
+ * @param {Object} scores - Submitted `{ criterion: score }` object
+ * @returns {string[]} Names that are unknown or deactivated
+ */
+const findUnknownCriteria = (criteria, scores) => Object.keys(scores)
+  .filter(name => !criteria.some(criterion => criterion.name === name))
+
+/**
+ * Drop Cleared Sub-Scores
+ *
+ * @param {Object} scores - Submitted `{ criterion: score }`; null clears a score
+ * @returns {Object} Only the criteria that were given a score
+ */
+const compactScores = (scores) => Object.fromEntries(
+  Object.entries(scores).filter(([, score]) => score !== null && score !== undefined)
+)
+
+/**
+ * Read a Rating's Sub-Scores
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} ratingId - Rating ID
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false] - Leave out deactivated criteria
+ * @returns {Promise<Object>} `{ criterion: score }`
+ */
+const getScoreMap = async (db, ratingId, { activeOnly = false } = {}) => {
+  const [scores] = await db.execute(
+    `SELECT rs.criterion, rs.score
+     FROM rating_scores rs
+     JOIN rating_criteria c ON rs.criterion = c.name
+     WHERE rs.rating_id = ?${activeOnly ? ' AND c.is_active = TRUE' : ''}`,
+    [ratingId]
+  )
+  return Object.fromEntries(scores.map(row => [row.criterion, Number(row.score)]))
+}
+
+/**
+ * @param {Object} a - `{ criterion: score }`
+ * @param {Object} b - `{ criterion: score }`
+ * @returns {boolean} Whether both hold the same scores
+ */
+const sameScores = (a, b) => {
+  const names = Object.keys(a)
+  return names.length === Object.keys(b).length && names.every(name => Number(a[name]) === Number(b[name]))
+}
+
+/**
+ * Replace a Rating's Active Sub-Scores
+ *
+ * Scores for deactivated criteria are left alone.
+ *
+ * @param {Object} connection - Connection inside a transaction
+ * @param {number} ratingId - Rating ID
+ * @param {Object} scores - `{ criterion: score }` for active criteria
+ * @returns {Promise<void>}
+ */
+const replaceScores = async (connection, ratingId, scores) => {
+  await connection.execute(
+    `DELETE rs FROM rating_scores rs
+     JOIN rating_criteria c ON rs.criterion = c.name
+     WHERE rs.rating_id = ? AND c.is_active = TRUE`,
+    [ratingId]
+  )
+  for (const [criterion, score] of Object.entries(scores)) {
+    await connection.execute(
+      'INSERT INTO rating_scores (rating_id, criterion, score) VALUES (?, ?, ?)',
+      [ratingId, criterion, score]
+    )
+  }
+}
+
+/**
+ * Attach Sub-Scores to Ratings
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Object[]} ratings - Rows with an `id`
+ * @returns {Promise<Object[]>} Ratings with `scores`: `[{ criterion, label, score }]`
+ */
+const attachScores = async (db, ratings) => {
+  if (ratings.length === 0) return ratings
+
+  const [scores] = await db.execute(
+    `SELECT rs.rating_id, rs.criterion, c.label, rs.score
+     FROM rating_scores rs
+     JOIN rating_criteria c ON rs.criterion = c.name
+     WHERE rs.rating_id IN (${ratings.map(() => '?').join(', ')}) AND c.is_active = TRUE
+     ORDER BY c.sort_order ASC, c.name ASC`,
+    ratings.map(rating => rating.id)
+  )
+
+  return ratings.map(rating => ({
+    ...rating,
+    scores: scores
+      .filter(row => row.rating_id === rating.id)
+      .map(row => ({ criterion: row.criterion, label: row.label, score: Number(row.score) }))
+  }))
+}
+
+/**
+ * Attach Per-Criterion Averages to Stores
+ *
+ * Hidden ratings are not counted. Every active criterion is listed, with a
+ * null average when the store has no scores for it yet.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Object[]} stores - Rows with an `id`
+ * @returns {Promise<Object[]>} Stores with `criteria_averages`:
+ *   `[{ criterion, label, average_score, total_scores }]`
+ */
+const attachCriteriaAverages = async (db, stores) => {
+  if (stores.length === 0) return stores
+
+  const criteria = await listCriteria(db, { activeOnly: true })
+  const [averages] = await db.execute(
+    `SELECT r.store_id, rs.criterion, AVG(rs.score) as average_score, COUNT(*) as total_scores
+     FROM rating_scores rs
+     JOIN ratings r ON rs.rating_id = r.id
+     WHERE r.store_id IN (${stores.map(() => '?').join(', ')}) AND r.hidden_at IS NULL
+     GROUP BY r.store_id, rs.criterion`,
+    stores.map(store => store.id)
+  )
+
+  return stores.map(store => ({
+    ...store,
+    criteria_averages: criteria.map(criterion => {
+      const row = averages.find(average => average.store_id === store.id && average.criterion === criterion.name)
+      return {
+        criterion: criterion.name,
+        label: criterion.label,
+        average_score: row ? parseFloat(Number(row.average_score).toFixed(2)) : null,
+        total_scores: row ? Number(row.total_scores) : 0
+      }
+    })
+  }))
+}
+
+module.exports = {
+  listCriteria,
+  getCriterion,
+  createCriterion,
+  updateCriterion,
+  findUnknownCriteria,
+  compactScores,
+  getScoreMap,
+  sameScores,
+  replaceScores,
+  attachScores,
+  attachCriteriaAverages
+}
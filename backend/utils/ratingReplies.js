@@ -0,0 +1,126 @@
+/**
+ * Rating Replies
+ *
+ * The owner of a store can post one public reply under each visible review
+ * of that store, then edit or delete it. The reviewer is emailed when a
+ * reply is first posted; edits are not announced.
+ *
+ * @module utils/ratingReplies
+ * @requires ./mailer
+ */
+
+const { sendMail } = require('./mailer')
+
+/**
+ * Find a Store's Visible Rating
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} storeId - Store ID
+ * @param {number} ratingId - Rating ID
+ * @returns {Promise<Object|null>} Rating with reviewer and store details, or null
+ */
+const getStoreRating = async (db, storeId, ratingId) => {
+  const [ratings] = await db.execute(
+    `SELECT r.id, r.store_id, r.user_id, u.name as user_name, u.email as user_email, s.name as store_name
+     FROM ratings r
+     JOIN users u ON r.user_id = u.id
+     JOIN stores s ON r.store_id = s.id
+     WHERE r.id = ? AND r.store_id = ? AND r.hidden_at IS NULL`,
+    [ratingId, storeId]
+  )
+  return ratings[0] || null
+}
+
+/**
+ * Get the Reply to a Rating
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} ratingId - Rating ID
+ * @returns {Promise<Object|null>} Reply row, or null when there is none
+ */
+const getReply = async (db, ratingId) => {
+  const [replies] = await db.execute(
+    'SELECT id, rating_id, owner_id, reply, created_at, updated_at FROM rating_replies WHERE rating_id = ?',
+    [ratingId]
+  )
+  return replies[0] || null
+}
+
+/**
+ * Post or Edit the Reply to a Rating
+ *
+ * Tries the insert first and falls back to an update when the rating already
+ * has a reply, so two submissions of a new reply cannot both insert. (An
+ * upsert's affected-row count cannot tell a new reply from an unchanged
+ * resubmission, since mysql2 reports found rather than changed rows.)
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} ratingId - Rating ID
+ * @param {number} ownerId - Replying store owner's ID
+ * @param {string} reply - Reply text
+ * @returns {Promise<boolean>} True when a new reply was created
+ */
+const saveReply = async (db, ratingId, ownerId, reply) => {
+  try {
+    await db.execute(
+      'INSERT INTO rating_replies (rating_id, owner_id, reply) VALUES (?, ?, ?)',
+      [ratingId, ownerId, reply]
+    )
+    return true
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error
+  }
+
+  await db.execute(
+    'UPDATE rating_replies SET owner_id = ?, reply = ? WHERE rating_id = ?',
+    [ownerId, reply, ratingId]
+  )
+  return false
+}
+
+/**
+ * Delete the Reply to a Rating
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} ratingId - Rating ID
+ * @returns {Promise<boolean>} Whether a reply was deleted
+ */
+const deleteReply = async (db, ratingId) => {
+  const [result] = await db.execute('DELETE FROM rating_replies WHERE rating_id = ?', [ratingId])
+  return result.affectedRows > 0
+}
+
+/**
+ * Email the Reviewer About a New Reply
+ *
+ * @param {Object} rating - Rating from `getStoreRating`
+ * @param {string} reply - Reply text
+ * @returns {Promise<Object>} Transport-specific delivery info
+ */
+const sendReplyNotification = (rating, reply) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173'
+  const storeUrl = `${frontendUrl}/user/stores/${rating.store_id}`
+
+  return sendMail({
+    to: rating.user_email,
+    subject: `${rating.store_name} replied to your review`,
+    text: [
+      `Hi ${rating.user_name},`,
+      '',
+      `The owner of ${rating.store_name} replied to your review:`,
+      '',
+      `"${reply}"`,
+      '',
+      'See the reply on the store page:',
+      storeUrl
+    ].join('\n')
+  })
+}
+
+module.exports = {
+  getStoreRating,
+  getReply,
+  saveReply,
+  deleteReply,
+  sendReplyNotification
+}
@@ -0,0 +1,143 @@
+/**
+ * Rating Revisions
+ *
+ * Ratings are edited in place, but the version being replaced is first copied
+ * into `rating_revisions` so earlier scores and reviews are never lost.
+ * Revisions also keep the criterion sub-scores they replaced.
+ * Resubmitting an identical rating is not an edit and records nothing.
+ * `ratings.edited_at` is set on every edit and drives the "edited" marker.
+ *
+ * @module utils/ratingRevisions
+ * @requires ./ratingCriteria
+ */
+
+const { listCriteria, getScoreMap, sameScores, replaceScores, attachScores } = require('./ratingCriteria')
+
+/**
+ * Edit a Rating, Keeping the Previous Version
+ *
+ * @param {Object} db - Database pool
+ * @param {number} ratingId - Rating ID
+ * @param {Object} changes - { rating, review, scores }, where `scores` is a
+ *   `{ criterion: score }` object for active criteria, or undefined to keep
+ *   the current sub-scores
+ * @returns {Promise<boolean>} Whether the rating changed
+ */
+const reviseRating = async (db, ratingId, { rating, review, scores }) => {
+  const connection = await db.getConnection()
+  try {
+    await connection.beginTransaction()
+
+    const [rows] = await connection.execute(
+      'SELECT rating, review, created_at, edited_at FROM ratings WHERE id = ? FOR UPDATE',
+      [ratingId]
+    )
+    const current = rows[0]
+    const nextReview = review || null
+
+    if (!current) {
+      await connection.commit()
+      return false
+    }
+
+    const scoresChanged = scores !== undefined &&
+      !sameScores(await getScoreMap(connection, ratingId, { activeOnly: true }), scores)
+
+    if (Number(current.rating) === Number(rating) && current.review === nextReview && !scoresChanged) {
+      await connection.commit()
+      return false
+    }
+
+    const currentScores = await getScoreMap(connection, ratingId)
+    await connection.execute(
+      'INSERT INTO rating_revisions (rating_id, rating, review, scores, rated_at) VALUES (?, ?, ?, ?, ?)',
+      [
+        ratingId,
+        current.rating,
+        current.review,
+        Object.keys(currentScores).length > 0 ? JSON.stringify(currentScores) : null,
+        current.edited_at || current.created_at
+      ]
+    )
+    await connection.execute(
+      'UPDATE ratings SET rating = ?, review = ?, edited_at = NOW() WHERE id = ?',
+      [rating, nextReview, ratingId]
+    )
+    if (scoresChanged) {
+      await replaceScores(connection, ratingId, scores)
+    }
+
+    await connection.commit()
+    return true
+  } catch (error) {
+    await connection.rollback()
+    throw error
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * Get a Rating's History
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} ratingId - Rating ID
+ * @param {Object} [options]
+ * @param {number} [options.storeOwnerId] - Only match ratings of this owner's stores
+ * @returns {Promise<Object|null>} `{ rating, revisions }` with earlier versions
+ *   newest first, or null when the rating is missing or out of scope. The
+ *   current rating and each revision carry `scores` as `[{ criterion, label, score }]`
+ */
+const getRatingHistory = async (db, ratingId, { storeOwnerId } = {}) => {
+  const params = [ratingId]
+  let scope = ''
+  if (storeOwnerId !== undefined) {
+    scope = ' AND s.owner_id = ?'
+    params.push(storeOwnerId)
+  }
+
+  const [ratings] = await db.execute(
+    `SELECT r.id, r.rating, r.review, r.created_at, r.edited_at,
+            u.id as user_id, u.name as user_name,
+            s.id as store_id, s.name as store_name
+     FROM ratings r
+     JOIN users u ON r.user_id = u.id
+     JOIN stores s ON r.store_id = s.id
+     WHERE r.id = ?${scope}`,
+    params
+  )
+
+  if (ratings.length === 0) {
+    return null
+  }
+
+  const [revisions] = await db.execute(
+    `SELECT id, rating, review, scores, rated_at, replaced_at
+     FROM rating_revisions
+     WHERE rating_id = ?
+     ORDER BY replaced_at DESC, id DESC`,
+    [ratingId]
+  )
+
+  const [rating] = await attachScores(db, ratings)
+  const criteria = await listCriteria(db)
+
+  return {
+    rating,
+    revisions: revisions.map(revision => ({
+      ...revision,
+      scores: criteria
+        .filter(criterion => revision.scores && revision.scores[criterion.name] !== undefined)
+        .map(criterion => ({
+          criterion: criterion.name,
+          label: criterion.label,
+          score: Number(revision.scores[criterion.name])
+        }))
+    }))
+  }
+}
+
+module.exports = {
+  reviseRating,
+  getRatingHistory
+}
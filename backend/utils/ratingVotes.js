@@ -0,0 +1,113 @@
+/**
+ * Rating Votes
+ *
+ * Users mark other users' reviews as helpful or unhelpful, one vote per user
+ * per review. Review listings select VOTE_TOTALS_COLUMNS from `ratings r` to
+ * get `helpful_count` and `unhelpful_count`, and can be ranked by helpfulness
+ * through REVIEW_SORT_COLUMNS. The counts are correlated subqueries, so only
+ * the votes of the listed ratings are read, through the
+ * (rating_id, user_id) primary key.
+ *
+ * @module utils/ratingVotes
+ */
+
+const REVIEW_SORTS = ['helpful', 'newest', 'rating']
+
+/**
+ * Helpfulness is the net score, so a review with many helpful and many
+ * unhelpful votes ranks below one that is mostly helpful. It refers to the
+ * aliases from VOTE_TOTALS_COLUMNS, which must be selected too.
+ */
+const REVIEW_SORT_COLUMNS = {
+  helpful: 'helpful_count - unhelpful_count',
+  newest: 'r.created_at',
+  rating: 'r.rating'
+}
+
+const VOTE_TOTALS_COLUMNS = `
+  (SELECT COUNT(*) FROM rating_votes rv WHERE rv.rating_id = r.id AND rv.is_helpful) as helpful_count,
+  (SELECT COUNT(*) FROM rating_votes rv WHERE rv.rating_id = r.id AND NOT rv.is_helpful) as unhelpful_count
+`
+
+/**
+ * Normalize Vote Columns
+ *
+ * MySQL returns summed counts (getVoteTotals) as strings and the user's vote as 0/1.
+ *
+ * @param {Object} rating - Row selected with VOTE_TOTALS_COLUMNS and optionally `my_vote`
+ * @returns {Object} Row with numeric counts and `my_vote` as true, false or null
+ */
+const formatVotes = (rating) => {
+  const formatted = {
+    ...rating,
+    helpful_count: Number(rating.helpful_count),
+    unhelpful_count: Number(rating.unhelpful_count)
+  }
+  if ('my_vote' in rating) {
+    formatted.my_vote = rating.my_vote === null ? null : Boolean(rating.my_vote)
+  }
+  return formatted
+}
+
+/**
+ * Cast or Change a Vote
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} ratingId - Rating ID
+ * @param {number} userId - Voting user's ID
+ * @param {boolean} helpful - Whether the review was helpful
+ * @returns {Promise<void>}
+ */
+const setVote = async (db, ratingId, userId, helpful) => {
+  await db.execute(
+    `INSERT INTO rating_votes (rating_id, user_id, is_helpful) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE is_helpful = VALUES(is_helpful)`,
+    [ratingId, userId, helpful]
+  )
+}
+
+/**
+ * Withdraw a Vote
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} ratingId - Rating ID
+ * @param {number} userId - Voting user's ID
+ * @returns {Promise<boolean>} Whether a vote was removed
+ */
+const removeVote = async (db, ratingId, userId) => {
+  const [result] = await db.execute(
+    'DELETE FROM rating_votes WHERE rating_id = ? AND user_id = ?',
+    [ratingId, userId]
+  )
+  return result.affectedRows > 0
+}
+
+/**
+ * Get a Rating's Vote Totals
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} ratingId - Rating ID
+ * @param {number} userId - User whose own vote is returned as `my_vote`
+ * @returns {Promise<Object>} { helpful_count, unhelpful_count, my_vote }
+ */
+const getVoteTotals = async (db, ratingId, userId) => {
+  const [totals] = await db.execute(
+    `SELECT COALESCE(SUM(is_helpful), 0) as helpful_count,
+            COALESCE(SUM(NOT is_helpful), 0) as unhelpful_count,
+            MAX(CASE WHEN user_id = ? THEN is_helpful END) as my_vote
+     FROM rating_votes
+     WHERE rating_id = ?`,
+    [userId, ratingId]
+  )
+  return formatVotes(totals[0])
+}
+
+module.exports = {
+  REVIEW_SORTS,
+  REVIEW_SORT_COLUMNS,
+  VOTE_TOTALS_COLUMNS,
+  formatVotes,
+  setVote,
+  removeVote,
+  getVoteTotals
+}
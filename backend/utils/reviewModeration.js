@@ -0,0 +1,218 @@
+/**
+ * Review Moderation
+ *
+ * Users and store owners report reviews with one of REPORT_REASONS. Each
+ * account can report a review once, and a report stays open until an admin
+ * acts on the review: hiding it or restoring it resolves every open report,
+ * deleting it removes them along with the rating. Hidden ratings keep their
+ * row but are left out of averages and listings (`hidden_at IS NULL`).
+ *
+ * @module utils/reviewModeration
+ */
+
+const REPORT_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'personal_info', 'other']
+
+const QUEUE_STATUSES = ['open', 'hidden', 'all']
+
+const QUEUE_CONDITIONS = {
+  open: 'rc.open_report_count > 0',
+  hidden: 'r.hidden_at IS NOT NULL',
+  all: '(rc.rating_id IS NOT NULL OR r.hidden_at IS NOT NULL)'
+}
+
+const QUEUE_ORDER = {
+  open: 'rc.open_report_count DESC, rc.last_reported_at DESC',
+  hidden: 'r.hidden_at DESC',
+  all: 'COALESCE(rc.last_reported_at, r.hidden_at) DESC'
+}
+
+/**
+ * Report a Rating
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} ratingId - Rating ID
+ * @param {number} reporterId - Reporting user's ID
+ * @param {Object} report - { reason, details }
+ * @returns {Promise<boolean>} False when this user has already reported the rating
+ */
+const reportRating = async (db, ratingId, reporterId, { reason, details }) => {
+  try {
+    await db.execute(
+      'INSERT INTO rating_reports (rating_id, reporter_id, reason, details) VALUES (?, ?, ?, ?)',
+      [ratingId, reporterId, reason, details || null]
+    )
+    return true
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return false
+    throw error
+  }
+}
+
+/**
+ * List the Moderation Queue
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Object} options
+ * @param {string} [options.status='open'] - `open` (unresolved reports), `hidden` or `all`
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Rows to skip
+ * @returns {Promise<Object>} `{ ratings, total, counts }` where each rating carries
+ *   `report_count` and `open_report_count`, and `counts` has the open and hidden totals
+ */
+const listModerationQueue = async (db, { status = 'open', limit, offset }) => {
+  const fromClause = `
+    FROM ratings r
+    JOIN users u ON r.user_id = u.id
+    JOIN stores s ON r.store_id = s.id
+    LEFT JOIN users hb ON r.hidden_by = hb.id
+    LEFT JOIN (
+      SELECT rating_id,
+             COUNT(*) as report_count,
+             SUM(resolved_at IS NULL) as open_report_count,
+             MAX(created_at) as last_reported_at
+      FROM rating_reports
+      GROUP BY rating_id
+    ) rc ON rc.rating_id = r.id
+    WHERE ${QUEUE_CONDITIONS[status]}
+  `
+
+  const [ratings] = await db.execute(`
+    SELECT r.id, r.rating, r.review, r.created_at, r.edited_at, r.hidden_at,
+           u.id as user_id, u.name as user_name, u.email as user_email,
+           s.id as store_id, s.name as store_name,
+           hb.name as hidden_by_name,
+           COALESCE(rc.report_count, 0) as report_count,
+           COALESCE(rc.open_report_count, 0) as open_report_count,
+           rc.last_reported_at
+    ${fromClause}
+    ORDER BY ${QUEUE_ORDER[status]}, r.id DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `)
+
+  const [totalCount] = await db.execute(`SELECT COUNT(*) as count ${fromClause}`)
+
+  const [counts] = await db.execute(`
+    SELECT (SELECT COUNT(DISTINCT rating_id) FROM rating_reports WHERE resolved_at IS NULL) as open,
+           (SELECT COUNT(*) FROM ratings WHERE hidden_at IS NOT NULL) as hidden
+  `)
+
+  return {
+    ratings: ratings.map(rating => ({
+      ...rating,
+      report_count: Number(rating.report_count),
+      open_report_count: Number(rating.open_report_count)
+    })),
+    total: Number(totalCount[0].count),
+    counts: {
+      open: Number(counts[0].open),
+      hidden: Number(counts[0].hidden)
+    }
+  }
+}
+
+/**
+ * List a Rating's Reports
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} ratingId - Rating ID
+ * @returns {Promise<Object[]>} Reports, newest first, with reporter and resolver names
+ */
+const getRatingReports = async (db, ratingId) => {
+  const [reports] = await db.execute(
+    `SELECT rr.id, rr.reason, rr.details, rr.created_at, rr.resolved_at, rr.resolution,
+            rr.reporter_id, reporter.name as reporter_name, reporter.role as reporter_role,
+            resolver.name as resolved_by_name
+     FROM rating_reports rr
+     LEFT JOIN users reporter ON rr.reporter_id = reporter.id
+     LEFT JOIN users resolver ON rr.resolved_by = resolver.id
+     WHERE rr.rating_id = ?
+     ORDER BY rr.created_at DESC, rr.id DESC`,
+    [ratingId]
+  )
+  return reports
+}
+
+/**
+ * Hide or Restore a Rating and Resolve Its Open Reports
+ *
+ * @param {Object} db - Database pool
+ * @param {number} ratingId - Rating ID
+ * @param {boolean} hidden - Whether the rating should be hidden
+ * @param {number} moderatorId - Acting admin's ID
+ * @returns {Promise<boolean>} False when the rating does not exist
+ */
+const setRatingHidden = async (db, ratingId, hidden, moderatorId) => {
+  const connection = await db.getConnection()
+  try {
+    await connection.beginTransaction()
+
+    const [ratings] = await connection.execute(
+      'SELECT id, hidden_at FROM ratings WHERE id = ? FOR UPDATE',
+      [ratingId]
+    )
+
+    if (ratings.length === 0) {
+      await connection.rollback()
+      return false
+    }
+
+    if (hidden && !ratings[0].hidden_at) {
+      await connection.execute(
+        'UPDATE ratings SET hidden_at = NOW(), hidden_by = ? WHERE id = ?',
+        [moderatorId, ratingId]
+      )
+    } else if (!hidden && ratings[0].hidden_at) {
+      await connection.execute(
+        'UPDATE ratings SET hidden_at = NULL, hidden_by = NULL WHERE id = ?',
+        [ratingId]
+      )
+    }
+
+    await connection.execute(
+      `UPDATE rating_reports
+       SET resolved_at = NOW(), resolved_by = ?, resolution = ?
+       WHERE rating_id = ? AND resolved_at IS NULL`,
+      [moderatorId, hidden ? 'hidden' : 'restored', ratingId]
+    )
+
+    await connection.commit()
+    return true
+  } catch (error) {
+    await connection.rollback()
+    throw error
+  } finally {
+    connection.release()
+  }
+}
+
+/**
+ * Hide a Rating
+ *
+ * @param {Object} db - Database pool
+ * @param {number} ratingId - Rating ID
+ * @param {number} moderatorId - Acting admin's ID
+ * @returns {Promise<boolean>} False when the rating does not exist
+ */
+const hideRating = (db, ratingId, moderatorId) => setRatingHidden(db, ratingId, true, moderatorId)
+
+/**
+ * Restore a Rating
+ *
+ * Also used to dismiss reports against a rating that was never hidden.
+ *
+ * @param {Object} db - Database pool
+ * @param {number} ratingId - Rating ID
+ * @param {number} moderatorId - Acting admin's ID
+ * @returns {Promise<boolean>} False when the rating does not exist
+ */
+const restoreRating = (db, ratingId, moderatorId) => setRatingHidden(db, ratingId, false, moderatorId)
+
+module.exports = {
+  REPORT_REASONS,
+  QUEUE_STATUSES,
+  reportRating,
+  listModerationQueue,
+  getRatingReports,
+  hideRating,
+  restoreRating
+}
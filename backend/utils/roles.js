@@ -0,0 +1,210 @@
+/**
+ * Role Storage
+ *
+ * Roles and their permissions live in the `roles` and `role_permissions`
+ * tables. The mapping is cached in config/rbac, which answers every
+ * permission check. It is reloaded after each change made here and at least
+ * every ROLE_CACHE_SECONDS, so edits made through another server instance
+ * are picked up too. Built-in roles cannot be deleted or re-levelled, and
+ * system admins always hold every permission.
+ *
+ * @module utils/roles
+ * @requires ../config/rbac
+ */
+
+const { ROLES, PERMISSIONS, setRoleMapping } = require('../config/rbac')
+
+const CACHE_SECONDS = parseInt(process.env.ROLE_CACHE_SECONDS) || 60
+
+let loadedAt = 0
+let loading = null
+
+/**
+ * List Roles With Their Permissions
+ *
+ * @param {Object} db - Database connection or pool
+ * @returns {Promise<Object[]>} Roles ordered by level, each with
+ *   `permissions` and the number of users holding it (`user_count`)
+ */
+const listRoles = async (db) => {
+  const [roles] = await db.execute(
+    `SELECT r.name, r.display_name, r.description, r.level, r.is_builtin, r.created_at, r.updated_at,
+            (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+     FROM roles r
+     ORDER BY r.level DESC, r.name ASC`
+  )
+  const [assignments] = await db.execute('SELECT role_name, permission FROM role_permissions ORDER BY permission')
+
+  return roles.map(role => ({
+    ...role,
+    level: Number(role.level),
+    is_builtin: Boolean(role.is_builtin),
+    user_count: Number(role.user_count),
+    permissions: role.name === ROLES.SYSTEM_ADMIN
+      ? Object.values(PERMISSIONS)
+      : assignments.filter(row => row.role_name === role.name).map(row => row.permission)
+  }))
+}
+
+/**
+ * Get One Role
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} name - Role name
+ * @returns {Promise<Object|null>} Role with permissions, or null when missing
+ */
+const getRole = async (db, name) => {
+  const roles = await listRoles(db)
+  return roles.find(role => role.name === name) || null
+}
+
+/**
+ * Load the Role Mapping Into config/rbac
+ *
+ * Without `force` the cached mapping is reused while it is fresh, and a
+ * failed reload keeps serving the previous mapping so a database hiccup
+ * does not take authorization down with it.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Reload even if the cache is fresh; errors are thrown
+ * @returns {Promise<void>}
+ */
+const loadRoleMapping = async (db, { force = false } = {}) => {
+  const reload = async () => {
+    setRoleMapping(await listRoles(db))
+    loadedAt = Date.now()
+  }
+
+  if (force) return reload()
+  if (Date.now() - loadedAt < CACHE_SECONDS * 1000) return
+
+  if (!loading) {
+    loading = reload()
+      .catch(error => {
+        loadedAt = Date.now()
+        console.error('Role mapping load error:', error.message)
+      })
+      .finally(() => {
+        loading = null
+      })
+  }
+  await loading
+}
+
+/**
+ * Replace a Role's Permissions
+ *
+ * @param {Object} connection - Connection inside a transaction
+ * @param {string} name - Role name
+ * @param {string[]} permissions - Permissions to grant
+ * @returns {Promise<void>}
+ */
+const replacePermissions = async (connection, name, permissions) => {
+  await connection.execute('DELETE FROM role_permissions WHERE role_name = ?', [name])
+  for (const permission of new Set(permissions)) {
+    await connection.execute(
+      'INSERT INTO role_permissions (role_name, permission) VALUES (?, ?)',
+      [name, permission]
+    )
+  }
+}
+
+/**
+ * Run Statements in a Transaction and Refresh the Mapping
+ *
+ * @param {Object} db - Database pool
+ * @param {Function} work - `(connection) => Promise` doing the writes
+ * @returns {Promise<void>}
+ */
+const changeRoles = async (db, work) => {
+  const connection = await db.getConnection()
+  try {
+    await connection.beginTransaction()
+    await work(connection)
+    await connection.commit()
+  } catch (error) {
+    await connection.rollback()
+    throw error
+  } finally {
+    connection.release()
+  }
+
+  await loadRoleMapping(db, { force: true })
+}
+
+/**
+ * Create a Custom Role
+ *
+ * @param {Object} db - Database pool
+ * @param {Object} role - { name, displayName, description, level, permissions }
+ * @returns {Promise<void>}
+ */
+const createRole = (db, { name, displayName, description, level, permissions = [] }) => changeRoles(db, async (connection) => {
+  await connection.execute(
+    'INSERT INTO roles (name, display_name, description, level) VALUES (?, ?, ?, ?)',
+    [name, displayName, description || null, level]
+  )
+  await replacePermissions(connection, name, permissions)
+})
+
+/**
+ * Update a Role
+ *
+ * Only the given fields change. Built-in roles keep their level, and the
+ * system admin role keeps every permission.
+ *
+ * @param {Object} db - Database pool
+ * @param {Object} role - Current role from `getRole`
+ * @param {Object} changes - { displayName, description, level, permissions }
+ * @returns {Promise<void>}
+ */
+const updateRole = (db, role, { displayName, description, level, permissions }) => changeRoles(db, async (connection) => {
+  const updates = []
+  const values = []
+
+  if (displayName !== undefined) {
+    updates.push('display_name = ?')
+    values.push(displayName)
+  }
+  if (description !== undefined) {
+    updates.push('description = ?')
+    values.push(description || null)
+  }
+  if (level !== undefined && !role.is_builtin) {
+    updates.push('level = ?')
+    values.push(level)
+  }
+
+  if (updates.length > 0) {
+    await connection.execute(`UPDATE roles SET ${updates.join(', ')} WHERE name = ?`, [...values, role.name])
+  }
+  if (permissions !== undefined && role.name !== ROLES.SYSTEM_ADMIN) {
+    await replacePermissions(connection, role.name, permissions)
+  }
+})
+
+/**
+ * Delete a Custom Role
+ *
+ * @param {Object} db - Database pool
+ * @param {string} name - Role name
+ * @returns {Promise<boolean>} Whether a custom role was deleted
+ */
+const deleteRole = async (db, name) => {
+  let deleted = false
+  await changeRoles(db, async (connection) => {
+    const [result] = await connection.execute('DELETE FROM roles WHERE name = ? AND is_builtin = FALSE', [name])
+    deleted = result.affectedRows === 1
+  })
+  return deleted
+}
+
+module.exports = {
+  listRoles,
+  getRole,
+  loadRoleMapping,
+  createRole,
+  updateRole,
+  deleteRole
+}
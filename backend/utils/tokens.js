@@ -0,0 +1,450 @@
+/**
+ * Access and Refresh Token Helpers
+ *
+ * Access tokens are short-lived JWTs. Refresh tokens are opaque random
+ * strings stored server-side as SHA-256 hashes and rotated on every use.
+ * Every login creates a session, and each session owns one family of
+ * refresh tokens; presenting a token that was already rotated is treated as
+ * theft and revokes the whole session. Access tokens carry their session ID
+ * (`sid`), so revoking a session also rejects its access tokens, and the
+ * user's `token_version`, which is bumped to invalidate every outstanding
+ * access token at once.
+ *
+ * Sessions follow one of two lifetime policies chosen at login:
+ * - standard: ends SESSION_EXPIRES_HOURS after login, however often it is refreshed
+ * - remember me: ends REMEMBER_ME_EXPIRES_DAYS after the last refresh (sliding)
+ *
+ * Used refresh tokens are kept for REFRESH_REUSE_WINDOW_HOURS so their reuse
+ * can be detected; after that they, and sessions that ended that long ago,
+ * are purged. Purging runs at most once a minute, on login and refresh.
+ *
+ * @module utils/tokens
+ * @requires crypto
+ * @requires jsonwebtoken
+ */
+
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m'
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_EXPIRES_HOURS) || 12
+const REMEMBER_ME_TTL_DAYS = parseInt(process.env.REMEMBER_ME_EXPIRES_DAYS) || 30
+const HOUR_MS = 60 * 60 * 1000
+const LAST_SEEN_INTERVAL_SECONDS = 60
+const REUSE_WINDOW_HOURS = parseInt(process.env.REFRESH_REUSE_WINDOW_HOURS) || 24
+const PURGE_INTERVAL_MS = 60 * 1000
+
+let purgedAt = 0
+
+/**
+ * Hash an Opaque Token
+ *
+ * Used for refresh tokens and other single-use tokens stored server-side.
+ *
+ * @param {string} token - Raw token
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * Compute a New Session Expiry
+ *
+ * @param {boolean} rememberMe - Session policy
+ * @returns {Date} When the session ends unless refreshed (remember me only)
+ */
+const getSessionExpiry = (rememberMe) => {
+  const ttl = rememberMe ? REMEMBER_ME_TTL_DAYS * 24 * HOUR_MS : SESSION_TTL_HOURS * HOUR_MS
+  return new Date(Date.now() + ttl)
+}
+
+/**
+ * Generate Access Token
+ *
+ * @param {Object} user - User row ({ id, role, token_version })
+ * @param {string} [sessionId] - Refresh token family the access token belongs to
+ * @returns {string} Signed JWT
+ */
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, role: user.role, sid: sessionId, ver: user.token_version || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  )
+}
+
+/**
+ * Build the Token Response
+ *
+ * @param {Object} user - User row ({ id, role, token_version })
+ * @param {Object} session - { familyId, refreshToken, expiresAt, rememberMe }
+ *   where familyId is the session ID
+ * @returns {Object} { token, accessTokenExpiresAt, refreshToken, expiresAt, rememberMe, sessionId }
+ */
+const buildTokenResponse = (user, { familyId, refreshToken, expiresAt, rememberMe }) => {
+  const token = generateAccessToken(user, familyId)
+
+  return {
+    token,
+    accessTokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken,
+    expiresAt,
+    rememberMe,
+    sessionId: familyId
+  }
+}
+
+/**
+ * Check Access Token Version
+ *
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} user - Current user row including `token_version`
+ * @returns {boolean} Whether the token was issued after the last revocation
+ */
+const isTokenCurrent = (decoded, user) => (decoded.ver || 0) === (user.token_version || 0)
+
+/**
+ * Read Client Details From a Request
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent }
+ */
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || null,
+  userAgent: (req.get('User-Agent') || '').slice(0, 512) || null
+})
+
+/**
+ * Issue a Refresh Token
+ *
+ * Stores the hash of a new refresh token in the given session's family.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Token owner
+ * @param {Object} session - { familyId, expiresAt }
+ * @param {Object} req - Express request (client IP and user agent)
+ * @returns {Promise<Object>} { id, refreshToken }
+ */
+const issueRefreshToken = async (db, userId, { familyId, expiresAt }, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url')
+  const { ipAddress, userAgent } = getClientInfo(req)
+
+  const [result] = await db.execute(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, familyId, hashToken(refreshToken), expiresAt, ipAddress, userAgent]
+  )
+
+  return { id: result.insertId, refreshToken }
+}
+
+/**
+ * Purge Spent Refresh Tokens and Ended Sessions
+ *
+ * Deletes refresh tokens used, revoked or expired more than the reuse window
+ * ago, and sessions that expired or were revoked that long ago (their tokens
+ * go with them). A token presented after it was purged is simply invalid.
+ * Runs at most once a minute per process; failures are logged, not thrown.
+ *
+ * @param {Object} db - Database connection or pool
+ * @returns {Promise<void>}
+ */
+const purgeExpiredTokens = async (db) => {
+  if (Date.now() - purgedAt < PURGE_INTERVAL_MS) return
+  purgedAt = Date.now()
+
+  try {
+    await db.execute(
+      'DELETE FROM sessions WHERE expires_at < NOW() - INTERVAL ? HOUR OR revoked_at < NOW() - INTERVAL ? HOUR',
+      [REUSE_WINDOW_HOURS, REUSE_WINDOW_HOURS]
+    )
+    await db.execute(
+      'DELETE FROM refresh_tokens WHERE revoked_at < NOW() - INTERVAL ? HOUR OR expires_at < NOW() - INTERVAL ? HOUR',
+      [REUSE_WINDOW_HOURS, REUSE_WINDOW_HOURS]
+    )
+  } catch (error) {
+    console.error('Token purge error:', error.message)
+  }
+}
+
+/**
+ * Issue an Access and Refresh Token Pair
+ *
+ * Starts a new session with the requested lifetime policy.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Object} user - User row ({ id, role, token_version })
+ * @param {Object} req - Express request
+ * @param {Object} [options]
+ * @param {boolean} [options.rememberMe=false] - Use the long-lived sliding policy
+ * @returns {Promise<Object>} Token response (see buildTokenResponse)
+ */
+const issueTokenPair = async (db, user, req, { rememberMe = false } = {}) => {
+  await purgeExpiredTokens(db)
+
+  const session = {
+    familyId: crypto.randomUUID(),
+    rememberMe: Boolean(rememberMe),
+    expiresAt: getSessionExpiry(rememberMe)
+  }
+  const { ipAddress, userAgent } = getClientInfo(req)
+
+  await db.execute(
+    `INSERT INTO sessions (id, user_id, remember_me, ip_address, user_agent, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [session.familyId, user.id, session.rememberMe ? 1 : 0, ipAddress, userAgent, session.expiresAt]
+  )
+  const { refreshToken } = await issueRefreshToken(db, user.id, session, req)
+
+  return buildTokenResponse(user, { ...session, refreshToken })
+}
+
+/**
+ * Revoke a Session
+ *
+ * Marks the session and every refresh token in it as revoked. Access tokens
+ * carrying the session ID are rejected from then on.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} sessionId - Session (refresh token family) ID
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (db, sessionId) => {
+  const [result] = await db.execute(
+    'UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+    [sessionId]
+  )
+  await db.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+    [sessionId]
+  )
+  return result.affectedRows > 0
+}
+
+/**
+ * Revoke a User's Sessions
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Session owner
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep (e.g. the caller's)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (db, userId, { exceptSessionId = null } = {}) => {
+  const [result] = await db.execute(
+    'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL AND id <> ?',
+    [userId, exceptSessionId || '']
+  )
+  await db.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL AND family_id <> ?',
+    [userId, exceptSessionId || '']
+  )
+  return result.affectedRows
+}
+
+/**
+ * Revoke Every Token for a User
+ *
+ * Revokes all sessions and bumps `token_version` so that access tokens
+ * issued before this call are rejected, including ones without a session.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Token owner
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllUserTokens = async (db, userId) => {
+  const revoked = await revokeUserSessions(db, userId)
+  await db.execute('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [userId])
+  return revoked
+}
+
+/**
+ * Rotate a Refresh Token
+ *
+ * Exchanges a valid refresh token for a new pair in the same session. A token
+ * that was already used revokes its whole session. Remember-me sessions are
+ * extended; standard sessions keep their original expiry. The rotation only
+ * succeeds for the request that marks the old token as used, so two
+ * concurrent refreshes with one token cannot both succeed.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, tokens } on success, otherwise { error, userId?, familyId? }
+ *   where error is 'invalid', 'expired', 'revoked' or 'reused'
+ */
+const rotateRefreshToken = async (db, refreshToken, req) => {
+  await purgeExpiredTokens(db)
+
+  const [rows] = await db.execute(
+    `SELECT rt.id, rt.user_id, rt.family_id, rt.revoked_at,
+            s.remember_me, s.expires_at, s.revoked_at as session_revoked_at,
+            u.id as uid, u.name, u.email, u.email_verified_at, u.pending_email, u.address, u.role,
+            u.token_version, u.totp_enabled_at
+     FROM refresh_tokens rt
+     JOIN sessions s ON rt.family_id = s.id
+     LEFT JOIN users u ON rt.user_id = u.id
+     WHERE rt.token_hash = ?`,
+    [hashToken(refreshToken)]
+  )
+
+  if (rows.length === 0 || !rows[0].uid) {
+    return { error: 'invalid' }
+  }
+
+  const stored = rows[0]
+  const failure = (error) => ({ error, userId: stored.user_id, familyId: stored.family_id })
+
+  if (stored.session_revoked_at) {
+    return failure('revoked')
+  }
+
+  if (stored.revoked_at) {
+    await revokeSession(db, stored.family_id)
+    return failure('reused')
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    return failure('expired')
+  }
+
+  const [claimed] = await db.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+    [stored.id]
+  )
+
+  if (claimed.affectedRows === 0) {
+    await revokeSession(db, stored.family_id)
+    return failure('reused')
+  }
+
+  const user = {
+    id: stored.uid,
+    name: stored.name,
+    email: stored.email,
+    email_verified_at: stored.email_verified_at,
+    pending_email: stored.pending_email,
+    address: stored.address,
+    role: stored.role,
+    token_version: stored.token_version,
+    totp_enabled_at: stored.totp_enabled_at
+  }
+
+  const rememberMe = Boolean(stored.remember_me)
+  const session = {
+    familyId: stored.family_id,
+    rememberMe,
+    expiresAt: rememberMe ? getSessionExpiry(true) : new Date(stored.expires_at)
+  }
+  const { ipAddress } = getClientInfo(req)
+
+  await db.execute(
+    'UPDATE sessions SET last_seen_at = NOW(), ip_address = ?, expires_at = ? WHERE id = ?',
+    [ipAddress, session.expiresAt, session.familyId]
+  )
+  const { id: newId, refreshToken: newRefreshToken } = await issueRefreshToken(db, user.id, session, req)
+  await db.execute('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?', [newId, stored.id])
+
+  return {
+    user,
+    tokens: buildTokenResponse(user, { ...session, refreshToken: newRefreshToken })
+  }
+}
+
+/**
+ * Find a Refresh Token's Family
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<Object|null>} { userId, familyId } or null when unknown
+ */
+const findTokenFamily = async (db, refreshToken) => {
+  const [rows] = await db.execute(
+    'SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = ?',
+    [hashToken(refreshToken)]
+  )
+  return rows.length > 0 ? { userId: rows[0].user_id, familyId: rows[0].family_id } : null
+}
+
+/**
+ * Find an Active Session
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session row, or null when missing, revoked or expired
+ */
+const getActiveSession = async (db, sessionId) => {
+  const [rows] = await db.execute(
+    `SELECT id, user_id, remember_me, ip_address, user_agent, created_at, last_seen_at, expires_at
+     FROM sessions
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId]
+  )
+  return rows[0] || null
+}
+
+/**
+ * Record Session Activity
+ *
+ * Updates the session's last-seen time and IP address at most once per
+ * LAST_SEEN_INTERVAL_SECONDS to keep authenticated requests cheap.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} sessionId - Session ID
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+const touchSession = async (db, sessionId, req) => {
+  await db.execute(
+    `UPDATE sessions SET last_seen_at = NOW(), ip_address = ?
+     WHERE id = ? AND last_seen_at < NOW() - INTERVAL ${LAST_SEEN_INTERVAL_SECONDS} SECOND`,
+    [getClientInfo(req).ipAddress, sessionId]
+  )
+}
+
+/**
+ * List a User's Active Sessions
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Session owner
+ * @returns {Promise<Object[]>} Sessions, most recently seen first
+ */
+const listActiveSessions = async (db, userId) => {
+  const [sessions] = await db.execute(
+    `SELECT id, remember_me, ip_address, user_agent, created_at, last_seen_at, expires_at
+     FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  )
+  return sessions.map(session => ({ ...session, remember_me: Boolean(session.remember_me) }))
+}
+
+/**
+ * Check Whether a Session Uses Remember Me
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {string} [sessionId] - Session ID
+ * @returns {Promise<boolean>} True for remember-me sessions
+ */
+const isRememberMeSession = async (db, sessionId) => {
+  if (!sessionId) return false
+  const [rows] = await db.execute('SELECT remember_me FROM sessions WHERE id = ?', [sessionId])
+  return rows.length > 0 && Boolean(rows[0].remember_me)
+}
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  isTokenCurrent,
+  issueTokenPair,
+  rotateRefreshToken,
+  purgeExpiredTokens,
+  findTokenFamily,
+  getActiveSession,
+  touchSession,
+  listActiveSessions,
+  isRememberMeSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeAllUserTokens
+}
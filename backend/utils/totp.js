@@ -0,0 +1,165 @@
+/**
+ * Time-Based One-Time Passwords (RFC 6238)
+ *
+ * Implements TOTP with the parameters every common authenticator app
+ * supports by default: HMAC-SHA1, 6 digits and a 30-second time step.
+ * Secrets are exchanged as unpadded base32 (RFC 4648).
+ *
+ * @module utils/totp
+ * @requires crypto
+ */
+
+const crypto = require('crypto')
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const DIGITS = 6
+const STEP_SECONDS = 30
+const SECRET_BYTES = 20
+
+/**
+ * Encode Bytes as Base32
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Unpadded base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+/**
+ * Decode a Base32 String
+ *
+ * @param {string} input - Base32 string; case, spaces and padding are ignored
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} When the input contains non-base32 characters
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '')
+  const bytes = []
+  let bits = 0
+  let value = 0
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error('Invalid base32 character')
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generate a TOTP Secret
+ *
+ * @returns {string} Random 160-bit secret in base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES))
+
+/**
+ * Time Step for a Moment
+ *
+ * @param {number} [time=Date.now()] - Milliseconds since the epoch
+ * @returns {number} Number of whole 30-second steps since the epoch
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS)
+
+/**
+ * Generate the Code for a Time Step (RFC 4226 HOTP)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (counter)
+ * @returns {string} Zero-padded 6-digit code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 15
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+/**
+ * Verify a Code
+ *
+ * Accepts codes from the current step and `window` steps either side to
+ * allow for clock drift between the server and the authenticator.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Steps of drift allowed each way
+ * @param {number} [options.time=Date.now()] - Moment to verify against
+ * @returns {number|null} Matching time step, or null when the code is wrong
+ */
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '')
+  if (!/^\d{6}$/.test(normalized)) return null
+
+  const current = getTimeStep(time)
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step
+    }
+  }
+
+  return null
+}
+
+/**
+ * Build an otpauth:// Provisioning URI
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Label shown in the authenticator (e.g. email)
+ * @param {string} issuer - Service name shown in the authenticator
+ * @returns {string} URI suitable for a QR code
+ */
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    'algorithm=SHA1',
+    `digits=${DIGITS}`,
+    `period=${STEP_SECONDS}`
+  ]
+
+  return `otpauth://totp/${label}?${params.join('&')}`
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+}
@@ -0,0 +1,291 @@
+/**
+ * Two-Factor Authentication Helpers
+ *
+ * Accounts enrol by scanning a TOTP secret (see utils/totp) and confirming a
+ * code; enrolment also issues single-use recovery codes, stored hashed like
+ * refresh tokens. Each TOTP time step is accepted once per account so an
+ * observed code cannot be replayed.
+ *
+ * After a correct password, enrolled accounts receive a short-lived challenge
+ * token instead of a session and complete the login with a code. Policy:
+ * every role holding a high-risk permission (system admins and any custom
+ * role granted admin powers) must use 2FA unless TWO_FACTOR_REQUIRE_ADMINS=false,
+ * and store owners when TWO_FACTOR_REQUIRE_STORE_OWNERS=true. Permissions are
+ * read from the live role mapping, so editing a role changes its policy.
+ *
+ * @module utils/twoFactor
+ * @requires crypto
+ * @requires jsonwebtoken
+ * @requires qrcode
+ * @requires ../config/rbac
+ * @requires ./totp
+ * @requires ./tokens
+ */
+
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const QRCode = require('qrcode')
+const { ROLES, PERMISSIONS, hasAnyPermission } = require('../config/rbac')
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('./totp')
+const { hashToken } = require('./tokens')
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Store Rating'
+const CHALLENGE_PURPOSE = 'two_factor_login'
+const CHALLENGE_TTL = '5m'
+const RECOVERY_CODE_COUNT = 10
+
+const REQUIRE_ADMINS = process.env.TWO_FACTOR_REQUIRE_ADMINS !== 'false'
+const REQUIRE_STORE_OWNERS = process.env.TWO_FACTOR_REQUIRE_STORE_OWNERS === 'true'
+
+// Holding any of these makes a role count as an admin for the 2FA policy
+const HIGH_RISK_PERMISSIONS = [
+  PERMISSIONS.USER_CREATE,
+  PERMISSIONS.USER_READ_ALL,
+  PERMISSIONS.USER_UPDATE_ANY,
+  PERMISSIONS.USER_DELETE_ANY,
+  PERMISSIONS.STORE_UPDATE_ANY,
+  PERMISSIONS.STORE_DELETE_ANY,
+  PERMISSIONS.RATING_UPDATE_ANY,
+  PERMISSIONS.RATING_DELETE_ANY,
+  PERMISSIONS.SYSTEM_MANAGE,
+  PERMISSIONS.SYSTEM_AUDIT
+]
+
+/**
+ * Whether a Role Must Use Two-Factor Authentication
+ *
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = (role) => {
+  if (role === ROLES.STORE_OWNER && REQUIRE_STORE_OWNERS) return true
+  return REQUIRE_ADMINS && hasAnyPermission(role, HIGH_RISK_PERMISSIONS)
+}
+
+/**
+ * Two-Factor Flags for API Responses
+ *
+ * @param {Object} user - User row including `role` and `totp_enabled_at`
+ * @returns {Object} { two_factor_enabled, two_factor_required }
+ */
+const getTwoFactorStatus = (user) => ({
+  two_factor_enabled: Boolean(user.totp_enabled_at),
+  two_factor_required: isTwoFactorRequired(user.role)
+})
+
+/**
+ * Start Enrolment
+ *
+ * Stores a new secret for the account (replacing any unconfirmed one) and
+ * returns what the authenticator app needs.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Object} user - Enrolling user ({ id, email })
+ * @returns {Promise<Object|null>} { secret, otpauthUrl, qrCode } where qrCode
+ *   is a PNG data URL, or null when 2FA is already enabled
+ */
+const startEnrollment = async (db, user) => {
+  const secret = generateSecret()
+  const [result] = await db.execute(
+    'UPDATE users SET totp_secret = ?, totp_last_used_step = NULL, updated_at = updated_at WHERE id = ? AND totp_enabled_at IS NULL',
+    [secret, user.id]
+  )
+
+  if (result.affectedRows === 0) return null
+
+  const otpauthUrl = buildOtpauthUrl(secret, user.email, ISSUER)
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  }
+}
+
+/**
+ * Check a TOTP Code and Mark Its Time Step Used
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Account the code belongs to
+ * @param {string} code - 6-digit code
+ * @returns {Promise<boolean>} Whether the code was valid and not yet used
+ */
+const consumeTotpCode = async (db, userId, code) => {
+  const [rows] = await db.execute('SELECT totp_secret FROM users WHERE id = ?', [userId])
+  const secret = rows[0]?.totp_secret
+  if (!secret) return false
+
+  const step = verifyCode(secret, code)
+  if (step === null) return false
+
+  const [result] = await db.execute(
+    `UPDATE users SET totp_last_used_step = ?, updated_at = updated_at
+     WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)`,
+    [step, userId, step]
+  )
+  return result.affectedRows === 1
+}
+
+/**
+ * Normalize a Recovery Code for Hashing
+ *
+ * @param {string} code - Code as typed by the user
+ * @returns {string} Lowercase code without separators
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-z]/g, '')
+
+/**
+ * Use a Recovery Code
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Account the code belongs to
+ * @param {string} code - Recovery code
+ * @returns {Promise<boolean>} Whether an unused code matched
+ */
+const consumeRecoveryCode = async (db, userId, code) => {
+  const [result] = await db.execute(
+    'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  )
+  return result.affectedRows === 1
+}
+
+/**
+ * Verify a Second Factor
+ *
+ * Six-digit codes are checked as TOTP codes, anything else as a recovery code.
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Account being verified
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<string|null>} 'totp' or 'recovery' when accepted, otherwise null
+ */
+const verifySecondFactor = async (db, userId, code) => {
+  if (/^\d{6}$/.test(String(code || '').replace(/\s/g, ''))) {
+    return (await consumeTotpCode(db, userId, code)) ? 'totp' : null
+  }
+  return (await consumeRecoveryCode(db, userId, code)) ? 'recovery' : null
+}
+
+/**
+ * Replace an Account's Recovery Codes
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Account to issue codes for
+ * @returns {Promise<string[]>} New codes in `xxxxx-xxxxx` form; only their hashes are stored
+ */
+const generateRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex')
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+
+  await db.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId])
+  for (const code of codes) {
+    await db.execute(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    )
+  }
+
+  return codes
+}
+
+/**
+ * Count Unused Recovery Codes
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Account to count for
+ * @returns {Promise<number>}
+ */
+const countRecoveryCodes = async (db, userId) => {
+  const [rows] = await db.execute(
+    'SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  )
+  return Number(rows[0].remaining)
+}
+
+/**
+ * Finish Enrolment
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Enrolling account
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<string[]|null>} Recovery codes, or null when there is no
+ *   pending secret or the code is wrong
+ */
+const enableTwoFactor = async (db, userId, code) => {
+  const [rows] = await db.execute(
+    'SELECT totp_secret, totp_enabled_at FROM users WHERE id = ?',
+    [userId]
+  )
+  if (!rows[0]?.totp_secret || rows[0].totp_enabled_at) return null
+  if (!(await consumeTotpCode(db, userId, code))) return null
+
+  await db.execute(
+    'UPDATE users SET totp_enabled_at = NOW(), updated_at = updated_at WHERE id = ?',
+    [userId]
+  )
+  return generateRecoveryCodes(db, userId)
+}
+
+/**
+ * Turn Two-Factor Authentication Off
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {number} userId - Account to update
+ */
+const disableTwoFactor = async (db, userId) => {
+  await db.execute(
+    'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL, updated_at = updated_at WHERE id = ?',
+    [userId]
+  )
+  await db.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId])
+}
+
+/**
+ * Create a Login Challenge Token
+ *
+ * Issued after a correct password for an enrolled account. It is bound to
+ * the account's token version, so revoking tokens also voids it.
+ *
+ * @param {Object} user - User row ({ id, token_version })
+ * @param {boolean} rememberMe - Session type requested at login
+ * @returns {string} Signed JWT valid for five minutes
+ */
+const createChallengeToken = (user, rememberMe) => {
+  return jwt.sign(
+    { userId: user.id, ver: user.token_version || 0, rememberMe: Boolean(rememberMe), purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  )
+}
+
+/**
+ * Read a Login Challenge Token
+ *
+ * @param {string} token - Challenge token from the login response
+ * @returns {Object|null} { userId, ver, rememberMe }, or null if invalid or expired
+ */
+const readChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    if (decoded.purpose !== CHALLENGE_PURPOSE) return null
+    return { userId: decoded.userId, ver: decoded.ver, rememberMe: decoded.rememberMe }
+  } catch (error) {
+    return null
+  }
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  enableTwoFactor,
+  disableTwoFactor,
+  createChallengeToken,
+  readChallengeToken
+}
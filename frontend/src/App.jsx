@@ -7,6 +7,11 @@ import { NotificationProvider, useNotification } from './contexts/NotificationCo
 import ProtectedRoute from './components/ProtectedRoute'
 import Login from './components/Common/Login'
 import Registration from './components/Common/Registration/Registration'
+import ForgotPassword from './components/Common/ForgotPassword'
+import ResetPassword from './components/Common/ResetPassword'
+import VerifyEmail from './components/Common/VerifyEmail'
+import TwoFactorSetup from './components/Common/TwoFactorSetup'
+import RateLimitCountdown from './components/Common/RateLimitCountdown'
 import AdminStructure from './components/SystemAdmin/SystemAdminStructure'
 import StoreOwnerDashboard from './components/StoreOwner/StoreOwnerDashboard'
 import UserDashboard from './components/User/UserDashboard'
@@ -39,10 +44,30 @@ const AppContent = () => {
       navigate('/login', { replace: true })
     }
 
+    const handleRateLimited = (event) => {
+      const { retryAfter, message } = event.detail
+      if (!retryAfter) {
+        notification.showWarning(message || 'Too many requests. Please try again later.')
+        return
+      }
+
+      const until = Date.now() + retryAfter * 1000
+      const content = <RateLimitCountdown until={until} />
+      const autoClose = retryAfter * 1000 + 2000
+
+      if (notification.isActive('rate-limit')) {
+        notification.update('rate-limit', content, { autoClose })
+      } else {
+        notification.showWarning(content, { toastId: 'rate-limit', autoClose })
+      }
+    }
+
     window.addEventListener('auth:force-logout', handleForceLogout)
+    window.addEventListener('api:rate-limited', handleRateLimited)
 
     return () => {
       window.removeEventListener('auth:force-logout', handleForceLogout)
+      window.removeEventListener('api:rate-limited', handleRateLimited)
     }
   }, [navigate, notification])
 
@@ -51,6 +76,10 @@ const AppContent = () => {
       <Routes>
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Registration />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/two-factor-setup" element={<TwoFactorSetup />} />
         <Route path="/unauthorized" element={<Unauthorized />} />
         <Route 
           path="/admin/*" 
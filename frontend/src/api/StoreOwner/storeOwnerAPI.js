@@ -29,11 +29,59 @@ const storeOwnerAPI = {
   },
 
   /**
-   * Get store ratings
+   * Get store ratings, optionally sorted by `sort` (helpful, newest or rating) and `order`
    */
-  getStoreRatings: async () => {
+  getStoreRatings: async (params = {}) => {
     try {
-      const response = await apiClient.get('/store-owner/ratings')
+      const response = await apiClient.get('/store-owner/ratings', { params })
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Get a rating's edit history
+   */
+  getRatingHistory: async (ratingId) => {
+    try {
+      const response = await apiClient.get(`/store-owner/ratings/${ratingId}/history`)
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Post or edit the public reply to a review of one of the owner's stores
+   */
+  saveReply: async (storeId, ratingId, reply) => {
+    try {
+      const response = await apiClient.put(`/store-owner/stores/${storeId}/ratings/${ratingId}/reply`, { reply })
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Delete the reply to a review
+   */
+  deleteReply: async (storeId, ratingId) => {
+    try {
+      const response = await apiClient.delete(`/store-owner/stores/${storeId}/ratings/${ratingId}/reply`)
+      return response.data
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Report a review for moderation
+   */
+  reportRating: async (ratingId, report) => {
+    try {
+      const response = await apiClient.post(`/store-owner/ratings/${ratingId}/report`, report)
       return handleApiResponse(response)
     } catch (error) {
       handleApiError(error)
@@ -1,4 +1,5 @@
 import apiClient, { handleApiResponse } from '../apiClient'
+import { ENDPOINTS } from '../constants'
 
 /**
  * System Administrator API endpoints
@@ -60,9 +61,9 @@ const systemAdminAPI = {
     }
   },
 
-  deleteUser: async (userId) => {
+  deleteUser: async (userId, params = {}) => {
     try {
-      const response = await apiClient.delete(`/admin/users/${userId}`)
+      const response = await apiClient.delete(`/admin/users/${userId}`, { params })
       return { success: true, data: handleApiResponse(response) }
     } catch (error) {
       const errorMessage = error.response?.data?.message || error.message || 'Failed to delete user'
@@ -121,6 +122,254 @@ const systemAdminAPI = {
       const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch store'
       return { success: false, error: errorMessage }
     }
+  },
+
+  /**
+   * User Sessions
+   */
+  getUserSessions: async (userId) => {
+    try {
+      const response = await apiClient.get(`/admin/users/${userId}/sessions`)
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch sessions'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  revokeUserSession: async (userId, sessionId) => {
+    try {
+      const response = await apiClient.delete(`/admin/users/${userId}/sessions/${sessionId}`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to revoke session'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  revokeUserSessions: async (userId) => {
+    try {
+      const response = await apiClient.delete(`/admin/users/${userId}/sessions`)
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to revoke sessions'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  /**
+   * Account Lockout
+   */
+  unlockUser: async (userId) => {
+    try {
+      const response = await apiClient.post(`/admin/users/${userId}/unlock`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to unlock account'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  resetUserTwoFactor: async (userId) => {
+    try {
+      const response = await apiClient.post(`/admin/users/${userId}/2fa/reset`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to reset two-factor authentication'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  /**
+   * Ratings
+   */
+  getRatingHistory: async (ratingId) => {
+    try {
+      const response = await apiClient.get(`${ENDPOINTS.ADMIN.RATINGS}/${ratingId}/history`)
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch rating history'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  getModerationQueue: async (params = {}) => {
+    try {
+      const response = await apiClient.get(ENDPOINTS.ADMIN.MODERATION, { params })
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch the moderation queue'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  getRatingReports: async (ratingId) => {
+    try {
+      const response = await apiClient.get(`${ENDPOINTS.ADMIN.RATINGS}/${ratingId}/reports`)
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch reports'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  hideRating: async (ratingId) => {
+    try {
+      const response = await apiClient.post(`${ENDPOINTS.ADMIN.RATINGS}/${ratingId}/hide`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to hide review'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  restoreRating: async (ratingId) => {
+    try {
+      const response = await apiClient.post(`${ENDPOINTS.ADMIN.RATINGS}/${ratingId}/restore`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to restore review'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  deleteRating: async (ratingId) => {
+    try {
+      const response = await apiClient.delete(`${ENDPOINTS.ADMIN.RATINGS}/${ratingId}`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to delete review'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  /**
+   * Roles and Permissions
+   */
+  getRoles: async () => {
+    try {
+      const response = await apiClient.get(ENDPOINTS.ADMIN.ROLES)
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch roles'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  createRole: async (roleData) => {
+    try {
+      const response = await apiClient.post(ENDPOINTS.ADMIN.ROLES, roleData)
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to create role'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  updateRole: async (roleName, roleData) => {
+    try {
+      const response = await apiClient.put(`${ENDPOINTS.ADMIN.ROLES}/${roleName}`, roleData)
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to update role'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  deleteRole: async (roleName) => {
+    try {
+      const response = await apiClient.delete(`${ENDPOINTS.ADMIN.ROLES}/${roleName}`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to delete role'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  /**
+   * Rating Criteria
+   */
+  getRatingCriteria: async () => {
+    try {
+      const response = await apiClient.get(ENDPOINTS.ADMIN.RATING_CRITERIA)
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch rating criteria'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  createRatingCriterion: async (criterionData) => {
+    try {
+      const response = await apiClient.post(ENDPOINTS.ADMIN.RATING_CRITERIA, criterionData)
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to create rating criterion'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  updateRatingCriterion: async (criterionName, criterionData) => {
+    try {
+      const response = await apiClient.put(`${ENDPOINTS.ADMIN.RATING_CRITERIA}/${criterionName}`, criterionData)
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to update rating criterion'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  /**
+   * Audit and Security Logs
+   */
+  getAuditLogs: async (params = {}) => {
+    try {
+      const response = await apiClient.get(ENDPOINTS.ADMIN.AUDIT_LOGS, { params })
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch audit logs'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  getSecurityLogs: async (params = {}) => {
+    try {
+      const response = await apiClient.get(ENDPOINTS.ADMIN.SECURITY_LOGS, { params })
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch security logs'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  /**
+   * Downloads audit or security logs matching the filters as a CSV blob
+   */
+  exportLogs: async (type, params = {}) => {
+    try {
+      const endpoint = type === 'security' ? ENDPOINTS.ADMIN.SECURITY_LOGS : ENDPOINTS.ADMIN.AUDIT_LOGS
+      const response = await apiClient.get(endpoint, {
+        params: { ...params, format: 'csv' },
+        responseType: 'blob'
+      })
+      return { success: true, data: response.data }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to export logs'
+      return { success: false, error: errorMessage }
+    }
+  },
+
+  /**
+   * Recent audit entries for a single user (defaults to the latest 10)
+   */
+  getActivityLog: async (params = {}) => {
+    try {
+      const response = await apiClient.get(ENDPOINTS.ADMIN.AUDIT_LOGS, { params: { limit: 10, ...params } })
+      return { success: true, data: handleApiResponse(response) }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch activity log'
+      return { success: false, error: errorMessage }
+    }
   }
 }
 
@@ -1,4 +1,5 @@
 import apiClient, { handleApiResponse, handleApiError } from '../apiClient'
+import { authStorage } from '../../utils/localStorage'
 
 /**
  * User API endpoints for normal users
@@ -28,7 +29,12 @@ const userAPI = {
   changePassword: async (passwordData) => {
     try {
       const response = await apiClient.put('/user/change-password', passwordData)
-      return handleApiResponse(response)
+      const data = handleApiResponse(response)
+      // Every other session was revoked; keep this one signed in with the new tokens
+      if (data?.token) {
+        authStorage.setSession(data)
+      }
+      return data
     } catch (error) {
       handleApiError(error)
     }
@@ -37,9 +43,9 @@ const userAPI = {
   /**
    * Store Browsing
    */
-  getStores: async () => {
+  getStores: async (params = {}) => {
     try {
-      const response = await apiClient.get('/user/stores')
+      const response = await apiClient.get('/user/stores', { params })
       return response.data
     } catch (error) {
       handleApiError(error)
@@ -116,6 +122,42 @@ const userAPI = {
     }
   },
 
+  getRatingHistory: async (ratingId) => {
+    try {
+      const response = await apiClient.get(`/user/ratings/${ratingId}/history`)
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  reportRating: async (ratingId, report) => {
+    try {
+      const response = await apiClient.post(`/user/ratings/${ratingId}/report`, report)
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  voteRating: async (ratingId, helpful) => {
+    try {
+      const response = await apiClient.put(`/user/ratings/${ratingId}/vote`, { helpful })
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  removeVote: async (ratingId) => {
+    try {
+      const response = await apiClient.delete(`/user/ratings/${ratingId}/vote`)
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
   getMyRatings: async (params = {}) => {
     try {
       const response = await apiClient.get('/user/ratings', { params })
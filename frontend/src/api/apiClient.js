@@ -34,6 +34,35 @@ apiClient.interceptors.request.use(
   }
 )
 
+/**
+ * Auth endpoints whose 401s mean bad credentials rather than an expired token
+ */
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/2fa/verify', '/auth/register', '/auth/refresh', '/auth/logout']
+
+let refreshPromise = null
+
+/**
+ * Exchanges the stored refresh token for a new token pair. Concurrent callers
+ * share one request because each refresh token can only be used once.
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = authStorage.getRefreshToken()
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }).then((response) => {
+        const data = response.data.data
+        authStorage.setSession(data)
+        authStorage.setUser(data.user)
+        return data.token
+      })
+      : Promise.reject(new Error('No refresh token'))
+    ).finally(() => {
+      refreshPromise = null
+    })
+  }
+  return refreshPromise
+}
+
 /**
  * Response interceptor for error handling
  */
@@ -41,7 +70,25 @@ apiClient.interceptors.response.use(
   (response) => {
     return response
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_PATHS.includes(originalRequest.url)
+    ) {
+      originalRequest._retry = true
+      try {
+        const token = await refreshAccessToken()
+        originalRequest.headers.Authorization = `Bearer ${token}`
+        return apiClient(originalRequest)
+      } catch {
+        // Fall through to the expired-session handling below
+      }
+    }
+
     if (error.response?.status === 401) {
       authStorage.clearAuth()
       
@@ -57,7 +104,11 @@ apiClient.interceptors.response.use(
     }
     
     if (error.response?.status === 429) {
-      console.error('Rate limit exceeded. Please try again later.')
+      const retryAfter = parseInt(error.response.headers?.['retry-after']) ||
+        error.response.data?.data?.retryAfter || 0
+      window.dispatchEvent(new CustomEvent('api:rate-limited', {
+        detail: { retryAfter, message: error.response.data?.message }
+      }))
     }
     
     if (error.response?.status >= 500) {
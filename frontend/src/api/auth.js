@@ -11,7 +11,15 @@ const authAPI = {
   register: async (userData) => {
     try {
       const response = await apiClient.post('/auth/register', userData)
-      return handleApiResponse(response)
+      const data = handleApiResponse(response)
+
+      if (data.token) {
+        authStorage.setSession(data)
+        authStorage.setRole(data.user.role)
+        authStorage.setUser(data.user)
+      }
+
+      return data
     } catch (error) {
       handleApiError(error)
     }
@@ -26,8 +34,7 @@ const authAPI = {
       const data = handleApiResponse(response)
       
       if (data.token) {
-        const rememberMe = credentials.rememberMe || false
-        authStorage.setToken(data.token, rememberMe)
+        authStorage.setSession(data)
         authStorage.setRole(data.user.role)
         authStorage.setUser(data.user)
         authStorage.setLastLogin()
@@ -40,11 +47,30 @@ const authAPI = {
   },
 
   /**
-   * User logout
+   * Complete a login that requires two-factor authentication
+   */
+  verifyTwoFactor: async (challengeToken, code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/verify', { challengeToken, code })
+      const data = handleApiResponse(response)
+
+      authStorage.setSession(data)
+      authStorage.setRole(data.user.role)
+      authStorage.setUser(data.user)
+      authStorage.setLastLogin()
+
+      return data
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * User logout - revokes the session's refresh tokens on the server
    */
   logout: async () => {
     try {
-      await apiClient.post('/auth/logout')
+      await apiClient.post('/auth/logout', { refreshToken: authStorage.getRefreshToken() || undefined })
       authStorage.clearAuth()
       return true
     } catch (error) {
@@ -53,6 +79,165 @@ const authAPI = {
     }
   },
 
+  /**
+   * Exchange the stored refresh token for a new token pair
+   */
+  refresh: async () => {
+    try {
+      const response = await apiClient.post('/auth/refresh', { refreshToken: authStorage.getRefreshToken() })
+      const data = handleApiResponse(response)
+      authStorage.setSession(data)
+      authStorage.setUser(data.user)
+      return data
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Request a password reset link; the response never reveals whether the email exists
+   */
+  forgotPassword: async (email) => {
+    try {
+      const response = await apiClient.post('/auth/forgot-password', { email })
+      return response.data
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Set a new password with the token from a reset link
+   */
+  resetPassword: async (token, password) => {
+    try {
+      const response = await apiClient.post('/auth/reset-password', { token, password })
+      return response.data
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Confirm an email address with the token from a verification link
+   */
+  verifyEmail: async (token) => {
+    try {
+      const response = await apiClient.post('/auth/verify-email', { token })
+      return response.data
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Resend the verification link for an unverified or pending email address
+   */
+  resendVerification: async () => {
+    try {
+      const response = await apiClient.post('/auth/resend-verification')
+      return response.data
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Active sessions (devices) of the signed-in user
+   */
+  getSessions: async () => {
+    try {
+      const response = await apiClient.get('/auth/sessions')
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Sign out of one session
+   */
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await apiClient.delete(`/auth/sessions/${sessionId}`)
+      return response.data
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Sign out of every session except the current one
+   */
+  revokeOtherSessions: async () => {
+    try {
+      const response = await apiClient.delete('/auth/sessions')
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Two-factor authentication status of the signed-in user
+   */
+  getTwoFactorStatus: async () => {
+    try {
+      const response = await apiClient.get('/auth/2fa')
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Start two-factor enrolment; returns the secret and a QR code
+   */
+  setupTwoFactor: async () => {
+    try {
+      const response = await apiClient.post('/auth/2fa/setup')
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Confirm enrolment with an authenticator code; returns recovery codes
+   */
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/enable', { code })
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Replace the recovery codes
+   */
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/recovery-codes', { code })
+      return handleApiResponse(response)
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
+  /**
+   * Turn two-factor authentication off
+   */
+  disableTwoFactor: async (password, code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/disable', { password, code })
+      return response.data
+    } catch (error) {
+      handleApiError(error)
+    }
+  },
+
   /**
    * Verify authentication token
    */
@@ -17,6 +17,13 @@ export const ENDPOINTS = {
     LOGIN: '/auth/login',
     REGISTER: '/auth/register',
     LOGOUT: '/auth/logout',
+    REFRESH: '/auth/refresh',
+    FORGOT_PASSWORD: '/auth/forgot-password',
+    RESET_PASSWORD: '/auth/reset-password',
+    VERIFY_EMAIL: '/auth/verify-email',
+    RESEND_VERIFICATION: '/auth/resend-verification',
+    SESSIONS: '/auth/sessions',
+    TWO_FACTOR: '/auth/2fa',
     VERIFY: '/auth/verify',
     CHANGE_PASSWORD: '/auth/change-password',
     PROFILE: '/auth/profile'
@@ -28,8 +35,11 @@ export const ENDPOINTS = {
     USERS: '/admin/users',
     STORES: '/admin/stores',
     RATINGS: '/admin/ratings',
+    MODERATION: '/admin/ratings/moderation',
     AUDIT_LOGS: '/admin/audit-logs',
-    SECURITY_LOGS: '/admin/security-logs'
+    SECURITY_LOGS: '/admin/security-logs',
+    ROLES: '/admin/roles',
+    RATING_CRITERIA: '/admin/rating-criteria'
   },
 
   STORE_OWNER: {
@@ -156,6 +166,28 @@ export const FILTER_OPTIONS = {
   }
 }
 
+/**
+ * Reasons a review can be reported for
+ */
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam or advertising' },
+  { value: 'offensive', label: 'Offensive or abusive' },
+  { value: 'off_topic', label: 'Not about this store' },
+  { value: 'fake', label: 'Fake or misleading' },
+  { value: 'personal_info', label: 'Contains personal information' },
+  { value: 'other', label: 'Something else' }
+]
+
+/**
+ * Review list orderings, mapped to the `sort` and `order` query parameters
+ */
+export const REVIEW_SORT_OPTIONS = [
+  { value: 'helpful', label: 'Most helpful', sort: 'helpful', order: 'desc' },
+  { value: 'newest', label: 'Newest', sort: 'newest', order: 'desc' },
+  { value: 'highest', label: 'Highest rated', sort: 'rating', order: 'desc' },
+  { value: 'lowest', label: 'Lowest rated', sort: 'rating', order: 'asc' }
+]
+
 /**
  * Local Storage Keys
  */
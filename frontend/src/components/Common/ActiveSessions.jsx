@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { ListGroup, Button, Badge, Spinner } from 'react-bootstrap'
+import { FaDesktop, FaMobileAlt, FaSignOutAlt } from 'react-icons/fa'
+import { authAPI, systemAdminAPI } from '../../api'
+import { useAuth } from '../../contexts/AuthContext'
+import { showConfirmAlert, showErrorAlert, showSuccessAlert } from '../../utils/SweetAlert'
+import ErrorAlert from './ErrorAlert'
+
+/**
+ * Derives a short device description ("Chrome on Windows") from a user agent
+ */
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent))
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))
+
+  if (!browser && !os) return userAgent ? 'Unknown device' : 'Unknown client'
+  return [browser?.[0] || 'Browser', os && `on ${os[0]}`].filter(Boolean).join(' ')
+}
+
+const isMobile = (userAgent = '') => /Mobile|Android|iPhone|iPad|iPod/.test(userAgent)
+
+/**
+ * Active sessions list with remote sign-out.
+ * Shows the signed-in user's own sessions, or - when `userId` is given - lets
+ * an admin review and revoke another user's sessions.
+ */
+const ActiveSessions = ({ userId = null }) => {
+  const { logout } = useAuth()
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [revokingId, setRevokingId] = useState(null)
+  const isAdminView = userId !== null
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setError(null)
+      if (isAdminView) {
+        const response = await systemAdminAPI.getUserSessions(userId)
+        if (!response.success) throw new Error(response.error)
+        setSessions(response.data.sessions || [])
+      } else {
+        const data = await authAPI.getSessions()
+        setSessions(data.sessions || [])
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load sessions')
+    } finally {
+      setLoading(false)
+    }
+  }, [isAdminView, userId])
+
+  useEffect(() => {
+    fetchSessions()
+  }, [fetchSessions])
+
+  const handleRevoke = async (session) => {
+    // Signing out of this browser's own session is a regular logout
+    if (session.current && !isAdminView) {
+      await logout()
+      return
+    }
+
+    setRevokingId(session.id)
+    try {
+      if (isAdminView) {
+        const response = await systemAdminAPI.revokeUserSession(userId, session.id)
+        if (!response.success) throw new Error(response.error)
+      } else {
+        await authAPI.revokeSession(session.id)
+      }
+      setSessions(prev => prev.filter(item => item.id !== session.id))
+    } catch (err) {
+      showErrorAlert('Error', err.message || 'Failed to sign out session')
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  const handleRevokeAll = async () => {
+    const result = await showConfirmAlert(
+      isAdminView ? 'Sign out all sessions?' : 'Sign out everywhere else?',
+      isAdminView
+        ? 'The user will be signed out on every device.'
+        : 'Every other device will be signed out. This browser stays signed in.',
+      'Sign out',
+      'Cancel'
+    )
+    if (!result.isConfirmed) return
+
+    setRevokingId('all')
+    try {
+      if (isAdminView) {
+        const response = await systemAdminAPI.revokeUserSessions(userId)
+        if (!response.success) throw new Error(response.error)
+      } else {
+        await authAPI.revokeOtherSessions()
+      }
+      showSuccessAlert('Signed out', 'The selected sessions have been signed out.')
+      await fetchSessions()
+    } catch (err) {
+      showErrorAlert('Error', err.message || 'Failed to sign out sessions')
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-3">
+        <Spinner animation="border" size="sm" className="me-2" />
+        Loading sessions...
+      </div>
+    )
+  }
+
+  const otherSessions = sessions.filter(session => isAdminView || !session.current)
+
+  return (
+    <div className="ActiveSessions">
+      <ErrorAlert error={error} onClose={() => setError(null)} />
+
+      {sessions.length === 0 ? (
+        <p className="text-muted mb-0">No active sessions.</p>
+      ) : (
+        <ListGroup variant="flush" className="mb-3">
+          {sessions.map(session => {
+            const DeviceIcon = isMobile(session.user_agent) ? FaMobileAlt : FaDesktop
+            return (
+              <ListGroup.Item
+                key={session.id}
+                className="d-flex justify-content-between align-items-start gap-3 px-0"
+              >
+                <div className="d-flex gap-3">
+                  <DeviceIcon size={24} className="text-muted mt-1" />
+                  <div>
+                    <div className="fw-semibold">
+                      {describeDevice(session.user_agent)}
+                      {session.current && <Badge bg="success" className="ms-2">This device</Badge>}
+                      {session.remember_me && <Badge bg="secondary" className="ms-2">Remembered</Badge>}
+                    </div>
+                    <small className="text-muted d-block">
+                      {session.ip_address || 'Unknown IP'} · Last active {new Date(session.last_seen_at).toLocaleString()}
+                    </small>
+                    <small className="text-muted d-block">
+                      Signed in {new Date(session.created_at).toLocaleString()}
+                    </small>
+                  </div>
+                </div>
+                <Button
+                  variant="outline-danger"
+                  size="sm"
+                  onClick={() => handleRevoke(session)}
+                  disabled={revokingId !== null}
+                  title="Sign out this session"
+                >
+                  {revokingId === session.id ? <Spinner animation="border" size="sm" /> : <FaSignOutAlt />}
+                </Button>
+              </ListGroup.Item>
+            )
+          })}
+        </ListGroup>
+      )}
+
+      {otherSessions.length > 0 && (
+        <Button
+          variant="outline-danger"
+          onClick={handleRevokeAll}
+          disabled={revokingId !== null}
+        >
+          <FaSignOutAlt className="me-2" />
+          {isAdminView ? 'Sign out all sessions' : 'Sign out everywhere else'}
+        </Button>
+      )}
+    </div>
+  )
+}
+
+export default ActiveSessions
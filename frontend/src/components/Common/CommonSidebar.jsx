@@ -2,7 +2,7 @@ import React from 'react'
 import { Nav, Button } from 'react-bootstrap'
 import { NavLink, useLocation } from 'react-router-dom'
 import { 
-  FaTimes, FaHome, FaStore, FaStar, FaUser, FaUsers, FaCog, FaChartBar 
+  FaTimes, FaHome, FaStore, FaStar, FaUser, FaUsers, FaCog, FaChartBar, FaHistory, FaUserShield, FaFlag, FaListUl 
 } from 'react-icons/fa'
 import '../../styles/components/CommonSidebar.css'
 
@@ -35,6 +35,26 @@ const CommonSidebar = ({
             icon: FaStore,
             label: 'Store Management',
             path: '/admin/stores'
+          },
+          {
+            icon: FaFlag,
+            label: 'Review Moderation',
+            path: '/admin/moderation'
+          },
+          {
+            icon: FaListUl,
+            label: 'Rating Criteria',
+            path: '/admin/rating-criteria'
+          },
+          {
+            icon: FaUserShield,
+            label: 'Roles & Permissions',
+            path: '/admin/roles'
+          },
+          {
+            icon: FaHistory,
+            label: 'Activity',
+            path: '/admin/activity'
           }
         ]
       case 'admin':
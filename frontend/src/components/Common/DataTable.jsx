@@ -1,10 +1,10 @@
 import React from 'react'
-import { Table, Button, Badge } from 'react-bootstrap'
+import { Table, Button, Badge, Pagination, Form } from 'react-bootstrap'
 import { FaSort, FaChevronUp, FaChevronDown, FaEye, FaEdit, FaTrash } from 'react-icons/fa'
 
 /**
  * Reusable data table component with sorting, filtering, and custom column rendering
- * Supports loading states, empty states, and action buttons
+ * Supports loading states, empty states, action buttons and server-side pagination
  */
 const DataTable = ({ 
   data = [], 
@@ -16,7 +16,11 @@ const DataTable = ({
   onView,
   className = '',
   emptyMessage = 'No data available',
-  emptyIcon: EmptyIcon
+  emptyIcon: EmptyIcon,
+  pagination,
+  onPageChange,
+  onSizeChange,
+  pageSizeOptions = [5, 10, 25, 50, 100]
 }) => {
   /**
    * Returns appropriate sort icon based on current sort state
@@ -63,6 +67,58 @@ const DataTable = ({
     return value || 'N/A'
   }
 
+  /**
+   * Renders page navigation when the parent supplies pagination metadata
+   * ({ page, limit, total, totalPages }) as returned by the list endpoints
+   */
+  const renderPagination = () => {
+    if (!pagination || !onPageChange) return null
+
+    const { page = 1, limit = 10, total = 0 } = pagination
+    const totalPages = pagination.totalPages ?? Math.ceil(total / limit)
+    const firstItem = total === 0 ? 0 : (page - 1) * limit + 1
+    const lastItem = Math.min(page * limit, total)
+    const windowStart = Math.max(1, Math.min(page - 2, totalPages - 4))
+    const windowEnd = Math.min(totalPages, windowStart + 4)
+    const pages = []
+    for (let number = windowStart; number <= windowEnd; number++) {
+      pages.push(number)
+    }
+
+    return (
+      <div className="DataTablePagination d-flex flex-column flex-md-row justify-content-between align-items-center gap-2 p-3">
+        <div className="PaginationSummary text-muted small">
+          Showing {firstItem}-{lastItem} of {total}
+        </div>
+        {totalPages > 1 && (
+          <Pagination className="mb-0">
+            <Pagination.First disabled={page <= 1} onClick={() => onPageChange(1)} />
+            <Pagination.Prev disabled={page <= 1} onClick={() => onPageChange(page - 1)} />
+            {pages.map(number => (
+              <Pagination.Item key={number} active={number === page} onClick={() => onPageChange(number)}>
+                {number}
+              </Pagination.Item>
+            ))}
+            <Pagination.Next disabled={page >= totalPages} onClick={() => onPageChange(page + 1)} />
+            <Pagination.Last disabled={page >= totalPages} onClick={() => onPageChange(totalPages)} />
+          </Pagination>
+        )}
+        {onSizeChange && (
+          <Form.Select
+            size="sm"
+            value={limit}
+            onChange={(e) => onSizeChange(parseInt(e.target.value))}
+            className="PageSizeSelect w-auto"
+          >
+            {pageSizeOptions.map(size => (
+              <option key={size} value={size}>{size} per page</option>
+            ))}
+          </Form.Select>
+        )}
+      </div>
+    )
+  }
+
   if (loading) {
     return (
       <div className="DataTableLoading text-center py-5">
@@ -127,6 +183,7 @@ const DataTable = ({
           ))}
         </tbody>
       </Table>
+      {renderPagination()}
     </div>
   )
 }
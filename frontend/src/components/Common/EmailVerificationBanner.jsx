@@ -0,0 +1,50 @@
+import React, { useState } from 'react'
+import { Alert, Button, Spinner } from 'react-bootstrap'
+import { FaEnvelope } from 'react-icons/fa'
+import { authAPI } from '../../api'
+import { useAuth } from '../../contexts/AuthContext'
+
+/**
+ * Reminds the signed-in user to confirm an unverified or pending email
+ * address and lets them request a new verification link.
+ */
+const EmailVerificationBanner = () => {
+  const { user } = useAuth()
+  const [sending, setSending] = useState(false)
+  const [result, setResult] = useState(null)
+
+  if (!user || (user.email_verified_at && !user.pending_email)) {
+    return null
+  }
+
+  const handleResend = async () => {
+    setSending(true)
+    try {
+      const response = await authAPI.resendVerification()
+      setResult({ variant: 'success', message: response.message })
+    } catch (err) {
+      setResult({ variant: 'danger', message: err.message || 'Failed to send verification email' })
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <Alert variant="warning" className="EmailVerificationBanner d-flex flex-column flex-md-row align-items-md-center justify-content-between gap-2">
+      <div>
+        <FaEnvelope className="me-2" />
+        {user.pending_email
+          ? <>Confirm your new email address <strong>{user.pending_email}</strong> using the link we sent. Your current address stays active until then.</>
+          : <>Verify your email address <strong>{user.email}</strong> to start rating stores.</>}
+        {result && (
+          <div className={`small mt-1 text-${result.variant}`}>{result.message}</div>
+        )}
+      </div>
+      <Button variant="outline-dark" size="sm" onClick={handleResend} disabled={sending}>
+        {sending ? <Spinner animation="border" size="sm" /> : 'Resend link'}
+      </Button>
+    </Alert>
+  )
+}
+
+export default EmailVerificationBanner
@@ -0,0 +1,110 @@
+import React, { useState } from 'react'
+import { Container, Row, Col, Card, Form, Button, Alert } from 'react-bootstrap'
+import { Link } from 'react-router-dom'
+import { authAPI } from '../../api'
+import { validateEmail } from '../../utils/validation'
+
+/**
+ * Forgot password component
+ * Requests a password reset link for the entered email address
+ */
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('')
+  const [emailError, setEmailError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [sentMessage, setSentMessage] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const validationError = validateEmail(email)
+    setEmailError(validationError || '')
+    if (validationError) {
+      return
+    }
+
+    setLoading(true)
+    setError('')
+
+    try {
+      const result = await authAPI.forgotPassword(email.trim())
+      setSentMessage(result.message)
+    } catch (err) {
+      setError(err.message || 'Failed to send reset link. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <Container fluid className="LoginContainer min-vh-100 bg-light">
+      <Row className="LoginRow justify-content-center align-items-center min-vh-100">
+        <Col md={6} lg={4} className="LoginCol">
+          <Card className="LoginCard shadow-lg border-0">
+            <Card.Header className="LoginCardHeader bg-primary text-white text-center">
+              <h3 className="LoginTitle mb-0">Forgot Password</h3>
+              <p className="LoginSubtitle mb-0">We'll email you a link to reset it</p>
+            </Card.Header>
+            <Card.Body className="LoginCardBody p-4">
+              {error && (
+                <Alert variant="danger" className="LoginAlert">
+                  {error}
+                </Alert>
+              )}
+
+              {sentMessage ? (
+                <Alert variant="success" className="LoginAlert mb-0">
+                  {sentMessage}. Check your inbox and spam folder.
+                </Alert>
+              ) : (
+                <Form onSubmit={handleSubmit} className="LoginForm" noValidate>
+                  <Form.Group className="LoginFormGroup mb-4">
+                    <Form.Label className="LoginFormLabel">Email Address</Form.Label>
+                    <Form.Control
+                      type="email"
+                      name="email"
+                      placeholder="Enter your account email"
+                      value={email}
+                      onChange={(e) => {
+                        setEmail(e.target.value)
+                        setEmailError('')
+                      }}
+                      isInvalid={!!emailError}
+                      className="LoginFormInput"
+                    />
+                    <Form.Control.Feedback type="invalid" className="LoginFormError">
+                      {emailError}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+
+                  <div className="LoginFormActions d-grid">
+                    <Button
+                      type="submit"
+                      variant="primary"
+                      size="lg"
+                      disabled={loading}
+                      className="LoginSubmitButton"
+                    >
+                      {loading ? 'Sending...' : 'Send Reset Link'}
+                    </Button>
+                  </div>
+                </Form>
+              )}
+            </Card.Body>
+            <Card.Footer className="LoginCardFooter text-center bg-light">
+              <p className="LoginFooterText mb-0">
+                Remembered it?{' '}
+                <Link to="/login" className="LoginFooterLink">
+                  Back to sign in
+                </Link>
+              </p>
+            </Card.Footer>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  )
+}
+
+export default ForgotPassword
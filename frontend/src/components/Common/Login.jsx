@@ -19,8 +19,9 @@ const Login = () => {
   const [errors, setErrors] = useState({})
   const [loading, setLoading] = useState(false)
   const [loginError, setLoginError] = useState('')
+  const [twoFactorCode, setTwoFactorCode] = useState('')
   
-  const { login } = useAuth()
+  const { login, twoFactorChallenge, verifyTwoFactor, cancelTwoFactor } = useAuth()
   const navigate = useNavigate()
 
   /**
@@ -78,7 +79,7 @@ const Login = () => {
       if (result.success) {
         // Use the new navigation helper for smooth navigation
         handleLoginSuccess(result.user)
-      } else {
+      } else if (!result.twoFactorRequired) {
         setLoginError(result.error)
       }
     } catch (error) {
@@ -88,6 +89,37 @@ const Login = () => {
     }
   }
 
+  /**
+   * Submits the authenticator or recovery code for the second login step
+   */
+  const handleTwoFactorSubmit = async (e) => {
+    preventDefaultAndNavigate(e)
+
+    if (!twoFactorCode.trim()) {
+      setLoginError('Enter the code from your authenticator app')
+      return
+    }
+
+    setLoading(true)
+    setLoginError('')
+
+    const result = await verifyTwoFactor(twoFactorCode.trim())
+    setLoading(false)
+
+    if (result.success) {
+      handleLoginSuccess(result.user)
+    } else {
+      setTwoFactorCode('')
+      setLoginError(result.error)
+    }
+  }
+
+  const handleTwoFactorCancel = () => {
+    cancelTwoFactor()
+    setTwoFactorCode('')
+    setLoginError('')
+  }
+
   if (loading) {
     return <LoadingSpinner message="Signing you in..." fullPage />
   }
@@ -99,7 +131,9 @@ const Login = () => {
           <Card className="LoginCard shadow-lg border-0">
             <Card.Header className="LoginCardHeader bg-primary text-white text-center">
               <h3 className="LoginTitle mb-0">Store Rating Platform</h3>
-              <p className="LoginSubtitle mb-0">Sign in to your account</p>
+              <p className="LoginSubtitle mb-0">
+                {twoFactorChallenge ? 'Two-factor authentication' : 'Sign in to your account'}
+              </p>
             </Card.Header>
             <Card.Body className="LoginCardBody p-4">
               {loginError && (
@@ -108,62 +142,105 @@ const Login = () => {
                 </Alert>
               )}
               
-              <Form onSubmit={handleSubmit} className="LoginForm">
-                <Form.Group className="LoginFormGroup mb-3">
-                  <Form.Label className="LoginFormLabel">Email Address</Form.Label>
-                  <Form.Control
-                    type="email"
-                    name="email"
-                    placeholder="Enter your email"
-                    value={formData.email}
-                    onChange={handleInputChange}
-                    isInvalid={!!errors.email}
-                    className="LoginFormInput"
-                  />
-                  <Form.Control.Feedback type="invalid" className="LoginFormError">
-                    {errors.email}
-                  </Form.Control.Feedback>
-                </Form.Group>
-
-                <Form.Group className="LoginFormGroup mb-4">
-                  <Form.Label className="LoginFormLabel">Password</Form.Label>
-                  <Form.Control
-                    type="password"
-                    name="password"
-                    placeholder="Enter your password"
-                    value={formData.password}
-                    onChange={handleInputChange}
-                    isInvalid={!!errors.password}
-                    className="LoginFormInput"
-                  />
-                  <Form.Control.Feedback type="invalid" className="LoginFormError">
-                    {errors.password}
-                  </Form.Control.Feedback>
-                </Form.Group>
-
-                <Form.Group className="LoginFormGroup mb-4">
-                  <Form.Check
-                    type="checkbox"
-                    name="rememberMe"
-                    label="Remember me for 24 hours"
-                    checked={formData.rememberMe}
-                    onChange={handleInputChange}
-                    className="LoginRememberMe"
-                  />
-                </Form.Group>
-
-                <div className="LoginFormActions d-grid">
-                  <Button
-                    type="submit"
-                    variant="primary"
-                    size="lg"
-                    disabled={loading}
-                    className="LoginSubmitButton"
-                  >
-                    {loading ? 'Signing In...' : 'Sign In'}
-                  </Button>
-                </div>
-              </Form>
+              {twoFactorChallenge ? (
+                <Form onSubmit={handleTwoFactorSubmit} className="LoginForm">
+                  <p className="text-muted small">
+                    Enter the 6-digit code from your authenticator app for{' '}
+                    <strong>{twoFactorChallenge.email}</strong>, or one of your recovery codes.
+                  </p>
+                  <Form.Group className="LoginFormGroup mb-4">
+                    <Form.Label className="LoginFormLabel">Authentication Code</Form.Label>
+                    <Form.Control
+                      type="text"
+                      name="code"
+                      placeholder="123456"
+                      autoComplete="one-time-code"
+                      autoFocus
+                      value={twoFactorCode}
+                      onChange={(e) => {
+                        setTwoFactorCode(e.target.value)
+                        setLoginError('')
+                      }}
+                      className="LoginFormInput"
+                    />
+                  </Form.Group>
+
+                  <div className="LoginFormActions d-grid gap-2">
+                    <Button
+                      type="submit"
+                      variant="primary"
+                      size="lg"
+                      disabled={loading}
+                      className="LoginSubmitButton"
+                    >
+                      Verify
+                    </Button>
+                    <Button variant="link" onClick={handleTwoFactorCancel}>
+                      Back to sign in
+                    </Button>
+                  </div>
+                </Form>
+              ) : (
+                <Form onSubmit={handleSubmit} className="LoginForm">
+                  <Form.Group className="LoginFormGroup mb-3">
+                    <Form.Label className="LoginFormLabel">Email Address</Form.Label>
+                    <Form.Control
+                      type="email"
+                      name="email"
+                      placeholder="Enter your email"
+                      value={formData.email}
+                      onChange={handleInputChange}
+                      isInvalid={!!errors.email}
+                      className="LoginFormInput"
+                    />
+                    <Form.Control.Feedback type="invalid" className="LoginFormError">
+                      {errors.email}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+
+                  <Form.Group className="LoginFormGroup mb-4">
+                    <Form.Label className="LoginFormLabel">Password</Form.Label>
+                    <Form.Control
+                      type="password"
+                      name="password"
+                      placeholder="Enter your password"
+                      value={formData.password}
+                      onChange={handleInputChange}
+                      isInvalid={!!errors.password}
+                      className="LoginFormInput"
+                    />
+                    <Form.Control.Feedback type="invalid" className="LoginFormError">
+                      {errors.password}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+
+                  <Form.Group className="LoginFormGroup mb-4 d-flex justify-content-between align-items-center">
+                    <Form.Check
+                      type="checkbox"
+                      name="rememberMe"
+                      label="Keep me signed in"
+                      checked={formData.rememberMe}
+                      onChange={handleInputChange}
+                      className="LoginRememberMe"
+                    />
+                    <Link to="/forgot-password" className="LoginForgotLink small">
+                      Forgot password?
+                    </Link>
+                  </Form.Group>
+
+                  <div className="LoginFormActions d-grid">
+                    <Button
+                      type="submit"
+                      variant="primary"
+                      size="lg"
+                      disabled={loading}
+                      className="LoginSubmitButton"
+                    >
+                      {loading ? 'Signing In...' : 'Sign In'}
+                    </Button>
+                  </div>
+                </Form>
+              )}
             </Card.Body>
             <Card.Footer className="LoginCardFooter text-center bg-light">
               <div className="LoginFooterContent">
@@ -0,0 +1,34 @@
+import React, { useState, useEffect } from 'react'
+
+const secondsUntil = (until) => Math.max(0, Math.ceil((until - Date.now()) / 1000))
+
+/**
+ * Rate limit countdown
+ * Toast content counting down until requests are accepted again
+ */
+const RateLimitCountdown = ({ until }) => {
+  const [secondsLeft, setSecondsLeft] = useState(() => secondsUntil(until))
+
+  useEffect(() => {
+    setSecondsLeft(secondsUntil(until))
+    const timer = setInterval(() => {
+      const remaining = secondsUntil(until)
+      setSecondsLeft(remaining)
+      if (remaining === 0) clearInterval(timer)
+    }, 1000)
+
+    return () => clearInterval(timer)
+  }, [until])
+
+  if (secondsLeft === 0) {
+    return <span>You can try again now.</span>
+  }
+
+  return (
+    <span>
+      Too many requests. You can try again in <strong>{secondsLeft}</strong> second{secondsLeft === 1 ? '' : 's'}.
+    </span>
+  )
+}
+
+export default RateLimitCountdown
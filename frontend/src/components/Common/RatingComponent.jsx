@@ -4,7 +4,8 @@ import '../../styles/components/RatingComponent.css'
 
 /**
  * Reusable rating component with interactive and display modes
- * Supports different sizes, colors, and precision levels
+ * Supports different sizes, colors, and precision levels.
+ * Set `hoverSelect={false}` to pick a value on click or key press only.
  */
 const RatingComponent = ({
   rating = 0,
@@ -18,7 +19,8 @@ const RatingComponent = ({
   precision = 1,
   color = 'warning',
   className = '',
-  disabled = false
+  disabled = false,
+  hoverSelect = true
 }) => {
   /**
    * Handles star click for interactive rating
@@ -55,7 +57,7 @@ const RatingComponent = ({
           key={i}
           className={`RatingStar ${size} ${color} ${filled ? 'filled' : 'empty'} ${interactive ? 'interactive' : ''} ${disabled ? 'disabled' : ''}`}
           onClick={() => handleStarClick(i)}
-          onMouseEnter={() => interactive && !disabled && handleStarClick(i)}
+          onMouseEnter={() => hoverSelect && interactive && !disabled && handleStarClick(i)}
           role={interactive ? 'button' : undefined}
           tabIndex={interactive && !disabled ? 0 : undefined}
           onKeyDown={(e) => {
@@ -117,4 +119,63 @@ export const CompactRating = (props) => (
   <RatingComponent size="sm" showValue={false} {...props} />
 )
 
+/**
+ * Multi-row criteria rating
+ * One compact row per criterion with its label, stars and value. Each item in
+ * `criteria` is `{ criterion, label, score }` for a single rating, or
+ * `{ criterion, label, average_score, total_scores }` for store averages.
+ * When interactive, `onScoreChange(criterion, score)` receives the picked
+ * score, or null when the row is cleared.
+ */
+export const CriteriaRating = ({
+  criteria = [],
+  interactive = false,
+  onScoreChange,
+  disabled = false,
+  className = ''
+}) => (
+  <div className={`CriteriaRating ${interactive ? 'interactive' : ''} ${className}`}>
+    {criteria.map(item => {
+      const isAverage = item.average_score !== undefined
+      const score = isAverage ? item.average_score : item.score
+
+      return (
+        <div key={item.criterion} className="CriteriaRatingRow">
+          <span className="CriteriaRatingLabel">{item.label}</span>
+          <RatingComponent
+            rating={Number(score) || 0}
+            size="sm"
+            showValue={false}
+            precision={isAverage ? 0.5 : 1}
+            interactive={interactive}
+            hoverSelect={false}
+            onRatingChange={(value) => onScoreChange(item.criterion, value)}
+            disabled={disabled}
+          />
+          <span className="CriteriaRatingValue">
+            {score === null || score === undefined ? (
+              <span className="text-muted">{interactive ? 'Optional' : 'Not rated'}</span>
+            ) : (
+              <>
+                {isAverage ? Number(score).toFixed(1) : score}
+                {isAverage && <span className="RatingCount ms-1">({item.total_scores})</span>}
+                {interactive && !disabled && (
+                  <button
+                    type="button"
+                    className="CriteriaRatingClear"
+                    onClick={() => onScoreChange(item.criterion, null)}
+                    aria-label={`Clear ${item.label} score`}
+                  >
+                    &times;
+                  </button>
+                )}
+              </>
+            )}
+          </span>
+        </div>
+      )
+    })}
+  </div>
+)
+
 export default RatingComponent
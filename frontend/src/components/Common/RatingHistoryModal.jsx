@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react'
+import { Modal, Button, Badge, ListGroup, Spinner } from 'react-bootstrap'
+import { FaStar, FaHistory } from 'react-icons/fa'
+import ErrorAlert from './ErrorAlert'
+import { CriteriaRating } from './RatingComponent'
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+})
+
+const renderStars = (rating) => [1, 2, 3, 4, 5].map(i => (
+  <FaStar key={i} className={i <= Number(rating) ? 'text-warning' : 'text-muted'} size={14} />
+))
+
+/**
+ * Rating history modal
+ * Shows the current version of a rating followed by every earlier version,
+ * newest first, with any criterion sub-scores. `loadHistory(ratingId)`
+ * resolves to `{ rating, revisions }` from the role's history endpoint and
+ * throws on failure.
+ */
+const RatingHistoryModal = ({ show, onHide, ratingId, loadHistory }) => {
+  const [history, setHistory] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!show || !ratingId) return
+
+    let cancelled = false
+    const fetchHistory = async () => {
+      setLoading(true)
+      setError(null)
+      setHistory(null)
+      try {
+        const data = await loadHistory(ratingId)
+        if (!cancelled) setHistory(data)
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load rating history')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchHistory()
+    return () => {
+      cancelled = true
+    }
+  }, [show, ratingId, loadHistory])
+
+  const versions = history
+    ? [
+        {
+          key: 'current',
+          rating: history.rating.rating,
+          review: history.rating.review,
+          scores: history.rating.scores || [],
+          ratedAt: history.rating.edited_at || history.rating.created_at,
+          current: true
+        },
+        ...history.revisions.map(revision => ({
+          key: revision.id,
+          rating: revision.rating,
+          review: revision.review,
+          scores: revision.scores || [],
+          ratedAt: revision.rated_at,
+          replacedAt: revision.replaced_at
+        }))
+      ]
+    : []
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <FaHistory className="me-2" />
+          Rating History
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <ErrorAlert error={error} />
+        {loading && (
+          <div className="text-center py-3">
+            <Spinner animation="border" size="sm" className="me-2" />
+            Loading history...
+          </div>
+        )}
+        {history && (
+          <>
+            <p className="text-muted small">
+              {history.rating.user_name}&apos;s rating of {history.rating.store_name}
+              {history.revisions.length === 0 ? ' has not been edited.' : `, edited ${history.revisions.length} time${history.revisions.length === 1 ? '' : 's'}.`}
+            </p>
+            <ListGroup variant="flush">
+              {versions.map(version => (
+                <ListGroup.Item key={version.key} className="px-0">
+                  <div className="d-flex justify-content-between align-items-center mb-1">
+                    <div>
+                      {renderStars(version.rating)}
+                      <span className="ms-2 fw-semibold">{version.rating}/5</span>
+                    </div>
+                    {version.current && <Badge bg="primary">Current</Badge>}
+                  </div>
+                  {version.review ? (
+                    <div className="mb-1">&quot;{version.review}&quot;</div>
+                  ) : (
+                    <div className="mb-1 text-muted fst-italic">No review</div>
+                  )}
+                  {version.scores.length > 0 && (
+                    <CriteriaRating criteria={version.scores} className="mb-1" />
+                  )}
+                  <small className="text-muted">
+                    Submitted {formatDateTime(version.ratedAt)}
+                    {version.replacedAt && ` · replaced ${formatDateTime(version.replacedAt)}`}
+                  </small>
+                </ListGroup.Item>
+              ))}
+            </ListGroup>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  )
+}
+
+export default RatingHistoryModal
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react'
+import { Modal, Button, Form, Spinner } from 'react-bootstrap'
+import { FaFlag } from 'react-icons/fa'
+import ErrorAlert from './ErrorAlert'
+import { REPORT_REASONS } from '../../api/constants'
+
+/**
+ * Report review modal
+ * Collects a reason and optional details, then calls `onSubmit({ reason, details })`,
+ * which should throw on failure. `onReported` runs after a successful report.
+ */
+const ReportReviewModal = ({ show, onHide, onSubmit, onReported }) => {
+  const [reason, setReason] = useState('')
+  const [details, setDetails] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (show) {
+      setReason('')
+      setDetails('')
+      setError(null)
+    }
+  }, [show])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError(null)
+    try {
+      await onSubmit({ reason, details: details.trim() || null })
+      onHide()
+      if (onReported) onReported()
+    } catch (err) {
+      setError(err.message || 'Failed to report review')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <FaFlag className="me-2 text-danger" />
+          Report Review
+        </Modal.Title>
+      </Modal.Header>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body>
+          <ErrorAlert error={error} />
+          <p className="text-muted small">
+            Reported reviews are checked by an admin, who can hide them from the store page.
+          </p>
+          <Form.Group className="mb-3">
+            <Form.Label>Reason</Form.Label>
+            {REPORT_REASONS.map(option => (
+              <Form.Check
+                key={option.value}
+                type="radio"
+                id={`report-reason-${option.value}`}
+                name="reason"
+                label={option.label}
+                value={option.value}
+                checked={reason === option.value}
+                onChange={(e) => setReason(e.target.value)}
+              />
+            ))}
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Details (optional)</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              maxLength={500}
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              placeholder="Tell us what is wrong with this review"
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="danger" disabled={submitting || !reason}>
+            {submitting ? <Spinner animation="border" size="sm" /> : 'Report'}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  )
+}
+
+export default ReportReviewModal
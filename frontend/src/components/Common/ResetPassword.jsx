@@ -0,0 +1,158 @@
+import React, { useState } from 'react'
+import { Container, Row, Col, Card, Form, Button, Alert } from 'react-bootstrap'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../../api'
+import { validatePassword } from '../../utils/validation'
+import { showSuccessAlert } from '../../utils/SweetAlert'
+
+/**
+ * Reset password component
+ * Sets a new password using the token from a password reset email
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  })
+  const [errors, setErrors] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const navigate = useNavigate()
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  const validateForm = () => {
+    const newErrors = {}
+
+    const passwordError = validatePassword(formData.password)
+    if (passwordError) newErrors.password = passwordError
+
+    if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match'
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!validateForm()) {
+      return
+    }
+
+    setLoading(true)
+    setError('')
+
+    try {
+      const result = await authAPI.resetPassword(token, formData.password)
+      await showSuccessAlert('Password Reset', result.message)
+      navigate('/login', { replace: true })
+    } catch (err) {
+      setError(err.message || 'Failed to reset password. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <Container fluid className="LoginContainer min-vh-100 bg-light">
+      <Row className="LoginRow justify-content-center align-items-center min-vh-100">
+        <Col md={6} lg={4} className="LoginCol">
+          <Card className="LoginCard shadow-lg border-0">
+            <Card.Header className="LoginCardHeader bg-primary text-white text-center">
+              <h3 className="LoginTitle mb-0">Reset Password</h3>
+              <p className="LoginSubtitle mb-0">Choose a new password for your account</p>
+            </Card.Header>
+            <Card.Body className="LoginCardBody p-4">
+              {!token ? (
+                <Alert variant="danger" className="LoginAlert mb-0">
+                  This reset link is incomplete. Please request a new one.
+                </Alert>
+              ) : (
+                <>
+                  {error && (
+                    <Alert variant="danger" className="LoginAlert">
+                      {error}
+                    </Alert>
+                  )}
+
+                  <Form onSubmit={handleSubmit} className="LoginForm" noValidate>
+                    <Form.Group className="LoginFormGroup mb-3">
+                      <Form.Label className="LoginFormLabel">New Password</Form.Label>
+                      <Form.Control
+                        type="password"
+                        name="password"
+                        placeholder="Enter a new password"
+                        value={formData.password}
+                        onChange={handleInputChange}
+                        isInvalid={!!errors.password}
+                        className="LoginFormInput"
+                      />
+                      <Form.Control.Feedback type="invalid" className="LoginFormError">
+                        {errors.password}
+                      </Form.Control.Feedback>
+                      <Form.Text className="text-muted">
+                        8-16 characters, with at least one uppercase letter and one special character
+                      </Form.Text>
+                    </Form.Group>
+
+                    <Form.Group className="LoginFormGroup mb-4">
+                      <Form.Label className="LoginFormLabel">Confirm Password</Form.Label>
+                      <Form.Control
+                        type="password"
+                        name="confirmPassword"
+                        placeholder="Re-enter the new password"
+                        value={formData.confirmPassword}
+                        onChange={handleInputChange}
+                        isInvalid={!!errors.confirmPassword}
+                        className="LoginFormInput"
+                      />
+                      <Form.Control.Feedback type="invalid" className="LoginFormError">
+                        {errors.confirmPassword}
+                      </Form.Control.Feedback>
+                    </Form.Group>
+
+                    <div className="LoginFormActions d-grid">
+                      <Button
+                        type="submit"
+                        variant="primary"
+                        size="lg"
+                        disabled={loading}
+                        className="LoginSubmitButton"
+                      >
+                        {loading ? 'Resetting...' : 'Reset Password'}
+                      </Button>
+                    </div>
+                  </Form>
+                </>
+              )}
+            </Card.Body>
+            <Card.Footer className="LoginCardFooter text-center bg-light">
+              <p className="LoginFooterText mb-0">
+                <Link to="/forgot-password" className="LoginFooterLink">
+                  Request a new link
+                </Link>
+                {' · '}
+                <Link to="/login" className="LoginFooterLink">
+                  Back to sign in
+                </Link>
+              </p>
+            </Card.Footer>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  )
+}
+
+export default ResetPassword
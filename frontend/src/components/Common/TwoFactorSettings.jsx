@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Form, Button, Badge, Spinner, Alert, Row, Col, Image } from 'react-bootstrap'
+import { FaShieldAlt, FaKey, FaCopy } from 'react-icons/fa'
+import { authAPI } from '../../api'
+import { useAuth } from '../../contexts/AuthContext'
+import { showConfirmAlert, showErrorAlert, showSuccessAlert } from '../../utils/SweetAlert'
+import ErrorAlert from './ErrorAlert'
+
+/**
+ * Two-factor authentication settings for the signed-in user.
+ * Handles authenticator enrolment with a QR code, recovery codes and turning
+ * 2FA off (unless the user's role requires it). `onEnabled` is called once the
+ * user has saved the recovery codes issued at enrolment.
+ */
+const TwoFactorSettings = ({ onEnabled }) => {
+  const { updateUser } = useAuth()
+  const [status, setStatus] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [justEnabled, setJustEnabled] = useState(false)
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setError(null)
+      setStatus(await authAPI.getTwoFactorStatus())
+    } catch (err) {
+      setError(err.message || 'Failed to load two-factor status')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchStatus()
+  }, [fetchStatus])
+
+  /**
+   * Runs a request with shared busy/error handling
+   */
+  const run = async (action) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message || 'Request failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleStartSetup = () => run(async () => {
+    setSetup(await authAPI.setupTwoFactor())
+    setCode('')
+  })
+
+  const handleEnable = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const data = await authAPI.enableTwoFactor(code.trim())
+      setSetup(null)
+      setCode('')
+      setRecoveryCodes(data.recoveryCodes)
+      setJustEnabled(true)
+      await fetchStatus()
+    })
+  }
+
+  const handleRegenerate = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const data = await authAPI.regenerateRecoveryCodes(code.trim())
+      setCode('')
+      setRecoveryCodes(data.recoveryCodes)
+      await fetchStatus()
+    })
+  }
+
+  const handleDisable = async () => {
+    const result = await showConfirmAlert(
+      'Turn off two-factor authentication?',
+      'Your account will be protected by your password only.',
+      'Turn off',
+      'Cancel'
+    )
+    if (!result.isConfirmed) return
+
+    run(async () => {
+      await authAPI.disableTwoFactor(password, code.trim())
+      setPassword('')
+      setCode('')
+      updateUser({ two_factor_enabled: false })
+      showSuccessAlert('Two-factor authentication disabled')
+      await fetchStatus()
+    })
+  }
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'))
+      showSuccessAlert('Copied', 'Recovery codes copied to the clipboard.')
+    } catch {
+      showErrorAlert('Error', 'Could not copy the codes. Please write them down instead.')
+    }
+  }
+
+  const handleCodesSaved = () => {
+    setRecoveryCodes(null)
+    if (justEnabled) {
+      setJustEnabled(false)
+      updateUser({ two_factor_enabled: true })
+      if (onEnabled) onEnabled()
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-3">
+        <Spinner animation="border" size="sm" className="me-2" />
+        Loading two-factor settings...
+      </div>
+    )
+  }
+
+  if (recoveryCodes) {
+    return (
+      <div className="TwoFactorSettings">
+        <Alert variant="warning">
+          <FaKey className="me-2" />
+          Save these recovery codes somewhere safe. Each one signs you in once if you lose
+          your authenticator device. They will not be shown again.
+        </Alert>
+        <Row xs={2} className="g-2 mb-3">
+          {recoveryCodes.map(recoveryCode => (
+            <Col key={recoveryCode}>
+              <code className="d-block text-center p-2 bg-light rounded">{recoveryCode}</code>
+            </Col>
+          ))}
+        </Row>
+        <div className="d-flex gap-2">
+          <Button variant="outline-secondary" onClick={handleCopyCodes}>
+            <FaCopy className="me-2" />
+            Copy
+          </Button>
+          <Button variant="primary" onClick={handleCodesSaved}>
+            I have saved these codes
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="TwoFactorSettings">
+      <ErrorAlert error={error} onClose={() => setError(null)} />
+
+      <p className="mb-3">
+        <FaShieldAlt className="me-2 text-primary" />
+        Status:{' '}
+        <Badge bg={status?.enabled ? 'success' : 'secondary'}>
+          {status?.enabled ? 'Enabled' : 'Not enabled'}
+        </Badge>
+        {status?.required && <Badge bg="warning" text="dark" className="ms-2">Required for your role</Badge>}
+      </p>
+
+      {!status?.enabled && !setup && (
+        <>
+          <p className="text-muted">
+            Protect your account with a code from an authenticator app such as Google
+            Authenticator, Microsoft Authenticator or 1Password each time you sign in.
+          </p>
+          <Button variant="primary" onClick={handleStartSetup} disabled={busy}>
+            {busy ? <Spinner animation="border" size="sm" /> : 'Set up two-factor authentication'}
+          </Button>
+        </>
+      )}
+
+      {!status?.enabled && setup && (
+        <Form onSubmit={handleEnable}>
+          <p className="text-muted">
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <div className="text-center mb-3">
+            <Image src={setup.qrCode} alt="Two-factor authentication QR code" width={200} height={200} />
+          </div>
+          <p className="small text-muted">
+            Can't scan it? Enter this key manually: <code>{setup.secret}</code>
+          </p>
+          <Form.Group className="mb-3">
+            <Form.Label>Authentication Code</Form.Label>
+            <Form.Control
+              type="text"
+              placeholder="123456"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </Form.Group>
+          <div className="d-flex gap-2">
+            <Button type="submit" variant="primary" disabled={busy || !code.trim()}>
+              {busy ? <Spinner animation="border" size="sm" /> : 'Enable'}
+            </Button>
+            <Button variant="outline-secondary" onClick={() => setSetup(null)} disabled={busy}>
+              Cancel
+            </Button>
+          </div>
+        </Form>
+      )}
+
+      {status?.enabled && (
+        <Form onSubmit={handleRegenerate}>
+          <p className="text-muted">
+            {status.recoveryCodesRemaining} unused recovery code(s) left. Enter a current code to
+            generate new recovery codes{status.required ? '' : ' or, with your password, to turn two-factor authentication off'}.
+          </p>
+          <Form.Group className="mb-3">
+            <Form.Label>Authentication Code</Form.Label>
+            <Form.Control
+              type="text"
+              placeholder="Authenticator or recovery code"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </Form.Group>
+          {!status.required && (
+            <Form.Group className="mb-3">
+              <Form.Label>Password (to turn off)</Form.Label>
+              <Form.Control
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </Form.Group>
+          )}
+          <div className="d-flex gap-2">
+            <Button type="submit" variant="outline-primary" disabled={busy || !code.trim()}>
+              <FaKey className="me-2" />
+              New recovery codes
+            </Button>
+            {!status.required && (
+              <Button
+                variant="outline-danger"
+                onClick={handleDisable}
+                disabled={busy || !code.trim() || !password}
+              >
+                Turn off
+              </Button>
+            )}
+          </div>
+        </Form>
+      )}
+    </div>
+  )
+}
+
+export default TwoFactorSettings
@@ -0,0 +1,49 @@
+import React from 'react'
+import { Container, Row, Col, Card, Button } from 'react-bootstrap'
+import { Navigate, useNavigate } from 'react-router-dom'
+import { useAuth } from '../../contexts/AuthContext'
+import { getDashboardRoute } from '../../utils/authUtils'
+import TwoFactorSettings from './TwoFactorSettings'
+
+/**
+ * Two-factor setup page
+ * Shown to signed-in users whose role requires 2FA until they have enrolled
+ */
+const TwoFactorSetup = () => {
+  const { user, isAuthenticated, logout } = useAuth()
+  const navigate = useNavigate()
+
+  if (!isAuthenticated || !user) {
+    return <Navigate to="/login" replace />
+  }
+
+  const handleSignOut = async () => {
+    await logout()
+    navigate('/login', { replace: true })
+  }
+
+  return (
+    <Container fluid className="LoginContainer min-vh-100 bg-light">
+      <Row className="LoginRow justify-content-center align-items-center min-vh-100">
+        <Col md={8} lg={5} className="LoginCol">
+          <Card className="LoginCard shadow-lg border-0">
+            <Card.Header className="LoginCardHeader bg-primary text-white text-center">
+              <h3 className="LoginTitle mb-0">Set Up Two-Factor Authentication</h3>
+              <p className="LoginSubtitle mb-0">Required for your account before you can continue</p>
+            </Card.Header>
+            <Card.Body className="LoginCardBody p-4">
+              <TwoFactorSettings onEnabled={() => navigate(getDashboardRoute(user.role), { replace: true })} />
+            </Card.Body>
+            <Card.Footer className="LoginCardFooter text-center bg-light">
+              <Button variant="link" className="LoginFooterLink" onClick={handleSignOut}>
+                Sign out
+              </Button>
+            </Card.Footer>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  )
+}
+
+export default TwoFactorSetup
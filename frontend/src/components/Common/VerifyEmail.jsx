@@ -0,0 +1,83 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Container, Row, Col, Card, Alert, Spinner } from 'react-bootstrap'
+import { Link, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../../api'
+import { useAuth } from '../../contexts/AuthContext'
+import { getDashboardRoute } from '../../utils/authUtils'
+
+/**
+ * Verify email component
+ * Confirms an email address using the token from a verification link
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const { user, updateUser } = useAuth()
+  const [status, setStatus] = useState(token ? 'verifying' : 'error')
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.')
+  const [verifiedUser, setVerifiedUser] = useState(null)
+  const submitted = useRef(false)
+
+  useEffect(() => {
+    // Guard against the effect running twice in development
+    if (!token || submitted.current) return
+    submitted.current = true
+
+    const verify = async () => {
+      try {
+        const result = await authAPI.verifyEmail(token)
+        setStatus('success')
+        setMessage(result.message)
+        setVerifiedUser(result.data?.user || null)
+      } catch (err) {
+        setStatus('error')
+        setMessage(err.message || 'Failed to verify email address')
+      }
+    }
+
+    verify()
+  }, [token])
+
+  /**
+   * Sync the signed-in user (if it is the verified account) once both are known
+   */
+  useEffect(() => {
+    if (!user || !verifiedUser || user.id !== verifiedUser.id) return
+    if (user.email === verifiedUser.email && user.pending_email === verifiedUser.pending_email &&
+      user.email_verified_at) return
+    updateUser(verifiedUser)
+  }, [user, verifiedUser, updateUser])
+
+  return (
+    <Container fluid className="LoginContainer min-vh-100 bg-light">
+      <Row className="LoginRow justify-content-center align-items-center min-vh-100">
+        <Col md={6} lg={4} className="LoginCol">
+          <Card className="LoginCard shadow-lg border-0">
+            <Card.Header className="LoginCardHeader bg-primary text-white text-center">
+              <h3 className="LoginTitle mb-0">Email Verification</h3>
+            </Card.Header>
+            <Card.Body className="LoginCardBody p-4 text-center">
+              {status === 'verifying' ? (
+                <div>
+                  <Spinner animation="border" variant="primary" className="mb-3" />
+                  <p className="mb-0">Verifying your email address...</p>
+                </div>
+              ) : (
+                <Alert variant={status === 'success' ? 'success' : 'danger'} className="LoginAlert mb-0">
+                  {message}
+                </Alert>
+              )}
+            </Card.Body>
+            <Card.Footer className="LoginCardFooter text-center bg-light">
+              <Link to={user ? getDashboardRoute(user.role) : '/login'} className="LoginFooterLink">
+                {user ? 'Go to dashboard' : 'Go to sign in'}
+              </Link>
+            </Card.Footer>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  )
+}
+
+export default VerifyEmail
@@ -20,6 +20,11 @@ const ProtectedRoute = ({ children, requiredRole = null, allowedRoles = [] }) =>
     return <Navigate to="/login" state={{ from: location }} replace />
   }
 
+  // Roles that require two-factor authentication must enrol first
+  if (user.two_factor_required && !user.two_factor_enabled) {
+    return <Navigate to="/two-factor-setup" replace />
+  }
+
   if (requiredRole && user.role !== requiredRole) {
     return <Navigate to="/unauthorized" replace />
   }
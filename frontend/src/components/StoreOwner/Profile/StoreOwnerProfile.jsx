@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react'
 import { Row, Col, Card, Form, Button, Alert, Spinner } from 'react-bootstrap'
-import { FaUser, FaLock, FaEye, FaEyeSlash, FaSave } from 'react-icons/fa'
+import { FaUser, FaLock, FaEye, FaEyeSlash, FaSave, FaDesktop, FaShieldAlt } from 'react-icons/fa'
 import { useAuth } from '../../../contexts/AuthContext'
 import { showSuccessAlert, showErrorAlert, showLoadingAlert } from '../../../utils/SweetAlert'
 import LoadingSpinner from '../../Common/LoadingSpinner'
 import PageHeader from '../../Common/PageHeader'
+import ActiveSessions from '../../Common/ActiveSessions'
+import TwoFactorSettings from '../../Common/TwoFactorSettings'
 import '../../../styles/components/UserProfile.css'
 
 const Profile = () => {
@@ -420,6 +422,30 @@ const Profile = () => {
               </Form>
             </Card.Body>
           </Card>
+
+          <Card className="StoreOwnerProfileCard shadow-sm mt-4">
+            <Card.Header className="StoreOwnerProfileCardHeader bg-light border-0">
+              <h5 className="StoreOwnerProfileCardTitle mb-0 fw-bold">
+                <FaDesktop className="me-2" />
+                Active Sessions
+              </h5>
+            </Card.Header>
+            <Card.Body className="StoreOwnerProfileCardBody">
+              <ActiveSessions />
+            </Card.Body>
+          </Card>
+
+          <Card className="StoreOwnerProfileCard shadow-sm mt-4">
+            <Card.Header className="StoreOwnerProfileCardHeader bg-light border-0">
+              <h5 className="StoreOwnerProfileCardTitle mb-0 fw-bold">
+                <FaShieldAlt className="me-2" />
+                Two-Factor Authentication
+              </h5>
+            </Card.Header>
+            <Card.Body className="StoreOwnerProfileCardBody">
+              <TwoFactorSettings />
+            </Card.Body>
+          </Card>
         </Col>
 
         {/* Profile Summary Sidebar */}
@@ -1,7 +1,13 @@
 import React, { useState, useEffect } from 'react'
-import { Row, Col, Card, Alert, Spinner, Table, Badge, Button } from 'react-bootstrap'
-import { FaStar, FaEye, FaReply } from 'react-icons/fa'
+import { Row, Col, Card, Alert, Spinner, Table, Badge, Button, Modal, Form } from 'react-bootstrap'
+import { FaStar, FaEye, FaReply, FaHistory, FaFlag, FaThumbsUp, FaThumbsDown } from 'react-icons/fa'
 import { useAuth } from '../../../contexts/AuthContext'
+import RatingHistoryModal from '../../Common/RatingHistoryModal'
+import ReportReviewModal from '../../Common/ReportReviewModal'
+import ErrorAlert from '../../Common/ErrorAlert'
+import { CriteriaRating } from '../../Common/RatingComponent'
+import { REVIEW_SORT_OPTIONS } from '../../../api/constants'
+import { showSuccessAlert, showDeleteConfirmAlert, showErrorAlert } from '../../../utils/SweetAlert'
 import '../../../styles/StoreOwner/storeOwnerReviews.css'
 
 const ReviewsRatings = () => {
@@ -14,6 +20,14 @@ const ReviewsRatings = () => {
     ratingDistribution: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 }
   })
   const [customers, setCustomers] = useState([])
+  const [historyRatingId, setHistoryRatingId] = useState(null)
+  const [reportRatingId, setReportRatingId] = useState(null)
+  const [replyTarget, setReplyTarget] = useState(null)
+  const [replyText, setReplyText] = useState('')
+  const [replySaving, setReplySaving] = useState(false)
+  const [replyError, setReplyError] = useState(null)
+  const [reviewSort, setReviewSort] = useState('newest')
+  const [sorting, setSorting] = useState(false)
 
   const { storeOwnerAPI } = useAuth()
 
@@ -80,6 +94,73 @@ const ReviewsRatings = () => {
     }
   }
 
+  /**
+   * Reloads the reviews in a new order; the stats do not depend on it
+   */
+  const handleSortChange = async (value) => {
+    const { sort, order } = REVIEW_SORT_OPTIONS.find(option => option.value === value)
+    setReviewSort(value)
+    setSorting(true)
+    try {
+      const ratingsResponse = await storeOwnerAPI.getStoreRatings({ sort, order })
+      setReviews(ratingsResponse.ratings)
+    } catch (err) {
+      showErrorAlert('Error', err.message || 'Failed to sort reviews')
+    } finally {
+      setSorting(false)
+    }
+  }
+
+  /**
+   * Applies a saved or deleted reply to the review it belongs to
+   */
+  const updateReviewReply = (reviewId, reply) => {
+    setReviews(prev => prev.map(review => (review.id === reviewId
+      ? {
+          ...review,
+          owner_reply: reply ? reply.reply : null,
+          reply_created_at: reply ? reply.created_at : null,
+          reply_updated_at: reply ? reply.updated_at : null
+        }
+      : review)))
+  }
+
+  const handleOpenReply = (review) => {
+    setReplyTarget(review)
+    setReplyText(review.owner_reply || '')
+    setReplyError(null)
+  }
+
+  const handleSaveReply = async (e) => {
+    e.preventDefault()
+    setReplySaving(true)
+    setReplyError(null)
+    try {
+      const saved = await storeOwnerAPI.saveReply(replyTarget.store_id, replyTarget.id, replyText.trim())
+      updateReviewReply(replyTarget.id, saved)
+      showSuccessAlert(replyTarget.owner_reply ? 'Reply updated' : 'Reply posted', replyTarget.owner_reply ? '' : 'The customer has been notified.')
+      setReplyTarget(null)
+    } catch (err) {
+      setReplyError(err.message || 'Failed to save reply')
+    } finally {
+      setReplySaving(false)
+    }
+  }
+
+  const handleDeleteReply = async (review) => {
+    const result = await showDeleteConfirmAlert('your reply')
+    if (!result.isConfirmed) return
+
+    try {
+      await storeOwnerAPI.deleteReply(review.store_id, review.id)
+      updateReviewReply(review.id, null)
+      setReplyTarget(null)
+      showSuccessAlert('Reply deleted')
+    } catch (err) {
+      showErrorAlert('Error', err.message || 'Failed to delete reply')
+    }
+  }
+
   const renderStarRating = (rating) => {
     const stars = []
     for (let i = 1; i <= 5; i++) {
@@ -165,7 +246,7 @@ const ReviewsRatings = () => {
               <div className="bg-warning text-white rounded-circle p-3 d-inline-flex align-items-center justify-content-center mb-3">
                 <FaReply size={24} />
               </div>
-              <h3 className="fw-bold mb-1">0</h3>
+              <h3 className="fw-bold mb-1">{reviews.filter(review => !review.owner_reply).length}</h3>
               <p className="text-muted mb-0">Pending Responses</p>
             </Card.Body>
           </Card>
@@ -174,8 +255,23 @@ const ReviewsRatings = () => {
 
       {/* Reviews Table */}
       <Card className="shadow-sm">
-        <Card.Header className="bg-light">
+        <Card.Header className="bg-light d-flex justify-content-between align-items-center">
           <h5 className="mb-0 fw-bold">Recent Reviews</h5>
+          <div className="d-flex align-items-center">
+            {sorting && <Spinner animation="border" size="sm" className="me-2" />}
+            <Form.Select
+              size="sm"
+              className="w-auto"
+              value={reviewSort}
+              onChange={(e) => handleSortChange(e.target.value)}
+              disabled={sorting || reviews.length === 0}
+              aria-label="Sort reviews"
+            >
+              {REVIEW_SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </Form.Select>
+          </div>
         </Card.Header>
         <Card.Body className="p-0">
           {reviews.length > 0 ? (
@@ -187,6 +283,7 @@ const ReviewsRatings = () => {
                     <th>Store</th>
                     <th>Rating</th>
                     <th>Review</th>
+                    <th>Helpful</th>
                     <th>Date</th>
                     <th>Actions</th>
                   </tr>
@@ -217,24 +314,68 @@ const ReviewsRatings = () => {
                             {Number(review.rating) || 0}/5
                           </Badge>
                         </div>
+                        {review.scores?.length > 0 && (
+                          <CriteriaRating criteria={review.scores} className="mt-2" />
+                        )}
                       </td>
                       <td>
                         <div style={{ maxWidth: '200px' }}>
-                          {review.comment ? (
-                            <span>{review.comment}</span>
+                          {review.review ? (
+                            <span>{review.review}</span>
                           ) : (
                             <span className="text-muted fst-italic">No comment</span>
                           )}
+                          {review.owner_reply && (
+                            <div className="small text-muted mt-1">
+                              <FaReply className="me-1" />
+                              {review.owner_reply}
+                            </div>
+                          )}
+                        </div>
+                      </td>
+                      <td>
+                        <div className="text-nowrap" title="Customers who found this review helpful / not helpful">
+                          <FaThumbsUp className="text-success me-1" />
+                          {review.helpful_count}
+                          <FaThumbsDown className="text-danger ms-3 me-1" />
+                          {review.unhelpful_count}
                         </div>
                       </td>
                       <td>
                         <span className="text-muted">{formatDate(review.created_at)}</span>
+                        {review.edited_at && (
+                          <div>
+                            <Badge bg="secondary" title={`Edited ${formatDate(review.edited_at)}`}>
+                              Edited
+                            </Badge>
+                          </div>
+                        )}
                       </td>
                       <td>
-                        <Button variant="outline-primary" size="sm">
-                          <FaReply className="me-1" />
-                          Reply
-                        </Button>
+                        <div className="d-flex gap-2">
+                          <Button variant="outline-primary" size="sm" onClick={() => handleOpenReply(review)}>
+                            <FaReply className="me-1" />
+                            {review.owner_reply ? 'Edit Reply' : 'Reply'}
+                          </Button>
+                          {review.edited_at && (
+                            <Button
+                              variant="outline-secondary"
+                              size="sm"
+                              onClick={() => setHistoryRatingId(review.id)}
+                              title="View edit history"
+                            >
+                              <FaHistory />
+                            </Button>
+                          )}
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => setReportRatingId(review.id)}
+                            title="Report this review"
+                          >
+                            <FaFlag />
+                          </Button>
+                        </div>
                       </td>
                     </tr>
                   ))}
@@ -252,6 +393,72 @@ const ReviewsRatings = () => {
           )}
         </Card.Body>
       </Card>
+
+      <RatingHistoryModal
+        show={historyRatingId !== null}
+        onHide={() => setHistoryRatingId(null)}
+        ratingId={historyRatingId}
+        loadHistory={storeOwnerAPI?.getRatingHistory}
+      />
+
+      <Modal show={replyTarget !== null} onHide={() => setReplyTarget(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>{replyTarget?.owner_reply ? 'Edit Reply' : 'Reply to Review'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSaveReply}>
+          <Modal.Body>
+            <ErrorAlert error={replyError} />
+            {replyTarget && (
+              <div className="mb-3">
+                <div className="mb-1">
+                  {renderStarRating(Number(replyTarget.rating) || 0)}
+                  <span className="ms-2 fw-medium">{replyTarget.user_name}</span>
+                </div>
+                {replyTarget.review && <p className="text-muted fst-italic mb-0">"{replyTarget.review}"</p>}
+              </div>
+            )}
+            <Form.Group>
+              <Form.Label>Your public reply</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={4}
+                maxLength={1000}
+                value={replyText}
+                onChange={(e) => setReplyText(e.target.value)}
+                placeholder="Thank the customer or respond to their feedback"
+              />
+              <Form.Text className="text-muted">
+                Shown under the review on your store page. {1000 - replyText.length} characters left.
+              </Form.Text>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            {replyTarget?.owner_reply && (
+              <Button
+                variant="outline-danger"
+                className="me-auto"
+                onClick={() => handleDeleteReply(replyTarget)}
+                disabled={replySaving}
+              >
+                Delete Reply
+              </Button>
+            )}
+            <Button variant="secondary" onClick={() => setReplyTarget(null)} disabled={replySaving}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="primary" disabled={replySaving || !replyText.trim()}>
+              {replySaving ? <Spinner animation="border" size="sm" /> : 'Save Reply'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      <ReportReviewModal
+        show={reportRatingId !== null}
+        onHide={() => setReportRatingId(null)}
+        onSubmit={(report) => storeOwnerAPI.reportRating(reportRatingId, report)}
+        onReported={() => showSuccessAlert('Review reported', 'An admin will review it shortly.')}
+      />
     </div>
   )
 }
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react'
 import { Row, Col, Card, Alert, Spinner, Button } from 'react-bootstrap'
 import { FaStore, FaEdit, FaPlus } from 'react-icons/fa'
 import { useAuth } from '../../../contexts/AuthContext'
+import { CriteriaRating } from '../../Common/RatingComponent'
 import '../../../styles/StoreOwner/storeOwnerStore.css'
 
 const MyStore = () => {
@@ -135,6 +136,9 @@ const MyStore = () => {
                       Edit
                     </Button>
                   </div>
+                  {store.criteria_averages?.some(item => item.average_score !== null) && (
+                    <CriteriaRating criteria={store.criteria_averages} className="mt-3" />
+                  )}
                 </Card.Body>
               </Card>
             </Col>
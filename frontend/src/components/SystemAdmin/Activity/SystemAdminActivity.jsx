@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Row, Col, Card, Button, Badge, Alert, Form, Tabs, Tab } from 'react-bootstrap'
+import { FaDownload, FaChevronDown, FaChevronUp } from 'react-icons/fa'
+import DataTable from '../../Common/DataTable'
+import LoadingSpinner from '../../Common/LoadingSpinner'
+import SearchFilter from '../../Common/SearchFilter'
+import { systemAdminAPI } from '../../../api/SystemAdmin'
+import '../../../styles/SystemAdmin/systemAdminActivity.css'
+
+const EMPTY_FILTERS = { ip: '', from: '', to: '' }
+
+const ACTION_VARIANTS = {
+  create: 'success',
+  update: 'primary',
+  delete: 'danger'
+}
+
+/**
+ * Formats a log's details column, which may arrive as a JSON string or object
+ */
+const formatDetails = (details) => {
+  if (!details) return ''
+  if (typeof details !== 'string') return JSON.stringify(details, null, 2)
+  try {
+    return JSON.stringify(JSON.parse(details), null, 2)
+  } catch {
+    return details
+  }
+}
+
+const formatLabel = (value) => value?.replace(/_/g, ' ')
+
+/**
+ * System Admin Activity Component
+ * Browses audit and security logs with server-side filtering and pagination,
+ * and exports the filtered entries as CSV.
+ */
+const SystemAdminActivity = () => {
+  const [logType, setLogType] = useState('audit')
+  const [logs, setLogs] = useState([])
+  const [filterOptions, setFilterOptions] = useState({ actions: [], resourceTypes: [], eventTypes: [] })
+  const [loading, setLoading] = useState(true)
+  const [tableLoading, setTableLoading] = useState(false)
+  const [exporting, setExporting] = useState(false)
+  const [error, setError] = useState(null)
+  const [searchValue, setSearchValue] = useState('')
+  const [debouncedSearch, setDebouncedSearch] = useState('')
+  const [activeFilters, setActiveFilters] = useState({})
+  const [rangeFilters, setRangeFilters] = useState(EMPTY_FILTERS)
+  const [pagination, setPagination] = useState({ page: 1, limit: 25, total: 0, totalPages: 0 })
+  const [expandedId, setExpandedId] = useState(null)
+
+  /**
+   * Debounce the search term so the API is queried once typing pauses
+   */
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchValue.trim())
+      setPagination(prev => (prev.page === 1 ? prev : { ...prev, page: 1 }))
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [searchValue])
+
+  /**
+   * Builds the filter parameters shared by listing and export
+   */
+  const buildParams = useCallback(() => {
+    const params = {}
+    if (debouncedSearch) params.search = debouncedSearch
+    Object.entries({ ...activeFilters, ...rangeFilters }).forEach(([key, value]) => {
+      if (value) params[key] = value
+    })
+    return params
+  }, [debouncedSearch, activeFilters, rangeFilters])
+
+  const fetchLogs = useCallback(async () => {
+    try {
+      setTableLoading(true)
+      setError(null)
+
+      const params = { ...buildParams(), page: pagination.page, limit: pagination.limit }
+      const response = logType === 'security'
+        ? await systemAdminAPI.getSecurityLogs(params)
+        : await systemAdminAPI.getAuditLogs(params)
+
+      if (response.success) {
+        const { logs: logData = [], total = 0, totalPages = 0, actions, resourceTypes, eventTypes } = response.data
+        setLogs(logData)
+        setPagination(prev => ({ ...prev, total, totalPages }))
+        setFilterOptions(prev => ({
+          actions: actions || prev.actions,
+          resourceTypes: resourceTypes || prev.resourceTypes,
+          eventTypes: eventTypes || prev.eventTypes
+        }))
+      } else {
+        setError(response.error)
+      }
+    } catch (err) {
+      setError('Failed to load logs')
+      console.error('Logs fetch error:', err)
+    } finally {
+      setLoading(false)
+      setTableLoading(false)
+    }
+  }, [logType, pagination.page, pagination.limit, buildParams])
+
+  useEffect(() => {
+    fetchLogs()
+  }, [fetchLogs])
+
+  const handleTabChange = (key) => {
+    setLogType(key)
+    setLogs([])
+    setActiveFilters({})
+    setExpandedId(null)
+    setPagination(prev => ({ ...prev, page: 1, total: 0, totalPages: 0 }))
+  }
+
+  const handleFilterChange = (filterKey, value) => {
+    setActiveFilters(prev => ({ ...prev, [filterKey]: value }))
+    setPagination(prev => ({ ...prev, page: 1 }))
+  }
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target
+    setRangeFilters(prev => ({ ...prev, [name]: value }))
+    setPagination(prev => ({ ...prev, page: 1 }))
+  }
+
+  const handleClearFilters = () => {
+    setSearchValue('')
+    setActiveFilters({})
+    setRangeFilters(EMPTY_FILTERS)
+  }
+
+  /**
+   * Downloads every entry matching the current filters as a CSV file
+   */
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      const response = await systemAdminAPI.exportLogs(logType, buildParams())
+      if (response.success) {
+        const url = URL.createObjectURL(response.data)
+        const link = document.createElement('a')
+        link.href = url
+        link.download = `${logType}-logs-${new Date().toISOString().slice(0, 10)}.csv`
+        document.body.appendChild(link)
+        link.click()
+        link.remove()
+        URL.revokeObjectURL(url)
+      } else {
+        setError(response.error)
+      }
+    } catch (err) {
+      setError('Failed to export logs')
+      console.error('Logs export error:', err)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const toggleDetails = (id) => {
+    setExpandedId(prev => (prev === id ? null : id))
+  }
+
+  const userColumn = {
+    key: 'user_name',
+    label: 'User',
+    render: (log) => (
+      log.user_id ? (
+        <div>
+          <div>{log.user_name || `User #${log.user_id}`}</div>
+          {log.user_email && <small className="text-muted">{log.user_email}</small>}
+        </div>
+      ) : <span className="text-muted">Anonymous</span>
+    )
+  }
+
+  const detailsColumn = {
+    key: 'details',
+    label: 'Details',
+    render: (log) => {
+      const details = formatDetails(log.details)
+      if (!details) return '-'
+      const expanded = expandedId === log.id
+      return (
+        <div>
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0"
+            onClick={() => toggleDetails(log.id)}
+            aria-expanded={expanded}
+          >
+            {expanded ? <FaChevronUp className="me-1" /> : <FaChevronDown className="me-1" />}
+            {expanded ? 'Hide' : 'Show'}
+          </Button>
+          {expanded && <pre className="LogDetails">{details}</pre>}
+        </div>
+      )
+    }
+  }
+
+  const timeColumn = {
+    key: 'created_at',
+    label: 'Time',
+    render: (log) => new Date(log.created_at).toLocaleString()
+  }
+
+  const auditColumns = [
+    timeColumn,
+    userColumn,
+    {
+      key: 'action',
+      label: 'Action',
+      render: (log) => <Badge bg={ACTION_VARIANTS[log.action] || 'secondary'}>{formatLabel(log.action)}</Badge>
+    },
+    {
+      key: 'resource_type',
+      label: 'Resource',
+      render: (log) => `${formatLabel(log.resource_type)}${log.resource_id ? ` #${log.resource_id}` : ''}`
+    },
+    { key: 'ip_address', label: 'IP Address' },
+    detailsColumn
+  ]
+
+  const securityColumns = [
+    timeColumn,
+    userColumn,
+    {
+      key: 'event_type',
+      label: 'Event',
+      render: (log) => <Badge bg="warning" text="dark">{formatLabel(log.event_type)}</Badge>
+    },
+    { key: 'ip_address', label: 'IP Address' },
+    detailsColumn
+  ]
+
+  const toOptions = (values) => values.map(value => ({ value, label: formatLabel(value) }))
+
+  const selectFilters = logType === 'security'
+    ? [
+      { key: 'event_type', label: 'Events', options: toOptions(filterOptions.eventTypes) }
+    ]
+    : [
+      { key: 'action', label: 'Actions', options: toOptions(filterOptions.actions) },
+      { key: 'resource_type', label: 'Resources', options: toOptions(filterOptions.resourceTypes) }
+    ]
+
+  if (loading) {
+    return <LoadingSpinner message="Loading activity..." />
+  }
+
+  return (
+    <div className="SystemAdminActivity">
+      {/* Welcome Section */}
+      <div className="welcome-section">
+        <div className="d-flex flex-column flex-md-row justify-content-between align-items-start align-items-md-center">
+          <div className="mb-3 mb-md-0">
+            <h1>Activity</h1>
+            <p className="mb-0">
+              Review who changed what and investigate security events across the system.
+            </p>
+          </div>
+          <Button
+            variant="success"
+            onClick={handleExport}
+            disabled={exporting || pagination.total === 0}
+            className="d-flex align-items-center gap-2"
+          >
+            <FaDownload />
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="danger" className="mb-4" dismissible onClose={() => setError(null)}>
+          <Alert.Heading>Error Loading Activity</Alert.Heading>
+          <p className="mb-0">{error}</p>
+        </Alert>
+      )}
+
+      <Tabs activeKey={logType} onSelect={handleTabChange} className="mb-4">
+        <Tab eventKey="audit" title="Audit Logs" />
+        <Tab eventKey="security" title="Security Logs" />
+      </Tabs>
+
+      {/* Search and Filter Card */}
+      <Card className="mb-4">
+        <Card.Header>
+          <h5 className="mb-0">Search & Filter</h5>
+        </Card.Header>
+        <Card.Body>
+          <SearchFilter
+            searchValue={searchValue}
+            onSearchChange={setSearchValue}
+            onFilterChange={handleFilterChange}
+            activeFilters={activeFilters}
+            filters={selectFilters}
+            placeholder="Search by user name, email, or IP address..."
+          />
+          <Row className="g-3 mt-1 align-items-end">
+            <Col md={4}>
+              <Form.Group>
+                <Form.Label>IP Address</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="ip"
+                  value={rangeFilters.ip}
+                  onChange={handleRangeChange}
+                  placeholder="e.g. 192.168."
+                  maxLength={45}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>From</Form.Label>
+                <Form.Control
+                  type="date"
+                  name="from"
+                  value={rangeFilters.from}
+                  max={rangeFilters.to || undefined}
+                  onChange={handleRangeChange}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>To</Form.Label>
+                <Form.Control
+                  type="date"
+                  name="to"
+                  value={rangeFilters.to}
+                  min={rangeFilters.from || undefined}
+                  onChange={handleRangeChange}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Button variant="outline-secondary" className="w-100" onClick={handleClearFilters}>
+                Clear
+              </Button>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {/* Logs Card */}
+      <Card>
+        <Card.Header>
+          <h5 className="mb-0">
+            {logType === 'security' ? 'Security Events' : 'Audit Entries'} ({pagination.total})
+          </h5>
+        </Card.Header>
+        <Card.Body className="p-0">
+          <div className="table-responsive">
+            <DataTable
+              data={logs}
+              columns={logType === 'security' ? securityColumns : auditColumns}
+              pagination={pagination}
+              onPageChange={(page) => setPagination(prev => ({ ...prev, page }))}
+              onSizeChange={(limit) => setPagination(prev => ({ ...prev, limit, page: 1 }))}
+              loading={tableLoading}
+              emptyMessage="No log entries match the current filters"
+            />
+          </div>
+        </Card.Body>
+      </Card>
+    </div>
+  )
+}
+
+export default SystemAdminActivity
@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Card, Button, Badge, Tabs, Tab, Modal, ListGroup, Spinner } from 'react-bootstrap'
+import { FaEyeSlash, FaEye, FaTrash, FaFlag, FaStar } from 'react-icons/fa'
+import DataTable from '../../Common/DataTable'
+import LoadingSpinner from '../../Common/LoadingSpinner'
+import ErrorAlert from '../../Common/ErrorAlert'
+import { systemAdminAPI } from '../../../api/SystemAdmin'
+import { REPORT_REASONS } from '../../../api/constants'
+import { showConfirmAlert, showDeleteConfirmAlert, showSuccessAlert } from '../../../utils/SweetAlert'
+
+const REASON_LABELS = Object.fromEntries(REPORT_REASONS.map(reason => [reason.value, reason.label]))
+
+const formatDateTime = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '-')
+
+const renderStars = (rating) => [1, 2, 3, 4, 5].map(i => (
+  <FaStar key={i} className={i <= Number(rating) ? 'text-warning' : 'text-muted'} size={12} />
+))
+
+/**
+ * System Admin Moderation Component
+ * Queue of reported and hidden reviews. Hiding or restoring a review resolves
+ * its open reports; hidden reviews are left out of store averages and listings.
+ */
+const SystemAdminModeration = () => {
+  const [status, setStatus] = useState('open')
+  const [ratings, setRatings] = useState([])
+  const [counts, setCounts] = useState({ open: 0, hidden: 0 })
+  const [loading, setLoading] = useState(true)
+  const [tableLoading, setTableLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0, totalPages: 0 })
+  const [busyId, setBusyId] = useState(null)
+  const [reportsFor, setReportsFor] = useState(null)
+  const [reports, setReports] = useState([])
+  const [reportsLoading, setReportsLoading] = useState(false)
+
+  const fetchQueue = useCallback(async () => {
+    setTableLoading(true)
+    const response = await systemAdminAPI.getModerationQueue({
+      status,
+      page: pagination.page,
+      limit: pagination.limit
+    })
+    if (response.success) {
+      const { ratings: queue = [], total = 0, totalPages = 0, counts: queueCounts } = response.data
+      setRatings(queue)
+      setCounts(queueCounts || { open: 0, hidden: 0 })
+      setPagination(prev => ({ ...prev, total, totalPages }))
+      setError(null)
+    } else {
+      setError(response.error)
+    }
+    setLoading(false)
+    setTableLoading(false)
+  }, [status, pagination.page, pagination.limit])
+
+  useEffect(() => {
+    fetchQueue()
+  }, [fetchQueue])
+
+  const handleTabChange = (key) => {
+    setStatus(key)
+    setRatings([])
+    setPagination(prev => ({ ...prev, page: 1, total: 0, totalPages: 0 }))
+  }
+
+  /**
+   * Runs a moderation action on one review, then reloads the queue
+   */
+  const moderate = async (rating, action, successTitle) => {
+    setBusyId(rating.id)
+    const response = await action(rating.id)
+    setBusyId(null)
+    if (response.success) {
+      showSuccessAlert(successTitle)
+      fetchQueue()
+    } else {
+      setError(response.error)
+    }
+  }
+
+  const handleHide = async (rating) => {
+    const result = await showConfirmAlert(
+      'Hide this review?',
+      `${rating.user_name}'s review of ${rating.store_name} will no longer be shown or counted in the store's average.`,
+      'Hide',
+      'Cancel'
+    )
+    if (result.isConfirmed) {
+      moderate(rating, systemAdminAPI.hideRating, 'Review hidden')
+    }
+  }
+
+  const handleRestore = async (rating) => {
+    const result = await showConfirmAlert(
+      rating.hidden_at ? 'Restore this review?' : 'Dismiss the reports?',
+      rating.hidden_at
+        ? 'The review will be shown and counted in the store\'s average again.'
+        : 'The review stays visible and its open reports are closed.',
+      rating.hidden_at ? 'Restore' : 'Dismiss',
+      'Cancel'
+    )
+    if (result.isConfirmed) {
+      moderate(rating, systemAdminAPI.restoreRating, rating.hidden_at ? 'Review restored' : 'Reports dismissed')
+    }
+  }
+
+  const handleDelete = async (rating) => {
+    const result = await showDeleteConfirmAlert(`${rating.user_name}'s review`)
+    if (result.isConfirmed) {
+      moderate(rating, systemAdminAPI.deleteRating, 'Review deleted')
+    }
+  }
+
+  const handleShowReports = async (rating) => {
+    setReportsFor(rating)
+    setReports([])
+    setReportsLoading(true)
+    const response = await systemAdminAPI.getRatingReports(rating.id)
+    if (response.success) {
+      setReports(response.data.reports)
+    } else {
+      setError(response.error)
+      setReportsFor(null)
+    }
+    setReportsLoading(false)
+  }
+
+  const columns = [
+    {
+      key: 'review',
+      label: 'Review',
+      render: (rating) => (
+        <div style={{ maxWidth: '320px' }}>
+          <div>{renderStars(rating.rating)}</div>
+          {rating.review ? (
+            <div className="small">&quot;{rating.review}&quot;</div>
+          ) : (
+            <div className="small text-muted fst-italic">No review text</div>
+          )}
+          {rating.edited_at && <small className="text-muted fst-italic">(edited)</small>}
+        </div>
+      )
+    },
+    {
+      key: 'user_name',
+      label: 'Author',
+      render: (rating) => (
+        <div>
+          <div>{rating.user_name}</div>
+          <small className="text-muted">{rating.user_email}</small>
+        </div>
+      )
+    },
+    { key: 'store_name', label: 'Store' },
+    {
+      key: 'report_count',
+      label: 'Reports',
+      render: (rating) => (
+        <Button
+          variant="link"
+          size="sm"
+          className="p-0"
+          onClick={() => handleShowReports(rating)}
+          disabled={rating.report_count === 0}
+        >
+          <FaFlag className="me-1" />
+          {rating.open_report_count > 0 && (
+            <Badge bg="danger" className="me-1">{rating.open_report_count} open</Badge>
+          )}
+          {rating.report_count} total
+        </Button>
+      )
+    },
+    {
+      key: 'hidden_at',
+      label: 'Status',
+      render: (rating) => (rating.hidden_at ? (
+        <div>
+          <Badge bg="secondary">Hidden</Badge>
+          <div className="small text-muted">
+            {formatDateTime(rating.hidden_at)}
+            {rating.hidden_by_name && ` by ${rating.hidden_by_name}`}
+          </div>
+        </div>
+      ) : (
+        <Badge bg="success">Visible</Badge>
+      ))
+    },
+    {
+      key: 'actions',
+      label: 'Actions',
+      render: (rating) => (
+        busyId === rating.id ? <Spinner animation="border" size="sm" /> : (
+          <div className="d-flex gap-2">
+            {rating.hidden_at ? (
+              <Button variant="outline-success" size="sm" onClick={() => handleRestore(rating)} title="Restore review">
+                <FaEye />
+              </Button>
+            ) : (
+              <>
+                <Button variant="outline-warning" size="sm" onClick={() => handleHide(rating)} title="Hide review">
+                  <FaEyeSlash />
+                </Button>
+                {rating.open_report_count > 0 && (
+                  <Button variant="outline-secondary" size="sm" onClick={() => handleRestore(rating)}>
+                    Dismiss
+                  </Button>
+                )}
+              </>
+            )}
+            <Button variant="outline-danger" size="sm" onClick={() => handleDelete(rating)} title="Delete review">
+              <FaTrash />
+            </Button>
+          </div>
+        )
+      )
+    }
+  ]
+
+  if (loading) {
+    return <LoadingSpinner message="Loading moderation queue..." />
+  }
+
+  return (
+    <div className="SystemAdminModeration">
+      {/* Welcome Section */}
+      <div className="welcome-section">
+        <h1>Review Moderation</h1>
+        <p className="mb-0">
+          Check reported reviews. Hidden reviews are not shown to users or counted in store averages.
+        </p>
+      </div>
+
+      <ErrorAlert error={error} onClose={() => setError(null)} />
+
+      <Tabs activeKey={status} onSelect={handleTabChange} className="mb-4">
+        <Tab
+          eventKey="open"
+          title={<>Open Reports {counts.open > 0 && <Badge bg="danger" className="ms-1">{counts.open}</Badge>}</>}
+        />
+        <Tab
+          eventKey="hidden"
+          title={<>Hidden {counts.hidden > 0 && <Badge bg="secondary" className="ms-1">{counts.hidden}</Badge>}</>}
+        />
+        <Tab eventKey="all" title="All" />
+      </Tabs>
+
+      <Card>
+        <Card.Body className="p-0">
+          <div className="table-responsive">
+            <DataTable
+              data={ratings}
+              columns={columns}
+              pagination={pagination}
+              onPageChange={(page) => setPagination(prev => ({ ...prev, page }))}
+              onSizeChange={(limit) => setPagination(prev => ({ ...prev, limit, page: 1 }))}
+              loading={tableLoading}
+              emptyIcon={FaFlag}
+              emptyMessage={status === 'open' ? 'No reviews are waiting for moderation' : 'No reviews to show'}
+            />
+          </div>
+        </Card.Body>
+      </Card>
+
+      {/* Reports Modal */}
+      <Modal show={reportsFor !== null} onHide={() => setReportsFor(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Reports</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {reportsFor && (
+            <p className="text-muted small">
+              {reportsFor.user_name}&apos;s review of {reportsFor.store_name}
+            </p>
+          )}
+          {reportsLoading ? (
+            <div className="text-center py-3">
+              <Spinner animation="border" size="sm" />
+            </div>
+          ) : (
+            <ListGroup variant="flush">
+              {reports.map(report => (
+                <ListGroup.Item key={report.id} className="px-0">
+                  <div className="d-flex justify-content-between align-items-center">
+                    <strong>{REASON_LABELS[report.reason] || report.reason}</strong>
+                    {report.resolved_at ? (
+                      <Badge bg="light" text="dark">{report.resolution}</Badge>
+                    ) : (
+                      <Badge bg="danger">Open</Badge>
+                    )}
+                  </div>
+                  {report.details && <div className="small">{report.details}</div>}
+                  <small className="text-muted">
+                    {report.reporter_name || 'Deleted user'}
+                    {report.reporter_role === 'store_owner' && ' (store owner)'}
+                    {' · '}
+                    {formatDateTime(report.created_at)}
+                    {report.resolved_by_name && ` · resolved by ${report.resolved_by_name}`}
+                  </small>
+                </ListGroup.Item>
+              ))}
+            </ListGroup>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setReportsFor(null)}>
+            Close
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </div>
+  )
+}
+
+export default SystemAdminModeration
@@ -4,6 +4,8 @@ import { FaEdit, FaUser, FaEnvelope, FaPhone, FaMapMarkerAlt, FaCalendarAlt, FaS
 import PageHeader from '../../Common/PageHeader'
 import LoadingSpinner from '../../Common/LoadingSpinner'
 import ErrorAlert from '../../Common/ErrorAlert'
+import ActiveSessions from '../../Common/ActiveSessions'
+import TwoFactorSettings from '../../Common/TwoFactorSettings'
 import { useAuth } from '../../../contexts/AuthContext'
 import { systemAdminAPI } from '../../../api/SystemAdmin'
 import '../../../styles/SystemAdmin/systemAdminProfile.css'
@@ -64,9 +66,9 @@ const SystemAdminProfile = () => {
 
   const fetchActivityLog = async () => {
     try {
-      const response = await systemAdminAPI.getActivityLog()
+      const response = await systemAdminAPI.getActivityLog({ user_id: user?.id })
       if (response.success) {
-        setActivityLog(response.data.activities || [])
+        setActivityLog(response.data.logs || [])
       }
     } catch (err) {
       console.error('Activity log fetch error:', err)
@@ -354,23 +356,26 @@ const SystemAdminProfile = () => {
                   <Table striped hover responsive>
                     <thead>
                       <tr>
-                        <th>Activity</th>
+                        <th>Action</th>
+                        <th>Resource</th>
                         <th>Date</th>
                         <th>IP Address</th>
-                        <th>Status</th>
                       </tr>
                     </thead>
                     <tbody>
-                      {activityLog.map((activity, index) => (
-                        <tr key={index}>
-                          <td>{activity.description}</td>
-                          <td>{new Date(activity.date).toLocaleString()}</td>
-                          <td>{activity.ip_address}</td>
+                      {activityLog.map((activity) => (
+                        <tr key={activity.id}>
                           <td>
-                            <Badge bg={activity.status === 'success' ? 'success' : 'warning'}>
-                              {activity.status}
+                            <Badge bg={activity.action === 'delete' ? 'danger' : 'primary'}>
+                              {activity.action}
                             </Badge>
                           </td>
+                          <td>
+                            {activity.resource_type}
+                            {activity.resource_id ? ` #${activity.resource_id}` : ''}
+                          </td>
+                          <td>{new Date(activity.created_at).toLocaleString()}</td>
+                          <td>{activity.ip_address}</td>
                         </tr>
                       ))}
                     </tbody>
@@ -382,6 +387,24 @@ const SystemAdminProfile = () => {
                 )}
               </Card.Body>
             </Card>
+
+            <Card className="SystemAdminActivityLog mt-4">
+              <Card.Header>
+                <Card.Title className="mb-0">Active Sessions</Card.Title>
+              </Card.Header>
+              <Card.Body>
+                <ActiveSessions />
+              </Card.Body>
+            </Card>
+
+            <Card className="SystemAdminActivityLog mt-4">
+              <Card.Header>
+                <Card.Title className="mb-0">Two-Factor Authentication</Card.Title>
+              </Card.Header>
+              <Card.Body>
+                <TwoFactorSettings />
+              </Card.Body>
+            </Card>
           </Col>
         </Row>
       </Container>
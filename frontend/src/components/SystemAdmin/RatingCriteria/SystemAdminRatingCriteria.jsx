@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Card, Button, Badge, Modal, Form, Table, Row, Col, Spinner } from 'react-bootstrap'
+import { FaPlus, FaEdit, FaListUl } from 'react-icons/fa'
+import LoadingSpinner from '../../Common/LoadingSpinner'
+import ErrorAlert from '../../Common/ErrorAlert'
+import { systemAdminAPI } from '../../../api/SystemAdmin'
+import { showSuccessAlert } from '../../../utils/SweetAlert'
+
+const EMPTY_CRITERION = { name: '', label: '', description: '', sortOrder: '0' }
+
+/**
+ * System Admin Rating Criteria Component
+ * Lists the criteria users can give an optional sub-score for, with creation,
+ * editing and activation. Deactivated criteria keep their scores but are
+ * hidden from rating forms and store averages.
+ */
+const SystemAdminRatingCriteria = () => {
+  const [criteria, setCriteria] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [savingName, setSavingName] = useState(null)
+  const [showModal, setShowModal] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [formData, setFormData] = useState(EMPTY_CRITERION)
+  const [formErrors, setFormErrors] = useState({})
+  const [formLoading, setFormLoading] = useState(false)
+
+  const fetchCriteria = useCallback(async () => {
+    const response = await systemAdminAPI.getRatingCriteria()
+    if (response.success) {
+      setCriteria(response.data.criteria)
+      setError(null)
+    } else {
+      setError(response.error)
+    }
+    setLoading(false)
+  }, [])
+
+  useEffect(() => {
+    fetchCriteria()
+  }, [fetchCriteria])
+
+  /**
+   * Keeps the table in the same order the rating form uses
+   */
+  const replaceCriterion = (updated) => {
+    setCriteria(prev => [...prev.filter(criterion => criterion.name !== updated.name), updated]
+      .sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name)))
+  }
+
+  const handleToggleActive = async (criterion) => {
+    setSavingName(criterion.name)
+    setError(null)
+    const response = await systemAdminAPI.updateRatingCriterion(criterion.name, { isActive: !criterion.is_active })
+    if (response.success) {
+      replaceCriterion(response.data)
+    } else {
+      setError(`Failed to update ${criterion.label}: ${response.error}`)
+    }
+    setSavingName(null)
+  }
+
+  const handleOpenCreate = () => {
+    setEditing(null)
+    setFormData({
+      ...EMPTY_CRITERION,
+      sortOrder: String(criteria.reduce((max, criterion) => Math.max(max, criterion.sort_order), 0) + 10)
+    })
+    setShowModal(true)
+  }
+
+  const handleOpenEdit = (criterion) => {
+    setEditing(criterion)
+    setFormData({
+      name: criterion.name,
+      label: criterion.label,
+      description: criterion.description || '',
+      sortOrder: String(criterion.sort_order)
+    })
+    setShowModal(true)
+  }
+
+  const handleCloseModal = () => {
+    setShowModal(false)
+    setEditing(null)
+    setFormData(EMPTY_CRITERION)
+    setFormErrors({})
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+    if (formErrors[name]) {
+      setFormErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const newErrors = {}
+    const name = formData.name.trim()
+    if (!editing) {
+      if (!/^[a-z][a-z0-9_]{1,31}$/.test(name)) {
+        newErrors.name = 'Use 2-32 lowercase letters, digits or underscores, starting with a letter'
+      } else if (criteria.some(criterion => criterion.name === name)) {
+        newErrors.name = 'A criterion with this name already exists'
+      }
+    }
+    if (!formData.label.trim()) {
+      newErrors.label = 'Label is required'
+    }
+    const sortOrder = Number(formData.sortOrder)
+    if (!Number.isInteger(sortOrder) || sortOrder < 0 || sortOrder > 999) {
+      newErrors.sortOrder = 'Use a whole number between 0 and 999'
+    }
+    if (Object.keys(newErrors).length > 0) {
+      setFormErrors(newErrors)
+      return
+    }
+
+    const criterionData = {
+      label: formData.label.trim(),
+      description: formData.description.trim() || null,
+      sortOrder
+    }
+
+    setFormLoading(true)
+    const response = editing
+      ? await systemAdminAPI.updateRatingCriterion(editing.name, criterionData)
+      : await systemAdminAPI.createRatingCriterion({ name, ...criterionData })
+    setFormLoading(false)
+
+    if (response.success) {
+      replaceCriterion(response.data)
+      handleCloseModal()
+      showSuccessAlert(
+        editing ? 'Criterion updated' : 'Criterion created',
+        editing ? `${response.data.label} has been saved.` : `Users can now rate ${response.data.label}.`
+      )
+    } else {
+      setFormErrors({ submit: response.error })
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner message="Loading rating criteria..." />
+  }
+
+  return (
+    <div className="SystemAdminRatingCriteria">
+      {/* Welcome Section */}
+      <div className="welcome-section">
+        <div className="d-flex flex-column flex-md-row justify-content-between align-items-start align-items-md-center mb-3">
+          <div className="mb-3 mb-md-0">
+            <h1>Rating Criteria</h1>
+            <p className="mb-0">
+              Users can score each active criterion alongside their overall rating. Sub-scores are optional.
+            </p>
+          </div>
+          <Button
+            variant="success"
+            onClick={handleOpenCreate}
+            className="d-flex align-items-center gap-2"
+          >
+            <FaPlus />
+            Add Criterion
+          </Button>
+        </div>
+      </div>
+
+      <ErrorAlert error={error} onClose={() => setError(null)} />
+
+      <Card className="shadow-sm">
+        <Card.Body className="p-0">
+          {criteria.length === 0 ? (
+            <div className="text-center text-muted py-5">
+              <FaListUl size={32} className="mb-2" />
+              <div>No rating criteria yet</div>
+            </div>
+          ) : (
+            <Table responsive hover className="mb-0 align-middle">
+              <thead className="table-light">
+                <tr>
+                  <th>Criterion</th>
+                  <th>Description</th>
+                  <th className="text-center">Order</th>
+                  <th className="text-center">Active</th>
+                  <th className="text-center">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {criteria.map(criterion => (
+                  <tr key={criterion.name} className={criterion.is_active ? '' : 'text-muted'}>
+                    <td>
+                      {criterion.label}
+                      {!criterion.is_active && <Badge bg="secondary" className="ms-2">Inactive</Badge>}
+                      <div className="small text-muted"><code>{criterion.name}</code></div>
+                    </td>
+                    <td className="small">{criterion.description || '-'}</td>
+                    <td className="text-center">{criterion.sort_order}</td>
+                    <td className="text-center">
+                      {savingName === criterion.name ? (
+                        <Spinner animation="border" size="sm" />
+                      ) : (
+                        <Form.Check
+                          type="switch"
+                          aria-label={`${criterion.label} active`}
+                          checked={criterion.is_active}
+                          disabled={savingName !== null}
+                          onChange={() => handleToggleActive(criterion)}
+                          className="d-inline-block"
+                        />
+                      )}
+                    </td>
+                    <td className="text-center">
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        onClick={() => handleOpenEdit(criterion)}
+                        title="Edit criterion"
+                      >
+                        <FaEdit />
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Create / Edit Criterion Modal */}
+      <Modal show={showModal} onHide={handleCloseModal} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>{editing ? 'Edit Criterion' : 'Add Criterion'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Body>
+            <ErrorAlert error={formErrors.submit} />
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    placeholder="e.g. atmosphere"
+                    disabled={!!editing}
+                    isInvalid={!!formErrors.name}
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {formErrors.name}
+                  </Form.Control.Feedback>
+                  {editing && (
+                    <Form.Text className="text-muted">
+                      Names cannot be changed once created
+                    </Form.Text>
+                  )}
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Label</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="label"
+                    value={formData.label}
+                    onChange={handleInputChange}
+                    placeholder="e.g. Atmosphere"
+                    maxLength={60}
+                    isInvalid={!!formErrors.label}
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {formErrors.label}
+                  </Form.Control.Feedback>
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Description</Form.Label>
+              <Form.Control
+                type="text"
+                name="description"
+                value={formData.description}
+                onChange={handleInputChange}
+                maxLength={255}
+              />
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Sort Order</Form.Label>
+              <Form.Control
+                type="number"
+                name="sortOrder"
+                min={0}
+                max={999}
+                value={formData.sortOrder}
+                onChange={handleInputChange}
+                isInvalid={!!formErrors.sortOrder}
+              />
+              <Form.Control.Feedback type="invalid">
+                {formErrors.sortOrder}
+              </Form.Control.Feedback>
+              <Form.Text className="text-muted">
+                Lower numbers are shown first
+              </Form.Text>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={handleCloseModal} disabled={formLoading}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="success" disabled={formLoading}>
+              {formLoading ? 'Saving...' : (editing ? 'Save Changes' : 'Add Criterion')}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  )
+}
+
+export default SystemAdminRatingCriteria
@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Card, Button, Badge, Modal, Form, Table, Row, Col, Spinner } from 'react-bootstrap'
+import { FaPlus, FaTrash, FaLock } from 'react-icons/fa'
+import LoadingSpinner from '../../Common/LoadingSpinner'
+import ErrorAlert from '../../Common/ErrorAlert'
+import { systemAdminAPI } from '../../../api/SystemAdmin'
+import { showDeleteConfirmAlert, showSuccessAlert } from '../../../utils/SweetAlert'
+
+const PERMISSION_GROUPS = {
+  user: 'Users',
+  store: 'Stores',
+  rating: 'Ratings',
+  system: 'System'
+}
+
+const EMPTY_ROLE = { name: '', displayName: '', description: '', level: '1', copyFrom: '' }
+
+const formatPermission = (permission) => permission.split(':')[1].replace(/_/g, ' ')
+
+/**
+ * Groups permission strings by their resource prefix (e.g. `user:read`)
+ */
+const groupPermissions = (permissions) => Object.keys(PERMISSION_GROUPS)
+  .map(group => ({
+    group,
+    permissions: permissions.filter(permission => permission.startsWith(`${group}:`))
+  }))
+  .filter(entry => entry.permissions.length > 0)
+
+/**
+ * System Admin Role Management Component
+ * Permission matrix for every role, with custom role creation and deletion.
+ * Changes apply to the role's users on their next request.
+ */
+const SystemAdminRoleManagement = () => {
+  const [roles, setRoles] = useState([])
+  const [permissions, setPermissions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [savingRole, setSavingRole] = useState(null)
+  const [showCreateModal, setShowCreateModal] = useState(false)
+  const [createFormData, setCreateFormData] = useState(EMPTY_ROLE)
+  const [createErrors, setCreateErrors] = useState({})
+  const [createLoading, setCreateLoading] = useState(false)
+
+  const fetchRoles = useCallback(async () => {
+    const response = await systemAdminAPI.getRoles()
+    if (response.success) {
+      setRoles(response.data.roles)
+      setPermissions(response.data.permissions)
+      setError(null)
+    } else {
+      setError(response.error)
+    }
+    setLoading(false)
+  }, [])
+
+  useEffect(() => {
+    fetchRoles()
+  }, [fetchRoles])
+
+  const handleTogglePermission = async (role, permission) => {
+    const nextPermissions = role.permissions.includes(permission)
+      ? role.permissions.filter(existing => existing !== permission)
+      : [...role.permissions, permission]
+
+    setSavingRole(role.name)
+    setError(null)
+    const response = await systemAdminAPI.updateRole(role.name, { permissions: nextPermissions })
+    if (response.success) {
+      setRoles(prev => prev.map(existing => (existing.name === role.name ? response.data : existing)))
+    } else {
+      setError(`Failed to update ${role.display_name}: ${response.error}`)
+    }
+    setSavingRole(null)
+  }
+
+  const handleDeleteRole = async (role) => {
+    const result = await showDeleteConfirmAlert(`the ${role.display_name} role`)
+    if (!result.isConfirmed) return
+
+    const response = await systemAdminAPI.deleteRole(role.name)
+    if (response.success) {
+      setRoles(prev => prev.filter(existing => existing.name !== role.name))
+      showSuccessAlert('Role deleted', `${role.display_name} has been removed.`)
+    } else {
+      setError(response.error)
+    }
+  }
+
+  const handleCreateInputChange = (e) => {
+    const { name, value } = e.target
+    setCreateFormData(prev => ({ ...prev, [name]: value }))
+    if (createErrors[name]) {
+      setCreateErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  const handleCloseCreateModal = () => {
+    setShowCreateModal(false)
+    setCreateFormData(EMPTY_ROLE)
+    setCreateErrors({})
+  }
+
+  const handleCreateRole = async (e) => {
+    e.preventDefault()
+
+    const newErrors = {}
+    const name = createFormData.name.trim()
+    if (!/^[a-z][a-z0-9_]{2,49}$/.test(name)) {
+      newErrors.name = 'Use 3-50 lowercase letters, digits or underscores, starting with a letter'
+    } else if (roles.some(role => role.name === name)) {
+      newErrors.name = 'A role with this name already exists'
+    }
+    if (!createFormData.displayName.trim()) {
+      newErrors.displayName = 'Display name is required'
+    }
+    if (Object.keys(newErrors).length > 0) {
+      setCreateErrors(newErrors)
+      return
+    }
+
+    setCreateLoading(true)
+    const source = roles.find(role => role.name === createFormData.copyFrom)
+    const response = await systemAdminAPI.createRole({
+      name,
+      displayName: createFormData.displayName.trim(),
+      description: createFormData.description.trim() || null,
+      level: Number(createFormData.level),
+      permissions: source ? source.permissions : []
+    })
+    setCreateLoading(false)
+
+    if (response.success) {
+      setRoles(prev => [...prev, response.data])
+      handleCloseCreateModal()
+      showSuccessAlert('Role created', `${response.data.display_name} can now be assigned to users.`)
+    } else {
+      setCreateErrors({ submit: response.error })
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner message="Loading roles..." />
+  }
+
+  return (
+    <div className="SystemAdminRoleManagement">
+      {/* Welcome Section */}
+      <div className="welcome-section">
+        <div className="d-flex flex-column flex-md-row justify-content-between align-items-start align-items-md-center mb-3">
+          <div className="mb-3 mb-md-0">
+            <h1>Roles &amp; Permissions</h1>
+            <p className="mb-0">
+              Choose what each role can do. Changes apply to its users on their next request.
+            </p>
+          </div>
+          <Button
+            variant="success"
+            onClick={() => setShowCreateModal(true)}
+            className="d-flex align-items-center gap-2"
+          >
+            <FaPlus />
+            Create Role
+          </Button>
+        </div>
+      </div>
+
+      <ErrorAlert error={error} onClose={() => setError(null)} />
+
+      <Card className="shadow-sm">
+        <Card.Body className="p-0">
+          <Table responsive bordered hover className="mb-0 align-middle">
+            <thead className="table-light">
+              <tr>
+                <th>Permission</th>
+                {roles.map(role => (
+                  <th key={role.name} className="text-center">
+                    <div>{role.display_name}</div>
+                    <div className="small fw-normal text-muted">
+                      {role.user_count} user{role.user_count === 1 ? '' : 's'} · level {role.level}
+                    </div>
+                    {role.is_builtin && <Badge bg="secondary" className="mt-1">Built-in</Badge>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {groupPermissions(permissions).map(({ group, permissions: groupItems }) => (
+                <React.Fragment key={group}>
+                  <tr className="table-light">
+                    <td colSpan={roles.length + 1} className="fw-semibold">{PERMISSION_GROUPS[group]}</td>
+                  </tr>
+                  {groupItems.map(permission => (
+                    <tr key={permission}>
+                      <td className="text-capitalize">
+                        {formatPermission(permission)}
+                        <div className="small text-muted text-lowercase"><code>{permission}</code></div>
+                      </td>
+                      {roles.map(role => (
+                        <td key={role.name} className="text-center">
+                          {role.name === 'system_admin' ? (
+                            <FaLock className="text-muted" title="System admins always have every permission" />
+                          ) : (
+                            <Form.Check
+                              type="checkbox"
+                              aria-label={`${role.display_name}: ${permission}`}
+                              checked={role.permissions.includes(permission)}
+                              disabled={savingRole !== null}
+                              onChange={() => handleTogglePermission(role, permission)}
+                              className="d-inline-block"
+                            />
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td />
+                {roles.map(role => (
+                  <td key={role.name} className="text-center">
+                    {savingRole === role.name && <Spinner animation="border" size="sm" />}
+                    {!role.is_builtin && savingRole !== role.name && (
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        onClick={() => handleDeleteRole(role)}
+                        disabled={role.user_count > 0}
+                        title={role.user_count > 0 ? 'Reassign this role\'s users before deleting it' : 'Delete role'}
+                      >
+                        <FaTrash />
+                      </Button>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            </tfoot>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      {/* Create Role Modal */}
+      <Modal show={showCreateModal} onHide={handleCloseCreateModal} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Create Role</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleCreateRole}>
+          <Modal.Body>
+            <ErrorAlert error={createErrors.submit} />
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Role Name</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="name"
+                    value={createFormData.name}
+                    onChange={handleCreateInputChange}
+                    placeholder="e.g. moderator"
+                    isInvalid={!!createErrors.name}
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {createErrors.name}
+                  </Form.Control.Feedback>
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Display Name</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="displayName"
+                    value={createFormData.displayName}
+                    onChange={handleCreateInputChange}
+                    placeholder="e.g. Moderator"
+                    isInvalid={!!createErrors.displayName}
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {createErrors.displayName}
+                  </Form.Control.Feedback>
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Description</Form.Label>
+              <Form.Control
+                type="text"
+                name="description"
+                value={createFormData.description}
+                onChange={handleCreateInputChange}
+                maxLength={255}
+              />
+            </Form.Group>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Level</Form.Label>
+                  <Form.Select name="level" value={createFormData.level} onChange={handleCreateInputChange}>
+                    <option value="1">1 (like normal users)</option>
+                    <option value="2">2 (like store owners)</option>
+                  </Form.Select>
+                  <Form.Text className="text-muted">
+                    Users with this role can only manage users of a lower level
+                  </Form.Text>
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Copy Permissions From</Form.Label>
+                  <Form.Select name="copyFrom" value={createFormData.copyFrom} onChange={handleCreateInputChange}>
+                    <option value="">No permissions</option>
+                    {roles.filter(role => role.name !== 'system_admin').map(role => (
+                      <option key={role.name} value={role.name}>{role.display_name}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            </Row>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={handleCloseCreateModal} disabled={createLoading}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="success" disabled={createLoading}>
+              {createLoading ? 'Creating...' : 'Create Role'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </div>
+  )
+}
+
+export default SystemAdminRoleManagement
@@ -1,75 +1,83 @@
 import React, { useState, useEffect, useCallback } from 'react'
 import { Container, Row, Col, Card, Button, Badge, Modal, Alert, Form } from 'react-bootstrap'
-import { FaEye, FaStar, FaMapMarkerAlt, FaStore, FaPlus } from 'react-icons/fa'
+import { FaEye, FaStar, FaMapMarkerAlt, FaStore, FaPlus, FaEdit, FaTrash } from 'react-icons/fa'
 import PageHeader from '../../Common/PageHeader'
 import DataTable from '../../Common/DataTable'
+import ConfirmModal from '../../Common/ConfirmModal'
 import LoadingSpinner from '../../Common/LoadingSpinner'
 import ErrorAlert from '../../Common/ErrorAlert'
 import SearchFilter from '../../Common/SearchFilter'
+import { CriteriaRating } from '../../Common/RatingComponent'
 import { systemAdminAPI } from '../../../api/SystemAdmin'
+import { usePagination } from '../../../api/hooks'
 import '../../../styles/SystemAdmin/systemAdminStoreManagement.css'
 
+/**
+ * Rating filter options shared by the minimum and maximum rating dropdowns
+ */
+const RATING_FILTER_OPTIONS = [1, 2, 3, 4, 5].map(value => ({ value: String(value), label: `${value} star${value > 1 ? 's' : ''}` }))
+
+const EMPTY_STORE_FORM = {
+  name: '',
+  email: '',
+  address: '',
+  owner_id: ''
+}
+
 /**
  * System Admin Store Management Component
- * Manages store operations including viewing, creating, and monitoring store metrics
+ * Manages store operations including viewing, creating, editing, deleting and monitoring store metrics.
+ * Search, filters, sorting and pagination are applied by the API.
  */
 const SystemAdminStoreManagement = () => {
   const [stores, setStores] = useState([])
-  const [filteredStores, setFilteredStores] = useState([])
+  const [summary, setSummary] = useState({})
   const [loading, setLoading] = useState(true)
+  const [tableLoading, setTableLoading] = useState(false)
   const [error, setError] = useState(null)
   const [showViewModal, setShowViewModal] = useState(false)
   const [selectedStore, setSelectedStore] = useState(null)
   const [searchValue, setSearchValue] = useState('')
-  const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0 })
-  const [showCreateModal, setShowCreateModal] = useState(false)
-  const [createFormData, setCreateFormData] = useState({
-    name: '',
-    email: '',
-    address: '',
-    owner_id: ''
-  })
-  const [createErrors, setCreateErrors] = useState({})
-  const [createLoading, setCreateLoading] = useState(false)
+  const [debouncedSearch, setDebouncedSearch] = useState('')
+  const [activeFilters, setActiveFilters] = useState({})
+  const [sort, setSort] = useState({ sortBy: 'created_at', sortOrder: 'desc' })
+  const { page, limit, total, totalPages, setTotal, goToPage, changeLimit, resetPagination } = usePagination(1, 10)
+  const [showFormModal, setShowFormModal] = useState(false)
+  const [editingStore, setEditingStore] = useState(null)
+  const [formData, setFormData] = useState(EMPTY_STORE_FORM)
+  const [formErrors, setFormErrors] = useState({})
+  const [formLoading, setFormLoading] = useState(false)
+  const [storeToDelete, setStoreToDelete] = useState(null)
+  const [deleteLoading, setDeleteLoading] = useState(false)
   const [storeOwners, setStoreOwners] = useState([])
 
   /**
-   * Debounced search function to optimize API calls
+   * Debounce the search term so the API is queried once typing pauses
    */
-  const debounceSearch = useCallback((searchTerm) => {
-    const timer = setTimeout(() => {
-      filterStores(searchTerm)
-    }, 300)
-    return () => clearTimeout(timer)
-  }, [stores])
-
-  useEffect(() => {
-    fetchStores()
-    fetchStoreOwners()
-  }, [])
-
   useEffect(() => {
-    const clearTimer = debounceSearch(searchValue)
-    return clearTimer
-  }, [searchValue, debounceSearch])
+    const timer = setTimeout(() => setDebouncedSearch(searchValue.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [searchValue])
 
   /**
-   * Fetches all stores from the API
+   * Fetches the current page of stores from the API
    */
-  const fetchStores = async () => {
+  const fetchStores = useCallback(async () => {
     try {
-      setLoading(true)
+      setTableLoading(true)
       setError(null)
-      
-      const response = await systemAdminAPI.getStores()
+
+      const params = { page, limit, sortBy: sort.sortBy, sortOrder: sort.sortOrder }
+      if (debouncedSearch) params.search = debouncedSearch
+      Object.entries(activeFilters).forEach(([key, value]) => {
+        if (value) params[key] = value
+      })
+
+      const response = await systemAdminAPI.getStores(params)
       if (response.success) {
-        const storeData = response.data.stores || []
-        setStores(storeData)
-        setFilteredStores(storeData)
-        setPagination(prev => ({
-          ...prev,
-          total: storeData.length
-        }))
+        setStores(response.data.stores || [])
+        setSummary(response.data.summary || {})
+        setTotal(response.data.total || 0)
       } else {
         setError(response.error)
       }
@@ -78,19 +86,31 @@ const SystemAdminStoreManagement = () => {
       console.error('Stores fetch error:', err)
     } finally {
       setLoading(false)
+      setTableLoading(false)
     }
-  }
+  }, [page, limit, sort, debouncedSearch, activeFilters, setTotal])
+
+  useEffect(() => {
+    fetchStores()
+  }, [fetchStores])
+
+  useEffect(() => {
+    fetchStoreOwners()
+  }, [])
 
   /**
    * Fetches store owners from the API for dropdown selection
    */
   const fetchStoreOwners = async () => {
     try {
-      const response = await systemAdminAPI.getUsers()
+      const response = await systemAdminAPI.getUsers({
+        role: 'store_owner',
+        sortBy: 'name',
+        sortOrder: 'asc',
+        limit: 100
+      })
       if (response.success) {
-        const users = response.data.users || []
-        const owners = users.filter(user => user.role === 'store_owner')
-        setStoreOwners(owners)
+        setStoreOwners(response.data.users || [])
       }
     } catch (err) {
       console.error('Store owners fetch error:', err)
@@ -98,101 +118,146 @@ const SystemAdminStoreManagement = () => {
   }
 
   /**
-   * Filters stores based on search criteria
+   * Handles search input changes
    */
-  const filterStores = (searchTerm) => {
-    if (!searchTerm) {
-      setFilteredStores(stores)
-      setPagination(prev => ({ ...prev, total: stores.length, page: 1 }))
-      return
-    }
+  const handleSearchChange = (value) => {
+    setSearchValue(value)
+    resetPagination()
+  }
 
-    const filtered = stores.filter(store => 
-      store.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      store.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      (store.address && store.address.toLowerCase().includes(searchTerm.toLowerCase()))
-    )
-    
-    setFilteredStores(filtered)
-    setPagination(prev => ({ ...prev, total: filtered.length, page: 1 }))
+  /**
+   * Handles owner and rating filter changes
+   */
+  const handleFilterChange = (filterKey, value) => {
+    setActiveFilters(prev => ({ ...prev, [filterKey]: value }))
+    resetPagination()
   }
 
   /**
-   * Handles search input changes
+   * Handles column sort changes from the table header
    */
-  const handleSearchChange = (value) => {
-    setSearchValue(value)
+  const handleSort = (field, direction) => {
+    setSort({ sortBy: field, sortOrder: direction })
+    resetPagination()
   }
 
   /**
-   * Handles store creation form submission with validation
+   * Opens the store form for creating a new store
    */
-  const handleCreateStore = async (e) => {
+  const handleAddStore = () => {
+    setEditingStore(null)
+    setFormData(EMPTY_STORE_FORM)
+    setFormErrors({})
+    setShowFormModal(true)
+  }
+
+  /**
+   * Opens the store form pre-filled with an existing store for editing
+   */
+  const handleEditStore = (store) => {
+    setEditingStore(store)
+    setFormData({
+      name: store.name || '',
+      email: store.email || '',
+      address: store.address || '',
+      owner_id: store.owner_id ? String(store.owner_id) : ''
+    })
+    setFormErrors({})
+    setShowFormModal(true)
+  }
+
+  /**
+   * Handles store form submission with validation, creating or updating the store
+   */
+  const handleSubmitStore = async (e) => {
     e.preventDefault()
     
     const newErrors = {}
     
     // Store name validation (max 255 characters)
-    if (!createFormData.name.trim()) {
+    if (!formData.name.trim()) {
       newErrors.name = 'Store name is required'
-    } else if (createFormData.name.length > 255) {
+    } else if (formData.name.length > 255) {
       newErrors.name = 'Store name cannot exceed 255 characters'
     }
     
-    if (!createFormData.email.trim()) {
+    if (!formData.email.trim()) {
       newErrors.email = 'Email is required'
-    } else if (createFormData.email.length > 255) {
+    } else if (formData.email.length > 255) {
       newErrors.email = 'Email cannot exceed 255 characters'
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(createFormData.email)) {
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
       newErrors.email = 'Please provide a valid email address'
     }
     
-    if (!createFormData.address.trim()) {
+    if (!formData.address.trim()) {
       newErrors.address = 'Address is required'
-    } else if (createFormData.address.length > 400) {
+    } else if (formData.address.length > 400) {
       newErrors.address = 'Address cannot exceed 400 characters'
     }
     
-    if (!createFormData.owner_id) {
+    if (!formData.owner_id) {
       newErrors.owner_id = 'Store owner is required'
     }
     
     if (Object.keys(newErrors).length > 0) {
-      setCreateErrors(newErrors)
+      setFormErrors(newErrors)
       return
     }
 
-    setCreateLoading(true)
+    setFormLoading(true)
     try {
-      const response = await systemAdminAPI.createStore(createFormData)
+      const response = editingStore
+        ? await systemAdminAPI.updateStore(editingStore.id, formData)
+        : await systemAdminAPI.createStore(formData)
       if (response.success) {
-        setShowCreateModal(false)
-        setCreateFormData({
-          name: '',
-          email: '',
-          address: '',
-          owner_id: ''
-        })
-        setCreateErrors({})
+        setShowFormModal(false)
+        setEditingStore(null)
+        setFormData(EMPTY_STORE_FORM)
+        setFormErrors({})
         fetchStores()
       } else {
-        setCreateErrors({ general: response.error })
+        setFormErrors({ general: response.error })
       }
     } catch (err) {
-      setCreateErrors({ general: 'Failed to create store' })
+      setFormErrors({ general: editingStore ? 'Failed to update store' : 'Failed to create store' })
     } finally {
-      setCreateLoading(false)
+      setFormLoading(false)
     }
   }
 
   /**
-   * Handles input changes in the create store form
+   * Handles input changes in the store form
    */
-  const handleCreateInputChange = (e) => {
+  const handleFormInputChange = (e) => {
     const { name, value } = e.target
-    setCreateFormData(prev => ({ ...prev, [name]: value }))
-    if (createErrors[name]) {
-      setCreateErrors(prev => ({ ...prev, [name]: '' }))
+    setFormData(prev => ({ ...prev, [name]: value }))
+    if (formErrors[name]) {
+      setFormErrors(prev => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  /**
+   * Deletes the store selected in the confirmation dialog
+   */
+  const handleConfirmDelete = async () => {
+    if (!storeToDelete) return
+
+    setDeleteLoading(true)
+    try {
+      const response = await systemAdminAPI.deleteStore(storeToDelete.id)
+      if (response.success) {
+        setStoreToDelete(null)
+        fetchStores()
+      } else {
+        setError(response.error)
+        setStoreToDelete(null)
+      }
+    } catch (err) {
+      setError('Failed to delete store')
+      console.error('Store delete error:', err)
+      setStoreToDelete(null)
+    } finally {
+      setDeleteLoading(false)
     }
   }
 
@@ -248,13 +313,16 @@ const SystemAdminStoreManagement = () => {
     { 
       key: 'owner_name', 
       label: 'Owner',
+      sortable: true,
       render: (store) => store.owner_name || 'No Owner'
     },
     { 
-      key: 'rating', 
+      key: 'average_rating', 
       label: 'Rating',
+      sortable: true,
       render: (store) => getRatingDisplay(store)
     },
+    { key: 'total_ratings', label: 'Reviews', sortable: true, render: (store) => store.total_ratings },
     { key: 'created_at', label: 'Created', sortable: true },
     {
       key: 'actions',
@@ -269,11 +337,50 @@ const SystemAdminStoreManagement = () => {
           >
             <FaEye />
           </Button>
+          <Button
+            variant="outline-warning"
+            size="sm"
+            onClick={() => handleEditStore(store)}
+            title="Edit Store"
+          >
+            <FaEdit />
+          </Button>
+          <Button
+            variant="outline-danger"
+            size="sm"
+            onClick={() => setStoreToDelete(store)}
+            title="Delete Store"
+          >
+            <FaTrash />
+          </Button>
         </div>
       )
     }
   ]
 
+  /**
+   * Filter dropdowns for owner and average rating range
+   */
+  const filterOptions = [
+    {
+      key: 'owner_id',
+      label: 'Owners',
+      options: storeOwners.map(owner => ({ value: String(owner.id), label: owner.name }))
+    },
+    {
+      key: 'minRating',
+      label: 'Min Rating',
+      placeholder: 'Any minimum rating',
+      options: RATING_FILTER_OPTIONS
+    },
+    {
+      key: 'maxRating',
+      label: 'Max Rating',
+      placeholder: 'Any maximum rating',
+      options: RATING_FILTER_OPTIONS
+    }
+  ]
+
   if (loading) {
     return <LoadingSpinner message="Loading stores..." />
   }
@@ -292,7 +399,7 @@ const SystemAdminStoreManagement = () => {
           <div className="d-flex gap-2">
             <Button 
               variant="success" 
-              onClick={() => setShowCreateModal(true)}
+              onClick={handleAddStore}
               className="d-flex align-items-center gap-2"
             >
               <FaPlus />
@@ -313,7 +420,7 @@ const SystemAdminStoreManagement = () => {
                   <FaStore size={32} />
                 </div>
               </div>
-              <div className="stats-number">{pagination.total}</div>
+              <div className="stats-number">{summary.totalStores || 0}</div>
               <div className="stats-label">Total Stores</div>
             </Card.Body>
           </Card>
@@ -327,7 +434,7 @@ const SystemAdminStoreManagement = () => {
                   <FaStar size={32} />
                 </div>
               </div>
-              <div className="stats-number">{filteredStores.filter(s => parseFloat(s.average_rating || 0) >= 4).length}</div>
+              <div className="stats-number">{summary.highRatedStores || 0}</div>
               <div className="stats-label">High Rated</div>
             </Card.Body>
           </Card>
@@ -341,8 +448,8 @@ const SystemAdminStoreManagement = () => {
                   <FaEye size={32} />
                 </div>
               </div>
-              <div className="stats-number">{filteredStores.filter(s => s.status === 'active').length}</div>
-              <div className="stats-label">Active Stores</div>
+              <div className="stats-number">{summary.ratedStores || 0}</div>
+              <div className="stats-label">Rated Stores</div>
             </Card.Body>
           </Card>
         </Col>
@@ -355,8 +462,8 @@ const SystemAdminStoreManagement = () => {
                   <FaMapMarkerAlt size={32} />
                 </div>
               </div>
-              <div className="stats-number">{new Set(filteredStores.map(s => s.category)).size}</div>
-              <div className="stats-label">Categories</div>
+              <div className="stats-number">{summary.storeOwners || 0}</div>
+              <div className="stats-label">Store Owners</div>
             </Card.Body>
           </Card>
         </Col>
@@ -364,7 +471,7 @@ const SystemAdminStoreManagement = () => {
 
       {error && (
         <Alert variant="danger" className="mb-4">
-          <Alert.Heading>Error Loading Stores</Alert.Heading>
+          <Alert.Heading>Store Management Error</Alert.Heading>
           <p>{error}</p>
         </Alert>
       )}
@@ -372,13 +479,16 @@ const SystemAdminStoreManagement = () => {
       {/* Search Card */}
       <Card className="mb-4">
         <Card.Header>
-          <h5 className="mb-0">Search Stores</h5>
+          <h5 className="mb-0">Search & Filter Stores</h5>
         </Card.Header>
         <Card.Body>
           <SearchFilter
             searchValue={searchValue}
             onSearchChange={handleSearchChange}
-            placeholder="Search stores by name, email, or address..."
+            onFilterChange={handleFilterChange}
+            activeFilters={activeFilters}
+            filters={filterOptions}
+            placeholder="Search stores by name, email, address, or owner..."
           />
         </Card.Body>
       </Card>
@@ -386,17 +496,20 @@ const SystemAdminStoreManagement = () => {
       {/* Stores Management Card */}
       <Card className="h-100">
         <Card.Header>
-          <h5 className="mb-0">All Stores ({pagination.total})</h5>
+          <h5 className="mb-0">All Stores ({total})</h5>
         </Card.Header>
         <Card.Body className="p-0">
           <div className="table-responsive">
             <DataTable
-              data={filteredStores}
+              data={stores}
               columns={tableColumns}
-              pagination={pagination}
-              onPageChange={(page) => setPagination(prev => ({ ...prev, page }))}
-              onSizeChange={(limit) => setPagination(prev => ({ ...prev, limit, page: 1 }))}
-              loading={loading}
+              sortField={sort.sortBy}
+              sortDirection={sort.sortOrder}
+              onSort={handleSort}
+              pagination={{ page, limit, total, totalPages }}
+              onPageChange={goToPage}
+              onSizeChange={changeLimit}
+              loading={tableLoading}
               emptyMessage="No stores found"
             />
           </div>
@@ -423,6 +536,9 @@ const SystemAdminStoreManagement = () => {
                   <div className="mb-3">
                     {getRatingDisplay(selectedStore)}
                   </div>
+                  {selectedStore.criteria_averages?.length > 0 && (
+                    <CriteriaRating criteria={selectedStore.criteria_averages} className="mb-3" />
+                  )}
                 </Col>
                 <Col md={6}>
                   <div className="mb-3">
@@ -459,19 +575,19 @@ const SystemAdminStoreManagement = () => {
         </Modal.Footer>
       </Modal>
 
-      {/* Create Store Modal */}
-      <Modal show={showCreateModal} onHide={() => setShowCreateModal(false)} size="lg" className="StoreFormModal">
+      {/* Create / Edit Store Modal */}
+      <Modal show={showFormModal} onHide={() => setShowFormModal(false)} size="lg" className="StoreFormModal">
         <Modal.Header closeButton>
           <Modal.Title>
-            <FaPlus className="me-2" />
-            Create New Store
+            {editingStore ? <FaEdit className="me-2" /> : <FaPlus className="me-2" />}
+            {editingStore ? 'Edit Store' : 'Create New Store'}
           </Modal.Title>
         </Modal.Header>
-        <Form onSubmit={handleCreateStore}>
+        <Form onSubmit={handleSubmitStore}>
           <Modal.Body>
-            {createErrors.general && (
+            {formErrors.general && (
               <Alert variant="danger" className="mb-3">
-                {createErrors.general}
+                {formErrors.general}
               </Alert>
             )}
             
@@ -482,13 +598,13 @@ const SystemAdminStoreManagement = () => {
                   <Form.Control
                     type="text"
                     name="name"
-                    value={createFormData.name}
-                    onChange={handleCreateInputChange}
+                    value={formData.name}
+                    onChange={handleFormInputChange}
                     placeholder="Enter store name (max 255 characters)"
-                    isInvalid={!!createErrors.name}
+                    isInvalid={!!formErrors.name}
                   />
                   <Form.Control.Feedback type="invalid">
-                    {createErrors.name}
+                    {formErrors.name}
                   </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     Store name is required (max 255 characters)
@@ -501,13 +617,13 @@ const SystemAdminStoreManagement = () => {
                   <Form.Control
                     type="email"
                     name="email"
-                    value={createFormData.email}
-                    onChange={handleCreateInputChange}
+                    value={formData.email}
+                    onChange={handleFormInputChange}
                     placeholder="Enter email address"
-                    isInvalid={!!createErrors.email}
+                    isInvalid={!!formErrors.email}
                   />
                   <Form.Control.Feedback type="invalid">
-                    {createErrors.email}
+                    {formErrors.email}
                   </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     Must be a valid email address (max 255 characters)
@@ -522,9 +638,9 @@ const SystemAdminStoreManagement = () => {
                   <Form.Label>Store Owner</Form.Label>
                   <Form.Select
                     name="owner_id"
-                    value={createFormData.owner_id}
-                    onChange={handleCreateInputChange}
-                    isInvalid={!!createErrors.owner_id}
+                    value={formData.owner_id}
+                    onChange={handleFormInputChange}
+                    isInvalid={!!formErrors.owner_id}
                   >
                     <option value="">Select store owner</option>
                     {storeOwners.map(owner => (
@@ -534,10 +650,12 @@ const SystemAdminStoreManagement = () => {
                     ))}
                   </Form.Select>
                   <Form.Control.Feedback type="invalid">
-                    {createErrors.owner_id}
+                    {formErrors.owner_id}
                   </Form.Control.Feedback>
                   <Form.Text className="text-muted">
-                    Select a user with store_owner role
+                    {editingStore
+                      ? 'Choosing a different store owner transfers ownership of this store'
+                      : 'Select a user with store_owner role'}
                   </Form.Text>
                 </Form.Group>
               </Col>
@@ -549,13 +667,13 @@ const SystemAdminStoreManagement = () => {
                 as="textarea"
                 rows={3}
                 name="address"
-                value={createFormData.address}
-                onChange={handleCreateInputChange}
+                value={formData.address}
+                onChange={handleFormInputChange}
                 placeholder="Enter store address (max 400 characters)"
-                isInvalid={!!createErrors.address}
+                isInvalid={!!formErrors.address}
               />
               <Form.Control.Feedback type="invalid">
-                {createErrors.address}
+                {formErrors.address}
               </Form.Control.Feedback>
               <Form.Text className="text-muted">
                 Store address is required (max 400 characters)
@@ -565,21 +683,36 @@ const SystemAdminStoreManagement = () => {
           <Modal.Footer>
             <Button 
               variant="secondary" 
-              onClick={() => setShowCreateModal(false)}
-              disabled={createLoading}
+              onClick={() => setShowFormModal(false)}
+              disabled={formLoading}
             >
               Cancel
             </Button>
             <Button 
               variant="primary" 
               type="submit"
-              disabled={createLoading}
+              disabled={formLoading}
             >
-              {createLoading ? 'Creating...' : 'Create Store'}
+              {editingStore
+                ? (formLoading ? 'Saving...' : 'Save Changes')
+                : (formLoading ? 'Creating...' : 'Create Store')}
             </Button>
           </Modal.Footer>
         </Form>
       </Modal>
+
+      {/* Delete Store Confirmation */}
+      <ConfirmModal
+        show={!!storeToDelete}
+        onHide={() => setStoreToDelete(null)}
+        onConfirm={handleConfirmDelete}
+        title="Delete Store"
+        message={storeToDelete
+          ? `Delete "${storeToDelete.name}"? Its ${storeToDelete.total_ratings || 0} rating(s) will be permanently deleted as well. This action cannot be undone.`
+          : ''}
+        confirmText="Delete Store"
+        loading={deleteLoading}
+      />
     </div>
   )
 }
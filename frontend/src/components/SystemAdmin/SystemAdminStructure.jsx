@@ -7,6 +7,10 @@ import Dashboard from './Dashboard/SystemAdminDashboard'
 import UserManagement from './UserManagement/SystemAdminUserManagement'
 import UserDetails from './UserManagement/UserDetails'
 import StoreManagement from './StoreManagement/SystemAdminStoreManagement'
+import RoleManagement from './RoleManagement/SystemAdminRoleManagement'
+import Moderation from './Moderation/SystemAdminModeration'
+import RatingCriteria from './RatingCriteria/SystemAdminRatingCriteria'
+import Activity from './Activity/SystemAdminActivity'
 import '../../styles/layouts/SystemAdmin.css'
 
 const SystemAdminStructure = () => {
@@ -66,6 +70,10 @@ const SystemAdminStructure = () => {
                 <Route path="/users" element={<UserManagement />} />
                 <Route path="/users/:userId" element={<UserDetails />} />
                 <Route path="/stores" element={<StoreManagement />} />
+                <Route path="/moderation" element={<Moderation />} />
+                <Route path="/roles" element={<RoleManagement />} />
+                <Route path="/rating-criteria" element={<RatingCriteria />} />
+                <Route path="/activity" element={<Activity />} />
               </Routes>
             </Container>
           </div>
@@ -10,19 +10,29 @@ import SearchFilter from '../../Common/SearchFilter'
 import { systemAdminAPI } from '../../../api/SystemAdmin'
 import '../../../styles/SystemAdmin/systemAdminUserManagement.css'
 
+const BUILTIN_ROLE_OPTIONS = [
+  { value: 'system_admin', label: 'System Admin' },
+  { value: 'store_owner', label: 'Store Owner' },
+  { value: 'normal_user', label: 'Normal User' }
+]
+
 /**
  * System Admin User Management Component
- * Manages user operations including viewing, creating, and filtering users
+ * Manages user operations including viewing, creating, and filtering users.
+ * Search, role filtering, sorting and pagination are handled server-side.
  */
 const SystemAdminUserManagement = () => {
   const navigate = useNavigate()
   const [users, setUsers] = useState([])
-  const [filteredUsers, setFilteredUsers] = useState([])
+  const [roleCounts, setRoleCounts] = useState({})
   const [loading, setLoading] = useState(true)
+  const [tableLoading, setTableLoading] = useState(false)
   const [error, setError] = useState(null)
   const [searchValue, setSearchValue] = useState('')
+  const [debouncedSearch, setDebouncedSearch] = useState('')
   const [activeFilters, setActiveFilters] = useState({})
-  const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0 })
+  const [sort, setSort] = useState({ sortBy: 'created_at', sortOrder: 'desc' })
+  const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0, totalPages: 0 })
   const [showCreateModal, setShowCreateModal] = useState(false)
   const [createFormData, setCreateFormData] = useState({
     name: '',
@@ -33,46 +43,58 @@ const SystemAdminUserManagement = () => {
   })
   const [createErrors, setCreateErrors] = useState({})
   const [createLoading, setCreateLoading] = useState(false)
-  const [storeRatings, setStoreRatings] = useState({})
   const [showViewModal, setShowViewModal] = useState(false)
   const [selectedUser, setSelectedUser] = useState(null)
+  const [roleOptions, setRoleOptions] = useState(BUILTIN_ROLE_OPTIONS)
 
   /**
-   * Debounced search function to optimize API calls
+   * Loads the assignable roles, including custom roles from the role editor
    */
-  const debounceSearch = useCallback((searchTerm, filters) => {
-    const timer = setTimeout(() => {
-      filterUsers(searchTerm, filters)
-    }, 300)
-    return () => clearTimeout(timer)
-  }, [users])
-
   useEffect(() => {
-    fetchUsers()
+    const fetchRoles = async () => {
+      const response = await systemAdminAPI.getRoles()
+      if (response.success) {
+        setRoleOptions(response.data.roles.map(role => ({ value: role.name, label: role.display_name })))
+      }
+    }
+    fetchRoles()
   }, [])
 
+  /**
+   * Debounce the search term so the API is queried once typing pauses
+   */
   useEffect(() => {
-    const clearTimer = debounceSearch(searchValue, activeFilters)
-    return clearTimer
-  }, [searchValue, activeFilters, debounceSearch])
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchValue.trim())
+      setPagination(prev => (prev.page === 1 ? prev : { ...prev, page: 1 }))
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [searchValue])
 
-  const fetchUsers = async () => {
+  /**
+   * Fetches the current page of users; searching, filtering, sorting and
+   * pagination are all applied by the server
+   */
+  const fetchUsers = useCallback(async () => {
     try {
-      setLoading(true)
+      setTableLoading(true)
       setError(null)
-      
-      const response = await systemAdminAPI.getUsers()
+
+      const params = {
+        page: pagination.page,
+        limit: pagination.limit,
+        sortBy: sort.sortBy,
+        sortOrder: sort.sortOrder
+      }
+      if (debouncedSearch) params.search = debouncedSearch
+      if (activeFilters.role) params.role = activeFilters.role
+
+      const response = await systemAdminAPI.getUsers(params)
       if (response.success) {
-        const userData = response.data.users || []
+        const { users: userData = [], total = 0, totalPages = 0, roleCounts: counts = {} } = response.data
         setUsers(userData)
-        setFilteredUsers(userData)
-        setPagination(prev => ({
-          ...prev,
-          total: userData.length
-        }))
-        
-        // Fetch store ratings for store owners
-        await fetchStoreRatings(userData)
+        setRoleCounts(counts)
+        setPagination(prev => ({ ...prev, total, totalPages }))
       } else {
         setError(response.error)
       }
@@ -81,59 +103,13 @@ const SystemAdminUserManagement = () => {
       console.error('Users fetch error:', err)
     } finally {
       setLoading(false)
+      setTableLoading(false)
     }
-  }
-
-  const fetchStoreRatings = async (users) => {
-    try {
-      const storeOwners = users.filter(user => user.role === 'store_owner')
-      const storesResponse = await systemAdminAPI.getStores()
-      
-      if (storesResponse.success) {
-        const stores = storesResponse.data.stores || []
-        const ratingsMap = {}
-        
-        storeOwners.forEach(owner => {
-          const ownerStores = stores.filter(store => store.owner_id === owner.id)
-          if (ownerStores.length > 0) {
-            const totalRating = ownerStores.reduce((sum, store) => sum + (parseFloat(store.average_rating) || 0), 0)
-            const avgRating = totalRating / ownerStores.length
-            const totalReviews = ownerStores.reduce((sum, store) => sum + (parseInt(store.total_ratings) || 0), 0)
-            ratingsMap[owner.id] = {
-              averageRating: avgRating.toFixed(1),
-              totalRatings: totalReviews,
-              storeCount: ownerStores.length
-            }
-          }
-        })
-        
-        setStoreRatings(ratingsMap)
-      }
-    } catch (err) {
-      console.error('Store ratings fetch error:', err)
-    }
-  }
+  }, [pagination.page, pagination.limit, sort, debouncedSearch, activeFilters])
 
-  const filterUsers = (searchTerm, filters) => {
-    let filtered = [...users]
-    
-    // Apply search filter
-    if (searchTerm) {
-      filtered = filtered.filter(user => 
-        user.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        user.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        (user.address && user.address.toLowerCase().includes(searchTerm.toLowerCase()))
-      )
-    }
-    
-    // Apply role filter
-    if (filters.role) {
-      filtered = filtered.filter(user => user.role === filters.role)
-    }
-    
-    setFilteredUsers(filtered)
-    setPagination(prev => ({ ...prev, total: filtered.length, page: 1 }))
-  }
+  useEffect(() => {
+    fetchUsers()
+  }, [fetchUsers])
 
   const handleSearchChange = (value) => {
     setSearchValue(value)
@@ -141,6 +117,12 @@ const SystemAdminUserManagement = () => {
 
   const handleFilterChange = (filterKey, value) => {
     setActiveFilters(prev => ({ ...prev, [filterKey]: value }))
+    setPagination(prev => ({ ...prev, page: 1 }))
+  }
+
+  const handleSort = (field, direction) => {
+    setSort({ sortBy: field, sortOrder: direction })
+    setPagination(prev => ({ ...prev, page: 1 }))
   }
 
   const handleCreateUser = async (e) => {
@@ -183,7 +165,7 @@ const SystemAdminUserManagement = () => {
     // Role validation
     if (!createFormData.role) {
       newErrors.role = 'Role is required'
-    } else if (!['system_admin', 'normal_user', 'store_owner'].includes(createFormData.role)) {
+    } else if (!roleOptions.some(option => option.value === createFormData.role)) {
       newErrors.role = 'Invalid role specified'
     }
     
@@ -251,6 +233,7 @@ const SystemAdminUserManagement = () => {
     { 
       key: 'role', 
       label: 'Role',
+      sortable: true,
       render: (user) => getRoleBadge(user.role)
     },
     { 
@@ -258,7 +241,7 @@ const SystemAdminUserManagement = () => {
       label: 'Rating',
       render: (user) => {
         if (user.role === 'store_owner') {
-          const userRating = storeRatings[user.id]
+          const userRating = user.store_stats
           if (userRating) {
             return (
               <div className="d-flex align-items-center">
@@ -303,11 +286,7 @@ const SystemAdminUserManagement = () => {
       key: 'role',
       label: 'Role',
       placeholder: 'All Roles',
-      options: [
-        { value: 'system_admin', label: 'System Admin' },
-        { value: 'store_owner', label: 'Store Owner' },
-        { value: 'normal_user', label: 'Normal User' }
-      ]
+      options: roleOptions
     }
   ]
 
@@ -355,7 +334,9 @@ const SystemAdminUserManagement = () => {
                   <FaEye size={32} />
                 </div>
               </div>
-              <div className="stats-number">{pagination.total}</div>
+              <div className="stats-number">
+                {Object.values(roleCounts).reduce((sum, count) => sum + count, 0)}
+              </div>
               <div className="stats-label">Total Users</div>
             </Card.Body>
           </Card>
@@ -369,7 +350,7 @@ const SystemAdminUserManagement = () => {
                   <FaEye size={32} />
                 </div>
               </div>
-              <div className="stats-number">{filteredUsers.filter(u => u.role === 'system_admin').length}</div>
+              <div className="stats-number">{roleCounts.system_admin || 0}</div>
               <div className="stats-label">System Admins</div>
             </Card.Body>
           </Card>
@@ -383,7 +364,7 @@ const SystemAdminUserManagement = () => {
                   <FaStar size={32} />
                 </div>
               </div>
-              <div className="stats-number">{filteredUsers.filter(u => u.role === 'store_owner').length}</div>
+              <div className="stats-number">{roleCounts.store_owner || 0}</div>
               <div className="stats-label">Store Owners</div>
             </Card.Body>
           </Card>
@@ -397,7 +378,7 @@ const SystemAdminUserManagement = () => {
                   <FaEye size={32} />
                 </div>
               </div>
-              <div className="stats-number">{filteredUsers.filter(u => u.role === 'normal_user').length}</div>
+              <div className="stats-number">{roleCounts.normal_user || 0}</div>
               <div className="stats-label">Normal Users</div>
             </Card.Body>
           </Card>
@@ -436,12 +417,15 @@ const SystemAdminUserManagement = () => {
         <Card.Body className="p-0">
           <div className="table-responsive">
             <DataTable
-              data={filteredUsers}
+              data={users}
               columns={tableColumns}
+              sortField={sort.sortBy}
+              sortDirection={sort.sortOrder}
+              onSort={handleSort}
               pagination={pagination}
               onPageChange={(page) => setPagination(prev => ({ ...prev, page }))}
               onSizeChange={(limit) => setPagination(prev => ({ ...prev, limit, page: 1 }))}
-              loading={loading}
+              loading={tableLoading}
               emptyMessage="No users found"
               className="UserManagementDataTable"
               tableClassName="table table-hover mb-0"
@@ -540,9 +524,9 @@ const SystemAdminUserManagement = () => {
                     isInvalid={!!createErrors.role}
                     className="UserManagementFormControl"
                   >
-                    <option value="normal_user">Normal User</option>
-                    <option value="store_owner">Store Owner</option>
-                    <option value="system_admin">System Admin</option>
+                    {roleOptions.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
                   </Form.Select>
                   <Form.Control.Feedback type="invalid">
                     {createErrors.role}
@@ -633,11 +617,11 @@ const SystemAdminUserManagement = () => {
                     <div className="detail-item mb-3">
                       <label className="detail-label">Rating</label>
                       <div className="detail-value">
-                        {storeRatings[selectedUser.id] ? (
+                        {selectedUser.store_stats ? (
                           <div className="d-flex align-items-center">
                             <FaStar className="text-warning me-1" />
-                            <span className="me-1">{storeRatings[selectedUser.id].averageRating}</span>
-                            <small className="text-muted">({storeRatings[selectedUser.id].totalRatings} reviews)</small>
+                            <span className="me-1">{selectedUser.store_stats.averageRating}</span>
+                            <small className="text-muted">({selectedUser.store_stats.totalRatings} reviews)</small>
                           </div>
                         ) : (
                           <span className="text-muted">No ratings yet</span>
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react'
 import { useParams, Link, useNavigate } from 'react-router-dom'
 import { Container, Row, Col, Card, Button, Badge, Spinner, Alert, Table } from 'react-bootstrap'
-import { FaArrowLeft, FaEdit, FaTrash, FaEnvelope, FaMapMarkerAlt, FaCalendarAlt, FaUser, FaShieldAlt, FaClock } from 'react-icons/fa'
+import { FaArrowLeft, FaEdit, FaTrash, FaEnvelope, FaMapMarkerAlt, FaCalendarAlt, FaUser, FaShieldAlt, FaClock, FaDesktop, FaUnlock } from 'react-icons/fa'
 import { systemAdminAPI } from '../../../api/SystemAdmin'
 import PageHeader from '../../Common/PageHeader'
+import ActiveSessions from '../../Common/ActiveSessions'
 import '../../../styles/SystemAdmin/userDetails.css'
 
 const UserDetails = () => {
@@ -12,6 +13,9 @@ const UserDetails = () => {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
+  const [unlocking, setUnlocking] = useState(false)
+  const [unlockMessage, setUnlockMessage] = useState('')
+  const [resettingTwoFactor, setResettingTwoFactor] = useState(false)
 
   useEffect(() => {
     fetchUserDetails()
@@ -73,6 +77,36 @@ const UserDetails = () => {
     }
   }
 
+  const handleUnlockUser = async () => {
+    setUnlocking(true)
+    setUnlockMessage('')
+    const response = await systemAdminAPI.unlockUser(userId)
+    if (response.success) {
+      setUnlockMessage(response.data.message)
+      setUser(prev => ({ ...prev, lockout: { locked: false, failures: 0, retryAfter: 0 } }))
+    } else {
+      setError('Failed to unlock account: ' + response.error)
+    }
+    setUnlocking(false)
+  }
+
+  const handleResetTwoFactor = async () => {
+    if (!window.confirm('Reset two-factor authentication for this user? They will be signed out everywhere and must set it up again.')) {
+      return
+    }
+
+    setResettingTwoFactor(true)
+    setUnlockMessage('')
+    const response = await systemAdminAPI.resetUserTwoFactor(userId)
+    if (response.success) {
+      setUnlockMessage(response.data.message)
+      setUser(prev => ({ ...prev, two_factor_enabled: false }))
+    } else {
+      setError('Failed to reset two-factor authentication: ' + response.error)
+    }
+    setResettingTwoFactor(false)
+  }
+
   if (loading) {
     return (
       <Container fluid className="UserDetailsPage">
@@ -190,7 +224,13 @@ const UserDetails = () => {
                     <div className="UserDetailValue d-flex align-items-center gap-2">
                       <FaEnvelope className="text-muted" />
                       {user.email}
+                      <Badge bg={user.email_verified_at ? 'success' : 'warning'}>
+                        {user.email_verified_at ? 'Verified' : 'Unverified'}
+                      </Badge>
                     </div>
+                    {user.pending_email && (
+                      <small className="text-muted">Pending change to {user.pending_email}</small>
+                    )}
                   </div>
                 </Col>
               </Row>
@@ -274,28 +314,85 @@ const UserDetails = () => {
                   <div className="UserDetailItem">
                     <label>Failed Login Attempts</label>
                     <div className="UserDetailValue">
-                      <Badge bg={user.failed_login_attempts > 0 ? 'warning' : 'success'}>
-                        {user.failed_login_attempts || 0}
+                      <Badge bg={user.lockout?.failures > 0 ? 'warning' : 'success'}>
+                        {user.lockout?.failures || 0}
                       </Badge>
                     </div>
                   </div>
                 </Col>
               </Row>
 
-              {user.locked_until && (
+              {user.lockout?.locked && (
                 <Row className="mt-3">
                   <Col md={12}>
                     <div className="UserDetailItem">
                       <label>Account Locked Until</label>
-                      <div className="UserDetailValue">
+                      <div className="UserDetailValue d-flex align-items-center gap-2">
                         <Badge bg="danger">
-                          {formatDate(user.locked_until)}
+                          {formatDate(Date.now() + user.lockout.retryAfter * 1000)}
                         </Badge>
+                        <Button
+                          variant="outline-success"
+                          size="sm"
+                          onClick={handleUnlockUser}
+                          disabled={unlocking}
+                          className="d-flex align-items-center gap-1"
+                        >
+                          <FaUnlock />
+                          {unlocking ? 'Unlocking...' : 'Unlock'}
+                        </Button>
                       </div>
                     </div>
                   </Col>
                 </Row>
               )}
+
+              <Row className="mt-3">
+                <Col md={12}>
+                  <div className="UserDetailItem">
+                    <label>Two-Factor Authentication</label>
+                    <div className="UserDetailValue d-flex align-items-center gap-2">
+                      <Badge bg={user.two_factor_enabled ? 'success' : 'secondary'}>
+                        {user.two_factor_enabled ? 'Enabled' : 'Not enabled'}
+                      </Badge>
+                      {user.two_factor_required && (
+                        <Badge bg="warning" text="dark">Required</Badge>
+                      )}
+                      {user.two_factor_enabled && (
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={handleResetTwoFactor}
+                          disabled={resettingTwoFactor}
+                          className="d-flex align-items-center gap-1"
+                        >
+                          <FaShieldAlt />
+                          {resettingTwoFactor ? 'Resetting...' : 'Reset'}
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                </Col>
+              </Row>
+
+              {unlockMessage && (
+                <Alert variant="success" className="mt-3 mb-0" dismissible onClose={() => setUnlockMessage('')}>
+                  {unlockMessage}
+                </Alert>
+              )}
+            </Card.Body>
+          </Card>
+
+          {/* Active Sessions */}
+          <Card className="UserDetailsCard mt-4">
+            <Card.Header>
+              <h5 className="mb-0 d-flex align-items-center gap-2">
+                <FaDesktop className="text-info" />
+                Active Sessions
+              </h5>
+            </Card.Header>
+            <Card.Body>
+              <ActiveSessions userId={userId} />
             </Card.Body>
           </Card>
         </Col>
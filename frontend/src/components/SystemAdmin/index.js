@@ -3,6 +3,9 @@ export { default as SystemAdminStructure } from './SystemAdminStructure'
 export { default as SystemAdminDashboard } from './Dashboard/SystemAdminDashboard'
 export { default as SystemAdminUserManagement } from './UserManagement/SystemAdminUserManagement'
 export { default as SystemAdminStoreManagement } from './StoreManagement/SystemAdminStoreManagement'
+export { default as SystemAdminModeration } from './Moderation/SystemAdminModeration'
+export { default as SystemAdminRoleManagement } from './RoleManagement/SystemAdminRoleManagement'
+export { default as SystemAdminRatingCriteria } from './RatingCriteria/SystemAdminRatingCriteria'
 export { default as SystemAdminAnalytics } from './Analytics/SystemAdminAnalytics'
 export { default as SystemAdminProfile } from './Profile/SystemAdminProfile'
 export { default } from './SystemAdminStructure'
@@ -37,9 +37,9 @@ const Dashboard = () => {
       setError('')
       
       const [storesResponse, ratingsResponse] = await Promise.all([
-        userAPI.getStores().catch(err => {
+        userAPI.getStores({ limit: 3, sortBy: 'average_rating', sortOrder: 'desc' }).catch(err => {
           console.warn('Failed to fetch stores:', err)
-          return { stores: [] }
+          return { stores: [], total: 0 }
         }),
         userAPI.getMyRatings({ limit: 10 }).catch(err => {
           console.warn('Failed to fetch ratings:', err)
@@ -47,11 +47,11 @@ const Dashboard = () => {
         })
       ]);
       
-      const allStores = storesResponse?.stores || [];
+      const topStores = storesResponse?.stores || [];
       const userRatings = Array.isArray(ratingsResponse?.ratings) ? ratingsResponse.ratings : [];
       
       const stats = {
-        totalStores: allStores.length,
+        totalStores: storesResponse?.total || 0,
         ratedStores: userRatings.length,
         averageRating: userRatings.length > 0 
           ? (userRatings.reduce((sum, rating) => sum + (rating.rating || 0), 0) / userRatings.length).toFixed(1)
@@ -66,7 +66,7 @@ const Dashboard = () => {
       };
       setStats(stats);
       setRecentActivity(userRatings.slice(0, 5)); // Show latest 5 ratings
-      setFeaturedStores(allStores.slice(0, 3)); // Show top 3 stores
+      setFeaturedStores(topStores); // Show top 3 rated stores
     } catch (err) {
       setError('Failed to load dashboard data. Please try again.');
       console.error('Dashboard fetch error:', err);
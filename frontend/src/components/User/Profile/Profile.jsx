@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react'
 import { Row, Col, Card, Form, Button, Alert, Badge, Spinner } from 'react-bootstrap'
-import { FaUser, FaEnvelope, FaMapMarkerAlt, FaEdit, FaSave, FaTimes, FaInfoCircle, FaEye, FaEyeSlash } from 'react-icons/fa'
+import { FaUser, FaEnvelope, FaMapMarkerAlt, FaEdit, FaSave, FaTimes, FaInfoCircle, FaEye, FaEyeSlash, FaDesktop, FaShieldAlt } from 'react-icons/fa'
 import { useAuth } from '../../../contexts/AuthContext'
 import { showSuccessAlert, showErrorAlert } from '../../../utils/SweetAlert'
 import LoadingSpinner from '../../Common/LoadingSpinner'
+import ActiveSessions from '../../Common/ActiveSessions'
+import TwoFactorSettings from '../../Common/TwoFactorSettings'
 import { userAPI } from '../../../api/User'
 import { validatePassword } from '../../../utils/validation'
 import '../../../styles/User/userProfile.css'
@@ -115,14 +117,17 @@ const Profile = () => {
       setError('')
       
       // Call the real API to update profile
-      await userAPI.updateProfile({
+      const result = await userAPI.updateProfile({
         name: profile.name,
         email: profile.email,
         address: profile.address
       })
-      
-      // Update original profile with saved values
-      setOriginalProfile(profile)
+      const pendingEmail = result?.pendingEmail || null
+
+      // A new email only takes effect once confirmed, so keep showing the current one
+      const savedProfile = pendingEmail ? { ...profile, email: originalProfile.email } : profile
+      setProfile(savedProfile)
+      setOriginalProfile(savedProfile)
       setIsEditing(false)
       
       // Update auth context if needed
@@ -130,13 +135,18 @@ const Profile = () => {
         updateUser({
           ...user,
           name: profile.name,
-          email: profile.email
+          email: savedProfile.email,
+          pending_email: pendingEmail
         })
       }
       
-      showSuccessAlert('Success', 'Profile updated successfully!')
+      if (pendingEmail) {
+        showSuccessAlert('Confirm your new email', `We sent a confirmation link to ${pendingEmail}. Your current email stays active until you confirm it.`)
+      } else {
+        showSuccessAlert('Success', 'Profile updated successfully!')
+      }
     } catch (err) {
-      const errorMessage = err.response?.data?.message || 'Failed to save profile. Please try again.'
+      const errorMessage = err.message || 'Failed to save profile. Please try again.'
       setError(errorMessage)
       showErrorAlert('Error', errorMessage)
     } finally {
@@ -362,6 +372,15 @@ const Profile = () => {
                     placeholder="Enter your email address"
                     required
                   />
+                  {user?.pending_email ? (
+                    <Form.Text className="text-warning">
+                      Change to {user.pending_email} is awaiting confirmation
+                    </Form.Text>
+                  ) : (
+                    <Badge bg={user?.email_verified_at ? 'success' : 'warning'} className="mt-2">
+                      {user?.email_verified_at ? 'Verified' : 'Not verified'}
+                    </Badge>
+                  )}
                 </div>
               </Col>
             </Row>
@@ -598,6 +617,32 @@ const Profile = () => {
           </Form>
         </div>
       </div>
+
+      {/* Active Sessions Card */}
+      <div className="profile-form-card slide-up">
+        <div className="profile-form-header">
+          <h5>
+            <FaDesktop />
+            Active Sessions
+          </h5>
+        </div>
+        <div className="profile-form-body">
+          <ActiveSessions />
+        </div>
+      </div>
+
+      {/* Two-Factor Authentication Card */}
+      <div className="profile-form-card slide-up">
+        <div className="profile-form-header">
+          <h5>
+            <FaShieldAlt />
+            Two-Factor Authentication
+          </h5>
+        </div>
+        <div className="profile-form-body">
+          <TwoFactorSettings />
+        </div>
+      </div>
     </div>
   )
 }
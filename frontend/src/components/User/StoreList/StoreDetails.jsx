@@ -1,27 +1,41 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { Row, Col, Card, Button, Badge, Alert, Spinner, Form, Modal } from 'react-bootstrap'
-import { FaArrowLeft, FaStar, FaRegStar, FaMapMarker, FaPhone, FaEnvelope, FaGlobe, FaCalendar, FaUser, FaPlus, FaEdit, FaTrash } from 'react-icons/fa'
+import { FaArrowLeft, FaStar, FaRegStar, FaMapMarker, FaPhone, FaEnvelope, FaGlobe, FaCalendar, FaUser, FaPlus, FaEdit, FaTrash, FaHistory, FaFlag, FaReply, FaThumbsUp, FaThumbsDown } from 'react-icons/fa'
 import userAPI from '../../../api/User/userAPI'
-import { showSuccessAlert, showErrorAlert, showWarningAlert, showConfirmAlert } from '../../../utils/SweetAlert'
+import { REVIEW_SORT_OPTIONS } from '../../../api/constants'
+import { showSuccessAlert, showErrorAlert, showConfirmAlert } from '../../../utils/SweetAlert'
+import RatingHistoryModal from '../../Common/RatingHistoryModal'
+import ReportReviewModal from '../../Common/ReportReviewModal'
+import { CriteriaRating } from '../../Common/RatingComponent'
 import '../../../styles/User/userStoreDetails.css'
 import '../../../styles/User/RatingModal.css'
 
+const REVIEWS_PAGE_SIZE = 10
+
 const StoreDetails = () => {
   const { storeId } = useParams()
   const navigate = useNavigate()
 
   const [store, setStore] = useState(null)
   const [ratings, setRatings] = useState([])
+  const [reviewSort, setReviewSort] = useState('helpful')
+  const [reviewPage, setReviewPage] = useState({ page: 1, total: 0, totalPages: 0 })
+  const [reviewsLoading, setReviewsLoading] = useState(false)
+  const [votingId, setVotingId] = useState(null)
   const [userRating, setUserRating] = useState(null)
+  const [criteria, setCriteria] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [showRatingModal, setShowRatingModal] = useState(false)
   const [newRating, setNewRating] = useState({
     rating: 5,
-    review: ''
+    review: '',
+    scores: {}
   })
   const [submittingRating, setSubmittingRating] = useState(false)
+  const [showHistoryModal, setShowHistoryModal] = useState(false)
+  const [reportRatingId, setReportRatingId] = useState(null)
 
   useEffect(() => {
     if (storeId) {
@@ -29,6 +43,29 @@ const StoreDetails = () => {
     }
   }, [storeId])
 
+  /**
+   * Loads one page of other users' reviews; later pages are appended
+   */
+  const fetchReviews = useCallback(async (page = 1) => {
+    const { sort, order } = REVIEW_SORT_OPTIONS.find(option => option.value === reviewSort)
+    try {
+      setReviewsLoading(true)
+      const data = await userAPI.getStoreRatings(storeId, { sort, order, page, limit: REVIEWS_PAGE_SIZE })
+      setRatings(prev => (page === 1 ? data.ratings : [...prev, ...data.ratings]))
+      setReviewPage({ page: data.page, total: data.total, totalPages: data.totalPages })
+    } catch (err) {
+      showErrorAlert('Error', err.message || 'Failed to load reviews. Please try again.')
+    } finally {
+      setReviewsLoading(false)
+    }
+  }, [storeId, reviewSort])
+
+  useEffect(() => {
+    if (storeId) {
+      fetchReviews(1)
+    }
+  }, [storeId, fetchReviews])
+
   const fetchStoreDetails = async () => {
     try {
       setLoading(true)
@@ -40,13 +77,14 @@ const StoreDetails = () => {
       if (response.success) {
         setStore(response.data.store)
         setUserRating(response.data.userRating)
-        setRatings(response.data.recentRatings || [])
+        setCriteria(response.data.criteria || [])
         
         // Set rating form if user has existing rating
         if (response.data.userRating) {
           setNewRating({
             rating: response.data.userRating.rating,
-            review: response.data.userRating.review || ''
+            review: response.data.userRating.review || '',
+            scores: Object.fromEntries((response.data.userRating.scores || []).map(item => [item.criterion, item.score]))
           })
         }
       } else {
@@ -97,7 +135,8 @@ const StoreDetails = () => {
       // Submit rating to API
       const response = await userAPI.submitRating(storeId, {
         rating: newRating.rating,
-        review: newRating.review
+        review: newRating.review,
+        scores: Object.fromEntries(criteria.map(criterion => [criterion.name, newRating.scores[criterion.name] ?? null]))
       })
       
       if (response.success) {
@@ -125,12 +164,37 @@ const StoreDetails = () => {
       const result = await showConfirmAlert('Delete Rating', 'Are you sure you want to delete your rating?')
       if (!result.isConfirmed) return
 
-      // For now, we don't have a delete endpoint, so we'll submit rating 0
-      // This would need to be implemented in the backend
-      showWarningAlert('Feature Not Available', 'Rating deletion is not yet implemented.')
-      
+      const updatedStats = await userAPI.deleteRating(userRating.id)
+
+      // Apply the recalculated store average returned by the API
+      setStore(prev => ({
+        ...prev,
+        average_rating: updatedStats.average_rating,
+        total_ratings: updatedStats.total_ratings
+      }))
+      setUserRating(null)
+      setNewRating({ rating: 5, review: '', scores: {} })
+
+      showSuccessAlert('Success', 'Your rating has been deleted.')
     } catch (err) {
-      showErrorAlert('Error', 'Failed to delete rating. Please try again.')
+      showErrorAlert('Error', err.message || 'Failed to delete rating. Please try again.')
+    }
+  }
+
+  /**
+   * Votes a review helpful or unhelpful; repeating the current vote withdraws it
+   */
+  const handleVote = async (rating, helpful) => {
+    try {
+      setVotingId(rating.id)
+      const totals = rating.my_vote === helpful
+        ? await userAPI.removeVote(rating.id)
+        : await userAPI.voteRating(rating.id, helpful)
+      setRatings(prev => prev.map(item => (item.id === rating.id ? { ...item, ...totals } : item)))
+    } catch (err) {
+      showErrorAlert('Error', err.message || 'Failed to save your vote. Please try again.')
+    } finally {
+      setVotingId(null)
     }
   }
 
@@ -269,6 +333,9 @@ const StoreDetails = () => {
                     <div className="rating-text">({store.total_ratings || 0} reviews)</div>
                   </div>
                 </div>
+                {store.criteria_averages?.some(item => item.average_score !== null) && (
+                  <CriteriaRating criteria={store.criteria_averages} className="mt-3" />
+                )}
               </div>
 
               {/* User Rating Actions */}
@@ -276,7 +343,19 @@ const StoreDetails = () => {
                 {userRating ? (
                   <div className="user-rating-card">
                     <div className="user-rating-info">
-                      <h5>Your Rating</h5>
+                      <h5>
+                        Your Rating
+                        {userRating.edited_at && (
+                          <Badge bg="secondary" className="ms-2" title={`Edited ${formatDate(userRating.edited_at)}`}>
+                            Edited
+                          </Badge>
+                        )}
+                        {userRating.hidden_at && (
+                          <Badge bg="danger" className="ms-2" title="Hidden by a moderator and not counted in the store's average">
+                            Hidden
+                          </Badge>
+                        )}
+                      </h5>
                       <div>
                         <div className="star-rating mb-2">
                           {renderStarRating(userRating.rating)}
@@ -284,6 +363,18 @@ const StoreDetails = () => {
                         <div className="user-rating-meta">{userRating.rating}/5 stars</div>
                       </div>
                     </div>
+                    {userRating.scores?.length > 0 && (
+                      <CriteriaRating criteria={userRating.scores} className="text-start mb-3" />
+                    )}
+                    {userRating.owner_reply && (
+                      <div className="rating-item-reply text-start ms-0 mb-3">
+                        <div className="rating-item-reply-header">
+                          <FaReply className="me-1" />
+                          The owner replied · {formatDate(userRating.reply_updated_at)}
+                        </div>
+                        {userRating.owner_reply}
+                      </div>
+                    )}
                     <div className="d-grid gap-2">
                       <Button
                         variant="outline-primary"
@@ -292,6 +383,15 @@ const StoreDetails = () => {
                         <FaEdit className="me-2" />
                         Edit Rating
                       </Button>
+                      {userRating.edited_at && (
+                        <Button
+                          variant="outline-secondary"
+                          onClick={() => setShowHistoryModal(true)}
+                        >
+                          <FaHistory className="me-2" />
+                          View History
+                        </Button>
+                      )}
                       <Button
                         variant="outline-danger"
                         onClick={handleDeleteRating}
@@ -321,20 +421,38 @@ const StoreDetails = () => {
         </Card.Body>
       </Card>
 
-      {/* Recent Reviews */}
+      {/* Reviews */}
       <Card className="store-info-card slide-up">
-        <Card.Header>
-          <h5 className="mb-0">Recent Reviews</h5>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">
+            Reviews
+            {reviewPage.total > 0 && <span className="text-muted fs-6 ms-2">({reviewPage.total})</span>}
+          </h5>
+          <Form.Select
+            size="sm"
+            className="w-auto"
+            value={reviewSort}
+            onChange={(e) => setReviewSort(e.target.value)}
+            aria-label="Sort reviews"
+          >
+            {REVIEW_SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </Form.Select>
         </Card.Header>
         <Card.Body>
-          {ratings.length === 0 ? (
+          {ratings.length === 0 && reviewsLoading ? (
+            <div className="text-center py-4">
+              <Spinner animation="border" size="sm" />
+            </div>
+          ) : ratings.length === 0 ? (
             <div className="text-center py-4">
               <p className="text-muted">No reviews yet. Be the first to rate this store!</p>
             </div>
           ) : (
             <div className="recent-ratings-list">
               {ratings.map((rating, index) => (
-                <div key={index} className="rating-item">
+                <div key={rating.id || index} className="rating-item">
                   <div className="rating-item-header">
                     <div className="rating-item-user">
                       <div className="StoreDetailsReviewerAvatar">
@@ -349,6 +467,20 @@ const StoreDetails = () => {
                     </div>
                     <div className="rating-item-date">
                       {formatDate(rating.created_at)}
+                      {rating.edited_at && (
+                        <span className="text-muted fst-italic ms-1" title={`Edited ${formatDate(rating.edited_at)}`}>
+                          (edited)
+                        </span>
+                      )}
+                      <Button
+                        variant="link"
+                        size="sm"
+                        className="text-muted p-0 ms-2"
+                        onClick={() => setReportRatingId(rating.id)}
+                        title="Report this review"
+                      >
+                        <FaFlag />
+                      </Button>
                     </div>
                   </div>
                   {rating.review && (
@@ -356,13 +488,76 @@ const StoreDetails = () => {
                       "{rating.review}"
                     </div>
                   )}
+                  {rating.scores?.length > 0 && (
+                    <CriteriaRating criteria={rating.scores} className="mt-2" />
+                  )}
+                  {rating.owner_reply && (
+                    <div className="rating-item-reply">
+                      <div className="rating-item-reply-header">
+                        <FaReply className="me-1" />
+                        Reply from the owner · {formatDate(rating.reply_updated_at)}
+                      </div>
+                      {rating.owner_reply}
+                    </div>
+                  )}
+                  <div className="rating-item-votes">
+                    <span className="me-2">Was this review helpful?</span>
+                    <Button
+                      variant={rating.my_vote === true ? 'success' : 'outline-success'}
+                      size="sm"
+                      className="me-2"
+                      onClick={() => handleVote(rating, true)}
+                      disabled={votingId === rating.id}
+                      title={rating.my_vote === true ? 'Remove your vote' : 'Helpful'}
+                    >
+                      <FaThumbsUp className="me-1" />
+                      {rating.helpful_count}
+                    </Button>
+                    <Button
+                      variant={rating.my_vote === false ? 'danger' : 'outline-danger'}
+                      size="sm"
+                      onClick={() => handleVote(rating, false)}
+                      disabled={votingId === rating.id}
+                      title={rating.my_vote === false ? 'Remove your vote' : 'Not helpful'}
+                    >
+                      <FaThumbsDown className="me-1" />
+                      {rating.unhelpful_count}
+                    </Button>
+                  </div>
                 </div>
               ))}
+              {reviewPage.page < reviewPage.totalPages && (
+                <div className="text-center mt-3">
+                  <Button
+                    variant="outline-primary"
+                    onClick={() => fetchReviews(reviewPage.page + 1)}
+                    disabled={reviewsLoading}
+                  >
+                    {reviewsLoading ? <Spinner animation="border" size="sm" /> : 'Show more reviews'}
+                  </Button>
+                </div>
+              )}
             </div>
           )}
         </Card.Body>
       </Card>
 
+      {/* Rating History Modal */}
+      <RatingHistoryModal
+        show={showHistoryModal}
+        onHide={() => setShowHistoryModal(false)}
+        ratingId={userRating?.id}
+        loadHistory={userAPI.getRatingHistory}
+      />
+
+      {/* Report Review Modal */}
+      <ReportReviewModal
+        show={reportRatingId !== null}
+        onHide={() => setReportRatingId(null)}
+        onSubmit={(report) => userAPI.reportRating(reportRatingId, report)}
+        onReported={() => showSuccessAlert('Thank you', 'The review has been reported to our moderators.')}
+      />
+
       {/* Rating Modal */}
       <Modal 
         show={showRatingModal} 
@@ -389,6 +584,24 @@ const StoreDetails = () => {
               </div>
             </div>
 
+            {criteria.length > 0 && (
+              <div className="mb-4">
+                <Form.Label className="fw-semibold">Rate specific aspects (optional)</Form.Label>
+                <CriteriaRating
+                  interactive
+                  criteria={criteria.map(criterion => ({
+                    criterion: criterion.name,
+                    label: criterion.label,
+                    score: newRating.scores[criterion.name] ?? null
+                  }))}
+                  onScoreChange={(name, score) => setNewRating(prev => ({
+                    ...prev,
+                    scores: { ...prev.scores, [name]: score }
+                  }))}
+                />
+              </div>
+            )}
+
             <div className="mb-3">
               <Form.Label className="fw-semibold">Review</Form.Label>
               <Form.Control
@@ -1,73 +1,88 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
 import { Row, Col, Card, Form, InputGroup, Button, Badge, Alert, Spinner, Pagination } from 'react-bootstrap'
 // Removed react-icons imports as we're using direct SVG elements
 import { useNavigate } from 'react-router-dom'
 import userAPI from '../../../api/User/userAPI'
-import { showSuccessAlert, showErrorAlert } from '../../../utils/SweetAlert'
+import { usePagination } from '../../../api/hooks'
+import { showErrorAlert } from '../../../utils/SweetAlert'
 import '../../../styles/User/StoreList.css'
 
+const STORES_PER_PAGE = 9
+
+const SORT_OPTIONS = [
+  { value: 'name:asc', label: 'Name (A-Z)' },
+  { value: 'name:desc', label: 'Name (Z-A)' },
+  { value: 'average_rating:desc', label: 'Highest Rated' },
+  { value: 'average_rating:asc', label: 'Lowest Rated' },
+  { value: 'total_ratings:desc', label: 'Most Reviewed' },
+  { value: 'created_at:desc', label: 'Newest' }
+]
+
 const StoreList = () => {
   const [stores, setStores] = useState([])
-  const [filteredStores, setFilteredStores] = useState([])
   const [loading, setLoading] = useState(true)
+  const [pageLoading, setPageLoading] = useState(false)
   const [error, setError] = useState('')
   const [searchTerm, setSearchTerm] = useState('')
+  const [debouncedSearch, setDebouncedSearch] = useState('')
   const [ratingFilter, setRatingFilter] = useState('')
-  const [currentPage, setCurrentPage] = useState(1)
-  const [storesPerPage] = useState(9)
+  const [sortOption, setSortOption] = useState(SORT_OPTIONS[0].value)
+  const { page: currentPage, limit, total, totalPages, setTotal, goToPage, resetPagination } = usePagination(1, STORES_PER_PAGE)
 
   // Removed useAuth userAPI, use direct import
   const navigate = useNavigate()
 
+  /**
+   * Debounce the search term so the API is queried once typing pauses
+   */
   useEffect(() => {
-    fetchStores()
-  }, [])
-
-  useEffect(() => {
-    filterStores()
-  }, [stores, searchTerm, ratingFilter])
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [searchTerm])
 
-  const fetchStores = async () => {
+  /**
+   * Fetches the current page of stores with search, rating filter and sort applied on the server
+   */
+  const fetchStores = useCallback(async () => {
     try {
-      setLoading(true)
+      setPageLoading(true)
       setError('')
-      // Get all stores without any parameters
-      const response = await userAPI.getStores();
-      const fetchedStores = response.stores || []
-      setStores(fetchedStores)
-      setFilteredStores(fetchedStores)
+
+      const [sortBy, sortOrder] = sortOption.split(':')
+      const params = { page: currentPage, limit, sortBy, sortOrder }
+      if (debouncedSearch) params.search = debouncedSearch
+      if (ratingFilter) params.minRating = ratingFilter
+
+      const response = await userAPI.getStores(params)
+      setStores(response.stores || [])
+      setTotal(response.total || 0)
     } catch (err) {
       setError('Failed to load stores. Please try again.')
       console.error('Store fetch error:', err)
       showErrorAlert('Error', 'Failed to fetch stores. Please try again.')
     } finally {
       setLoading(false)
+      setPageLoading(false)
     }
-  }
+  }, [currentPage, limit, sortOption, debouncedSearch, ratingFilter, setTotal])
 
-  const filterStores = () => {
-    let filtered = [...stores]
+  useEffect(() => {
+    fetchStores()
+  }, [fetchStores])
 
-    // Search filter - only filter by name and address per requirements
-    if (searchTerm.trim()) {
-      filtered = filtered.filter(store =>
-        store.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        store.address.toLowerCase().includes(searchTerm.toLowerCase())
-      )
-    }
+  const handleSearchChange = (value) => {
+    setSearchTerm(value)
+    resetPagination()
+  }
 
-    // Rating filter
-    if (ratingFilter) {
-      const minRating = parseFloat(ratingFilter)
-      filtered = filtered.filter(store => {
-        // Make sure average_rating exists and is a valid number
-        const storeRating = parseFloat(store.average_rating || 0)
-        return !isNaN(storeRating) && storeRating >= minRating
-      })
-    }
+  const handleRatingFilterChange = (value) => {
+    setRatingFilter(value)
+    resetPagination()
+  }
 
-    setFilteredStores(filtered)
-    setCurrentPage(1)
+  const handleSortChange = (value) => {
+    setSortOption(value)
+    resetPagination()
   }
 
   const renderStarRating = (rating) => {
@@ -139,14 +154,8 @@ const StoreList = () => {
 
   // Removed getUniqueCategories function
 
-  // Pagination logic
-  const indexOfLastStore = currentPage * storesPerPage
-  const indexOfFirstStore = indexOfLastStore - storesPerPage
-  const currentStores = filteredStores.slice(indexOfFirstStore, indexOfLastStore)
-  const totalPages = Math.ceil(filteredStores.length / storesPerPage)
-
   const handlePageChange = (pageNumber) => {
-    setCurrentPage(pageNumber)
+    goToPage(pageNumber)
     window.scrollTo({ top: 0, behavior: 'smooth' })
   }
 
@@ -171,8 +180,9 @@ const StoreList = () => {
             </p>
           </div>
           <div className="StoreListStats text-end">
+            {pageLoading && <Spinner animation="border" size="sm" variant="primary" className="me-2" />}
             <Badge bg="primary" className="me-2">
-              {filteredStores.length} stores found
+              {total} stores found
             </Badge>
           </div>
         </div>
@@ -182,7 +192,7 @@ const StoreList = () => {
       <Card className="StoreListFilters mb-4">
         <Card.Body>
           <Row className="g-3">
-            <Col md={8}>
+            <Col md={6}>
               <Form.Label className="fw-semibold">
                 <svg 
                   stroke="currentColor" 
@@ -203,11 +213,11 @@ const StoreList = () => {
                   type="text"
                   placeholder="Search by name or address..."
                   value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onChange={(e) => handleSearchChange(e.target.value)}
                 />
               </InputGroup>
             </Col>
-            <Col md={4}>
+            <Col md={3}>
               <Form.Label className="fw-semibold">
                 <svg 
                   stroke="currentColor" 
@@ -225,7 +235,7 @@ const StoreList = () => {
               </Form.Label>
               <Form.Select
                 value={ratingFilter}
-                onChange={(e) => setRatingFilter(e.target.value)}
+                onChange={(e) => handleRatingFilterChange(e.target.value)}
               >
                 <option value="">Any Rating</option>
                 <option value="4.5">4.5+ Stars</option>
@@ -234,6 +244,17 @@ const StoreList = () => {
                 <option value="3.0">3.0+ Stars</option>
               </Form.Select>
             </Col>
+            <Col md={3}>
+              <Form.Label className="fw-semibold">Sort By</Form.Label>
+              <Form.Select
+                value={sortOption}
+                onChange={(e) => handleSortChange(e.target.value)}
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </Form.Select>
+            </Col>
           </Row>
         </Card.Body>
       </Card>
@@ -246,7 +267,7 @@ const StoreList = () => {
       )}
 
       {/* No Results */}
-      {filteredStores.length === 0 && !loading && (
+      {stores.length === 0 && !pageLoading && (
         <Card className="StoreListNoResults text-center py-5">
           <Card.Body>
             <svg 
@@ -270,10 +291,10 @@ const StoreList = () => {
       )}
 
       {/* Store Grid */}
-      {filteredStores.length > 0 && (
+      {stores.length > 0 && (
         <>
           <Row className="g-4">
-            {currentStores.map(store => (
+            {stores.map(store => (
               <Col key={store.id} lg={4} md={6}>
                 <Card className="StoreCard h-100 shadow-sm">
                   <Card.Body className="d-flex flex-column">
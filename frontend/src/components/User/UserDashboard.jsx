@@ -3,6 +3,7 @@ import { Routes, Route, Navigate } from 'react-router-dom'
 import { Container, Row, Col } from 'react-bootstrap'
 import CommonNavbar from '../Common/CommonNavbar'
 import CommonSidebar from '../Common/CommonSidebar'
+import EmailVerificationBanner from '../Common/EmailVerificationBanner'
 import StoreList from './StoreList/StoreList'
 import StoreDetails from './StoreList/StoreDetails'
 import Profile from './Profile/Profile'
@@ -69,6 +70,7 @@ const UserDashboard = () => {
           </div>
           <div className={`UserMainContent${sidebarCollapsed ? ' sidebar-collapsed' : ''}`}> 
             <Container fluid className="UserMainContainer p-4">
+              <EmailVerificationBanner />
               <Routes>
                 <Route path="/" element={<Navigate to="/user/dashboard" replace />} />
                 <Route path="/dashboard" element={<Dashboard />} />
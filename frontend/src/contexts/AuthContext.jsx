@@ -18,6 +18,7 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [isAuthenticated, setIsAuthenticated] = useState(false)
   const [loading, setLoading] = useState(true)
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null)
   const notification = useNotification()
 
   // Check for existing session on mount
@@ -85,6 +86,12 @@ export const AuthProvider = ({ children }) => {
       setLoading(true)
       
       const response = await authAPI.login({ email, password, rememberMe })
+
+      // Password accepted; the session is only issued after the 2FA code
+      if (response.twoFactorRequired) {
+        setTwoFactorChallenge({ challengeToken: response.challengeToken, email })
+        return { success: false, twoFactorRequired: true }
+      }
       
       setUser(response.user)
       setIsAuthenticated(true)
@@ -113,6 +120,31 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  const verifyTwoFactor = async (code) => {
+    try {
+      const response = await authAPI.verifyTwoFactor(twoFactorChallenge.challengeToken, code)
+
+      setTwoFactorChallenge(null)
+      setUser(response.user)
+      setIsAuthenticated(true)
+
+      if (notification) {
+        notification.showSuccess(`Welcome back, ${response.user.firstName || response.user.email}!`)
+      }
+
+      return { success: true, user: response.user }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Verification failed. Please try again.'
+      }
+    }
+  }
+
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null)
+  }
+
   const register = async (userData) => {
     try {
       setLoading(true)
@@ -178,6 +210,9 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     loading,
     login,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    cancelTwoFactor,
     register,
     updateUser,
     logout,
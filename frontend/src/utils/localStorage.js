@@ -10,6 +10,7 @@ export const STORAGE_KEYS = {
   REFRESH_TOKEN: 'refreshToken',
   LAST_LOGIN: 'lastLogin',
   REMEMBER_ME: 'rememberMe',
+  SESSION_EXPIRES_AT: 'sessionExpiresAt',
   CART: 'cart',
   SEARCH_HISTORY: 'searchHistory',
   FAVORITES: 'favorites',
@@ -18,7 +19,6 @@ export const STORAGE_KEYS = {
 
 // Storage expiry times (in milliseconds)
 export const STORAGE_EXPIRY = {
-  AUTH_TOKEN: 24 * 60 * 60 * 1000, // 24 hours
   TEMP_DATA: 60 * 60 * 1000, // 1 hour
   USER_PREFERENCES: 30 * 24 * 60 * 60 * 1000, // 30 days
   SEARCH_HISTORY: 7 * 24 * 60 * 60 * 1000 // 7 days
@@ -175,6 +175,16 @@ export const getStorageInfo = () => {
   }
 }
 
+/**
+ * Milliseconds from now until a date, for use as a storage expiry
+ * @param {string|Date|null} date - Target date
+ * @returns {number|null} Remaining milliseconds or null when no date is given
+ */
+const getTimeUntil = (date) => {
+  if (!date) return null
+  return Math.max(new Date(date).getTime() - Date.now(), 1)
+}
+
 /**
  * Format bytes to human readable format
  * @param {number} bytes - Bytes to format
@@ -205,15 +215,43 @@ export const isStorageAvailable = () => {
 
 // Auth-specific storage utilities
 export const authStorage = {
-  setToken: (token, rememberMe = false) => {
-    const expiry = rememberMe ? STORAGE_EXPIRY.AUTH_TOKEN : null
-    return setStorageItem(STORAGE_KEYS.AUTH_TOKEN, token, expiry)
+  setToken: (token) => {
+    return setStorageItem(STORAGE_KEYS.AUTH_TOKEN, token, getTimeUntil(authStorage.getSessionExpiresAt()))
   },
 
   getToken: () => {
     return getStorageItem(STORAGE_KEYS.AUTH_TOKEN)
   },
 
+  setRefreshToken: (refreshToken) => {
+    return setStorageItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken, getTimeUntil(authStorage.getSessionExpiresAt()))
+  },
+
+  getRefreshToken: () => {
+    return getStorageItem(STORAGE_KEYS.REFRESH_TOKEN)
+  },
+
+  /**
+   * Stores the tokens and session policy returned by login, register, refresh
+   * and password change. Tokens are kept until the server-side session expires.
+   */
+  setSession: ({ token, refreshToken, expiresAt, rememberMe }) => {
+    setStorageItem(STORAGE_KEYS.SESSION_EXPIRES_AT, expiresAt, getTimeUntil(expiresAt))
+    setStorageItem(STORAGE_KEYS.REMEMBER_ME, !!rememberMe, getTimeUntil(expiresAt))
+    authStorage.setToken(token)
+    if (refreshToken) {
+      authStorage.setRefreshToken(refreshToken)
+    }
+  },
+
+  getSessionExpiresAt: () => {
+    return getStorageItem(STORAGE_KEYS.SESSION_EXPIRES_AT)
+  },
+
+  isRememberMe: () => {
+    return getStorageItem(STORAGE_KEYS.REMEMBER_ME, false)
+  },
+
   setUser: (userData) => {
     return setStorageItem(STORAGE_KEYS.USER_DATA, userData)
   },
@@ -243,6 +281,8 @@ export const authStorage = {
     removeStorageItem(STORAGE_KEYS.USER_DATA)
     removeStorageItem(STORAGE_KEYS.USER_ROLE)
     removeStorageItem(STORAGE_KEYS.REFRESH_TOKEN)
+    removeStorageItem(STORAGE_KEYS.REMEMBER_ME)
+    removeStorageItem(STORAGE_KEYS.SESSION_EXPIRES_AT)
   }
 }
 
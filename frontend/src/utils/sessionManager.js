@@ -1,14 +1,15 @@
-import { authStorage, STORAGE_EXPIRY } from './localStorage'
+import { authStorage } from './localStorage'
 import { USER_ROLES } from '../api/constants'
+import authAPI from '../api/auth'
 
 /**
  * Session Management Utility
- * Handles user session validation, expiry, and security
+ * Handles user session validation, expiry, and security.
+ * Session expiry comes from the server (login and refresh responses):
+ * standard sessions end at a fixed time, remember-me sessions are extended
+ * on every token refresh.
  */
 
-// Session timeout duration (24 hours in milliseconds)
-const SESSION_TIMEOUT = 24 * 60 * 60 * 1000
-
 /**
  * Check if current session is valid
  * @returns {boolean} Whether session is valid
@@ -17,22 +18,12 @@ export const isSessionValid = () => {
   try {
     const token = authStorage.getToken()
     const user = authStorage.getUser()
-    const lastLogin = authStorage.getLastLogin()
-    
-    if (!token || !user || !lastLogin) {
-      return false
-    }
     
-    // Check if session has expired
-    const lastLoginTime = new Date(lastLogin).getTime()
-    const now = Date.now()
-    const timeDiff = now - lastLoginTime
-    
-    if (timeDiff > SESSION_TIMEOUT) {
+    if (!token || !user) {
       return false
     }
     
-    return true
+    return getRemainingSessionTime() > 0
   } catch (error) {
     console.error('Error checking session validity:', error)
     return false
@@ -45,13 +36,10 @@ export const isSessionValid = () => {
  */
 export const getRemainingSessionTime = () => {
   try {
-    const lastLogin = authStorage.getLastLogin()
-    if (!lastLogin) return 0
+    const expiresAt = authStorage.getSessionExpiresAt()
+    if (!expiresAt) return 0
     
-    const lastLoginTime = new Date(lastLogin).getTime()
-    const now = Date.now()
-    const elapsed = now - lastLoginTime
-    const remaining = SESSION_TIMEOUT - elapsed
+    const remaining = new Date(expiresAt).getTime() - Date.now()
     
     return Math.max(0, remaining)
   } catch (error) {
@@ -69,10 +57,13 @@ export const getFormattedRemainingTime = () => {
   
   if (remaining === 0) return 'Session expired'
   
-  const hours = Math.floor(remaining / (60 * 60 * 1000))
+  const days = Math.floor(remaining / (24 * 60 * 60 * 1000))
+  const hours = Math.floor((remaining % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000))
   const minutes = Math.floor((remaining % (60 * 60 * 1000)) / (60 * 1000))
   
-  if (hours > 0) {
+  if (days > 0) {
+    return `${days}d ${hours}h remaining`
+  } else if (hours > 0) {
     return `${hours}h ${minutes}m remaining`
   } else {
     return `${minutes}m remaining`
@@ -80,11 +71,13 @@ export const getFormattedRemainingTime = () => {
 }
 
 /**
- * Extend current session
+ * Extend current session by refreshing its tokens. Remember-me sessions
+ * get a new expiry; standard sessions keep their original one.
+ * @returns {Promise<boolean>} Whether the refresh succeeded
  */
-export const extendSession = () => {
+export const extendSession = async () => {
   try {
-    authStorage.setLastLogin()
+    await authAPI.refresh()
     return true
   } catch (error) {
     console.error('Error extending session:', error)
@@ -223,9 +216,10 @@ export const createSessionTracker = (onSessionExpiry, onSessionWarning) => {
     }
   }
   
-  const extend = () => {
-    extendSession()
+  const extend = async () => {
+    const extended = await extendSession()
     warningShown = false
+    return extended
   }
   
   return {